@@ -0,0 +1,274 @@
+const { validationResult } = require('express-validator');
+const ApprovalChain = require('../models/ApprovalChain');
+const Lab = require('../models/Lab');
+const approvalWorkflowService = require('../services/approvalWorkflowService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const CHAIN_FIELDS = ['name', 'description', 'department', 'lab', 'field', 'booking_types', 'requester_roles', 'steps', 'priority', 'is_active'];
+
+const pickChainFields = body => CHAIN_FIELDS.reduce((data, key) => {
+  if (body[key] !== undefined) data[key] = body[key];
+  return data;
+}, {});
+
+const isScoped = req => req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global;
+
+// Department admins may only manage chains that are pinned to their department
+const getScopeError = (req, data) => {
+  if (!isScoped(req)) return null;
+
+  const departmentIds = (req.user.departments || []).map(id => id.toString());
+  if (req.user.department) departmentIds.push((req.user.department._id || req.user.department).toString());
+
+  if (!data.department || !departmentIds.includes(data.department.toString())) {
+    return 'Approval chains you manage must be limited to your department';
+  }
+  if (data.lab) {
+    const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+    if (!labIds.includes(data.lab.toString())) {
+      return 'Access denied: lab is outside your department';
+    }
+  }
+  return null;
+};
+
+// Fill in the department from the lab so lab-specific chains stay in scope
+const withLabDepartment = async data => {
+  if (data.lab && !data.department) {
+    const lab = await Lab.findById(data.lab).select('department');
+    if (lab) data.department = lab.department;
+  }
+  return data;
+};
+
+// @desc    List approval chains
+// @route   GET /api/bookings/approval-chains
+// @access  Private (admin, department_admin, lab_manager)
+const getApprovalChains = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.lab_id) filter.lab = req.query.lab_id;
+    if (req.query.is_active !== undefined) filter.is_active = req.query.is_active === 'true';
+
+    // Scoped users see their department's chains and the global ones that apply to it
+    if (isScoped(req)) {
+      const departmentIds = [req.user.department?._id || req.user.department, ...(req.user.departments || [])].filter(Boolean);
+      filter.department = { $in: [...departmentIds, null] };
+    }
+
+    const chains = await ApprovalChain.find(filter)
+      .populate('department', 'name')
+      .populate('lab', 'name code')
+      .populate('field', 'name code')
+      .populate('steps.approvers', 'full_name email')
+      .sort({ is_active: -1, priority: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: chains
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching approval chains');
+  }
+};
+
+// @desc    Create an approval chain
+// @route   POST /api/bookings/approval-chains
+// @access  Private (admin, department_admin)
+const createApprovalChain = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const data = await withLabDepartment(pickChainFields(req.body));
+    const scopeError = getScopeError(req, data);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    const chain = await ApprovalChain.create({ ...data, created_by: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval chain created successfully',
+      data: chain
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating approval chain');
+  }
+};
+
+// @desc    Update an approval chain (existing bookings keep the steps they were created with)
+// @route   PUT /api/bookings/approval-chains/:id
+// @access  Private (admin, department_admin)
+const updateApprovalChain = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const chain = await ApprovalChain.findById(req.params.id);
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    const scopeError = getScopeError(req, chain);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    chain.set(await withLabDepartment(pickChainFields(req.body)));
+    const updatedScopeError = getScopeError(req, chain);
+    if (updatedScopeError) {
+      return res.status(403).json({
+        success: false,
+        message: updatedScopeError
+      });
+    }
+
+    chain.updated_by = req.user.id;
+    await chain.save();
+
+    res.json({
+      success: true,
+      message: 'Approval chain updated successfully',
+      data: chain
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating approval chain');
+  }
+};
+
+// @desc    Deactivate an approval chain
+// @route   DELETE /api/bookings/approval-chains/:id
+// @access  Private (admin, department_admin)
+const deleteApprovalChain = async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findById(req.params.id);
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    const scopeError = getScopeError(req, chain);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    // Bookings reference the chain, so it is deactivated rather than removed
+    chain.is_active = false;
+    chain.updated_by = req.user.id;
+    await chain.save();
+
+    res.json({
+      success: true,
+      message: 'Approval chain deactivated successfully'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error deleting approval chain');
+  }
+};
+
+// @desc    Bookings waiting for my sign-off (including as a delegate)
+// @route   GET /api/bookings/approvals/pending
+// @access  Private (admin, department_admin, lab_manager)
+const getPendingApprovals = async (req, res) => {
+  try {
+    const pending = await approvalWorkflowService.getPendingApprovals(req.user);
+
+    res.json({
+      success: true,
+      count: pending.length,
+      data: pending
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching pending approvals');
+  }
+};
+
+// @desc    Delegate my approval steps while I am away
+// @route   PUT /api/bookings/approvals/delegation
+// @access  Private (admin, department_admin, lab_manager)
+const setDelegation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const delegation = await approvalWorkflowService.setDelegation(req.user, {
+      delegateId: req.body.delegate_id,
+      startDate: req.body.start_date,
+      endDate: req.body.end_date,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval delegation saved',
+      data: delegation
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error saving approval delegation');
+  }
+};
+
+// @desc    Stop delegating my approval steps
+// @route   DELETE /api/bookings/approvals/delegation
+// @access  Private (admin, department_admin, lab_manager)
+const clearDelegation = async (req, res) => {
+  try {
+    await approvalWorkflowService.clearDelegation(req.user);
+
+    res.json({
+      success: true,
+      message: 'Approval delegation removed'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error removing approval delegation');
+  }
+};
+
+module.exports = {
+  getApprovalChains,
+  createApprovalChain,
+  updateApprovalChain,
+  deleteApprovalChain,
+  getPendingApprovals,
+  setDelegation,
+  clearDelegation
+};
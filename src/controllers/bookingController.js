@@ -12,25 +12,28 @@ const { validationResult } = require('express-validator');
 const { 
   sendBookingNotificationToAdmin, 
   sendBookingStatusUpdate,
+  sendParticipantNotification,
   createNotification
 } = require('../utils/notifications');
 const { 
   releaseBookingItems,
   releaseCompletedBookings
 } = require('../utils/inventoryUtils');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const bookingPolicyService = require('../services/bookingPolicyService');
+const slotSearchService = require('../services/slotSearchService');
+const waitlistService = require('../services/waitlistService');
+const approvalWorkflowService = require('../services/approvalWorkflowService');
+const itemReservationService = require('../services/itemReservationService');
+const bookingPreemptionService = require('../services/bookingPreemptionService');
+const bookingRosterService = require('../services/bookingRosterService');
+const billingService = require('../services/billingService');
+const consumableReconciliationService = require('../services/consumableReconciliationService');
+const labResourceService = require('../services/labResourceService');
+const trainingService = require('../services/trainingService');
+const stockService = require('../services/stockService');
 const moment = require('moment-timezone');
 
-// Helper to normalize various legacy/alias item types to the Booking schema enum
-const normalizeItemType = (t) => {
-  const s = (t || '').toString().trim().toLowerCase();
-  if (!s) return s;
-  // Map legacy/alias values
-  if (['fixed', 'equipment', 'asset', 'fixedasset', 'fixed_asset'].includes(s)) return 'fixed_asset';
-  if (['non-consumable', 'non_consumable', 'reusable'].includes(s)) return 'non_consumable';
-  if (['consumable', 'consumables'].includes(s)) return 'consumable';
-  return s; // assume already one of the allowed values
-};
-
 // Get all bookings with filters and role-based access
 const getAllBookings = async (req, res) => {
   try {
@@ -177,6 +180,7 @@ const getBookingById = async (req, res) => {
     const booking = await Booking.findById(req.params.id)
       .populate('lab', 'name code capacity description')
       .populate('field', 'name code description')
+      .populate('resources', 'name code type capacity status')
       .populate('user', 'full_name email department phone')
       .populate('approved_by', 'full_name email')
       .populate({
@@ -242,7 +246,8 @@ const createBooking = async (req, res) => {
       lab_id, field_id, start_time, end_time, purpose, booking_type,
       participants_count, equipment_needed, item_requirements, 
       special_instructions, setup_time_needed, cleanup_time_needed,
-      is_recurring, recurring_pattern, title, created_by, user, user_name
+      is_recurring, recurring_pattern, skip_conflicts, title, created_by, user, user_name,
+      override_rules, override_justification, preempt, preemption_reason, participants, resource_ids
     } = req.body;
     
     // Log the extracted fields
@@ -271,20 +276,73 @@ const createBooking = async (req, res) => {
       });
     }
 
-    // Check if field is allowed for this lab
-    const labWithFields = await Lab.findById(lab_id).populate('fields');
-    if (!labWithFields.fields.some(field => field._id.toString() === field_id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'This field is not allowed to use this lab'
-      });
+    // Benches, fume hoods or instruments to book instead of the whole lab
+    const resources = await labResourceService.loadForBooking(lab, resource_ids);
+
+    // A named roster replaces the head count
+    let roster = [];
+    if (Array.isArray(participants) && participants.length > 0) {
+      const resolved = await bookingRosterService.resolveEntries(participants, { addedBy: req.user.id });
+      if (resolved.invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${resolved.invalid.length} participant(s) could not be added`,
+          invalid: resolved.invalid
+        });
+      }
+      roster = resolved.participants;
     }
+    const participantsCount = roster.length || participants_count;
 
-    // Check lab capacity
-    if (participants_count > lab.capacity) {
+    // Admins may waive specific booking rules with a recorded justification
+    const overrides = bookingPolicyService.resolveOverrides(req.user, override_rules, override_justification);
+    const isSeries = !!(is_recurring && recurring_pattern);
+
+    // Authorised users may take the slot from lower-priority bookings on the field
+    let preemption = null;
+    if (preempt === true || preempt === 'true') {
+      if (isSeries) {
+        return res.status(400).json({
+          success: false,
+          message: 'Preemption is only available for single bookings'
+        });
+      }
+      preemption = await bookingPreemptionService.findPreemptable({
+        lab,
+        fieldId: field_id,
+        resources,
+        startTime: new Date(start_time),
+        endTime: new Date(end_time),
+        bookingType: booking_type || 'other',
+        user: req.user
+      });
+    }
+    const preemptedIds = preemption ? preemption.bookings.map(b => b._id) : [];
+
+    // Check field, capacity, opening hours and booking settings. A series checks the
+    // time-slot rules (opening hours, conflicts, blackouts) for every occurrence itself.
+    const bookingUser = String(user_id) === String(req.user.id)
+      ? req.user
+      : await User.findById(user_id).select('role no_show_count department');
+    const policy = await bookingPolicyService.evaluate({
+      lab,
+      fieldId: field_id,
+      user: bookingUser,
+      startTime: new Date(start_time),
+      endTime: new Date(end_time),
+      participantsCount,
+      resources,
+      excludeIds: preemptedIds,
+      overrides,
+      slotRules: !isSeries
+    });
+    if (!policy.allowed) {
       return res.status(400).json({
         success: false,
-        message: `Lab capacity exceeded. Maximum ${lab.capacity} participants allowed.`
+        message: policy.violations[0].message,
+        violations: policy.violations,
+        // The slot is only taken; the user can queue with POST /api/bookings/waitlist
+        can_join_waitlist: !isSeries && waitlistService.isWaitable(policy.violations)
       });
     }
 
@@ -292,6 +350,7 @@ const createBooking = async (req, res) => {
     const bookingData = {
       lab: lab_id,
       field: field_id,
+      resources: resources.map(r => r._id),
       user: user_id,
       created_by: user_id, // Add created_by field
       title: title || `Booking for ${purpose?.substring(0, 50) || 'Untitled'}`,
@@ -299,7 +358,8 @@ const createBooking = async (req, res) => {
       end_time: new Date(end_time),
       purpose: purpose || 'Lab booking',
       booking_type: booking_type || 'other',
-      participants_count: participants_count || 1,
+      participants_count: participantsCount || 1,
+      participants: roster,
       special_instructions: special_instructions || '',
       setup_time_needed: setup_time_needed || 0,
       cleanup_time_required: cleanup_time_needed || 0, // Note: field name mismatch fixed
@@ -308,7 +368,8 @@ const createBooking = async (req, res) => {
       is_recurring: is_recurring || false,
       recurring_pattern: recurring_pattern || null,
       // persist free-text booked by name when provided
-      ...(user_name && typeof user_name === 'string' ? { user_name: user_name.trim() } : {})
+      ...(user_name && typeof user_name === 'string' ? { user_name: user_name.trim() } : {}),
+      policy_overrides: bookingPolicyService.buildOverrideRecords(overrides, req.user.id, isSeries ? null : policy.overridden)
     };
     
     // Log the constructed booking data for debugging
@@ -368,8 +429,9 @@ const createBooking = async (req, res) => {
           });
         }
         
-        // Check available quantity
-        if (item.available_quantity < requirement.quantity_needed) {
+        // Reusable items are checked against overlapping reservations below;
+        // consumables need the stock on hand
+        if (!itemReservationService.isReservable(item) && item.available_quantity < requirement.quantity_needed) {
           return res.status(400).json({
             success: false,
             message: `Insufficient stock for item ${item.name}. Available: ${item.available_quantity}, Required: ${requirement.quantity_needed}`,
@@ -385,74 +447,131 @@ const createBooking = async (req, res) => {
 
         // Denormalize catalogue name/type into the requirement for easy display
         requirement.name = item.name || (item.catalogue_item_id && item.catalogue_item_id.name) || requirement.name;
-        requirement.type = normalizeItemType(item.type || (item.catalogue_item_id && item.catalogue_item_id.type) || requirement.type);
+        requirement.type = itemReservationService.normalizeItemType(item.type || (item.catalogue_item_id && item.catalogue_item_id.type) || requirement.type);
       }
 
+      // Each occurrence of a series is checked again when it is saved
+      await itemReservationService.assertAvailable(normalizedRequirements, new Date(start_time), new Date(end_time), {
+        excludeBookingIds: preemptedIds
+      });
+
       // Update item requirements with normalized data
       bookingData.item_requirements = normalizedRequirements;
     }
 
-    // Handle recurring bookings
-    if (is_recurring && recurring_pattern) {
-      const bookings = [];
-      const startDate = new Date(start_time);
-      const endDate = new Date(recurring_pattern.end_date);
-      
-      let currentDate = new Date(startDate);
-      
-      while (currentDate <= endDate) {
-        const bookingStart = new Date(currentDate);
-        const bookingEnd = new Date(currentDate);
-        bookingEnd.setTime(bookingEnd.getTime() + (new Date(end_time) - new Date(start_time)));
-        
-        // Check if this day matches the recurring pattern
-        const dayOfWeek = currentDate.getDay();
-        if (recurring_pattern.days_of_week.includes(dayOfWeek)) {
-          const recurringBooking = new Booking({
-            ...bookingData,
-            start_time: bookingStart,
-            end_time: bookingEnd
-          });
-          bookings.push(recurringBooking);
-        }
-        
-        // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
-      
-      // Save all recurring bookings
-      const savedBookings = await Booking.insertMany(bookings);
+    // The booking user must hold the training the lab and its items require,
+    // valid until the booking (or the last occurrence of a series) ends
+    const trainingUntil = isSeries && recurring_pattern.end_date
+      ? new Date(Math.max(new Date(end_time), moment(recurring_pattern.end_date).endOf('day').toDate()))
+      : new Date(end_time);
+    await trainingService.assertQualified(bookingUser, {
+      lab,
+      itemIds: [
+        ...bookingData.item_requirements.map(r => r.item),
+        ...resources.map(r => r.item).filter(Boolean)
+      ],
+      until: trainingUntil,
+      action: `book ${lab.name}`
+    });
+
+    // Handle recurring bookings: one booking per occurrence, linked to a series
+    if (isSeries) {
+      const { series, bookings: savedBookings, skipped } = await bookingSeriesService.createSeries({
+        lab,
+        bookingData,
+        pattern: recurring_pattern,
+        userId: user_id,
+        skipConflicts: skip_conflicts === true || skip_conflicts === 'true',
+        overrides
+      });
       
       const populatedBookings = await Booking.find({ _id: { $in: savedBookings.map(b => b._id) } })
-        .populate('lab', 'name code')
+        .populate('lab', 'name code department')
         .populate('field', 'name code')
+        .populate('resources', 'name code type capacity')
         .populate('user', 'full_name email')
-        .populate('item_requirements.item', 'name type');
+        .populate('item_requirements.item', 'name type')
+        .sort({ start_time: 1 });
 
-      // Send notifications for recurring bookings
-      for (const booking of populatedBookings) {
-        try {
-          console.log('Sending admin notification for recurring booking:', booking._id);
-          await sendBookingNotificationToAdmin(booking, req.user);
-          console.log('Successfully sent admin notification for booking:', booking._id);
-        } catch (error) {
-          console.error('Error sending admin notification for booking:', booking._id, error);
-          // Don't fail the whole operation if notification fails
+      // Notify admins once for the whole series rather than once per occurrence
+      try {
+        await sendBookingNotificationToAdmin(populatedBookings[0], req.user);
+        const firstStep = approvalWorkflowService.getCurrentStep(savedBookings[0]);
+        if (firstStep) {
+          await approvalWorkflowService.notifyApprovers(savedBookings[0], firstStep, lab);
         }
+      } catch (error) {
+        console.error('Error sending admin notification for booking series:', series._id, error);
+        // Don't fail the whole operation if notification fails
       }
 
+      try {
+        await createNotification({
+          user: populatedBookings[0].user._id,
+          type: 'booking_requested',
+          title: 'Recurring Booking Request Submitted',
+          message: `Your recurring booking for ${populatedBookings[0].lab?.name || 'a lab'} (${populatedBookings.length} occurrences) has been received and is pending approval.`,
+          data: {
+            booking_id: populatedBookings[0]._id,
+            series_id: series._id,
+            lab_name: populatedBookings[0].lab?.name,
+            start_time: populatedBookings[0].start_time,
+            occurrences: populatedBookings.length,
+            status: 'pending'
+          },
+          action_url: `/bookings/${populatedBookings[0]._id}`,
+          related_lab: populatedBookings[0].lab?._id,
+          priority: 'normal'
+        });
+      } catch (error) {
+        console.error('Error sending user confirmation for booking series:', series._id, error);
+      }
+
+      // Let registered participants know once for the series
+      await bookingRosterService.notifyAdded(savedBookings[0], roster);
+
       res.status(201).json({
         success: true,
-        message: `${savedBookings.length} recurring bookings created successfully`,
-        data: populatedBookings
+        message: `${savedBookings.length} recurring bookings created successfully` +
+          (skipped.length > 0 ? ` (${skipped.length} conflicting occurrence(s) skipped)` : ''),
+        data: populatedBookings,
+        series,
+        skipped
       });
     } else {
       // Single booking
-      const booking = await Booking.create(bookingData);
+      let booking;
+      if (preemptedIds.length > 0) {
+        // Free the slot and take it in one transaction
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(async () => {
+            booking = new Booking(bookingData);
+            await bookingPreemptionService.preempt(preemption, {
+              preemptingBooking: booking,
+              user: req.user,
+              reason: preemption_reason,
+              session
+            });
+            await booking.save({ session });
+          });
+        } finally {
+          await session.endSession();
+        }
+
+        try {
+          await bookingPreemptionService.notifyPreempted(preemption.bookings, booking, lab);
+        } catch (error) {
+          console.error('Error notifying owners of preempted bookings:', booking._id, error);
+        }
+      } else {
+        booking = await Booking.create(bookingData);
+      }
 
       const populatedBooking = await Booking.findById(booking._id)
         .populate('lab', 'name code')
         .populate('field', 'name code')
+        .populate('resources', 'name code type capacity')
         .populate('user', 'full_name email')
         .populate({
           path: 'item_requirements.item',
@@ -468,6 +587,10 @@ const createBooking = async (req, res) => {
         console.log('Sending admin notification for new booking:', populatedBooking._id);
         await sendBookingNotificationToAdmin(populatedBooking, req.user);
         console.log('Successfully sent admin notification for booking:', populatedBooking._id);
+        const firstStep = approvalWorkflowService.getCurrentStep(booking);
+        if (firstStep) {
+          await approvalWorkflowService.notifyApprovers(booking, firstStep, lab);
+        }
       } catch (error) {
         console.error('Error sending admin notification for booking:', populatedBooking._id, error);
         // Don't fail the whole operation if notification fails
@@ -497,14 +620,28 @@ const createBooking = async (req, res) => {
         console.error('Error sending user confirmation for booking:', populatedBooking._id, error);
       }
 
+      await bookingRosterService.notifyAdded(populatedBooking, roster);
+
       res.status(201).json({
         success: true,
-        message: 'Booking created successfully',
-        data: populatedBooking
+        message: preemptedIds.length > 0
+          ? `Booking created successfully (${preemptedIds.length} lower-priority booking(s) preempted)`
+          : 'Booking created successfully',
+        data: populatedBooking,
+        ...(preemptedIds.length > 0 && { preempted_bookings: preemptedIds })
       });
     }
   } catch (error) {
     console.error('Create booking error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.violations && { violations: error.violations }),
+        ...(error.conflicts && { conflicts: error.conflicts }),
+        ...(error.details && { details: error.details })
+      });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
@@ -533,6 +670,15 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
+    // Bookings with an approval chain must go through each step
+    const existing = await Booking.findById(id).select('approval_steps');
+    if (existing && approvalWorkflowService.getCurrentStep(existing)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking needs multi-stage approval; use the approve and reject endpoints'
+      });
+    }
+
     const updateData = { 
       status,
       approved_by: admin_id,
@@ -632,7 +778,7 @@ const approveBooking = async (req, res) => {
 
     // Find and validate booking
     const booking = await Booking.findById(id)
-      .populate('lab', 'name code')
+      .populate('lab', 'name code department')
       .populate('user', 'full_name email')
       .session(session);
 
@@ -663,8 +809,43 @@ const approveBooking = async (req, res) => {
       });
     }
 
-    // Department scope enforcement for non-admins
-    if (req.user && req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+    // Multi-stage approval: sign off the current step. Items are only
+    // allocated once the last step is approved.
+    const currentStep = approvalWorkflowService.getCurrentStep(booking);
+    if (currentStep) {
+      const { onBehalfOf } = await approvalWorkflowService.authorizeStep(req.user, currentStep, booking.lab);
+      approvalWorkflowService.recordDecision(currentStep, req.user, 'approved', notes, onBehalfOf);
+
+      const nextStep = approvalWorkflowService.getCurrentStep(booking);
+      if (nextStep) {
+        await booking.save({ session });
+        await session.commitTransaction();
+        session.endSession();
+
+        try {
+          await approvalWorkflowService.notifyApprovers(booking, nextStep, booking.lab);
+        } catch (error) {
+          console.error('Error notifying next approvers for booking:', booking._id, error);
+        }
+
+        return res.json({
+          success: true,
+          message: `${currentStep.name} approved; waiting for ${nextStep.name}`,
+          data: booking
+        });
+      }
+    } else if (!['admin', 'lab_manager'].includes(req.user.role)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+        errors: ['Only admins and lab managers can approve this booking']
+      });
+    }
+
+    // Department scope enforcement for non-admins (approval chains check their own approvers)
+    if (!currentStep && req.user && req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
       const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
       const bookingLabId = booking.lab?._id?.toString() || booking.lab?.toString();
       if (bookingLabId && !labIds.includes(bookingLabId)) {
@@ -683,7 +864,9 @@ const approveBooking = async (req, res) => {
       const Item = mongoose.model('Item');
       
       for (const requirement of booking.item_requirements) {
-        const item = await Item.findById(requirement.item).session(session);
+        const item = await Item.findById(requirement.item)
+          .populate('catalogue_item_id', 'name type')
+          .session(session);
         
         if (!item) {
           await session.abortTransaction();
@@ -705,6 +888,10 @@ const approveBooking = async (req, res) => {
             });
           }
 
+          // Issue from the lots that expire first; expired lots are never issued
+          requirement.lot_allocations = stockService.takeFromLots(item, requirement.quantity_needed)
+            .map(({ lot, lot_number, expiry_date, quantity }) => ({ lot, lot_number, expiry_date, quantity }));
+
           // Update item quantity and ensure created_by is set
           item.available_quantity -= requirement.quantity_needed;
           if (!item.created_by) {
@@ -718,29 +905,14 @@ const approveBooking = async (req, res) => {
             throw error;
           }
         }
-        // For non-consumable/fixed asset items, ensure they're available and not in maintenance
-        else if (['fixed_asset', 'non_consumable'].includes(normalizeItemType(item.type))) {
-          if (item.status === 'in_maintenance') {
-            await session.abortTransaction();
-            session.endSession();
-            return res.status(400).json({
-              success: false,
-              message: `Cannot approve booking: ${item.name} is under maintenance`
-            });
-          }
-          
-          // Update item status and ensure created_by is set
-          item.status = 'in_use';
-          if (!item.created_by) {
-            item.created_by = admin_id;
-          }
-          
-          try {
-            await item.save({ session });
-          } catch (error) {
-            console.error('Error saving item:', error);
-            throw error;
-          }
+        // Non-consumable/fixed asset items stay reserved for the booking window only
+        else if (itemReservationService.isReservable(item) && item.status === 'in_maintenance') {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({
+            success: false,
+            message: `Cannot approve booking: ${item.name} is under maintenance`
+          });
         }
         
         // Update requirement status
@@ -748,6 +920,12 @@ const approveBooking = async (req, res) => {
         requirement.approved_by = admin_id;
         requirement.approved_at = new Date();
       }
+
+      // Stock may have been written off since the booking was requested
+      await itemReservationService.assertAvailable(booking.item_requirements, booking.start_time, booking.end_time, {
+        excludeBookingIds: [booking._id],
+        session
+      });
     }
 
     // Update booking status
@@ -790,6 +968,14 @@ const approveBooking = async (req, res) => {
     session.endSession();
     
     console.error('Approve booking error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
@@ -829,7 +1015,7 @@ const rejectBooking = async (req, res) => {
 
     // Find and validate booking
     const booking = await Booking.findById(id)
-      .populate('lab', 'name code')
+      .populate('lab', 'name code department')
       .populate('field', 'name code')
       .populate('user', 'full_name email')
       .session(session);
@@ -853,8 +1039,23 @@ const rejectBooking = async (req, res) => {
       });
     }
 
-    // Department scope enforcement for non-admins
-    if (req.user && req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+    // Any approver in a multi-stage chain can reject at their step
+    const currentStep = approvalWorkflowService.getCurrentStep(booking);
+    if (currentStep) {
+      const { onBehalfOf } = await approvalWorkflowService.authorizeStep(req.user, currentStep, booking.lab);
+      approvalWorkflowService.recordDecision(currentStep, req.user, 'rejected', reason, onBehalfOf);
+    } else if (!['admin', 'lab_manager'].includes(req.user.role)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+        errors: ['Only admins and lab managers can reject this booking']
+      });
+    }
+
+    // Department scope enforcement for non-admins (approval chains check their own approvers)
+    if (!currentStep && req.user && req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
       const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
       const bookingLabId = booking.lab?._id?.toString() || booking.lab?.toString();
       if (bookingLabId && !labIds.includes(bookingLabId)) {
@@ -904,6 +1105,13 @@ const rejectBooking = async (req, res) => {
       await sendBookingStatusUpdate(populatedBooking, populatedBooking.user, 'rejected', reason);
     }
 
+    // Offer the freed slot to the waitlist
+    try {
+      await waitlistService.handleReleasedBooking(populatedBooking);
+    } catch (error) {
+      console.error('Error promoting waitlist after rejection:', populatedBooking._id, error);
+    }
+
     res.json({
       success: true,
       message: 'Booking rejected successfully',
@@ -913,6 +1121,12 @@ const rejectBooking = async (req, res) => {
     await session.abortTransaction();
     session.endSession();
     console.error('Reject booking error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error rejecting booking',
@@ -937,6 +1151,7 @@ const cancelBooking = async (req, res) => {
   }
   
   const session = await mongoose.startSession();
+  let cancelledBooking = null;
 
   try {
     await session.withTransaction(async () => {
@@ -995,6 +1210,7 @@ const cancelBooking = async (req, res) => {
       booking.updated_by = req.user.id;
 
       await booking.save({ session });
+      cancelledBooking = booking;
 
       // Create a notification for the booking user (if not the one cancelling)
       if (booking.user._id.toString() !== req.user.id) {
@@ -1015,6 +1231,14 @@ const cancelBooking = async (req, res) => {
         });
       }
 
+      await sendParticipantNotification(booking, {
+        type: 'booking_cancelled',
+        title: 'Booking Cancelled',
+        message: `A booking you are taking part in${booking.title ? ` ("${booking.title}")` : ''} for ${booking.lab?.name || 'the lab'} has been cancelled`,
+        data: { cancellation_reason: reason || 'No reason provided' },
+        priority: 'high'
+      });
+
       // Log the cancellation
       console.log(`Booking ${booking._id} cancelled by user ${req.user.id}`);
 
@@ -1030,6 +1254,15 @@ const cancelBooking = async (req, res) => {
       });
     });
 
+    // Offer the freed slot to the waitlist once the cancellation is committed
+    if (cancelledBooking) {
+      try {
+        await waitlistService.handleReleasedBooking(cancelledBooking);
+      } catch (error) {
+        console.error('Error promoting waitlist after cancellation:', cancelledBooking._id, error);
+      }
+    }
+
   } catch (error) {
     console.error('Error cancelling booking:', error);
 
@@ -1069,6 +1302,14 @@ const cancelBooking = async (req, res) => {
 const completeBooking = async (req, res) => {
   const { id } = req.params;
   const user_id = req.user.id;
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
   
   if (!mongoose.Types.ObjectId.isValid(id)) {
     return res.status(400).json({
@@ -1125,6 +1366,16 @@ const completeBooking = async (req, res) => {
         }
       }
 
+      // Record what was actually consumed; the difference goes back to (or comes out of) stock
+      const { consumable_usage, reconciliation_notes } = req.body;
+      const reconcileNow = Array.isArray(consumable_usage) && consumable_usage.length > 0;
+      if (reconcileNow) {
+        await consumableReconciliationService.applyUsage(booking, consumable_usage, req.user, {
+          notes: reconciliation_notes,
+          session
+        });
+      }
+
       // Process item requirements
       if (booking.item_requirements && booking.item_requirements.length > 0) {
         console.log('Processing items for booking:', booking._id);
@@ -1133,7 +1384,9 @@ const completeBooking = async (req, res) => {
         for (const requirement of booking.item_requirements) {
           if (!requirement.item) continue;
           
-          const item = await Item.findById(requirement.item).session(session);
+          const item = await Item.findById(requirement.item)
+            .populate('catalogue_item_id', 'name type')
+            .session(session);
           if (!item) {
             console.warn(`Item ${requirement.item} not found`);
             continue;
@@ -1141,8 +1394,12 @@ const completeBooking = async (req, res) => {
           
           console.log(`Processing item: ${item.name} (${item._id})`);
           
-          // For consumable items, return the used quantity
+          // Consumables were settled by the reconciliation above
+          if (item.type === 'consumable' && reconcileNow) continue;
+
+          // For consumable items, return the used quantity to the lots it was issued from
           if (item.type === 'consumable' && requirement.quantity_needed) {
+            stockService.returnToLots(item, requirement.lot_allocations || [], requirement.quantity_needed);
             item.available_quantity += requirement.quantity_needed;
             await item.save({ session });
             console.log(`Returned ${requirement.quantity_needed} of ${item.name} to inventory`);
@@ -1156,6 +1413,11 @@ const completeBooking = async (req, res) => {
         }
       }
 
+      // Without usage the consumables went back in full; usage can be entered later
+      if (!reconcileNow && consumableReconciliationService.requiresReconciliation(booking)) {
+        booking.consumable_reconciliation = { status: 'pending', stock_returned: true };
+      }
+
       // Update booking status and metadata
       booking.status = 'completed';
       booking.completed_at = new Date();
@@ -1167,6 +1429,13 @@ const completeBooking = async (req, res) => {
       await session.commitTransaction();
       session.endSession();
       
+      // Price the booking if a rate card applies; a failure here must not undo the completion
+      try {
+        await billingService.applyBookingCharge(updatedBooking._id);
+      } catch (chargeError) {
+        console.error('Error computing booking charge:', chargeError);
+      }
+
       // Populate the updated booking for the response
       const populatedBooking = await Booking.findById(updatedBooking._id)
         .populate('lab', 'name')
@@ -1517,7 +1786,15 @@ const getBookingStats = async (req, res) => {
 // Check lab availability
 const checkLabAvailability = async (req, res) => {
   try {
-    const { lab_id, start_time, end_time, exclude_booking_id } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, field_id, start_time, end_time, participants_count, exclude_booking_id, resource_ids } = req.query;
 
     if (!lab_id || !start_time || !end_time) {
       return res.status(400).json({ success: false, message: 'lab_id, start_time and end_time are required' });
@@ -1537,6 +1814,11 @@ const checkLabAvailability = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid time range' });
     }
 
+    const lab = await Lab.findById(lab_id);
+    if (!lab || !lab.is_active) {
+      return res.status(404).json({ success: false, message: 'Lab not found or inactive' });
+    }
+
     const query = {
       lab: lab_id,
       status: { $in: ['pending', 'approved'] },
@@ -1548,17 +1830,37 @@ const checkLabAvailability = async (req, res) => {
     };
     if (exclude_booking_id) query._id = { $ne: exclude_booking_id };
 
-    const conflicting = await Booking.find(query)
-      .populate('user', 'full_name email')
-      .populate('lab', 'name')
-      .populate('field', 'name')
-      .sort({ start_time: 1 });
+    // resource_ids may be repeated or comma-separated
+    const resources = await labResourceService.loadForBooking(
+      lab,
+      [].concat(resource_ids || []).flatMap(id => String(id).split(',')).filter(Boolean)
+    );
+
+    const [conflicting, policy] = await Promise.all([
+      Booking.find(query)
+        .populate('user', 'full_name email')
+        .populate('lab', 'name')
+        .populate('field', 'name')
+        .sort({ start_time: 1 }),
+      bookingPolicyService.evaluate({
+        lab,
+        fieldId: field_id,
+        user: req.user,
+        startTime: startDate,
+        endTime: endDate,
+        participantsCount: participants_count,
+        resources,
+        excludeIds: exclude_booking_id ? [exclude_booking_id] : []
+      })
+    ]);
 
     return res.json({
       success: true,
       data: {
-        is_available: conflicting.length === 0,
+        // Overlapping bookings in other fields only block the slot through max_concurrent_bookings
+        is_available: policy.allowed,
         conflicting_bookings: conflicting,
+        violations: policy.violations,
         requested_slot: {
           start_time: startDate,
           end_time: endDate,
@@ -1568,10 +1870,65 @@ const checkLabAvailability = async (req, res) => {
     });
   } catch (error) {
     console.error('Check lab availability error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
     res.status(500).json({ success: false, message: 'Error checking lab availability', errors: [error.message] });
   }
 };
 
+// @desc    Find the earliest free slots for a field across labs
+// @route   GET /api/bookings/availability/slots
+// @access  Private
+const findAvailableSlots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { field_id, duration_minutes, participants_count, from, to, setup_minutes, cleanup_minutes, limit, lab_id } = req.query;
+
+    // Department scope enforcement for non-admins
+    let labIds = lab_id ? [lab_id] : null;
+    if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+      const allowed = (req.departmentScope.labIds || []).map(id => id.toString());
+      if (lab_id && !allowed.includes(lab_id.toString())) {
+        return res.status(403).json({ success: false, message: 'Access denied: lab is outside your department' });
+      }
+      labIds = lab_id ? [lab_id] : allowed;
+    }
+
+    const result = await slotSearchService.findSlots({
+      fieldId: field_id,
+      durationMinutes: parseInt(duration_minutes),
+      participantsCount: participants_count ? parseInt(participants_count) : 1,
+      from,
+      to,
+      setupMinutes: setup_minutes ? parseInt(setup_minutes) : 0,
+      cleanupMinutes: cleanup_minutes ? parseInt(cleanup_minutes) : 0,
+      limit: limit ? parseInt(limit) : 5,
+      labIds,
+      user: req.user
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Find available slots error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Error finding available slots', errors: [error.message] });
+  }
+};
+
 // Get my bookings (for current user)
 const getMyBookings = async (req, res) => {
   try {
@@ -1619,6 +1976,7 @@ module.exports = {
   cancelBooking,
   // restored handlers referenced by routes
   checkLabAvailability,
+  findAvailableSlots,
   getMyBookings,
   getBookingStats,
   getTodayBookings,
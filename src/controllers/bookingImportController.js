@@ -0,0 +1,72 @@
+const { validationResult } = require('express-validator');
+const timetableImportService = require('../services/timetableImportService');
+
+const isTrue = (value) => value === true || value === 'true';
+
+// @desc    Import bookings from an .ics or CSV timetable (dry run by default)
+// @route   POST /api/bookings/import
+// @access  Private (admin, department_admin, lab_manager)
+const importBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a timetable file or send its content'
+      });
+    }
+
+    // Nothing is written unless dry_run is explicitly false
+    const dryRun = !(req.body.dry_run === false || req.body.dry_run === 'false');
+
+    const report = await timetableImportService.importTimetable({
+      content,
+      format: req.body.format,
+      filename: req.file?.originalname,
+      dryRun,
+      skipInvalid: isTrue(req.body.skip_invalid),
+      defaults: {
+        lab_code: req.body.lab_code,
+        field_code: req.body.field_code,
+        booking_type: req.body.booking_type
+      },
+      user: req.user,
+      departmentScope: req.departmentScope
+    });
+
+    const { summary } = report;
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${summary.valid} of ${summary.rows} rows can be imported`
+        : `${summary.created} booking(s) imported from ${summary.rows} rows`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Import bookings error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.report && { data: error.report })
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error importing bookings',
+      errors: [error.message]
+    });
+  }
+};
+
+module.exports = {
+  importBookings
+};
@@ -0,0 +1,321 @@
+const { validationResult } = require('express-validator');
+const BookingQuota = require('../models/BookingQuota');
+const User = require('../models/User');
+const bookingQuotaService = require('../services/bookingQuotaService');
+const bookingPolicyService = require('../services/bookingPolicyService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const EDITABLE_FIELDS = ['name', 'applies_to', 'role', 'department', 'lab', 'period', 'max_hours', 'is_active'];
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+const SCOPE_FIELDS = ['role', 'department', 'lab'];
+
+// Copy editable fields from the request; an empty role, department or lab
+// clears it so the quota applies to all
+const applyFields = (quota, body) => {
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] === undefined) continue;
+    quota[key] = SCOPE_FIELDS.includes(key) && !body[key] ? null : body[key];
+  }
+};
+
+const isScoped = req =>
+  req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global;
+
+// Department admins manage quotas for their own departments and labs only;
+// a quota without a department or lab applies everywhere and is admin-only
+const canManage = (req, quota) => {
+  if (!isScoped(req)) return true;
+  const departmentIds = (req.departmentScope.departmentIds || []).map(String);
+  const labIds = (req.departmentScope.labIds || []).map(String);
+  const department = quota.department?.toString();
+  const lab = quota.lab?.toString();
+
+  if (!department && !lab) return false;
+  return (!department || departmentIds.includes(department)) && (!lab || labIds.includes(lab));
+};
+
+// @desc    List booking quotas
+// @route   GET /api/bookings/quotas
+// @access  Private (admin, department_admin, lab_manager)
+const getQuotas = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { role, lab_id, period, include_inactive } = req.query;
+    const filter = {};
+    if (include_inactive !== 'true') filter.is_active = true;
+    if (role) filter.role = role;
+    if (lab_id) filter.lab = lab_id;
+    if (period) filter.period = period;
+
+    // Staff see the quotas that can apply in their departments
+    if (isScoped(req)) {
+      filter.department = { $in: [...(req.departmentScope.departmentIds || []), null] };
+      if (!lab_id) filter.lab = { $in: [...(req.departmentScope.labIds || []), null] };
+    }
+
+    const quotas = await BookingQuota.find(filter)
+      .populate('department', 'name code')
+      .populate('lab', 'name code')
+      .sort({ period: 1, max_hours: 1 });
+
+    res.json({
+      success: true,
+      count: quotas.length,
+      data: quotas
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching booking quotas');
+  }
+};
+
+// @desc    Create a booking quota
+// @route   POST /api/bookings/quotas
+// @access  Private (admin, department_admin)
+const createQuota = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const quota = new BookingQuota({
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    applyFields(quota, req.body);
+
+    if (!canManage(req, quota)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: quotas must be limited to your department or its labs'
+      });
+    }
+
+    await quota.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking quota created',
+      data: quota
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating booking quota');
+  }
+};
+
+// @desc    Update a booking quota
+// @route   PUT /api/bookings/quotas/:id
+// @access  Private (admin, department_admin)
+const updateQuota = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const quota = await BookingQuota.findById(req.params.id);
+    if (!quota) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking quota not found'
+      });
+    }
+    if (!canManage(req, quota)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: quota is outside your department'
+      });
+    }
+
+    applyFields(quota, req.body);
+    if (!canManage(req, quota)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: quotas must be limited to your department or its labs'
+      });
+    }
+    quota.updated_by = req.user._id;
+    await quota.save();
+
+    res.json({
+      success: true,
+      message: 'Booking quota updated',
+      data: quota
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating booking quota');
+  }
+};
+
+// @desc    Delete a booking quota
+// @route   DELETE /api/bookings/quotas/:id
+// @access  Private (admin, department_admin)
+const deleteQuota = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const quota = await BookingQuota.findById(req.params.id);
+    if (!quota) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking quota not found'
+      });
+    }
+    if (!canManage(req, quota)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: quota is outside your department'
+      });
+    }
+
+    await quota.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Booking quota deleted'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error deleting booking quota');
+  }
+};
+
+// @desc    A user's current usage against each quota that applies to them
+// @route   GET /api/bookings/quotas/usage?user_id=...
+// @access  Private (own usage; managers for users in their department)
+const getQuotaUsage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user_id, at } = req.query;
+    let user = req.user;
+
+    if (user_id && user_id !== req.user.id) {
+      if (!MANAGER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own quota usage'
+        });
+      }
+      user = await User.findById(user_id).select('full_name email role department');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      if (isScoped(req) && !(req.departmentScope.departmentIds || []).includes(user.department?.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: user is outside your department'
+        });
+      }
+    }
+
+    const { timezone } = await bookingPolicyService.getSettings();
+    const usage = await bookingQuotaService.getUsage(user, { at: at ? new Date(at) : new Date(), timezone });
+
+    res.json({
+      success: true,
+      data: {
+        user: { _id: user._id, full_name: user.full_name, role: user.role },
+        quotas: usage
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching quota usage');
+  }
+};
+
+// @desc    Quota usage of every user in scope
+// @route   GET /api/bookings/quotas/usage/users
+// @access  Private (admin, department_admin, lab_manager)
+const getUsersQuotaUsage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { role, department_id, exceeded_only } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = { is_active: true };
+    if (role) filter.role = role;
+    if (department_id) {
+      filter.department = department_id;
+    } else if (isScoped(req)) {
+      filter.department = { $in: req.departmentScope.departmentIds || [] };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('full_name email role department')
+        .sort({ full_name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    const { timezone } = await bookingPolicyService.getSettings();
+    const rows = [];
+    for (const user of users) {
+      const quotas = await bookingQuotaService.getUsage(user, { timezone });
+      if (quotas.length === 0) continue;
+      if (exceeded_only === 'true' && !quotas.some(q => q.remaining_hours === 0)) continue;
+      rows.push({
+        user: { _id: user._id, full_name: user.full_name, email: user.email, role: user.role },
+        quotas
+      });
+    }
+
+    res.json({
+      success: true,
+      count: rows.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: rows
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching quota usage');
+  }
+};
+
+module.exports = {
+  getQuotas,
+  createQuota,
+  updateQuota,
+  deleteQuota,
+  getQuotaUsage,
+  getUsersQuotaUsage
+};
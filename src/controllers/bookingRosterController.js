@@ -0,0 +1,282 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const bookingRosterService = require('../services/bookingRosterService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+const isOwner = (req, booking) =>
+  (booking.user?._id?.toString() || booking.user?.toString()) === req.user.id;
+
+const isOutsideDepartment = (req, labId) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return false;
+  const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+  return !labIds.includes((labId?._id || labId)?.toString());
+};
+
+const isManager = (req, booking) =>
+  MANAGER_ROLES.includes(req.user.role) && !isOutsideDepartment(req, booking.lab);
+
+// Load a booking whose roster the current user may change (owner or a manager of its lab)
+const findManagedBooking = async (req, res) => {
+  const booking = await Booking.findOne({ _id: req.params.id, is_deleted: { $ne: true } });
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (!isOwner(req, booking) && !isManager(req, booking)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage participants of this booking'
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// @desc    Get a booking's participant roster with attendance
+// @route   GET /api/bookings/:id/participants
+// @access  Private (owner, participants, managers of the lab)
+const getParticipants = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: req.params.id, is_deleted: { $ne: true } })
+      .select('title user lab start_time end_time status participants participants_count')
+      .populate('participants.user', 'full_name email')
+      .populate('participants.attendance.marked_by', 'full_name');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isParticipant = booking.participants.some(p => p.user?._id?.toString() === req.user.id);
+    if (!isOwner(req, booking) && !isManager(req, booking) && !isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view participants of this booking'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        booking_id: booking._id,
+        participants_count: booking.participants_count,
+        participants: booking.participants,
+        attendance: bookingRosterService.summarize(booking.participants)
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching participants');
+  }
+};
+
+// @desc    Add participants to a booking (or replace the roster)
+// @route   POST /api/bookings/:id/participants
+// @access  Private (owner, managers of the lab)
+const addParticipants = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findManagedBooking(req, res);
+    if (!booking) return;
+
+    const result = await bookingRosterService.addParticipants(booking, req.body.participants, req.user, {
+      replace: req.body.replace === true || req.body.replace === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${result.added} participant(s) added`,
+      data: {
+        participants: result.booking.participants,
+        participants_count: result.booking.participants_count,
+        duplicates: result.duplicates,
+        invalid: result.invalid
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error adding participants');
+  }
+};
+
+// @desc    Import participants from a CSV class list
+// @route   POST /api/bookings/:id/participants/import
+// @access  Private (owner, managers of the lab)
+const importParticipants = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV file or send its content'
+      });
+    }
+
+    const booking = await findManagedBooking(req, res);
+    if (!booking) return;
+
+    const entries = bookingRosterService.parseRosterCsv(content);
+    const result = await bookingRosterService.addParticipants(booking, entries, req.user, {
+      replace: req.body.replace === true || req.body.replace === 'true',
+      source: 'csv'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${result.added} participant(s) imported`,
+      data: {
+        participants: result.booking.participants,
+        participants_count: result.booking.participants_count,
+        duplicates: result.duplicates,
+        invalid: result.invalid
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error importing participants');
+  }
+};
+
+// @desc    Remove a participant from a booking
+// @route   DELETE /api/bookings/:id/participants/:participantId
+// @access  Private (owner, managers of the lab)
+const removeParticipant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findManagedBooking(req, res);
+    if (!booking) return;
+
+    const updated = await bookingRosterService.removeParticipant(booking, req.params.participantId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Participant removed',
+      data: {
+        participants: updated.participants,
+        participants_count: updated.participants_count
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error removing participant');
+  }
+};
+
+// @desc    Mark attendance for participants of a booking
+// @route   PATCH /api/bookings/:id/attendance
+// @access  Private (owner, managers of the lab)
+const markAttendance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findManagedBooking(req, res);
+    if (!booking) return;
+
+    const updated = await bookingRosterService.markAttendance(booking, req.body.attendance, req.user);
+
+    res.json({
+      success: true,
+      message: 'Attendance recorded',
+      data: {
+        participants: updated.participants,
+        attendance: bookingRosterService.summarize(updated.participants)
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error recording attendance');
+  }
+};
+
+// @desc    Attendance history of a user or external participant across bookings
+// @route   GET /api/bookings/attendance/history
+// @access  Private (own history; managers for anyone in their labs)
+const getAttendanceHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user_id, external_id, from, to } = req.query;
+    const manager = MANAGER_ROLES.includes(req.user.role);
+
+    if (!manager && (external_id || (user_id && user_id !== req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own attendance history'
+      });
+    }
+
+    let labIds = null;
+    if (manager && req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+      labIds = req.departmentScope.labIds || [];
+    }
+
+    const history = await bookingRosterService.getAttendanceHistory({
+      userId: external_id ? null : (user_id || req.user.id),
+      externalId: external_id,
+      from,
+      to,
+      labIds
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching attendance history');
+  }
+};
+
+module.exports = {
+  getParticipants,
+  addParticipants,
+  importParticipants,
+  removeParticipant,
+  markAttendance,
+  getAttendanceHistory
+};
@@ -0,0 +1,224 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification } = require('../utils/notifications');
+
+const { SCOPES } = bookingSeriesService;
+
+// Owners can manage their own series; admins and lab managers can manage any in their scope
+const getAccessError = (req, booking) => {
+  const ownerId = booking.user?._id?.toString() || booking.user?.toString();
+  const isOwner = ownerId === req.user.id;
+  const isAdminOrLabManager = ['admin', 'lab_manager'].includes(req.user.role);
+
+  if (!isOwner && !isAdminOrLabManager) {
+    return 'Not authorized to manage this booking series';
+  }
+
+  if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+    const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+    const bookingLabId = booking.lab?._id?.toString() || booking.lab?.toString();
+    if (bookingLabId && !labIds.includes(bookingLabId)) {
+      return 'Access denied: booking is outside your department';
+    }
+  }
+
+  return null;
+};
+
+// Notify the owner when someone else changes their series
+const notifyOwner = async (req, booking, title, message) => {
+  const ownerId = booking.user?._id || booking.user;
+  if (!ownerId || ownerId.toString() === req.user.id) return;
+
+  await createNotification({
+    user: ownerId,
+    type: 'booking_series_updated',
+    title,
+    message,
+    data: { booking_id: booking._id, series_id: booking.series },
+    action_url: `/bookings/${booking._id}`,
+    related_lab: booking.lab?._id || booking.lab,
+    priority: 'high'
+  });
+};
+
+// @desc    Get a booking series with its occurrences
+// @route   GET /api/bookings/series/:seriesId
+// @access  Private
+const getSeries = async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.seriesId)
+      .populate('lab', 'name code')
+      .populate('field', 'name code')
+      .populate('user', 'full_name email');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    const accessError = getAccessError(req, series);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const occurrences = await Booking.find({ series: series._id, is_deleted: { $ne: true } })
+      .select('title start_time end_time status occurrence_index original_start_time is_exception participants_count')
+      .sort({ start_time: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        occurrences
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching booking series');
+  }
+};
+
+// @desc    Edit this occurrence, this and following occurrences, or the whole series
+// @route   PATCH /api/bookings/:id/occurrences
+// @access  Private
+const updateOccurrences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { scope = SCOPES.OCCURRENCE, ...changes } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking || booking.is_deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!booking.series) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is not part of a recurring series'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a ${booking.status} booking`
+      });
+    }
+
+    const accessError = getAccessError(req, booking);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const result = await bookingSeriesService.updateOccurrences(booking, scope, changes, req.user);
+
+    await notifyOwner(
+      req,
+      booking,
+      'Recurring Booking Updated',
+      `${result.bookings.length} occurrence(s) of "${booking.title}" were updated`
+    );
+
+    res.json({
+      success: true,
+      message: `${result.bookings.length} occurrence(s) updated successfully`,
+      data: {
+        series: result.series,
+        bookings: result.bookings
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating booking occurrences');
+  }
+};
+
+// @desc    Cancel this occurrence, this and following occurrences, or the whole series
+// @route   PATCH /api/bookings/:id/occurrences/cancel
+// @access  Private
+const cancelOccurrences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { scope = SCOPES.OCCURRENCE, reason } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking || booking.is_deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!booking.series) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is not part of a recurring series'
+      });
+    }
+
+    const accessError = getAccessError(req, booking);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError
+      });
+    }
+
+    const result = await bookingSeriesService.cancelOccurrences(booking, scope, req.user, reason);
+
+    await notifyOwner(
+      req,
+      booking,
+      'Recurring Booking Cancelled',
+      `${result.cancelled.length} occurrence(s) of "${booking.title}" were cancelled${reason ? `: ${reason}` : ''}`
+    );
+
+    res.json({
+      success: true,
+      message: `${result.cancelled.length} occurrence(s) cancelled successfully`,
+      data: {
+        series: result.series,
+        cancelled: result.cancelled.map(b => ({
+          bookingId: b._id,
+          start_time: b.start_time,
+          status: b.status
+        }))
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error cancelling booking occurrences');
+  }
+};
+
+module.exports = {
+  getSeries,
+  updateOccurrences,
+  cancelOccurrences
+};
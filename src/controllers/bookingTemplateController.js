@@ -0,0 +1,259 @@
+const { validationResult } = require('express-validator');
+const BookingTemplate = require('../models/BookingTemplate');
+const Lab = require('../models/Lab');
+const bookingTemplateService = require('../services/bookingTemplateService');
+const ErrorResponse = require('../utils/errorResponse');
+const { createBooking } = require('./bookingController');
+
+const TEMPLATE_FIELDS = ['name', 'description', 'lab', 'field', 'item_requirements', ...bookingTemplateService.TEMPLATE_BOOKING_FIELDS];
+
+// Booking options the caller chooses when applying a template; everything else comes from the template
+const APPLY_FIELDS = ['start_time', 'end_time', 'is_recurring', 'recurring_pattern', 'skip_conflicts', 'user', 'override_rules', 'override_justification'];
+
+const pick = (body, keys) => keys.reduce((data, key) => {
+  if (body[key] !== undefined) data[key] = body[key];
+  return data;
+}, {});
+
+// @desc    List my booking templates and those shared with my department
+// @route   GET /api/bookings/templates
+// @access  Private
+const getTemplates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = { ...bookingTemplateService.visibleFilter(req.user), is_active: true };
+    if (req.query.lab_id) filter.lab = req.query.lab_id;
+    if (req.query.visibility) filter.visibility = req.query.visibility;
+    if (req.query.mine === 'true') filter.owner = req.user._id;
+
+    const templates = await BookingTemplate.find(filter)
+      .populate('owner', 'full_name email')
+      .populate('department', 'name')
+      .populate('lab', 'name code')
+      .populate('field', 'name code')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching booking templates');
+  }
+};
+
+// @desc    Get a booking template
+// @route   GET /api/bookings/templates/:id
+// @access  Private (owner, or shared with my department)
+const getTemplate = async (req, res) => {
+  try {
+    const template = await bookingTemplateService.findVisible(req.user, req.params.id);
+    await template.populate([
+      { path: 'owner', select: 'full_name email' },
+      { path: 'department', select: 'name' },
+      { path: 'lab', select: 'name code' },
+      { path: 'field', select: 'name code' },
+      { path: 'item_requirements.item', select: 'available_quantity quantity status catalogue_item_id' }
+    ]);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching booking template');
+  }
+};
+
+// @desc    Save a booking template
+// @route   POST /api/bookings/templates
+// @access  Private
+const createTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const data = pick(req.body, TEMPLATE_FIELDS);
+    const lab = await Lab.findById(data.lab).select('_id');
+    if (!lab) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+
+    data.visibility = req.body.visibility || 'private';
+    data.department = bookingTemplateService.resolveDepartment(req.user, data.visibility, req.body.department);
+
+    const template = await BookingTemplate.create({ ...data, owner: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking template saved',
+      data: template
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error saving booking template');
+  }
+};
+
+// @desc    Update a booking template
+// @route   PUT /api/bookings/templates/:id
+// @access  Private (owner, admin, department admin for shared templates)
+const updateTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await bookingTemplateService.findVisible(req.user, req.params.id);
+    if (!bookingTemplateService.canManage(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this booking template'
+      });
+    }
+
+    template.set(pick(req.body, TEMPLATE_FIELDS));
+    if (req.body.visibility !== undefined || req.body.department !== undefined) {
+      template.visibility = req.body.visibility || template.visibility;
+      template.department = bookingTemplateService.resolveDepartment(
+        req.user,
+        template.visibility,
+        req.body.department || template.department
+      );
+    }
+    template.updated_by = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Booking template updated',
+      data: template
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating booking template');
+  }
+};
+
+// @desc    Delete a booking template
+// @route   DELETE /api/bookings/templates/:id
+// @access  Private (owner, admin, department admin for shared templates)
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = await bookingTemplateService.findVisible(req.user, req.params.id);
+    if (!bookingTemplateService.canManage(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this booking template'
+      });
+    }
+
+    template.is_active = false;
+    template.updated_by = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Booking template deleted'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error deleting booking template');
+  }
+};
+
+// @desc    Check a template's items against current stock for a time window
+// @route   GET /api/bookings/templates/:id/stock-check
+// @access  Private (owner, or shared with my department)
+const checkTemplateStock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await bookingTemplateService.findVisible(req.user, req.params.id);
+    const shortages = await bookingTemplateService.checkStock(
+      template,
+      new Date(req.query.start_time),
+      new Date(req.query.end_time)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        available: shortages.length === 0,
+        shortages
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error checking template stock');
+  }
+};
+
+// @desc    Create a booking or recurring series from a template
+// @route   POST /api/bookings/templates/:id/apply
+// @access  Private (owner, or shared with my department)
+const applyTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await bookingTemplateService.findVisible(req.user, req.params.id);
+
+    // Every item is reported at once rather than failing on the first shortage
+    const shortages = await bookingTemplateService.checkStock(
+      template,
+      new Date(req.body.start_time),
+      new Date(req.body.end_time)
+    );
+    if (shortages.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${shortages.length} item(s) in this template cannot be supplied for the requested time`,
+        shortages
+      });
+    }
+
+    // The booking goes through the normal creation flow (policy, approval chain, series)
+    req.body = bookingTemplateService.toBookingRequest(template, pick(req.body, APPLY_FIELDS));
+    return createBooking(req, res);
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error applying booking template');
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  checkTemplateStock,
+  applyTemplate
+};
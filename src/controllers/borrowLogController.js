@@ -7,6 +7,7 @@ const StockLog = require('../models/StockLog');
 const { validationResult } = require('express-validator');
 const { calculateFine } = require('../utils/fineCalculator');
 const { createNotification, sendBorrowStatusUpdate } = require('../utils/notifications');
+const trainingService = require('../services/trainingService');
 
 // Get all borrow logs with unified role-based access control
 const getAllBorrowLogs = async (req, res) => {
@@ -194,6 +195,21 @@ const borrowItem = async (req, res) => {
       });
     }
 
+    // Borrowers need the training the item's catalogue entry requires,
+    // valid until the item is due back
+    const training = await trainingService.check(req.user, {
+      itemIds: [item._id],
+      until: expected_return_date ? new Date(expected_return_date) : new Date()
+    });
+    if (!training.qualified) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: `Training required to borrow this item: ${training.missing.map(m => m.name).join(', ')}`,
+        details: { missing_training: training.missing }
+      });
+    }
+
     // Create borrow log
     const borrowLog = new BorrowLog({
       item: item_id,
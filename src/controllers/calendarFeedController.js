@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Department = require('../models/Department');
+const Field = require('../models/Field');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/icalendar');
+
+// How far back feeds reach unless ?past_days is given
+const DEFAULT_PAST_DAYS = 90;
+const MAX_PAST_DAYS = 365;
+
+const FEED_STATUSES = ['pending', 'approved', 'completed', 'cancelled', 'rejected'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Lab IDs a department-scoped user may see, or null for global access
+const getScopedLabIds = (req) => {
+  if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+    return (req.departmentScope.labIds || []).map(id => id.toString());
+  }
+  return null;
+};
+
+const canSeeOwners = (req) => ['admin', 'department_admin', 'lab_manager'].includes(req.user.role);
+
+const feedUrls = (req, token) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/feeds`;
+  return {
+    my_bookings: `${base}/my.ics?token=${token}`,
+    lab: `${base}/labs/{lab_id}.ics?token=${token}`,
+    field: `${base}/fields/{field_id}.ics?token=${token}`,
+    department: `${base}/departments/{department_id}.ics?token=${token}`
+  };
+};
+
+// Load bookings for a feed together with the series they belong to
+const loadFeedBookings = async (filter, req) => {
+  const pastDays = Math.min(parseInt(req.query.past_days, 10) || DEFAULT_PAST_DAYS, MAX_PAST_DAYS);
+  const since = new Date(Date.now() - pastDays * 24 * 60 * 60 * 1000);
+
+  const bookings = await Booking.find({
+    ...filter,
+    status: { $in: FEED_STATUSES },
+    is_deleted: { $ne: true },
+    end_time: { $gte: since }
+  })
+    .populate('lab', 'name code location')
+    .populate('field', 'name code')
+    .populate('user', 'full_name')
+    .sort({ start_time: 1 });
+
+  const seriesIds = [...new Set(bookings.filter(b => b.series).map(b => b.series.toString()))];
+  const series = seriesIds.length > 0 ? await BookingSeries.find({ _id: { $in: seriesIds } }) : [];
+
+  return { bookings, series };
+};
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}.ics"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+const handleFeedError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    errors: [error.message]
+  });
+};
+
+// @desc    Create (or rotate) the current user's calendar feed token
+// @route   POST /api/bookings/calendar/feed-token
+// @access  Private
+exports.createFeedToken = async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await User.findByIdAndUpdate(req.user.id, {
+      calendar_feed: {
+        token_hash: hashToken(token),
+        created_at: new Date()
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed token created. Any previous token no longer works.',
+      data: {
+        token,
+        urls: feedUrls(req, token)
+      }
+    });
+  } catch (error) {
+    handleFeedError(res, error, 'Error creating calendar feed token');
+  }
+};
+
+// @desc    Revoke the current user's calendar feed token
+// @route   DELETE /api/bookings/calendar/feed-token
+// @access  Private
+exports.revokeFeedToken = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $unset: { calendar_feed: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed token revoked'
+    });
+  } catch (error) {
+    handleFeedError(res, error, 'Error revoking calendar feed token');
+  }
+};
+
+// @desc    iCalendar feed of the token owner's bookings
+// @route   GET /api/bookings/calendar/feeds/my.ics?token=
+// @access  Feed token
+exports.getMyFeed = async (req, res) => {
+  try {
+    const { bookings, series } = await loadFeedBookings({ user: req.user._id }, req);
+
+    sendCalendar(res, 'my-bookings', buildCalendar({
+      name: `My Lab Bookings - ${req.user.full_name}`,
+      bookings,
+      series
+    }));
+  } catch (error) {
+    handleFeedError(res, error, 'Error generating calendar feed');
+  }
+};
+
+// @desc    iCalendar feed of a lab's bookings
+// @route   GET /api/bookings/calendar/feeds/labs/:id.ics?token=
+// @access  Feed token
+exports.getLabFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await Lab.findById(req.params.id).select('name code');
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+
+    const scopedLabIds = getScopedLabIds(req);
+    if (scopedLabIds && !scopedLabIds.includes(lab._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const { bookings, series } = await loadFeedBookings({ lab: lab._id }, req);
+
+    sendCalendar(res, `lab-${lab.code || lab._id}`, buildCalendar({
+      name: `${lab.name} Bookings`,
+      bookings,
+      series,
+      includeOwner: canSeeOwners(req)
+    }));
+  } catch (error) {
+    handleFeedError(res, error, 'Error generating calendar feed');
+  }
+};
+
+// @desc    iCalendar feed of a field's bookings across labs
+// @route   GET /api/bookings/calendar/feeds/fields/:id.ics?token=
+// @access  Feed token
+exports.getFieldFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const field = await Field.findById(req.params.id).select('name code');
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Field not found'
+      });
+    }
+
+    const filter = { field: field._id };
+    const scopedLabIds = getScopedLabIds(req);
+    if (scopedLabIds) filter.lab = { $in: scopedLabIds };
+
+    const { bookings, series } = await loadFeedBookings(filter, req);
+
+    sendCalendar(res, `field-${field.code || field._id}`, buildCalendar({
+      name: `${field.name} Bookings`,
+      bookings,
+      series,
+      includeOwner: canSeeOwners(req)
+    }));
+  } catch (error) {
+    handleFeedError(res, error, 'Error generating calendar feed');
+  }
+};
+
+// @desc    iCalendar feed of all bookings in a department's labs
+// @route   GET /api/bookings/calendar/feeds/departments/:department_id.ics?token=
+// @access  Feed token
+exports.getDepartmentFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const department = await Department.findById(req.params.department_id).select('name');
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    // checkDepartmentAccess has already rejected departments outside the user's scope
+    const labs = await Lab.find({ department: department._id }).select('_id');
+    const { bookings, series } = await loadFeedBookings({ lab: { $in: labs.map(l => l._id) } }, req);
+
+    sendCalendar(res, `department-${department._id}`, buildCalendar({
+      name: `${department.name} Lab Bookings`,
+      bookings,
+      series,
+      includeOwner: canSeeOwners(req)
+    }));
+  } catch (error) {
+    handleFeedError(res, error, 'Error generating calendar feed');
+  }
+};
@@ -1,7 +1,11 @@
 const CatalogueItem = require('../models/CatalogueItem');
 const Item = require('../models/Item');
+const supplierService = require('../services/supplierService');
 const { validationResult } = require('express-validator');
 
+// Roles that may see suppliers, prices and price history (as /api/procurement/suppliers)
+const SOURCING_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
 // Create a new catalogue item
 exports.createCatalogueItem = async (req, res) => {
   try {
@@ -159,13 +163,19 @@ exports.getCatalogueItem = async (req, res) => {
       }
     ]);
     
+    // Who sells it, at what price and how fast; only for those who may see suppliers
+    const sourcing = SOURCING_ROLES.includes(req.user?.role)
+      ? await supplierService.sourcing(item._id)
+      : undefined;
+
     const result = {
       ...item.toObject(),
       inventory: inventoryStats[0] || { 
         total_quantity: 0, 
         total_available: 0, 
         lab_count: 0 
-      }
+      },
+      ...(sourcing && { sourcing })
     };
     
     res.json({
@@ -0,0 +1,193 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const checkInService = require('../services/checkInService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const isOwner = (req, booking) =>
+  (booking.user?._id?.toString() || booking.user?.toString()) === req.user.id;
+
+const isOutsideDepartment = (req, labId) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return false;
+  const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+  return !labIds.includes(labId?.toString());
+};
+
+// Load a booking the current user may check in or out of
+const findBookingForCheckIn = async (req, res) => {
+  const booking = await Booking.findOne({ _id: req.params.id, is_deleted: { $ne: true } });
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (!isOwner(req, booking) && isOutsideDepartment(req, booking.lab)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied: lab is outside your department'
+    });
+    return null;
+  }
+
+  return booking;
+};
+
+// @desc    Check in by scanning the QR code at the lab door
+// @route   POST /api/bookings/check-in
+// @access  Private
+const checkInWithLabToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await checkInService.checkInWithLabToken(req.user, req.body.lab_token);
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: booking
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error checking in');
+  }
+};
+
+// @desc    Check in to a booking (owners need the lab token; admins and lab managers can check in manually)
+// @route   POST /api/bookings/:id/check-in
+// @access  Private
+const checkInBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findBookingForCheckIn(req, res);
+    if (!booking) return;
+
+    const updated = await checkInService.checkIn(booking, req.user, { labToken: req.body.lab_token });
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: updated
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error checking in');
+  }
+};
+
+// @desc    Check out of a booking
+// @route   POST /api/bookings/:id/check-out
+// @access  Private
+const checkOutBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findBookingForCheckIn(req, res);
+    if (!booking) return;
+
+    const updated = await checkInService.checkOut(booking, req.user);
+
+    res.json({
+      success: true,
+      message: 'Checked out successfully',
+      data: updated
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error checking out');
+  }
+};
+
+// @desc    Generate a new check-in QR token for a lab (replaces the old one)
+// @route   POST /api/bookings/check-in/labs/:labId/token
+// @access  Private (admin, lab_manager)
+const generateLabToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await Lab.findById(req.params.labId).select('name code');
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+
+    if (isOutsideDepartment(req, lab._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const token = await checkInService.createLabToken(lab);
+
+    res.status(201).json({
+      success: true,
+      message: 'Check-in token generated. Encode it in the QR code at the lab door; it is only shown once.',
+      data: {
+        lab: { _id: lab._id, name: lab.name, code: lab.code },
+        lab_token: token
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error generating check-in token');
+  }
+};
+
+// @desc    Reset a user's no-show count so they can book again
+// @route   PATCH /api/bookings/no-shows/users/:userId/reset
+// @access  Private (admin, lab_manager)
+const resetNoShows = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await checkInService.resetNoShows(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'No-show count reset',
+      data: user
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error resetting no-show count');
+  }
+};
+
+module.exports = {
+  checkInWithLabToken,
+  checkInBooking,
+  checkOutBooking,
+  generateLabToken,
+  resetNoShows
+};
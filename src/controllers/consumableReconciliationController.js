@@ -0,0 +1,96 @@
+const { validationResult } = require('express-validator');
+const consumableReconciliationService = require('../services/consumableReconciliationService');
+const billingService = require('../services/billingService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const scopedLabIds = (req) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return null;
+  return req.departmentScope.labIds || [];
+};
+
+// @desc    Enter actual consumable usage for a booking completed without it
+// @route   PATCH /api/bookings/:id/consumables/reconcile
+// @access  Private (admin, department_admin, lab_manager)
+const reconcileConsumables = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await consumableReconciliationService.reconcileCompleted(
+      req.params.id,
+      req.body.consumable_usage,
+      req.user,
+      { notes: req.body.notes, labIds: scopedLabIds(req) }
+    );
+
+    // Reprice with the usage; a failure here must not undo the reconciliation
+    try {
+      await billingService.applyBookingCharge(booking._id);
+    } catch (chargeError) {
+      console.error('Error computing booking charge:', chargeError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Consumable usage reconciled',
+      data: booking.consumable_reconciliation
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error reconciling consumables');
+  }
+};
+
+// @desc    Requested vs used consumables per booking, teacher and course
+// @route   GET /api/bookings/consumables/variance
+// @access  Private (admin, department_admin, lab_manager)
+const getConsumableVariance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, lab_id, user_id, field_id, threshold, min_bookings } = req.query;
+
+    let labIds = scopedLabIds(req);
+    if (lab_id) {
+      if (labIds && !labIds.map(String).includes(lab_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: lab is outside your department'
+        });
+      }
+      labIds = [lab_id];
+    }
+
+    const report = await consumableReconciliationService.getVarianceReport({
+      from,
+      to,
+      labIds,
+      userId: user_id,
+      fieldId: field_id,
+      thresholdPercent: threshold !== undefined ? Number(threshold) : undefined,
+      minBookings: min_bookings !== undefined ? Number(min_bookings) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching consumable variance');
+  }
+};
+
+module.exports = {
+  reconcileConsumables,
+  getConsumableVariance
+};
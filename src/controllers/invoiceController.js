@@ -0,0 +1,315 @@
+const { validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const billingService = require('../services/billingService');
+const ErrorResponse = require('../utils/errorResponse');
+const { toId } = require('../utils/commonUtils');
+
+const scopedLabIds = (req) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return null;
+  return (req.departmentScope.labIds || []).map(id => id.toString());
+};
+
+// Admins see every invoice; department staff see invoices with charges from
+// their labs or billed to their department; anyone sees invoices billed to them
+const canView = (req, invoice) => {
+  if (toId(invoice.user) === req.user.id) return true;
+  if (!['admin', 'department_admin'].includes(req.user.role)) return false;
+
+  const labIds = scopedLabIds(req);
+  if (!labIds) return true;
+  return invoice.lines.some(line => labIds.includes(toId(line.lab)))
+    || (req.departmentScope.departmentIds || []).includes(toId(invoice.department));
+};
+
+// Payments and voids are recorded by the department that issued the charges
+const canManage = (req, invoice) => {
+  const labIds = scopedLabIds(req);
+  return !labIds || invoice.lines.some(line => labIds.includes(toId(line.lab)));
+};
+
+const findInvoice = async (req, res, { manage = false } = {}) => {
+  const invoice = await Invoice.findById(req.params.id)
+    .populate('user', 'full_name email')
+    .populate('department', 'name code')
+    .populate('lines.user', 'full_name email')
+    .populate('lines.lab', 'name code')
+    .populate('issued_by', 'full_name')
+    .populate('recorded_paid_by', 'full_name')
+    .populate('voided_by', 'full_name');
+
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+    return null;
+  }
+
+  if (!canView(req, invoice) || (manage && !canManage(req, invoice))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this invoice'
+    });
+    return null;
+  }
+
+  return invoice;
+};
+
+// @desc    Generate invoices for a billing period
+// @route   POST /api/billing/invoices/generate
+// @access  Private (admin, department_admin)
+const generateInvoices = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { period_start, period_end, group_by } = req.body;
+    const invoices = await billingService.generateInvoices({
+      periodStart: period_start,
+      periodEnd: period_end,
+      groupBy: group_by || 'user',
+      labIds: scopedLabIds(req),
+      issuedBy: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: invoices.length > 0
+        ? `${invoices.length} invoice(s) issued`
+        : 'No uninvoiced charges in this period',
+      count: invoices.length,
+      data: invoices
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error generating invoices');
+  }
+};
+
+// @desc    List invoices
+// @route   GET /api/billing/invoices
+// @access  Private (admin, department_admin)
+const getInvoices = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, bill_to_type, user_id, bill_to_department, from, to } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (bill_to_type) filter.bill_to_type = bill_to_type;
+    if (user_id) filter.user = user_id;
+    if (bill_to_department) filter.department = bill_to_department;
+    if (from || to) {
+      filter.period_start = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      };
+    }
+
+    const labIds = scopedLabIds(req);
+    if (labIds) {
+      filter.$or = [
+        { 'lines.lab': { $in: labIds } },
+        { department: { $in: req.departmentScope.departmentIds || [] } }
+      ];
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select('-lines')
+        .populate('user', 'full_name email')
+        .populate('department', 'name code')
+        .sort({ issued_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: invoices
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching invoices');
+  }
+};
+
+// @desc    Invoices billed to the current user
+// @route   GET /api/billing/invoices/my
+// @access  Private
+const getMyInvoices = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = { user: req.user.id, bill_to_type: 'user' };
+    if (req.query.status) filter.status = req.query.status;
+
+    const invoices = await Invoice.find(filter)
+      .populate('lines.lab', 'name code')
+      .sort({ issued_at: -1 });
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      data: invoices
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching invoices');
+  }
+};
+
+// @desc    Get an invoice with its lines
+// @route   GET /api/billing/invoices/:id
+// @access  Private (bill-to user, admin, department_admin)
+const getInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching invoice');
+  }
+};
+
+// @desc    Download an invoice as CSV or PDF
+// @route   GET /api/billing/invoices/:id/export?format=csv|pdf
+// @access  Private (bill-to user, admin, department_admin)
+const exportInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (req.query.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${invoice.invoice_number}.csv"`
+      });
+      return res.send(billingService.toCsv(invoice));
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoice_number}.pdf"`
+    });
+    res.send(billingService.toPdf(invoice));
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error exporting invoice');
+  }
+};
+
+// @desc    Record payment of an invoice
+// @route   PATCH /api/billing/invoices/:id/pay
+// @access  Private (admin, department_admin)
+const payInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await findInvoice(req, res, { manage: true });
+    if (!invoice) return;
+
+    await billingService.markPaid(invoice, {
+      user: req.user,
+      paymentReference: req.body.payment_reference,
+      paidAt: req.body.paid_at
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice marked as paid',
+      data: invoice
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error recording payment');
+  }
+};
+
+// @desc    Void an issued invoice so its charges can be billed again
+// @route   PATCH /api/billing/invoices/:id/void
+// @access  Private (admin, department_admin)
+const voidInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await findInvoice(req, res, { manage: true });
+    if (!invoice) return;
+
+    await billingService.voidInvoice(invoice, {
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice voided',
+      data: invoice
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error voiding invoice');
+  }
+};
+
+module.exports = {
+  generateInvoices,
+  getInvoices,
+  getMyInvoices,
+  getInvoice,
+  exportInvoice,
+  payInvoice,
+  voidInvoice
+};
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const Item = require('../models/Item');
 const Lab = require('../models/Lab');
 const { validationResult } = require('express-validator');
+const itemReservationService = require('../services/itemReservationService');
+const stockService = require('../services/stockService');
 
 // Get all items with filtering and pagination
 exports.getAllItems = async (req, res) => {
@@ -235,6 +237,7 @@ exports.createItem = async (req, res) => {
             // Update existing item quantity
             existingItem.quantity += Number(quantity);
             existingItem.available_quantity += Number(quantity);
+            if (itemData.lot) stockService.receiveLot(existingItem, itemData.lot, Number(quantity));
             item = await existingItem.save({ session });
         } else {
             // Create new item
@@ -250,6 +253,8 @@ exports.createItem = async (req, res) => {
                 created_by: req.user._id,
                 asset_details: itemData.asset_details || {}
             });
+            // Stock received as a lot keeps its own expiry
+            if (itemData.lot) stockService.receiveLot(newItem, itemData.lot, Number(quantity));
 
             item = await newItem.save({ session });
         }
@@ -266,7 +271,8 @@ exports.createItem = async (req, res) => {
             metadata: {
                 storage_type,
                 source: 'catalogue_import',
-                catalogue_item_id
+                catalogue_item_id,
+                ...(itemData.lot && { lot_number: itemData.lot.lot_number })
             }
         }], { session });
 
@@ -554,29 +560,37 @@ exports.getLowStockItems = async (req, res) => {
     }
 };
 
-// Get expiring items
+// Get stock expiring soon, one row per lot
 exports.getExpiringItems = async (req, res) => {
     try {
-        const { days = 30, lab_id } = req.query;
-        const daysNum = parseInt(days);
-
-        const targetDate = new Date();
-        targetDate.setDate(targetDate.getDate() + daysNum);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
 
-        const query = {
-            expiry_date: {
-                $lte: targetDate,
-                $gte: new Date()
-            }
-        };
+        const { days = 30, lab_id, include_expired } = req.query;
 
-        if (lab_id) query.lab_id = lab_id;
+        let labIds = null;
+        if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+            labIds = req.departmentScope.labIds || [];
+        }
+        if (lab_id) {
+            labIds = labIds ? labIds.filter(id => id.toString() === lab_id.toString()) : [lab_id];
+        }
 
-        const items = await Item.find(query).populate('lab_id', 'name');
+        const lots = await stockService.getExpiringLots({
+            days: parseInt(days),
+            labIds,
+            includeExpired: include_expired === 'true'
+        });
 
         res.json({
             success: true,
-            data: items
+            count: lots.length,
+            data: lots
         });
     } catch (error) {
         console.error('Error fetching expiring items:', error);
@@ -588,6 +602,100 @@ exports.getExpiringItems = async (req, res) => {
     }
 };
 
+// Get item availability for a time window (reusable items minus overlapping booking reservations)
+exports.getItemsAvailability = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { lab_id, item_ids, exclude_booking_id } = req.query;
+        const start = new Date(req.query.start_time);
+        const end = new Date(req.query.end_time);
+
+        if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+            const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+            if (!labIds.includes(lab_id.toString())) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied: lab is outside your department'
+                });
+            }
+        }
+
+        const query = { lab: lab_id, deleted_at: null };
+        if (item_ids) {
+            query._id = { $in: item_ids.split(',').map(id => id.trim()).filter(Boolean) };
+        }
+
+        const items = await Item.find(query);
+        const availability = await itemReservationService.getAvailability(items, start, end, {
+            excludeBookingIds: exclude_booking_id ? [exclude_booking_id] : []
+        });
+
+        res.json({
+            success: true,
+            data: {
+                start_time: start,
+                end_time: end,
+                items: availability
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching item availability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching item availability',
+            error: error.message
+        });
+    }
+};
+
+// Get availability of a single item for a time window
+exports.getItemAvailability = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const item = await Item.findById(req.params.id);
+        if (!item || item.deleted_at) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const { exclude_booking_id } = req.query;
+        const [availability] = await itemReservationService.getAvailability(
+            [item],
+            new Date(req.query.start_time),
+            new Date(req.query.end_time),
+            { excludeBookingIds: exclude_booking_id ? [exclude_booking_id] : [] }
+        );
+
+        res.json({
+            success: true,
+            data: availability
+        });
+    } catch (error) {
+        console.error('Error fetching item availability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching item availability',
+            error: error.message
+        });
+    }
+};
+
 // Soft delete item by setting deleted_at
 exports.softDeleteItem = async (req, res) => {
     try {
@@ -809,6 +917,9 @@ exports.transferItem = async (req, res) => {
         const StockLog = require('../models/StockLog');
         const now = new Date();
 
+        // Transferred stock takes its lots along, expired ones included
+        const movedLots = stockService.takeFromLots(sourceItem, quantity, { includeExpired: true });
+
         // Update source item
         sourceItem.quantity -= quantity;
         sourceItem.available_quantity -= quantity;
@@ -829,11 +940,15 @@ exports.transferItem = async (req, res) => {
                 storage_type: to_storage_type,
                 quantity: quantity,
                 available_quantity: quantity,
+                lots: [],
                 created_by: req.user._id,
                 created_at: now,
                 updated_at: now
             });
         }
+        for (const lot of movedLots) {
+            stockService.receiveLot(destinationItem, lot, lot.quantity);
+        }
         await destinationItem.save({ session });
 
         // Create stock logs for both source and destination
@@ -1053,6 +1168,9 @@ exports.moveItem = async (req, res) => {
             deleted_at: null
         }).session(session);
 
+        // Moved stock takes its lots along, expired ones included
+        const movedLots = stockService.takeFromLots(sourceItem, quantity, { includeExpired: true });
+
         // Update source item quantity
         sourceItem.quantity -= quantity;
         sourceItem.available_quantity = Math.max(0, sourceItem.available_quantity - quantity);
@@ -1074,12 +1192,16 @@ exports.moveItem = async (req, res) => {
                 lab: target_lab_id,
                 quantity: quantity,
                 available_quantity: quantity,
+                lots: [],
                 created_at: new Date(),
                 updated_at: new Date()
             };
             delete newItemData._id;
             targetItem = new Item(newItemData);
         }
+        for (const lot of movedLots) {
+            stockService.receiveLot(targetItem, lot, lot.quantity);
+        }
 
         await targetItem.save({ session });
 
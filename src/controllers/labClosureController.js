@@ -0,0 +1,106 @@
+const { validationResult } = require('express-validator');
+const Lab = require('../models/Lab');
+const labClosureService = require('../services/labClosureService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const scopedLabIds = (req) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return null;
+  return req.departmentScope.labIds || [];
+};
+
+// Find the lab and make sure it is in the user's department scope
+const findLab = async (req, res) => {
+  const lab = await Lab.findById(req.params.id);
+  if (!lab) {
+    res.status(404).json({
+      success: false,
+      message: 'Lab not found'
+    });
+    return null;
+  }
+
+  const labIds = scopedLabIds(req);
+  if (labIds && !labIds.map(String).includes(lab._id.toString())) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied: lab is outside your department'
+    });
+    return null;
+  }
+  return lab;
+};
+
+// @desc    Bookings a closure would affect, with alternative labs for each
+// @route   GET /api/labs/:id/closure/preview?start_time=...&end_time=...&field_id=...
+// @access  Private (admin, department_admin, lab_manager)
+const previewClosure = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await findLab(req, res);
+    if (!lab) return;
+
+    const { start_time, end_time, field_id } = req.query;
+    const preview = await labClosureService.preview(lab, {
+      startTime: start_time ? new Date(start_time) : new Date(),
+      endTime: end_time ? new Date(end_time) : null,
+      fieldId: field_id || null
+    });
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error previewing lab closure');
+  }
+};
+
+// @desc    Close a lab (status change or blackout) and cancel or move its bookings
+// @route   POST /api/labs/:id/closure
+// @access  Private (admin, department_admin)
+const closeLab = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await findLab(req, res);
+    if (!lab) return;
+
+    const { status, start_time, end_time, field_id, reason, moves, auto_move } = req.body;
+    const result = await labClosureService.close(lab, req.user, {
+      status,
+      startTime: start_time ? new Date(start_time) : undefined,
+      endTime: end_time ? new Date(end_time) : undefined,
+      fieldId: field_id,
+      reason,
+      moves: moves || [],
+      autoMove: auto_move === true || auto_move === 'true',
+      labIds: scopedLabIds(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${lab.name} closed: ${result.cancelled.length} booking(s) cancelled, ${result.moved.length} moved`,
+      data: result
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error closing lab');
+  }
+};
+
+module.exports = {
+  previewClosure,
+  closeLab
+};
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const Lab = require('../models/Lab');
 const Department = require('../models/Department');
 const Field = require('../models/Field');
+const Booking = require('../models/Booking');
+const labClosureService = require('../services/labClosureService');
 const { validationResult } = require('express-validator');
 const { sendLabNotification } = require('../utils/notifications');
 
@@ -1372,10 +1374,25 @@ const updateLabStatus = async (req, res) => {
     await session.commitTransaction();
     session.endSession();
 
+    // A plain status change leaves bookings alone; report the ones still
+    // scheduled so they can be cleared with POST /api/labs/:id/closure
+    const affectedBookings = labClosureService.CLOSED_STATUSES.includes(status)
+      ? await Booking.countDocuments({
+        lab: lab._id,
+        status: { $in: ['pending', 'approved'] },
+        is_deleted: { $ne: true },
+        end_time: { $gt: new Date() }
+      })
+      : 0;
+
     res.json({
       success: true,
       message: `Lab status updated to ${status}`,
-      data: formatLabResponse(lab)
+      data: formatLabResponse(lab),
+      ...(affectedBookings > 0 && {
+        affected_bookings: affectedBookings,
+        warning: `${affectedBookings} pending or approved booking(s) are still scheduled in this lab`
+      })
     });
   } catch (error) {
     await session.abortTransaction();
@@ -0,0 +1,277 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Item = require('../models/Item');
+const Lab = require('../models/Lab');
+const LabResource = require('../models/LabResource');
+const labResourceService = require('../services/labResourceService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Messages for conflicts reported as 409
+const ERROR_MESSAGES = {
+  duplicate: 'A resource with this code already exists in the lab'
+};
+
+const EDITABLE_FIELDS = ['name', 'code', 'type', 'description', 'capacity', 'item', 'status', 'availability', 'is_active'];
+
+const scopedLabIds = (req) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return null;
+  return req.departmentScope.labIds || [];
+};
+
+// Find the lab; managing its resources also needs it to be in the user's scope
+const findLab = async (req, res, { manage = false } = {}) => {
+  const lab = await Lab.findById(req.params.labId);
+  if (!lab) {
+    res.status(404).json({
+      success: false,
+      message: 'Lab not found'
+    });
+    return null;
+  }
+
+  const labIds = scopedLabIds(req);
+  if (manage && labIds && !labIds.map(String).includes(lab._id.toString())) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied: lab is outside your department'
+    });
+    return null;
+  }
+  return lab;
+};
+
+// Instruments are linked to a fixed-asset item in the same lab
+const checkItem = async (itemId, lab) => {
+  if (!itemId) return null;
+
+  const item = await Item.findById(itemId).populate('catalogue_item_id', 'name type');
+  if (!item || item.lab?.toString() !== lab._id.toString()) {
+    return 'Item must belong to the same lab';
+  }
+  if (item.catalogue_item_id?.type !== 'fixed_asset') {
+    return 'Only fixed-asset items can be linked to a resource';
+  }
+  return null;
+};
+
+// @desc    Bookable resources of a lab
+// @route   GET /api/labs/:labId/resources
+// @access  Private
+const getResources = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await findLab(req, res);
+    if (!lab) return;
+
+    const { type, include_inactive } = req.query;
+    const filter = { lab: lab._id };
+    if (include_inactive !== 'true') filter.is_active = true;
+    if (type) filter.type = type;
+
+    const resources = await LabResource.find(filter)
+      .populate('item', 'status asset_details catalogue_item_id')
+      .sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: resources.length,
+      data: resources
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching lab resources', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Which resources are free in a time window and who holds the rest
+// @route   GET /api/labs/:labId/resources/availability?from=...&to=...
+// @access  Private
+const getResourceAvailability = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await findLab(req, res);
+    if (!lab) return;
+
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    if (to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'The end of the window must be after its start'
+      });
+    }
+
+    const availability = await labResourceService.getAvailability(lab, { from, to });
+
+    res.json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching resource availability', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Add a bookable resource to a lab
+// @route   POST /api/labs/:labId/resources
+// @access  Private (admin, department_admin, lab_manager)
+const createResource = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await findLab(req, res, { manage: true });
+    if (!lab) return;
+
+    const itemError = await checkItem(req.body.item, lab);
+    if (itemError) {
+      return res.status(400).json({
+        success: false,
+        message: itemError
+      });
+    }
+
+    const resource = new LabResource({
+      lab: lab._id,
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) resource[key] = req.body[key];
+    }
+    await resource.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Lab resource created',
+      data: resource
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating lab resource', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Update a lab resource
+// @route   PUT /api/labs/:labId/resources/:resourceId
+// @access  Private (admin, department_admin, lab_manager)
+const updateResource = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await findLab(req, res, { manage: true });
+    if (!lab) return;
+
+    const resource = await LabResource.findOne({ _id: req.params.resourceId, lab: lab._id });
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab resource not found'
+      });
+    }
+
+    const itemError = await checkItem(req.body.item, lab);
+    if (itemError) {
+      return res.status(400).json({
+        success: false,
+        message: itemError
+      });
+    }
+
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) resource[key] = req.body[key];
+    }
+    resource.updated_by = req.user._id;
+    await resource.save();
+
+    res.json({
+      success: true,
+      message: 'Lab resource updated',
+      data: resource
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating lab resource', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Retire a lab resource. Refused while upcoming bookings still hold it.
+// @route   DELETE /api/labs/:labId/resources/:resourceId
+// @access  Private (admin, department_admin, lab_manager)
+const deleteResource = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await findLab(req, res, { manage: true });
+    if (!lab) return;
+
+    const resource = await LabResource.findOne({ _id: req.params.resourceId, lab: lab._id });
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab resource not found'
+      });
+    }
+
+    const upcoming = await Booking.find({
+      resources: resource._id,
+      status: { $in: ['pending', 'approved'] },
+      is_deleted: { $ne: true },
+      end_time: { $gt: new Date() }
+    }).select('title start_time end_time status');
+    if (upcoming.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${upcoming.length} upcoming booking(s) still hold ${resource.name}; cancel or move them first`,
+        bookings: upcoming
+      });
+    }
+
+    resource.is_active = false;
+    resource.updated_by = req.user._id;
+    await resource.save();
+
+    res.json({
+      success: true,
+      message: 'Lab resource removed'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error removing lab resource', ERROR_MESSAGES);
+  }
+};
+
+module.exports = {
+  getResources,
+  getResourceAvailability,
+  createResource,
+  updateResource,
+  deleteResource
+};
@@ -0,0 +1,184 @@
+const { validationResult } = require('express-validator');
+const CatalogueItem = require('../models/CatalogueItem');
+const Item = require('../models/Item');
+const Lab = require('../models/Lab');
+const labelService = require('../services/labelService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+const scopedLabIds = (req) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return null;
+  return req.departmentScope.labIds || [];
+};
+
+const inScopeLab = (req, labId) => {
+  const labIds = scopedLabIds(req);
+  return !labIds || labIds.map(String).includes(labId?.toString());
+};
+
+const labelOptions = (query) => ({
+  symbology: query.symbology || 'qr',
+  format: query.format || 'svg',
+  scale: query.scale ? parseInt(query.scale, 10) : 4,
+  showText: query.show_text !== 'false'
+});
+
+const sendLabel = (res, label, filename) => {
+  const extension = label.contentType === 'image/png' ? 'png' : 'svg';
+  res.set({
+    'Content-Type': label.contentType,
+    'Content-Disposition': `inline; filename="${filename}.${extension}"`
+  });
+  res.send(label.body);
+};
+
+// @desc    Barcode or QR label for an inventory item
+// @route   GET /api/items/:id/label?symbology=qr|code128&format=svg|png&content=id|code|serial
+// @access  Private
+const getItemLabel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findById(req.params.id);
+    if (!item || item.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+    if (!inScopeLab(req, item.lab)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: item is outside your department'
+      });
+    }
+
+    const payload = labelService.itemPayload(item, req.query.content || 'id');
+    const label = labelService.render(payload, labelOptions(req.query));
+    sendLabel(res, label, `item-${item._id}`);
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error generating item label');
+  }
+};
+
+// @desc    Barcode or QR label carrying a catalogue item's code
+// @route   GET /api/catalogue/item/:id/label?symbology=qr|code128&format=svg|png
+// @access  Private
+const getCatalogueItemLabel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const catalogueItem = await CatalogueItem.findById(req.params.id).select('code').lean();
+    if (!catalogueItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue item not found'
+      });
+    }
+
+    const label = labelService.render(catalogueItem.code, labelOptions(req.query));
+    sendLabel(res, label, `catalogue-${catalogueItem.code}`);
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error generating catalogue item label');
+  }
+};
+
+// @desc    Printable PDF sheet of labels for the items in a lab
+// @route   GET /api/labs/:id/labels?symbology=qr|code128&content=id|code|serial&type=&item_ids=&copies=
+// @access  Private (admin, department_admin, lab_manager)
+const getLabLabelSheet = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await Lab.findById(req.params.id).select('name code department');
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+    if (!inScopeLab(req, lab._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const { pdf, count } = await labelService.labSheet(lab, {
+      symbology: req.query.symbology || 'qr',
+      content: req.query.content || 'id',
+      type: req.query.type || null,
+      itemIds: req.query.item_ids ? req.query.item_ids.split(',').map(id => id.trim()).filter(Boolean) : null,
+      copies: req.query.copies ? parseInt(req.query.copies, 10) : 1
+    });
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No items in this lab match the label filters'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="labels-${lab.code}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error generating lab labels');
+  }
+};
+
+// @desc    Resolve a scanned barcode to the item, its lab, stock and open borrows
+// @route   GET /api/items/scan?code=...&lab_id=...
+// @access  Private
+const scanCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await labelService.resolve(req.query.code, {
+      labIds: scopedLabIds(req),
+      labId: req.query.lab_id || null,
+      user: req.user,
+      manager: MANAGER_ROLES.includes(req.user.role)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error resolving scanned code');
+  }
+};
+
+module.exports = {
+  getItemLabel,
+  getCatalogueItemLabel,
+  getLabLabelSheet,
+  scanCode
+};
@@ -195,6 +195,7 @@ exports.getSettings = async (req, res) => {
       notification_types: {
         booking_approved: true,
         booking_rejected: true,
+        booking_reminder: true,
         return_reminder: true,
         stock_alert: false,
         maintenance_reminder: true
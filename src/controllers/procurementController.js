@@ -0,0 +1,560 @@
+const { validationResult } = require('express-validator');
+const Lab = require('../models/Lab');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseRequisition = require('../models/PurchaseRequisition');
+const procurementService = require('../services/procurementService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Messages for conflicts reported as 409
+const ERROR_MESSAGES = {
+  version: 'The purchase order was changed in the meantime; reload it and try again'
+};
+
+const APPROVER_ROLES = ['admin', 'department_admin'];
+
+const scopedLabIds = (req) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return null;
+  return req.departmentScope.labIds || [];
+};
+
+const inScopeLab = (req, labId) => {
+  const labIds = scopedLabIds(req);
+  return !labIds || labIds.map(String).includes((labId?._id || labId)?.toString());
+};
+
+// Narrow a list filter to the user's labs, keeping an explicit lab_id if it is one of them
+const scopeFilter = (req, filter) => {
+  const { lab_id } = req.query;
+  if (lab_id) filter.lab = lab_id;
+
+  const labIds = scopedLabIds(req);
+  if (labIds) {
+    filter.lab = lab_id
+      ? (labIds.map(String).includes(String(lab_id)) ? lab_id : { $in: [] })
+      : { $in: labIds };
+  }
+  return filter;
+};
+
+const findRequisition = async (req, res) => {
+  const requisition = await PurchaseRequisition.findById(req.params.id);
+  if (!requisition) {
+    res.status(404).json({
+      success: false,
+      message: 'Requisition not found'
+    });
+    return null;
+  }
+  if (!inScopeLab(req, requisition.lab)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied: requisition is outside your department'
+    });
+    return null;
+  }
+  return requisition;
+};
+
+const findOrder = async (req, res) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+    return null;
+  }
+  if (!inScopeLab(req, order.lab)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied: purchase order is outside your department'
+    });
+    return null;
+  }
+  return order;
+};
+
+const populateRequisition = requisition => requisition.populate([
+  { path: 'lab', select: 'name code' },
+  { path: 'lines.catalogue_item', select: 'name code unit type' },
+  { path: 'requested_by', select: 'full_name email' },
+  { path: 'approved_by', select: 'full_name' },
+  { path: 'rejected_by', select: 'full_name' },
+  { path: 'purchase_order', select: 'po_number status' }
+]);
+
+const populateOrder = order => order.populate([
+  { path: 'supplier', select: 'name code email phone contacts terms' },
+  { path: 'lab', select: 'name code' },
+  { path: 'lines.catalogue_item', select: 'name code unit type' },
+  { path: 'requisitions', select: 'requisition_number status' },
+  { path: 'receipts.received_by', select: 'full_name' }
+]);
+
+// @desc    List purchase requisitions
+// @route   GET /api/procurement/requisitions
+// @access  Private (admin, department_admin, lab_manager)
+const getRequisitions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, source } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = scopeFilter(req, {});
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+
+    const [requisitions, total] = await Promise.all([
+      PurchaseRequisition.find(filter)
+        .populate('lab', 'name code')
+        .populate('requested_by', 'full_name')
+        .populate('lines.catalogue_item', 'name code unit')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PurchaseRequisition.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: requisitions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: requisitions
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching requisitions', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Raise a purchase requisition for a lab
+// @route   POST /api/procurement/requisitions
+// @access  Private (admin, department_admin, lab_manager)
+const createRequisition = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await Lab.findById(req.body.lab_id).select('name code department');
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+    if (!inScopeLab(req, lab._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const requisition = await procurementService.createRequisition({
+      lab,
+      lines: req.body.lines,
+      justification: req.body.justification,
+      neededBy: req.body.needed_by || null,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await populateRequisition(requisition)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating requisition', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Raise requisitions for low-stock items now (as the daily job does)
+// @route   POST /api/procurement/requisitions/reorder
+// @access  Private (admin)
+const runReorder = async (req, res) => {
+  try {
+    const result = await procurementService.raiseReorderRequisitions();
+    if (!result.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Automatic reordering is switched off in the stock settings'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Raised ${result.requisitions} requisition(s) for ${result.items} item(s)`,
+      data: result
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error raising reorder requisitions', ERROR_MESSAGES);
+  }
+};
+
+// @desc    A purchase requisition
+// @route   GET /api/procurement/requisitions/:id
+// @access  Private (admin, department_admin, lab_manager)
+const getRequisition = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const requisition = await findRequisition(req, res);
+    if (!requisition) return;
+
+    res.json({
+      success: true,
+      data: await populateRequisition(requisition)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching requisition', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Approve a pending requisition
+// @route   POST /api/procurement/requisitions/:id/approve
+// @access  Private (admin, department_admin)
+const approveRequisition = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const requisition = await findRequisition(req, res);
+    if (!requisition) return;
+
+    await procurementService.decideRequisition(requisition, req.user, { approve: true });
+
+    res.json({
+      success: true,
+      message: 'Requisition approved',
+      data: requisition
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error approving requisition', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Reject a pending requisition
+// @route   POST /api/procurement/requisitions/:id/reject
+// @access  Private (admin, department_admin)
+const rejectRequisition = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const requisition = await findRequisition(req, res);
+    if (!requisition) return;
+
+    await procurementService.decideRequisition(requisition, req.user, { approve: false, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Requisition rejected',
+      data: requisition
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error rejecting requisition', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Withdraw a requisition that has not been ordered
+// @route   POST /api/procurement/requisitions/:id/cancel
+// @access  Private (requester, admin, department_admin)
+const cancelRequisition = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const requisition = await findRequisition(req, res);
+    if (!requisition) return;
+
+    const isRequester = requisition.requested_by?.toString() === req.user._id.toString();
+    if (!isRequester && !APPROVER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester or a department admin can cancel this requisition'
+      });
+    }
+
+    await procurementService.cancelRequisition(requisition, req.user);
+
+    res.json({
+      success: true,
+      message: 'Requisition cancelled',
+      data: requisition
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error cancelling requisition', ERROR_MESSAGES);
+  }
+};
+
+// @desc    List purchase orders
+// @route   GET /api/procurement/purchase-orders
+// @access  Private (admin, department_admin, lab_manager)
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, supplier_id } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = scopeFilter(req, {});
+    if (status) filter.status = status;
+    if (supplier_id) filter.supplier = supplier_id;
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .select('-receipts')
+        .populate('supplier', 'name code')
+        .populate('lab', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: orders
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching purchase orders', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Create a draft purchase order from approved requisitions and/or lines
+// @route   POST /api/procurement/purchase-orders
+// @access  Private (admin, department_admin)
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await procurementService.createPurchaseOrder({
+      supplierId: req.body.supplier_id,
+      labId: req.body.lab_id || null,
+      requisitionIds: req.body.requisition_ids || [],
+      lines: req.body.lines || [],
+      expectedDeliveryDate: req.body.expected_delivery_date || null,
+      notes: req.body.notes,
+      user: req.user,
+      labIds: scopedLabIds(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await populateOrder(order)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating purchase order', ERROR_MESSAGES);
+  }
+};
+
+// @desc    A purchase order with its receipts and amounts outstanding
+// @route   GET /api/procurement/purchase-orders/:id
+// @access  Private (admin, department_admin, lab_manager)
+const getPurchaseOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await populateOrder(order);
+    res.json({
+      success: true,
+      data: {
+        ...order.toObject(),
+        lines: order.lines.map(line => ({ ...line.toObject(), quantity_outstanding: order.outstanding(line) })),
+        summary: procurementService.summarize(order)
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching purchase order', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Edit a draft purchase order
+// @route   PUT /api/procurement/purchase-orders/:id
+// @access  Private (admin, department_admin)
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await procurementService.updatePurchaseOrder(order, req.body);
+
+    res.json({
+      success: true,
+      data: await populateOrder(order)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating purchase order', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Issue a draft purchase order to the supplier
+// @route   POST /api/procurement/purchase-orders/:id/issue
+// @access  Private (admin, department_admin)
+const issuePurchaseOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await procurementService.issuePurchaseOrder(order, req.user);
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.po_number} issued`,
+      data: order
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error issuing purchase order', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Cancel a purchase order nothing has been received against
+// @route   POST /api/procurement/purchase-orders/:id/cancel
+// @access  Private (admin, department_admin)
+const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    await procurementService.cancelPurchaseOrder(order, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.po_number} cancelled`,
+      data: order
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error cancelling purchase order', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Receive goods (all or part of the order) into the lab's stock
+// @route   POST /api/procurement/purchase-orders/:id/receive
+// @access  Private (admin, department_admin, lab_manager)
+const receiveGoods = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await procurementService.receive(req.params.id, {
+      lines: req.body.lines,
+      deliveryNote: req.body.delivery_note,
+      notes: req.body.notes
+    }, req.user, { labIds: scopedLabIds(req) });
+
+    res.json({
+      success: true,
+      message: order.status === 'received'
+        ? `Purchase order ${order.po_number} fully received`
+        : `Goods received; ${procurementService.summarize(order).lines_outstanding} line(s) still outstanding`,
+      data: await populateOrder(order)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error receiving goods', ERROR_MESSAGES);
+  }
+};
+
+module.exports = {
+  getRequisitions,
+  createRequisition,
+  runReorder,
+  getRequisition,
+  approveRequisition,
+  rejectRequisition,
+  cancelRequisition,
+  getPurchaseOrders,
+  createPurchaseOrder,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  issuePurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods
+};
@@ -0,0 +1,245 @@
+const { validationResult } = require('express-validator');
+const RateCard = require('../models/RateCard');
+const Lab = require('../models/Lab');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Messages for conflicts reported as 409
+const ERROR_MESSAGES = {
+  duplicate: 'An active rate card already exists for this lab and field'
+};
+
+const EDITABLE_FIELDS = [
+  'name',
+  'currency',
+  'hourly_rate',
+  'minimum_minutes',
+  'consumable_prices',
+  'role_discounts',
+  'bill_same_department'
+];
+
+const isOutsideDepartment = (req, labId) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return false;
+  const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+  return !labIds.includes((labId?._id || labId)?.toString());
+};
+
+// Load a rate card the current user may manage
+const findManagedRateCard = async (req, res) => {
+  const card = await RateCard.findById(req.params.id);
+  if (!card) {
+    res.status(404).json({
+      success: false,
+      message: 'Rate card not found'
+    });
+    return null;
+  }
+
+  if (isOutsideDepartment(req, card.lab)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied: rate card belongs to a lab outside your department'
+    });
+    return null;
+  }
+
+  return card;
+};
+
+// @desc    List rate cards
+// @route   GET /api/billing/rate-cards
+// @access  Private (admin, department_admin, lab_manager)
+const getRateCards = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, field_id, include_inactive } = req.query;
+    const filter = {};
+    if (include_inactive !== 'true') filter.is_active = true;
+    if (field_id) filter.field = field_id;
+
+    if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+      const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+      filter.lab = { $in: lab_id ? labIds.filter(id => id === lab_id) : labIds };
+    } else if (lab_id) {
+      filter.lab = lab_id;
+    }
+
+    const cards = await RateCard.find(filter)
+      .populate('lab', 'name code')
+      .populate('field', 'name code')
+      .populate('consumable_prices.item', 'name unit')
+      .sort({ lab: 1, field: 1 });
+
+    res.json({
+      success: true,
+      count: cards.length,
+      data: cards
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching rate cards', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Get a rate card
+// @route   GET /api/billing/rate-cards/:id
+// @access  Private (admin, department_admin, lab_manager)
+const getRateCard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const card = await findManagedRateCard(req, res);
+    if (!card) return;
+
+    await card.populate([
+      { path: 'lab', select: 'name code' },
+      { path: 'field', select: 'name code' },
+      { path: 'consumable_prices.item', select: 'name unit' }
+    ]);
+
+    res.json({
+      success: true,
+      data: card
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching rate card', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Create a rate card for a lab or one of its fields
+// @route   POST /api/billing/rate-cards
+// @access  Private (admin, department_admin, lab_manager)
+const createRateCard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, field_id } = req.body;
+
+    const lab = await Lab.findById(lab_id).select('name fields');
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+    if (isOutsideDepartment(req, lab._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+    if (field_id && !(lab.fields || []).some(f => f.toString() === field_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Field is not part of this lab'
+      });
+    }
+
+    const card = new RateCard({
+      lab: lab._id,
+      field: field_id || null,
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) card[key] = req.body[key];
+    }
+    await card.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created',
+      data: card
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating rate card', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Update a rate card (applies to charges not yet invoiced)
+// @route   PUT /api/billing/rate-cards/:id
+// @access  Private (admin, department_admin, lab_manager)
+const updateRateCard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const card = await findManagedRateCard(req, res);
+    if (!card) return;
+
+    for (const key of [...EDITABLE_FIELDS, 'is_active']) {
+      if (req.body[key] !== undefined) card[key] = req.body[key];
+    }
+    card.updated_by = req.user._id;
+    await card.save();
+
+    res.json({
+      success: true,
+      message: 'Rate card updated',
+      data: card
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating rate card', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Deactivate a rate card (kept for bookings already charged with it)
+// @route   DELETE /api/billing/rate-cards/:id
+// @access  Private (admin, department_admin, lab_manager)
+const deactivateRateCard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const card = await findManagedRateCard(req, res);
+    if (!card) return;
+
+    card.is_active = false;
+    card.updated_by = req.user._id;
+    await card.save();
+
+    res.json({
+      success: true,
+      message: 'Rate card deactivated',
+      data: card
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error deactivating rate card', ERROR_MESSAGES);
+  }
+};
+
+module.exports = {
+  getRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deactivateRateCard
+};
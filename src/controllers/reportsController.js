@@ -7,6 +7,7 @@ const Lab = require('../models/Lab');
 const Field = require('../models/Field');
 const StockLog = require('../models/StockLog');
 const Department = require('../models/Department');
+const supplierService = require('../services/supplierService');
 const fs = require('fs');
 const path = require('path');
 const { Parser } = require('json2csv');
@@ -224,8 +225,17 @@ const getStockReport = async (req, res) => {
     if (type) filter.type = type;
     // Items
     const items = await Item.find(filter).lean();
+    // Value stock at the cost per unit of each item's best supplier offer in the
+    // billing currency; items nobody offers are valued at 0
+    const currency = await supplierService.defaultCurrency();
+    const catalogueId = i => (i.catalogue_item_id?._id || i.catalogue_item_id)?.toString();
+    const unitCosts = await supplierService.unitCosts([...new Set(items.map(catalogueId).filter(Boolean))], currency);
+    items.forEach(i => {
+      i.unit_cost = unitCosts.get(catalogueId(i)) || 0;
+      i.value = Math.round(i.quantity * i.unit_cost * 100) / 100;
+    });
     const total_items = items.length;
-    const total_value = items.reduce((sum, i) => sum + (i.value || 0), 0); // If value is not present, treat as 0
+    const total_value = Math.round(items.reduce((sum, i) => sum + i.value, 0) * 100) / 100;
     const low_stock_items = items.filter(i => i.available_quantity <= i.minimum_quantity).length;
     const expired_items = items.filter(i => i.expiry_date && i.expiry_date < new Date()).length;
     // By category
@@ -276,7 +286,7 @@ const getStockReport = async (req, res) => {
     res.json({
       success: true,
       data: {
-        summary: { total_items, total_value, low_stock_items, expired_items },
+        summary: { total_items, total_value, currency, valued_items: items.filter(i => i.unit_cost > 0).length, low_stock_items, expired_items },
         by_category,
         consumption_trends,
         low_stock_alerts,
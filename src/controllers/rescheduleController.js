@@ -0,0 +1,244 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const rescheduleService = require('../services/rescheduleService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+const isOwner = (req, booking) =>
+  (booking.user?._id?.toString() || booking.user?.toString()) === req.user.id;
+
+const isOutsideDepartment = (req, labId) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return false;
+  const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+  return !labIds.includes((labId?._id || labId)?.toString());
+};
+
+const findBooking = async (req, res) => {
+  const booking = await Booking.findOne({ _id: req.params.id, is_deleted: { $ne: true } });
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+  return booking;
+};
+
+// Approvers must manage both the lab the booking is in and the lab it moves to
+const canDecide = (req, booking) =>
+  MANAGER_ROLES.includes(req.user.role) &&
+  !isOutsideDepartment(req, booking.lab) &&
+  !isOutsideDepartment(req, booking.reschedule_request?.proposed?.lab);
+
+// @desc    List reschedule requests
+// @route   GET /api/bookings/reschedule-requests
+// @access  Private (admin, department_admin, lab_manager)
+const getRescheduleRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, status = 'pending', page = 1, limit = 20 } = req.query;
+    const filter = { 'reschedule_request.status': status, is_deleted: { $ne: true } };
+    if (lab_id) {
+      filter.$or = [{ lab: lab_id }, { 'reschedule_request.proposed.lab': lab_id }];
+    }
+
+    if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+      const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+      if (lab_id && !labIds.includes(lab_id.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: lab is outside your department'
+        });
+      }
+      filter.lab = { $in: labIds };
+      filter['reschedule_request.proposed.lab'] = { $in: labIds };
+    }
+
+    const skip = (page - 1) * limit;
+    const [bookings, totalCount] = await Promise.all([
+      Booking.find(filter)
+        .populate('lab', 'name code')
+        .populate('field', 'name code')
+        .populate('user', 'full_name email')
+        .populate('reschedule_request.proposed.lab', 'name code')
+        .populate('reschedule_request.proposed.field', 'name code')
+        .populate('reschedule_request.requested_by', 'full_name email')
+        .sort({ 'reschedule_request.requested_at': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Booking.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        bookings,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(totalCount / limit),
+          total_count: totalCount,
+          per_page: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching reschedule requests');
+  }
+};
+
+// @desc    Ask to move an approved booking to a new time, lab or field
+// @route   POST /api/bookings/:id/reschedule
+// @access  Private (booking owner, or a manager of the booking's lab)
+const requestReschedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findBooking(req, res);
+    if (!booking) return;
+
+    const isManager = MANAGER_ROLES.includes(req.user.role) && !isOutsideDepartment(req, booking.lab);
+    if (!isOwner(req, booking) && !isManager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this booking'
+      });
+    }
+
+    const updated = await rescheduleService.request(booking, req.user, {
+      labId: req.body.lab_id,
+      fieldId: req.body.field_id,
+      startTime: req.body.start_time,
+      endTime: req.body.end_time,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule request submitted. The booking keeps its current slot until the request is approved.',
+      data: updated
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error requesting reschedule');
+  }
+};
+
+// @desc    Approve a reschedule request and move the booking
+// @route   PATCH /api/bookings/:id/reschedule/approve
+// @access  Private (admin, department_admin, lab_manager)
+const approveReschedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findBooking(req, res);
+    if (!booking) return;
+
+    if (!canDecide(req, booking)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const updated = await rescheduleService.approve(booking, req.user, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled',
+      data: updated
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error approving reschedule');
+  }
+};
+
+// @desc    Reject a reschedule request; the booking keeps its slot
+// @route   PATCH /api/bookings/:id/reschedule/reject
+// @access  Private (admin, department_admin, lab_manager)
+const rejectReschedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const booking = await findBooking(req, res);
+    if (!booking) return;
+
+    if (!canDecide(req, booking)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const updated = await rescheduleService.reject(booking, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Reschedule request rejected',
+      data: updated
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error rejecting reschedule');
+  }
+};
+
+// @desc    Withdraw a pending reschedule request
+// @route   PATCH /api/bookings/:id/reschedule/cancel
+// @access  Private (booking owner or requester)
+const cancelReschedule = async (req, res) => {
+  try {
+    const booking = await findBooking(req, res);
+    if (!booking) return;
+
+    const requestedBy = booking.reschedule_request?.requested_by?.toString();
+    if (!isOwner(req, booking) && requestedBy !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to withdraw this reschedule request'
+      });
+    }
+
+    const updated = await rescheduleService.cancel(booking, req.user);
+
+    res.json({
+      success: true,
+      message: 'Reschedule request withdrawn',
+      data: updated
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error withdrawing reschedule request');
+  }
+};
+
+module.exports = {
+  getRescheduleRequests,
+  requestReschedule,
+  approveReschedule,
+  rejectReschedule,
+  cancelReschedule
+};
@@ -8,10 +8,18 @@ class StockController {
    */
   async addStock(req, res, next) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
       await stockService.startSession();
       
       const { itemId } = req.params;
-      const { quantity, reason, notes } = req.body;
+      const { quantity, reason, notes, lot } = req.body;
       
       // Department scope enforcement
       if (req.user.role !== 'admin') {
@@ -37,7 +45,8 @@ class StockController {
         parseFloat(quantity),
         req.user.id,
         reason || 'Stock added',
-        { notes }
+        { notes },
+        { lot }
       );
       
       await stockService.commit();
@@ -351,17 +360,79 @@ class StockController {
   }
 
   /**
-   * Get expiring items
+   * Get stock expiring soon, one row per lot
    */
   async getExpiringItems(req, res, next) {
     try {
-      const { lab_id, days = 30 } = req.query;
-      const items = await Item.getExpiringItems(parseInt(days), lab_id);
+      const { lab_id, days = 30, include_expired } = req.query;
+
+      let labIds = null;
+      if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+        labIds = req.departmentScope.labIds || [];
+      }
+      if (lab_id) {
+        labIds = labIds ? labIds.filter(id => id.toString() === lab_id.toString()) : [lab_id];
+      }
+
+      const lots = await stockService.getExpiringLots({
+        days: parseInt(days),
+        labIds,
+        includeExpired: include_expired === 'true'
+      });
       
       res.json({
         success: true,
-        data: items,
-        count: items.length
+        data: lots,
+        count: lots.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lots of an item in first-expiry-first-out order
+   */
+  async getLots(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const item = await Item.findById(req.params.itemId).select('lab lots available_quantity expiry_date catalogue_item_id');
+      if (!item) {
+        return res.status(404).json({ success: false, message: 'Item not found' });
+      }
+      const scope = req.departmentScope;
+      if (req.user.role !== 'admin' && scope && !scope.global &&
+        !(scope.labIds || []).some(id => id.toString() === item.lab.toString())) {
+        return res.status(403).json({ success: false, message: 'Access denied: item not in your department' });
+      }
+
+      const now = new Date();
+      const lots = stockService.sortFefo(item.lots || [])
+        .filter(lot => req.query.include_empty === 'true' || lot.quantity > 0)
+        .map(lot => ({
+          ...lot.toObject(),
+          is_expired: !!lot.expiry_date && lot.expiry_date <= now
+        }));
+      const inLots = stockService.lotTotal(item);
+
+      res.json({
+        success: true,
+        data: {
+          item_id: item._id,
+          name: item.name,
+          available_quantity: item.available_quantity,
+          expiry_date: item.expiry_date,
+          // Stock recorded before lots were tracked
+          untracked_quantity: Math.max(0, item.available_quantity - inLots),
+          lots
+        }
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,588 @@
+const { validationResult } = require('express-validator');
+const Lab = require('../models/Lab');
+const StocktakeSchedule = require('../models/StocktakeSchedule');
+const StocktakeSession = require('../models/StocktakeSession');
+const stocktakeService = require('../services/stocktakeService');
+const ErrorResponse = require('../utils/errorResponse');
+const { createTextPdf } = require('../utils/pdfDocument');
+
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+const SCHEDULE_FIELDS = [
+  'name', 'item_type', 'category', 'storage_type', 'frequency_days', 'count_window_days', 'blind', 'next_run_at', 'is_active'
+];
+
+const scopedLabIds = (req) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return null;
+  return req.departmentScope.labIds || [];
+};
+
+const inScopeLab = (req, labId) => {
+  const labIds = scopedLabIds(req);
+  return !labIds || labIds.map(String).includes((labId?._id || labId)?.toString());
+};
+
+const canManage = (req, session) => MANAGER_ROLES.includes(req.user.role) && inScopeLab(req, session.lab);
+
+const isCounter = (req, session) =>
+  (session.counters || []).some(c => (c?._id || c).toString() === req.user._id.toString());
+
+// Counters of a blind stocktake do not see expected quantities until counting
+// is over; a manager who is not counting it does
+const hidesExpected = (req, session) =>
+  session.blind && session.status === 'counting' && (isCounter(req, session) || !canManage(req, session));
+
+const findStocktake = async (req, res, { manage = false } = {}) => {
+  const session = await StocktakeSession.findById(req.params.id)
+    .populate('lab', 'name code department')
+    .populate('counters', 'full_name email')
+    .populate('lines.counts.counter', 'full_name');
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Stocktake not found'
+    });
+    return null;
+  }
+
+  const allowed = manage ? canManage(req, session) : canManage(req, session) || isCounter(req, session);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this stocktake'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Session fields without the lines, which are returned as a report
+const summarize = (session) => {
+  const { lines, ...rest } = session.toObject();
+  return rest;
+};
+
+// @desc    List stocktakes; users who are not managers see those they count
+// @route   GET /api/stocktakes
+// @access  Private
+const getStocktakes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, status, schedule_id } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (schedule_id) filter.schedule = schedule_id;
+    if (lab_id) filter.lab = lab_id;
+
+    if (!MANAGER_ROLES.includes(req.user.role)) {
+      filter.counters = req.user._id;
+    } else {
+      const labIds = scopedLabIds(req);
+      if (labIds) {
+        filter.lab = lab_id
+          ? (labIds.map(String).includes(String(lab_id)) ? lab_id : { $in: [] })
+          : { $in: labIds };
+      }
+    }
+
+    const [sessions, total] = await Promise.all([
+      StocktakeSession.find(filter)
+        .select('-lines')
+        .populate('lab', 'name code')
+        .populate('counters', 'full_name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StocktakeSession.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: sessions
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching stocktakes');
+  }
+};
+
+// @desc    Open a stocktake and freeze the expected quantities
+// @route   POST /api/stocktakes
+// @access  Private (admin, department_admin, lab_manager)
+const createStocktake = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await Lab.findById(req.body.lab_id).select('name code department');
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+    if (!inScopeLab(req, lab._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const session = await stocktakeService.open({
+      lab,
+      name: req.body.name,
+      storageType: req.body.storage_type || null,
+      itemType: req.body.item_type || null,
+      category: req.body.category || null,
+      blind: req.body.blind === true || req.body.blind === 'true',
+      counters: req.body.counter_ids || [],
+      dueDate: req.body.due_date || null,
+      notes: req.body.notes,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Stocktake opened with ${session.lines.length} item(s)`,
+      data: session
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error opening stocktake');
+  }
+};
+
+// @desc    A stocktake with its lines (blind view for its counters)
+// @route   GET /api/stocktakes/:id
+// @access  Private (managers of the lab, counters)
+const getStocktake = async (req, res) => {
+  try {
+    const session = await findStocktake(req, res);
+    if (!session) return;
+
+    const hideExpected = hidesExpected(req, session);
+    res.json({
+      success: true,
+      data: {
+        ...summarize(session),
+        blind_view: hideExpected,
+        ...stocktakeService.varianceReport(session, { hideExpected, user: req.user })
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching stocktake');
+  }
+};
+
+// @desc    Count sheet to fill in on the floor (JSON or printable PDF)
+// @route   GET /api/stocktakes/:id/sheet?format=json|pdf
+// @access  Private (managers of the lab, counters)
+const getCountSheet = async (req, res) => {
+  try {
+    const session = await findStocktake(req, res);
+    if (!session) return;
+
+    const hideExpected = hidesExpected(req, session);
+    const sheet = session.lines.map(line => ({
+      item: line.item,
+      code: line.code,
+      name: line.name,
+      unit: line.unit,
+      storage_type: line.storage_type,
+      ...(!hideExpected && { expected_quantity: line.expected_quantity })
+    }));
+
+    if (req.query.format !== 'pdf') {
+      return res.json({
+        success: true,
+        data: {
+          stocktake_id: session._id,
+          name: session.name,
+          lab: session.lab,
+          blind: hideExpected,
+          lines: sheet
+        }
+      });
+    }
+
+    const pdfLines = [
+      { text: session.name, size: 14, bold: true },
+      `Lab: ${session.lab?.name || ''} (${session.lab?.code || ''})`,
+      `Snapshot: ${session.snapshot_at.toISOString().slice(0, 16).replace('T', ' ')}` +
+        (session.due_date ? `   Due: ${session.due_date.toISOString().slice(0, 10)}` : ''),
+      'Counted by: ______________________   Date: ____________',
+      ''
+    ];
+    for (const line of sheet) {
+      const name = `${line.code ? `${line.code}  ` : ''}${line.name || ''}${line.unit ? ` (${line.unit})` : ''}`;
+      const expected = hideExpected ? '' : `Expected: ${line.expected_quantity}    `;
+      pdfLines.push({ text: name, bold: true });
+      pdfLines.push({ text: `${expected}Counted: ____________`, x: 12 });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="stocktake-${session._id}.pdf"`
+    });
+    res.send(createTextPdf(pdfLines, { title: session.name }));
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error generating count sheet');
+  }
+};
+
+// @desc    Enter counts; a counter's new count of an item replaces their earlier one
+// @route   POST /api/stocktakes/:id/counts
+// @access  Private (managers of the lab, counters)
+const recordCounts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await findStocktake(req, res);
+    if (!session) return;
+
+    const updated = await stocktakeService.recordCounts(session, req.body.counts, req.user);
+    const hideExpected = hidesExpected(req, updated);
+
+    res.json({
+      success: true,
+      message: `${req.body.counts.length} count(s) recorded`,
+      data: stocktakeService.varianceReport(updated, { hideExpected, user: req.user })
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error recording counts');
+  }
+};
+
+// @desc    Close counting and send the stocktake for review
+// @route   POST /api/stocktakes/:id/submit
+// @access  Private (admin, department_admin, lab_manager)
+const submitStocktake = async (req, res) => {
+  try {
+    const session = await findStocktake(req, res, { manage: true });
+    if (!session) return;
+
+    await stocktakeService.submit(session, req.user);
+    const report = stocktakeService.varianceReport(session);
+
+    res.json({
+      success: true,
+      message: report.summary.disputed > 0
+        ? `Stocktake submitted; ${report.summary.disputed} item(s) need their counts resolved`
+        : 'Stocktake submitted for review',
+      data: { ...summarize(session), ...report }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error submitting stocktake');
+  }
+};
+
+// @desc    Settle the quantity of an item, e.g. after a recount
+// @route   PATCH /api/stocktakes/:id/lines/:itemId
+// @access  Private (admin, department_admin, lab_manager)
+const resolveLine = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await findStocktake(req, res, { manage: true });
+    if (!session) return;
+
+    await stocktakeService.resolveLine(session, req.params.itemId, req.body.quantity, req.user, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Count resolved',
+      data: stocktakeService.varianceReport(session)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error resolving count');
+  }
+};
+
+// @desc    Variance report: expected against counted quantity per item
+// @route   GET /api/stocktakes/:id/variance?only_variances=true
+// @access  Private (admin, department_admin, lab_manager)
+const getVarianceReport = async (req, res) => {
+  try {
+    const session = await findStocktake(req, res, { manage: true });
+    if (!session) return;
+
+    const report = stocktakeService.varianceReport(session);
+    if (req.query.only_variances === 'true') {
+      report.lines = report.lines.filter(line => line.variance || ['uncounted', 'disputed'].includes(line.status));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        stocktake_id: session._id,
+        name: session.name,
+        lab: session.lab,
+        status: session.status,
+        snapshot_at: session.snapshot_at,
+        ...report
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error building variance report');
+  }
+};
+
+// @desc    Approve a stocktake and post its variances as stock adjustments
+// @route   POST /api/stocktakes/:id/approve
+// @access  Private (admin, department_admin, lab_manager)
+const approveStocktake = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await stocktakeService.approve(req.params.id, req.user, {
+      labIds: scopedLabIds(req),
+      notes: req.body.notes
+    });
+    const report = stocktakeService.varianceReport(session);
+    const posted = session.lines.filter(line => line.adjustment).length;
+
+    res.json({
+      success: true,
+      message: `Stocktake approved; ${posted} stock adjustment(s) posted`,
+      data: { ...summarize(session), ...report }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error approving stocktake');
+  }
+};
+
+// @desc    Cancel an open stocktake without posting anything
+// @route   POST /api/stocktakes/:id/cancel
+// @access  Private (admin, department_admin, lab_manager)
+const cancelStocktake = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await findStocktake(req, res, { manage: true });
+    if (!session) return;
+
+    await stocktakeService.cancel(session, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Stocktake cancelled',
+      data: summarize(session)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error cancelling stocktake');
+  }
+};
+
+// @desc    Cycle-count schedules
+// @route   GET /api/stocktakes/schedules
+// @access  Private (admin, department_admin, lab_manager)
+const getSchedules = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.lab_id) filter.lab = req.query.lab_id;
+    if (req.query.include_inactive !== 'true') filter.is_active = true;
+    const labIds = scopedLabIds(req);
+    if (labIds) {
+      filter.lab = req.query.lab_id
+        ? (labIds.map(String).includes(String(req.query.lab_id)) ? req.query.lab_id : { $in: [] })
+        : { $in: labIds };
+    }
+
+    const schedules = await StocktakeSchedule.find(filter)
+      .populate('lab', 'name code')
+      .populate('counters', 'full_name email')
+      .sort({ next_run_at: 1 });
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching cycle count schedules');
+  }
+};
+
+// @desc    Schedule a recurring cycle count of a class of items
+// @route   POST /api/stocktakes/schedules
+// @access  Private (admin, department_admin, lab_manager)
+const createSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await Lab.findById(req.body.lab_id).select('_id');
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+    if (!inScopeLab(req, lab._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const schedule = new StocktakeSchedule({
+      lab: lab._id,
+      next_run_at: new Date(),
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    for (const key of SCHEDULE_FIELDS) {
+      if (req.body[key] !== undefined) schedule[key] = req.body[key];
+    }
+    if (req.body.counter_ids) schedule.counters = req.body.counter_ids;
+    await schedule.save();
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating cycle count schedule');
+  }
+};
+
+// @desc    Update a cycle-count schedule
+// @route   PUT /api/stocktakes/schedules/:id
+// @access  Private (admin, department_admin, lab_manager)
+const updateSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const schedule = await StocktakeSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count schedule not found'
+      });
+    }
+    if (!inScopeLab(req, schedule.lab)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    for (const key of SCHEDULE_FIELDS) {
+      if (req.body[key] === undefined) continue;
+      // Empty filters widen the count to every item of the lab
+      schedule[key] = ['item_type', 'category', 'storage_type'].includes(key) && !req.body[key] ? null : req.body[key];
+    }
+    if (req.body.counter_ids) schedule.counters = req.body.counter_ids;
+    schedule.updated_by = req.user._id;
+    await schedule.save();
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating cycle count schedule');
+  }
+};
+
+// @desc    Stop a cycle-count schedule (open sessions are kept)
+// @route   DELETE /api/stocktakes/schedules/:id
+// @access  Private (admin, department_admin, lab_manager)
+const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await StocktakeSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count schedule not found'
+      });
+    }
+    if (!inScopeLab(req, schedule.lab)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    schedule.is_active = false;
+    schedule.updated_by = req.user._id;
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Cycle count schedule deactivated'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error deactivating cycle count schedule');
+  }
+};
+
+module.exports = {
+  getStocktakes,
+  createStocktake,
+  getStocktake,
+  getCountSheet,
+  recordCounts,
+  submitStocktake,
+  resolveLine,
+  getVarianceReport,
+  approveStocktake,
+  cancelStocktake,
+  getSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+};
@@ -0,0 +1,379 @@
+const { validationResult } = require('express-validator');
+const CatalogueItem = require('../models/CatalogueItem');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const SupplierOffer = require('../models/SupplierOffer');
+const procurementService = require('../services/procurementService');
+const supplierService = require('../services/supplierService');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/commonUtils');
+
+// Messages for conflicts reported as 409
+const ERROR_MESSAGES = {
+  duplicate: error => (error.keyPattern?.catalogue_item
+    ? 'The supplier already has an offer for this item in this pack size'
+    : 'A supplier with this code already exists')
+};
+
+const EDITABLE_FIELDS = ['name', 'code', 'contacts', 'email', 'phone', 'address', 'notes', 'is_active'];
+const TERMS_FIELDS = ['payment_terms_days', 'currency', 'minimum_order_value', 'default_lead_time_days', 'delivery_terms'];
+const OFFER_FIELDS = ['supplier_sku', 'pack_size', 'lead_time_days', 'minimum_order_packs', 'is_preferred', 'is_active', 'notes'];
+
+// Copy editable fields and terms from the request body; given terms are merged
+const applySupplierFields = (supplier, body) => {
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) supplier[key] = body[key];
+  }
+  for (const key of TERMS_FIELDS) {
+    if (body.terms?.[key] !== undefined) supplier.terms[key] = body.terms[key];
+  }
+};
+
+// @desc    List suppliers
+// @route   GET /api/procurement/suppliers
+// @access  Private (admin, department_admin, lab_manager)
+const getSuppliers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.include_inactive !== 'true') filter.is_active = true;
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [{ name: pattern }, { code: pattern }];
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching suppliers', ERROR_MESSAGES);
+  }
+};
+
+// @desc    A supplier with its offers and open purchase orders
+// @route   GET /api/procurement/suppliers/:id
+// @access  Private (admin, department_admin, lab_manager)
+const getSupplier = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const [offers, openOrders] = await Promise.all([
+      SupplierOffer.find({ supplier: supplier._id, is_active: true })
+        .select('-price_history')
+        .populate('catalogue_item', 'name code unit'),
+      PurchaseOrder.find({
+        supplier: supplier._id,
+        status: { $in: procurementService.OPEN_ORDER_STATUSES }
+      })
+        .select('po_number lab status total currency expected_delivery_date')
+        .populate('lab', 'name code')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...supplier.toObject(),
+        offers,
+        open_orders: openOrders
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching supplier', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Register a supplier
+// @route   POST /api/procurement/suppliers
+// @access  Private (admin, department_admin)
+const createSupplier = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const supplier = new Supplier({
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    applySupplierFields(supplier, req.body);
+    await supplier.save();
+
+    res.status(201).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating supplier', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Update a supplier
+// @route   PUT /api/procurement/suppliers/:id
+// @access  Private (admin, department_admin)
+const updateSupplier = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    applySupplierFields(supplier, req.body);
+    supplier.updated_by = req.user._id;
+    await supplier.save();
+
+    res.json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating supplier', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Deactivate a supplier (orders already placed are kept)
+// @route   DELETE /api/procurement/suppliers/:id
+// @access  Private (admin, department_admin)
+const deleteSupplier = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    supplier.is_active = false;
+    supplier.updated_by = req.user._id;
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: 'Supplier deactivated'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error deactivating supplier', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Catalogue items a supplier sells, with prices and lead times
+// @route   GET /api/procurement/suppliers/:id/offers
+// @access  Private (admin, department_admin, lab_manager)
+const getOffers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = { supplier: req.params.id };
+    if (req.query.include_inactive !== 'true') filter.is_active = true;
+
+    const offers = await SupplierOffer.find(filter)
+      .populate('catalogue_item', 'name code unit type category')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: offers.length,
+      data: offers
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching supplier offers', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Add a catalogue item to what a supplier sells
+// @route   POST /api/procurement/suppliers/:id/offers
+// @access  Private (admin, department_admin)
+const createOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const [supplier, catalogueItem] = await Promise.all([
+      Supplier.findById(req.params.id),
+      CatalogueItem.findById(req.body.catalogue_item_id).select('_id')
+    ]);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    if (!catalogueItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue item not found'
+      });
+    }
+
+    const offer = new SupplierOffer({
+      supplier: supplier._id,
+      catalogue_item: catalogueItem._id,
+      unit_price: req.body.unit_price,
+      currency: req.body.currency || supplier.terms?.currency || await supplierService.defaultCurrency(),
+      price_effective_from: req.body.price_effective_from || new Date(),
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    for (const key of OFFER_FIELDS) {
+      if (req.body[key] !== undefined) offer[key] = req.body[key];
+    }
+    await offer.save();
+
+    res.status(201).json({
+      success: true,
+      data: offer
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating supplier offer', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Update an offer; a new price or currency is recorded in its price history
+// @route   PUT /api/procurement/offers/:id
+// @access  Private (admin, department_admin)
+const updateOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const offer = await SupplierOffer.findById(req.params.id);
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier offer not found'
+      });
+    }
+
+    for (const key of OFFER_FIELDS) {
+      if (req.body[key] !== undefined) offer[key] = req.body[key];
+    }
+    if (req.body.unit_price !== undefined || req.body.currency !== undefined) {
+      supplierService.setPrice(offer, {
+        unitPrice: req.body.unit_price ?? offer.unit_price,
+        currency: req.body.currency ? req.body.currency.toUpperCase() : offer.currency,
+        effectiveFrom: req.body.price_effective_from ? new Date(req.body.price_effective_from) : new Date(),
+        user: req.user
+      });
+    }
+    offer.updated_by = req.user._id;
+    await offer.save();
+
+    res.json({
+      success: true,
+      data: offer
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating supplier offer', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Withdraw an offer (its price history is kept)
+// @route   DELETE /api/procurement/offers/:id
+// @access  Private (admin, department_admin)
+const deleteOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const offer = await SupplierOffer.findById(req.params.id);
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier offer not found'
+      });
+    }
+
+    offer.is_active = false;
+    offer.updated_by = req.user._id;
+    await offer.save();
+
+    res.json({
+      success: true,
+      message: 'Supplier offer deactivated'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error deactivating supplier offer', ERROR_MESSAGES);
+  }
+};
+
+module.exports = {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getOffers,
+  createOffer,
+  updateOffer,
+  deleteOffer
+};
@@ -0,0 +1,579 @@
+const { validationResult } = require('express-validator');
+const CatalogueItem = require('../models/CatalogueItem');
+const Lab = require('../models/Lab');
+const TrainingCertificate = require('../models/TrainingCertificate');
+const TrainingCourse = require('../models/TrainingCourse');
+const User = require('../models/User');
+const trainingService = require('../services/trainingService');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification } = require('../utils/notifications');
+const { DAY } = require('../utils/commonUtils');
+
+// Messages for conflicts reported as 409
+const ERROR_MESSAGES = {
+  duplicate: 'A training course with this code already exists'
+};
+
+const COURSE_FIELDS = ['name', 'code', 'category', 'description', 'validity_months', 'department', 'is_active'];
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+// Copy editable fields from the request; an empty department or validity
+// clears it (a course for everyone, or one that never expires)
+const applyCourseFields = (course, body) => {
+  for (const key of COURSE_FIELDS) {
+    if (body[key] === undefined) continue;
+    course[key] = ['department', 'validity_months'].includes(key) && !body[key] ? null : body[key];
+  }
+};
+
+const isScoped = req =>
+  req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global;
+
+const inScopeDepartment = (req, departmentId) =>
+  !isScoped(req) || (req.departmentScope.departmentIds || []).map(String).includes(departmentId?.toString());
+
+const withValidity = (certificate, now = new Date()) => {
+  const doc = certificate.toObject ? certificate.toObject() : certificate;
+  return {
+    ...doc,
+    is_valid: doc.status === 'active' && (!doc.expires_at || doc.expires_at > now)
+  };
+};
+
+// @desc    List training courses
+// @route   GET /api/training/courses
+// @access  Private
+const getCourses = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { category, department_id, include_inactive } = req.query;
+    const filter = {};
+    if (include_inactive !== 'true') filter.is_active = true;
+    if (category) filter.category = category;
+    if (department_id) filter.department = department_id;
+
+    const courses = await TrainingCourse.find(filter)
+      .populate('department', 'name code')
+      .sort({ category: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: courses.length,
+      data: courses
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching training courses', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Create a training course
+// @route   POST /api/training/courses
+// @access  Private (admin, department_admin)
+const createCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const course = new TrainingCourse({
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    applyCourseFields(course, req.body);
+
+    // Department admins run courses for their own departments
+    if (!inScopeDepartment(req, course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: courses must belong to your department'
+      });
+    }
+
+    await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Training course created',
+      data: course
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error creating training course', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Update a training course
+// @route   PUT /api/training/courses/:id
+// @access  Private (admin, department_admin)
+const updateCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const course = await TrainingCourse.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training course not found'
+      });
+    }
+    if (!inScopeDepartment(req, course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: course is outside your department'
+      });
+    }
+
+    applyCourseFields(course, req.body);
+    if (!inScopeDepartment(req, course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: courses must belong to your department'
+      });
+    }
+    course.updated_by = req.user._id;
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Training course updated',
+      data: course
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating training course', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Retire a training course. Labs and items stop requiring it, and
+//          its certificates are kept for the record.
+// @route   DELETE /api/training/courses/:id
+// @access  Private (admin, department_admin)
+const deleteCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const course = await TrainingCourse.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training course not found'
+      });
+    }
+    if (!inScopeDepartment(req, course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: course is outside your department'
+      });
+    }
+
+    course.is_active = false;
+    course.updated_by = req.user._id;
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Training course retired'
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error retiring training course', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Certificates of users in scope
+// @route   GET /api/training/certificates
+// @access  Private (admin, department_admin, lab_manager)
+const getCertificates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user_id, course_id, status, expiring_within_days } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = {};
+    if (course_id) filter.course = course_id;
+    if (status) filter.status = status;
+    if (expiring_within_days !== undefined) {
+      const now = new Date();
+      filter.status = 'active';
+      filter.expires_at = { $gt: now, $lte: new Date(now.getTime() + Number(expiring_within_days) * DAY) };
+    }
+
+    if (user_id) {
+      filter.user = user_id;
+    }
+    if (isScoped(req)) {
+      const scopedUsers = await User.find({ department: { $in: req.departmentScope.departmentIds || [] } }).distinct('_id');
+      const allowed = scopedUsers.map(String);
+      filter.user = user_id
+        ? (allowed.includes(String(user_id)) ? user_id : { $in: [] })
+        : { $in: scopedUsers };
+    }
+
+    const [certificates, total] = await Promise.all([
+      TrainingCertificate.find(filter)
+        .populate('user', 'full_name email role department')
+        .populate('course', 'name code category validity_months')
+        .populate('issued_by', 'full_name')
+        .sort({ expires_at: 1, issued_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TrainingCertificate.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: certificates.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: certificates.map(c => withValidity(c))
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching training certificates', ERROR_MESSAGES);
+  }
+};
+
+// @desc    The current user's certificates
+// @route   GET /api/training/certificates/my
+// @access  Private
+const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await TrainingCertificate.find({ user: req.user._id })
+      .populate('course', 'name code category validity_months')
+      .sort({ issued_at: -1 });
+
+    res.json({
+      success: true,
+      count: certificates.length,
+      data: certificates.map(c => withValidity(c))
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching training certificates', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Record that a user completed a course
+// @route   POST /api/training/certificates
+// @access  Private (admin, department_admin, lab_manager)
+const issueCertificate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user_id, course_id, issued_at, expires_at, certificate_number, notes } = req.body;
+
+    const [user, course] = await Promise.all([
+      User.findById(user_id).select('full_name department'),
+      TrainingCourse.findById(course_id)
+    ]);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (!course || !course.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training course not found or retired'
+      });
+    }
+    if (!inScopeDepartment(req, user.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: user is outside your department'
+      });
+    }
+
+    const issuedAt = issued_at ? new Date(issued_at) : new Date();
+    const certificate = await TrainingCertificate.create({
+      user: user._id,
+      course: course._id,
+      issued_at: issuedAt,
+      expires_at: expires_at ? new Date(expires_at) : trainingService.computeExpiry(course, issuedAt),
+      certificate_number,
+      notes,
+      issued_by: req.user._id
+    });
+
+    await createNotification({
+      user: user._id,
+      type: 'training_certified',
+      title: 'Training Completed',
+      message: `You have been certified for ${course.name}` +
+        (certificate.expires_at ? `, valid until ${certificate.expires_at.toDateString()}.` : '.'),
+      data: {
+        certificate_id: certificate._id,
+        course_id: course._id,
+        course_code: course.code,
+        expires_at: certificate.expires_at
+      },
+      action_url: '/training/my'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Training certificate issued',
+      data: withValidity(certificate)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error issuing training certificate', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Revoke a certificate; the user loses access it granted at once
+// @route   PATCH /api/training/certificates/:id/revoke
+// @access  Private (admin, department_admin, lab_manager)
+const revokeCertificate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const certificate = await TrainingCertificate.findById(req.params.id)
+      .populate('user', 'department')
+      .populate('course', 'name code');
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training certificate not found'
+      });
+    }
+    if (!inScopeDepartment(req, certificate.user?.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: user is outside your department'
+      });
+    }
+    if (certificate.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        message: 'Training certificate is already revoked'
+      });
+    }
+
+    certificate.status = 'revoked';
+    certificate.revoked_by = req.user._id;
+    certificate.revoked_at = new Date();
+    certificate.revocation_reason = req.body.reason;
+    await certificate.save();
+
+    await createNotification({
+      user: certificate.user._id,
+      type: 'training_revoked',
+      title: 'Training Certificate Revoked',
+      message: `Your ${certificate.course.name} certificate has been revoked: ${req.body.reason}`,
+      data: { certificate_id: certificate._id, course_id: certificate.course._id },
+      action_url: '/training/my',
+      priority: 'high'
+    });
+
+    res.json({
+      success: true,
+      message: 'Training certificate revoked',
+      data: withValidity(certificate)
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error revoking training certificate', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Whether a user holds the training a lab or item requires
+// @route   GET /api/training/check?lab_id=...&item_id=...&user_id=...&until=...
+// @access  Private (own check; managers for any user)
+const checkTraining = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, item_id, user_id, until } = req.query;
+    let user = req.user;
+    if (user_id && user_id !== req.user.id) {
+      if (!MANAGER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only check your own training'
+        });
+      }
+      user = await User.findById(user_id).select('full_name department');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+    }
+
+    const result = await trainingService.check(user, {
+      lab: lab_id || null,
+      itemIds: item_id ? [item_id] : [],
+      until: until ? new Date(until) : new Date()
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error checking training', ERROR_MESSAGES);
+  }
+};
+
+// Active courses among `courseIds`, or the IDs that are not
+const resolveCourses = async (courseIds = []) => {
+  const ids = [...new Set(courseIds.map(String))];
+  const courses = await TrainingCourse.find({ _id: { $in: ids }, is_active: true }).select('_id');
+  const found = courses.map(c => c._id.toString());
+  return { ids, invalid: ids.filter(id => !found.includes(id)) };
+};
+
+// @desc    Set the training required to book a lab
+// @route   PUT /api/training/prerequisites/labs/:labId
+// @access  Private (admin, department_admin, lab_manager)
+const setLabPrerequisites = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const lab = await Lab.findById(req.params.labId);
+    if (!lab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab not found'
+      });
+    }
+    if (isScoped(req) && !(req.departmentScope.labIds || []).map(String).includes(lab._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const { ids, invalid } = await resolveCourses(req.body.course_ids);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prerequisites must be active training courses',
+        details: { invalid_courses: invalid }
+      });
+    }
+
+    lab.required_trainings = ids;
+    lab.updated_by = req.user._id;
+    await lab.save();
+    await lab.populate('required_trainings', 'name code category validity_months');
+
+    res.json({
+      success: true,
+      message: 'Lab training prerequisites updated',
+      data: { lab_id: lab._id, required_trainings: lab.required_trainings }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating lab prerequisites', ERROR_MESSAGES);
+  }
+};
+
+// @desc    Set the training required to book or borrow items of a catalogue entry
+// @route   PUT /api/training/prerequisites/catalogue/:catalogueItemId
+// @access  Private (admin, lab_manager)
+const setCataloguePrerequisites = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const catalogueItem = await CatalogueItem.findById(req.params.catalogueItemId);
+    if (!catalogueItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue item not found'
+      });
+    }
+
+    const { ids, invalid } = await resolveCourses(req.body.course_ids);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prerequisites must be active training courses',
+        details: { invalid_courses: invalid }
+      });
+    }
+
+    catalogueItem.required_trainings = ids;
+    await catalogueItem.save();
+    await catalogueItem.populate('required_trainings', 'name code category validity_months');
+
+    res.json({
+      success: true,
+      message: 'Catalogue item training prerequisites updated',
+      data: { catalogue_item_id: catalogueItem._id, required_trainings: catalogueItem.required_trainings }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error updating catalogue item prerequisites', ERROR_MESSAGES);
+  }
+};
+
+module.exports = {
+  getCourses,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  getCertificates,
+  getMyCertificates,
+  issueCertificate,
+  revokeCertificate,
+  checkTraining,
+  setLabPrerequisites,
+  setCataloguePrerequisites
+};
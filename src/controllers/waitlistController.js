@@ -0,0 +1,273 @@
+const { validationResult } = require('express-validator');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const waitlistService = require('../services/waitlistService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const isOwner = (req, entry) =>
+  (entry.user?._id?.toString() || entry.user?.toString()) === req.user.id;
+
+const isOutsideDepartment = (req, labId) => {
+  if (req.user.role === 'admin' || !req.departmentScope || req.departmentScope.global) return false;
+  const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+  return !labIds.includes(labId?.toString());
+};
+
+// @desc    Join the waitlist for a lab/field time window that is already booked
+// @route   POST /api/bookings/waitlist
+// @access  Private
+const joinWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, field_id, start_time, end_time, title, purpose, booking_type, participants_count, user } = req.body;
+
+    const lab = await Lab.findById(lab_id);
+    if (!lab || !lab.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lab not found or inactive'
+      });
+    }
+
+    if (isOutsideDepartment(req, lab._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    // Managers may queue on behalf of someone else
+    const canActForOthers = ['admin', 'department_admin', 'lab_manager'].includes(req.user.role);
+    const userId = (canActForOthers && user) || req.user.id;
+    const bookingUser = String(userId) === String(req.user.id)
+      ? req.user
+      : await User.findById(userId).select('role no_show_count department');
+    if (!bookingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await waitlistService.join({
+      lab,
+      fieldId: field_id,
+      user: req.user,
+      bookingUser,
+      startTime: new Date(start_time),
+      endTime: new Date(end_time),
+      title,
+      purpose,
+      bookingType: booking_type,
+      participantsCount: participants_count
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Added to the waitlist at position ${result.position}`,
+      data: result
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error joining waitlist');
+  }
+};
+
+// @desc    Get my waitlist entries
+// @route   GET /api/bookings/waitlist/my
+// @access  Private
+const getMyWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = { user: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('lab', 'name code')
+      .populate('field', 'name code')
+      .populate('promoted_booking', 'status start_time end_time')
+      .sort({ start_time: 1 });
+
+    const data = await Promise.all(entries.map(async entry => ({
+      ...entry.toObject(),
+      position: await waitlistService.getPosition(entry)
+    })));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching your waitlist');
+  }
+};
+
+// @desc    Get waitlist entries for labs in scope
+// @route   GET /api/bookings/waitlist
+// @access  Private (admin, department_admin, lab_manager)
+const getWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lab_id, field_id, status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (field_id) filter.field = field_id;
+    if (status) filter.status = status;
+
+    if (req.user.role !== 'admin' && req.departmentScope && !req.departmentScope.global) {
+      const labIds = (req.departmentScope.labIds || []).map(id => id.toString());
+      if (lab_id && !labIds.includes(lab_id.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: lab is outside your department'
+        });
+      }
+      filter.lab = lab_id || { $in: labIds };
+    } else if (lab_id) {
+      filter.lab = lab_id;
+    }
+
+    const skip = (page - 1) * limit;
+    const [entries, totalCount] = await Promise.all([
+      WaitlistEntry.find(filter)
+        .populate('lab', 'name code')
+        .populate('field', 'name code')
+        .populate('user', 'full_name email')
+        .populate('promoted_booking', 'status start_time end_time')
+        .sort({ start_time: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      WaitlistEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(totalCount / limit),
+          total_count: totalCount,
+          per_page: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error fetching waitlist');
+  }
+};
+
+// @desc    Claim a promoted waitlist slot
+// @route   POST /api/bookings/waitlist/:id/claim
+// @access  Private (entry owner)
+const claimWaitlistEntry = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!isOwner(req, entry)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the person on the waitlist can claim this slot'
+      });
+    }
+
+    const result = await waitlistService.claim(entry, req.user);
+
+    res.json({
+      success: true,
+      message: 'Slot claimed; the booking is pending approval',
+      data: result
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error claiming waitlist slot');
+  }
+};
+
+// @desc    Leave the waitlist (or decline a promoted slot)
+// @route   PATCH /api/bookings/waitlist/:id/cancel
+// @access  Private (entry owner, admin, lab_manager)
+const leaveWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const isAdminOrLabManager = ['admin', 'lab_manager'].includes(req.user.role);
+    if (!isOwner(req, entry) && !isAdminOrLabManager) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this waitlist entry'
+      });
+    }
+    if (!isOwner(req, entry) && isOutsideDepartment(req, entry.lab)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: lab is outside your department'
+      });
+    }
+
+    const updated = await waitlistService.leave(entry, req.user);
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist',
+      data: updated
+    });
+  } catch (error) {
+    ErrorResponse.handleError(res, error, 'Error leaving waitlist');
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  getWaitlist,
+  claimWaitlistEntry,
+  leaveWaitlist
+};
@@ -50,6 +50,10 @@ const permissionRoutes = require('./routes/permissionRoutes');
 const roleRoutes = require('./routes/roleRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const catalogueRoutes = require('./routes/catalogueRoutes');
+const billingRoutes = require('./routes/billingRoutes');
+const trainingRoutes = require('./routes/trainingRoutes');
+const stocktakeRoutes = require('./routes/stocktakeRoutes');
+const procurementRoutes = require('./routes/procurementRoutes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/departments', departmentRoutes);
@@ -71,6 +75,10 @@ app.use('/api/permissions', permissionRoutes);
 app.use('/api/roles', roleRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/catalogue', catalogueRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/training', trainingRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/procurement', procurementRoutes);
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 app.use('/api/files/reports', express.static(path.join(__dirname, '../reports')));
 
@@ -85,8 +93,22 @@ if (process.env.NODE_ENV !== 'test') {
   stockChecks.start();
   
   // Start inventory cleanup jobs
-  const { scheduleInventoryCleanup } = require('./jobs/scheduledJobs');
+  const {
+    scheduleInventoryCleanup,
+    scheduleWaitlistExpiry,
+    scheduleNoShowDetection,
+    scheduleReminders,
+    scheduleTrainingExpiryReminders,
+    scheduleCycleCounts,
+    scheduleAutoReorder
+  } = require('./jobs/scheduledJobs');
   scheduleInventoryCleanup();
+  scheduleWaitlistExpiry();
+  scheduleNoShowDetection();
+  scheduleReminders();
+  scheduleTrainingExpiryReminders();
+  scheduleCycleCounts();
+  scheduleAutoReorder();
 }
 
 // Connect to MongoDB and start server only if successful
@@ -1,6 +1,12 @@
 const cron = require('node-cron');
 const { releaseCompletedBookings } = require('../utils/inventoryUtils');
 const Booking = require('../models/Booking');
+const waitlistService = require('../services/waitlistService');
+const checkInService = require('../services/checkInService');
+const reminderService = require('../services/reminderService');
+const trainingService = require('../services/trainingService');
+const stocktakeService = require('../services/stocktakeService');
+const procurementService = require('../services/procurementService');
 
 // Schedule to run every hour
 const scheduleInventoryCleanup = () => {
@@ -18,6 +24,107 @@ const scheduleInventoryCleanup = () => {
   console.log('Scheduled jobs initialized');
 };
 
+// Release waitlist promotions that were not claimed in time
+const scheduleWaitlistExpiry = () => {
+  // Run every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      console.log('Running scheduled job: expireWaitlistEntries');
+      const result = await waitlistService.expireEntries();
+      console.log('Completed scheduled job: expireWaitlistEntries', result);
+    } catch (error) {
+      console.error('Error in scheduled job expireWaitlistEntries:', error);
+    }
+  });
+
+  console.log('Waitlist expiry job scheduled');
+};
+
+// Mark bookings nobody checked in to as no-shows and release their items
+const scheduleNoShowDetection = () => {
+  // Run every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      console.log('Running scheduled job: detectNoShows');
+      const result = await checkInService.detectNoShows();
+      console.log('Completed scheduled job: detectNoShows', result);
+    } catch (error) {
+      console.error('Error in scheduled job detectNoShows:', error);
+    }
+  });
+
+  console.log('No-show detection job scheduled');
+};
+
+// Send booking and return reminders at each user's preferred lead time
+const scheduleReminders = () => {
+  // Run every 10 minutes
+  cron.schedule('*/10 * * * *', async () => {
+    try {
+      console.log('Running scheduled job: sendDueReminders');
+      const result = await reminderService.sendDueReminders();
+      console.log('Completed scheduled job: sendDueReminders', result);
+    } catch (error) {
+      console.error('Error in scheduled job sendDueReminders:', error);
+    }
+  });
+
+  console.log('Reminder job scheduled');
+};
+
+// Warn users before their training certificates expire
+const scheduleTrainingExpiryReminders = () => {
+  // Run daily at 07:00
+  cron.schedule('0 7 * * *', async () => {
+    try {
+      console.log('Running scheduled job: sendTrainingExpiryReminders');
+      const result = await trainingService.sendExpiryReminders();
+      console.log('Completed scheduled job: sendTrainingExpiryReminders', result);
+    } catch (error) {
+      console.error('Error in scheduled job sendTrainingExpiryReminders:', error);
+    }
+  });
+
+  console.log('Training expiry reminder job scheduled');
+};
+
+// Open stocktakes for cycle-count schedules that are due
+const scheduleCycleCounts = () => {
+  // Run daily at 06:00
+  cron.schedule('0 6 * * *', async () => {
+    try {
+      console.log('Running scheduled job: runDueCycleCounts');
+      const result = await stocktakeService.runDueSchedules();
+      console.log('Completed scheduled job: runDueCycleCounts', result);
+    } catch (error) {
+      console.error('Error in scheduled job runDueCycleCounts:', error);
+    }
+  });
+
+  console.log('Cycle count job scheduled');
+};
+
+const scheduleAutoReorder = () => {
+  // Run daily at 09:30, after the low stock check
+  cron.schedule('30 9 * * *', async () => {
+    try {
+      console.log('Running scheduled job: raiseReorderRequisitions');
+      const result = await procurementService.raiseReorderRequisitions();
+      console.log('Completed scheduled job: raiseReorderRequisitions', result);
+    } catch (error) {
+      console.error('Error in scheduled job raiseReorderRequisitions:', error);
+    }
+  });
+
+  console.log('Auto-reorder job scheduled');
+};
+
 module.exports = {
-  scheduleInventoryCleanup
+  scheduleInventoryCleanup,
+  scheduleWaitlistExpiry,
+  scheduleNoShowDetection,
+  scheduleReminders,
+  scheduleTrainingExpiryReminders,
+  scheduleCycleCounts,
+  scheduleAutoReorder
 };
@@ -2,6 +2,7 @@ const cron = require('node-cron');
 const { Notification, NOTIFICATION_TYPES } = require('../models/Notification');
 const Item = require('../models/Item');
 const User = require('../models/User');
+const stockService = require('../services/stockService');
 
 class StockChecks {
   constructor() {
@@ -102,40 +103,36 @@ class StockChecks {
   }
 
   /**
-   * Check for items expiring soon and notify lab managers
+   * Check for lots expiring soon and notify lab managers. Each lot is
+   * reported on its own; items without lots are reported by their expiry date.
    */
   async checkExpiringItems(days = 7) {
     try {
-      console.log('Checking for expiring items...');
+      console.log('Checking for expiring lots...');
       
-      const date = new Date();
-      date.setDate(date.getDate() + days);
-      
-      const expiringItems = await Item.find({
-        expiry_date: { $lte: date, $gte: new Date() },
-        status: { $ne: 'expired' }
-      }).populate('lab', 'name managers');
+      const expiringLots = await stockService.getExpiringLots({ days, labFields: 'name managers' });
 
-      if (expiringItems.length === 0) {
-        console.log('No expiring items found');
+      if (expiringLots.length === 0) {
+        console.log('No expiring lots found');
         return;
       }
 
       // Group by lab for batch notifications
-      const itemsByLab = {};
-      expiringItems.forEach(item => {
-        if (!itemsByLab[item.lab._id]) {
-          itemsByLab[item.lab._id] = {
-            lab: item.lab,
-            items: []
+      const lotsByLab = {};
+      expiringLots.forEach(lot => {
+        if (!lot.lab) return;
+        if (!lotsByLab[lot.lab._id]) {
+          lotsByLab[lot.lab._id] = {
+            lab: lot.lab,
+            lots: []
           };
         }
-        itemsByLab[item.lab._id].items.push(item);
+        lotsByLab[lot.lab._id].lots.push(lot);
       });
 
       // Notify lab managers for each lab
-      for (const labId in itemsByLab) {
-        const { lab, items } = itemsByLab[labId];
+      for (const labId in lotsByLab) {
+        const { lab, lots } = lotsByLab[labId];
         const managerIds = lab.managers || [];
         
         if (managerIds.length === 0) {
@@ -143,28 +140,29 @@ class StockChecks {
           continue;
         }
 
+        const itemCount = new Set(lots.map(lot => lot.item_id.toString())).size;
+
         // Create notification for each manager
         for (const managerId of managerIds) {
           await Notification.createStockNotification(
             managerId,
-            items.some(i => new Date(i.expiry_date) <= new Date()) 
-              ? NOTIFICATION_TYPES.STOCK_EXPIRED 
-              : NOTIFICATION_TYPES.STOCK_EXPIRING,
+            NOTIFICATION_TYPES.STOCK_EXPIRING,
             {
-              title: items.some(i => new Date(i.expiry_date) <= new Date())
-                ? 'Expired Items Alert'
-                : 'Items Expiring Soon',
-              message: `${items.length} item(s) in ${lab.name} ${items.some(i => new Date(i.expiry_date) <= new Date()) ? 'have expired' : 'will expire soon'}`,
-              itemId: items[0]._id,
+              title: 'Items Expiring Soon',
+              message: `${lots.length} lot(s) of ${itemCount} item(s) in ${lab.name} will expire within ${days} days`,
+              itemId: lots[0].item_id,
               labId: lab._id,
               metadata: {
-                item_count: items.length,
+                lot_count: lots.length,
+                item_count: itemCount,
                 lab_name: lab.name,
-                items: items.map(item => ({
-                  id: item._id,
-                  name: item.name,
-                  expiry_date: item.expiry_date,
-                  quantity: item.available_quantity
+                lots: lots.map(lot => ({
+                  item_id: lot.item_id,
+                  name: lot.name,
+                  lot_id: lot.lot_id,
+                  lot_number: lot.lot_number,
+                  expiry_date: lot.expiry_date,
+                  quantity: lot.quantity
                 }))
               }
             }
@@ -172,7 +170,7 @@ class StockChecks {
         }
       }
 
-      console.log(`Expiry check completed. Found ${expiringItems.length} items.`);
+      console.log(`Expiry check completed. Found ${expiringLots.length} lots.`);
     } catch (error) {
       console.error('Error in expiry check:', error);
     }
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Lab = require('../models/Lab');
@@ -23,6 +24,30 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Authenticate calendar feed requests with the user's revocable feed token.
+// Calendar apps cannot send an Authorization header, so the token comes in the query string.
+const feedAuth = async (req, res, next) => {
+  try {
+    const token = req.query.token;
+    if (!token) {
+      return res.status(401).json({ message: 'No feed token, access denied' });
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const user = await User.findOne({ 'calendar_feed.token_hash': tokenHash, is_active: { $ne: false } })
+      .populate('department');
+
+    if (!user) {
+      return res.status(401).json({ message: 'Feed token is invalid or has been revoked' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Feed token is invalid' });
+  }
+};
+
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -82,4 +107,4 @@ const checkDepartmentAccess = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, checkRole, checkDepartmentAccess }; 
\ No newline at end of file
+module.exports = { auth, feedAuth, checkRole, checkDepartmentAccess }; 
\ No newline at end of file
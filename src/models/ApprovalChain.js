@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const APPROVER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+const BOOKING_TYPES = ['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other'];
+const REQUESTER_ROLES = ['admin', 'department_admin', 'lab_manager', 'teacher', 'student', 'external'];
+
+const approvalChainStepSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Step name is required'],
+    trim: true,
+    maxlength: [100, 'Step name cannot exceed 100 characters']
+  },
+  approver_role: {
+    type: String,
+    enum: {
+      values: APPROVER_ROLES,
+      message: 'Approver role must be one of: ' + APPROVER_ROLES.join(', ')
+    },
+    required: [true, 'Approver role is required']
+  },
+  // Optional named approvers; when empty anyone with the role in the lab's department can sign off
+  approvers: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
+
+// Ordered sign-off steps for bookings matching the chain's criteria. Empty
+// criteria match everything, and the most specific matching chain wins.
+const approvalChainSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab'
+  },
+  field: {
+    type: Schema.Types.ObjectId,
+    ref: 'Field'
+  },
+  booking_types: [{
+    type: String,
+    enum: BOOKING_TYPES
+  }],
+  requester_roles: [{
+    type: String,
+    enum: REQUESTER_ROLES
+  }],
+  steps: {
+    type: [approvalChainStepSchema],
+    validate: {
+      validator: steps => steps.length > 0 && steps.length <= 10,
+      message: 'An approval chain needs between 1 and 10 steps'
+    }
+  },
+  // Breaks ties between chains that are equally specific
+  priority: {
+    type: Number,
+    default: 0
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+approvalChainSchema.index({ is_active: 1, lab: 1, field: 1 });
+approvalChainSchema.index({ department: 1 });
+
+// Lab and field matches are more specific than department or booking attributes
+const specificity = chain =>
+  (chain.lab ? 16 : 0) +
+  (chain.field ? 8 : 0) +
+  (chain.booking_types?.length ? 4 : 0) +
+  (chain.requester_roles?.length ? 2 : 0) +
+  (chain.department ? 1 : 0);
+
+/**
+ * Find the chain that applies to a booking request, or null when the booking
+ * uses the default single-step approval.
+ *
+ * @param {Object} params
+ * @param {Object} params.lab - Lab document (needs _id and department)
+ * @param {string|ObjectId} params.fieldId
+ * @param {string} params.bookingType
+ * @param {string} params.requesterRole - Role of the user the booking is for
+ */
+approvalChainSchema.statics.findForBooking = async function({ lab, fieldId, bookingType, requesterRole }) {
+  const matchOptional = (path, value) => ({
+    $or: [{ [path]: null }, ...(value ? [{ [path]: value }] : [])]
+  });
+  const matchList = (path, value) => ({
+    $or: [{ [path]: { $size: 0 } }, ...(value ? [{ [path]: value }] : [])]
+  });
+
+  const chains = await this.find({
+    is_active: true,
+    $and: [
+      matchOptional('lab', lab._id),
+      matchOptional('field', fieldId),
+      matchOptional('department', lab.department?._id || lab.department),
+      matchList('booking_types', bookingType),
+      matchList('requester_roles', requesterRole)
+    ]
+  });
+  if (chains.length === 0) return null;
+
+  chains.sort((a, b) => (specificity(b) - specificity(a)) || (b.priority - a.priority) || (b.updatedAt - a.updatedAt));
+  return chains[0];
+};
+
+const ApprovalChain = mongoose.model('ApprovalChain', approvalChainSchema);
+
+module.exports = ApprovalChain;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const ApprovalChain = require('./ApprovalChain');
+const itemReservationService = require('../services/itemReservationService');
 
 const itemRequirementSchema = new Schema({
   item: { 
@@ -42,7 +44,15 @@ const itemRequirementSchema = new Schema({
   rejection_reason: {
     type: String,
     maxlength: [500, 'Rejection reason cannot exceed 500 characters']
-  }
+  },
+  // Lots the consumable was issued from at approval, first-expiry-first-out
+  lot_allocations: [{
+    _id: false,
+    lot: { type: Schema.Types.ObjectId },
+    lot_number: String,
+    expiry_date: Date,
+    quantity: Number
+  }]
 }, { _id: true, timestamps: true });
 
 const allocatedConsumableSchema = new Schema({
@@ -84,6 +94,325 @@ const allocatedConsumableSchema = new Schema({
   }
 }, { _id: true, timestamps: true });
 
+// One sign-off step of a multi-stage approval chain, copied from the chain when
+// the booking is created so later edits to the chain do not affect it
+const approvalStepSchema = new Schema({
+  name: { type: String, required: true },
+  approver_role: {
+    type: String,
+    enum: ['admin', 'department_admin', 'lab_manager'],
+    required: true
+  },
+  approvers: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  decided_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when a delegate signed off for an absent approver
+  on_behalf_of: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decided_at: {
+    type: Date
+  },
+  comment: {
+    type: String,
+    maxlength: [500, 'Approval comment cannot exceed 500 characters']
+  }
+}, { _id: true });
+
+// Where and when a booking takes place, as recorded in reschedule requests and history
+const bookingSlotSchema = new Schema({
+  lab: { type: Schema.Types.ObjectId, ref: 'Lab' },
+  field: { type: Schema.Types.ObjectId, ref: 'Field' },
+  start_time: { type: Date },
+  end_time: { type: Date }
+}, { _id: false });
+
+// A proposed move of an approved booking. The booking keeps its current slot
+// until the request is approved.
+const rescheduleRequestSchema = new Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  proposed: bookingSlotSchema,
+  reason: {
+    type: String,
+    maxlength: [500, 'Reschedule reason cannot exceed 500 characters']
+  },
+  requested_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requested_at: {
+    type: Date
+  },
+  decided_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decided_at: {
+    type: Date
+  },
+  decision_notes: {
+    type: String,
+    maxlength: [500, 'Decision notes cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+// One applied change to a booking's slot
+const bookingChangeSchema = new Schema({
+  from: bookingSlotSchema,
+  to: bookingSlotSchema,
+  reason: { type: String },
+  requested_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approved_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// A person on the booking's roster: a registered user, or an external
+// participant known only by name and ID (for example from a class list CSV)
+const participantSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Participant name cannot exceed 200 characters']
+  },
+  external_id: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'External ID cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'csv'],
+    default: 'manual'
+  },
+  added_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  added_at: {
+    type: Date,
+    default: Date.now
+  },
+  attendance: {
+    status: {
+      type: String,
+      enum: ['unmarked', 'present', 'late', 'absent', 'excused'],
+      default: 'unmarked'
+    },
+    marked_at: { type: Date },
+    marked_by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Attendance notes cannot exceed 500 characters']
+    }
+  }
+}, { _id: true });
+
+// Actual use of one consumable, entered when the booking is completed
+const consumableUsageSchema = new Schema({
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  name: { type: String },
+  requested_quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  used_quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Used quantity cannot be negative']
+  },
+  // Requested minus used: positive when more was requested than needed
+  variance: {
+    type: Number,
+    required: true
+  },
+  // Change posted to stock by the reconciliation (unused stock back is positive)
+  stock_change: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+const consumableReconciliationSchema = new Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'reconciled'],
+    default: 'pending'
+  },
+  // Completion already put the requested quantities back in stock
+  stock_returned: {
+    type: Boolean,
+    default: false
+  },
+  lines: [consumableUsageSchema],
+  requested_total: { type: Number, min: 0 },
+  used_total: { type: Number, min: 0 },
+  reconciled_at: { type: Date },
+  reconciled_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, { _id: false });
+
+// Cost of a completed booking, priced from the lab's rate card when it was completed
+const bookingChargeSchema = new Schema({
+  rate_card: {
+    type: Schema.Types.ObjectId,
+    ref: 'RateCard'
+  },
+  currency: { type: String },
+  billed_minutes: { type: Number, min: 0 },
+  hourly_rate: { type: Number, min: 0 },
+  usage_amount: { type: Number, min: 0 },
+  consumables: [{
+    _id: false,
+    item: { type: Schema.Types.ObjectId, ref: 'Item' },
+    name: { type: String },
+    quantity: { type: Number, min: 0 },
+    unit_price: { type: Number, min: 0 },
+    amount: { type: Number, min: 0 }
+  }],
+  consumables_amount: { type: Number, min: 0 },
+  discount_percent: { type: Number, min: 0, max: 100 },
+  discount_amount: { type: Number, min: 0 },
+  total: { type: Number, min: 0 },
+  computed_at: { type: Date },
+  invoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }
+}, { _id: false });
+
+// Record kept on a booking that lost its slot to a higher-priority booking
+const preemptionSchema = new Schema({
+  preempted_by_booking: {
+    type: Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  preempted_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  preempted_at: {
+    type: Date,
+    default: Date.now
+  },
+  previous_status: {
+    type: String
+  },
+  priority: {
+    type: Number
+  },
+  preempting_priority: {
+    type: Number
+  },
+  preempting_booking_type: {
+    type: String
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Preemption reason cannot exceed 500 characters']
+  },
+  suggested_slots: [{
+    _id: false,
+    lab: { type: Schema.Types.ObjectId, ref: 'Lab' },
+    start_time: { type: Date },
+    end_time: { type: Date }
+  }]
+}, { _id: false });
+
+// Record kept on a booking that was cancelled or moved because its lab closed
+const closureSchema = new Schema({
+  action: {
+    type: String,
+    enum: ['cancelled', 'moved'],
+    required: true
+  },
+  // A lab status change (maintenance/inactive) or a blackout period
+  kind: {
+    type: String,
+    enum: ['lab_status', 'blackout'],
+    required: true
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab'
+  },
+  lab_status: {
+    type: String
+  },
+  blackout: {
+    type: Schema.Types.ObjectId,
+    ref: 'BlackoutPeriod'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Closure reason cannot exceed 500 characters']
+  },
+  closed_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closed_at: {
+    type: Date,
+    default: Date.now
+  },
+  suggested_slots: [{
+    _id: false,
+    lab: { type: Schema.Types.ObjectId, ref: 'Lab' },
+    start_time: { type: Date },
+    end_time: { type: Date }
+  }]
+}, { _id: false });
+
 const bookingSchema = new Schema({
   // Core booking information
   lab: { 
@@ -96,6 +425,11 @@ const bookingSchema = new Schema({
     ref: 'Field', 
     required: [true, 'Field is required'] 
   },
+  // Benches, fume hoods or instruments the booking holds; empty books the whole lab
+  resources: [{
+    type: Schema.Types.ObjectId,
+    ref: 'LabResource'
+  }],
   user: { 
     type: Schema.Types.ObjectId, 
     ref: 'User', 
@@ -147,6 +481,8 @@ const bookingSchema = new Schema({
     type: Number,
     min: [1, 'Maximum participants must be at least 1']
   },
+  // Named roster; when present its size is the participant count
+  participants: [participantSchema],
   
   // Item management
   item_requirements: [itemRequirementSchema],
@@ -156,7 +492,7 @@ const bookingSchema = new Schema({
   status: { 
     type: String, 
     enum: {
-      values: ['draft', 'pending', 'approved', 'rejected', 'cancelled', 'completed'],
+      values: ['draft', 'pending', 'approved', 'rejected', 'cancelled', 'completed', 'no_show', 'preempted'],
       message: 'Invalid status'
     },
     default: 'draft'
@@ -199,6 +535,25 @@ const bookingSchema = new Schema({
   actual_end_time: {
     type: Date
   },
+  checked_in_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  check_in_method: {
+    type: String,
+    enum: ['qr', 'manual']
+  },
+  checked_out_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  no_show_at: {
+    type: Date
+  },
+  // Set when the start-time reminder goes out; cleared if the booking moves
+  reminder_sent_at: {
+    type: Date
+  },
   
   // Recurring bookings
   is_recurring: { 
@@ -260,7 +615,79 @@ const bookingSchema = new Schema({
       }
     }]
   },
+  // Series this occurrence belongs to (set for every occurrence of a recurring booking)
+  series: {
+    type: Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  occurrence_index: {
+    type: Number,
+    min: 0
+  },
+  // Start time the pattern generated for this occurrence, kept when it is moved individually
+  original_start_time: {
+    type: Date
+  },
+  is_exception: {
+    type: Boolean,
+    default: false
+  },
   
+  // Cancellation information
+  cancelled_at: {
+    type: Date
+  },
+  cancelled_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellation_reason: {
+    type: String,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+
+  // Booking rules an admin overrode when creating the booking
+  policy_overrides: [{
+    rule: { type: String, required: true },
+    message: { type: String },
+    justification: {
+      type: String,
+      required: true,
+      maxlength: [500, 'Justification cannot exceed 500 characters']
+    },
+    overridden_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    overridden_at: { type: Date, default: Date.now }
+  }],
+
+  // Multi-stage approval (empty when the booking uses single-step approval)
+  approval_chain: {
+    type: Schema.Types.ObjectId,
+    ref: 'ApprovalChain'
+  },
+  approval_steps: [approvalStepSchema],
+
+  // Waitlist entry this booking was promoted from
+  waitlist_entry: {
+    type: Schema.Types.ObjectId,
+    ref: 'WaitlistEntry'
+  },
+
+  // Latest request to move the booking, and the moves that were applied
+  reschedule_request: rescheduleRequestSchema,
+  change_history: [bookingChangeSchema],
+
+  // Set when a higher-priority booking took this booking's slot
+  preemption: preemptionSchema,
+
+  // Set when the booking was cancelled or moved by a lab closure
+  closure: closureSchema,
+
+  // Set when a completed booking is billable under a rate card
+  charge: bookingChargeSchema,
+
+  // Consumables actually used against what was requested
+  consumable_reconciliation: consumableReconciliationSchema,
+
   // Allocated consumables
   allocated_consumables: [allocatedConsumableSchema],
   
@@ -302,12 +729,21 @@ const bookingSchema = new Schema({
 // Indexes for efficient querying
 bookingSchema.index({ lab: 1, start_time: 1, end_time: 1 });
 bookingSchema.index({ 'field': 1, start_time: 1, end_time: 1 });
+bookingSchema.index({ resources: 1, start_time: 1, end_time: 1 });
 bookingSchema.index({ user: 1, created_at: -1 });
 bookingSchema.index({ status: 1, start_time: 1 });
 bookingSchema.index({ 'item_requirements.item': 1, start_time: 1 });
 bookingSchema.index({ 'item_requirements.status': 1 });
 bookingSchema.index({ is_recurring: 1, 'recurring_pattern.end_date': 1 });
+bookingSchema.index({ series: 1, start_time: 1 });
 bookingSchema.index({ is_deleted: 1 });
+bookingSchema.index({ 'reschedule_request.status': 1 });
+bookingSchema.index({ 'preemption.preempted_at': 1 });
+bookingSchema.index({ 'closure.lab': 1, 'closure.closed_at': -1 });
+bookingSchema.index({ 'participants.user': 1, start_time: -1 });
+bookingSchema.index({ status: 1, 'charge.invoice': 1, end_time: 1 });
+bookingSchema.index({ 'consumable_reconciliation.status': 1, end_time: -1 });
+bookingSchema.index({ 'participants.external_id': 1, start_time: -1 });
 bookingSchema.index({ 'allocated_consumables.item': 1, 'allocated_consumables.returned_quantity': 1 });
 
 // Virtuals for calculated fields
@@ -369,15 +805,31 @@ bookingSchema.pre('validate', function(next) {
   next();
 });
 
+// Capacity checks work on participants_count, so keep it equal to the roster size
+bookingSchema.pre('validate', function(next) {
+  if (this.isModified('participants') && this.participants.length > 0) {
+    this.participants_count = this.participants.length;
+  }
+  next();
+});
+
+// A moved booking needs a fresh reminder for its new start time
+bookingSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('start_time')) {
+    this.reminder_sent_at = undefined;
+  }
+  next();
+});
+
 // Pre-save middleware to validate time conflicts and field availability
 bookingSchema.pre('save', async function(next) {
-  // Skip validation for deleted or cancelled bookings
-  if (this.is_deleted || this.status === 'cancelled') {
+  // Skip validation for deleted, cancelled, no-show or preempted bookings
+  if (this.is_deleted || ['cancelled', 'no_show', 'preempted'].includes(this.status)) {
     return next();
   }
   
   // Only validate if relevant fields have changed
-  const relevantFields = ['start_time', 'end_time', 'lab', 'field', 'status', 'is_deleted'];
+  const relevantFields = ['start_time', 'end_time', 'lab', 'field', 'status', 'is_deleted', 'item_requirements', 'resources'];
   const shouldValidate = this.isNew || Object.keys(this.getChanges())
     .some(field => relevantFields.includes(field));
   
@@ -386,13 +838,18 @@ bookingSchema.pre('save', async function(next) {
   }
   
   const Booking = this.constructor;
+  // Lazy load to avoid a circular dependency (the service requires this model)
+  const labResourceService = require('../services/labResourceService');
+  const resourceIds = this.resources || [];
   
-  // Check for overlapping bookings for the same field
+  // Whole-lab bookings hold the field: check for overlapping whole-lab
+  // bookings of the same field. Resource bookings are checked below.
   const query = {
     _id: { $ne: this._id },
     field: this.field,
     status: { $in: ['pending', 'approved'] },
     is_deleted: { $ne: true },
+    ...labResourceService.WHOLE_LAB,
     $or: [
       {
         // Case 1: New booking starts during an existing booking
@@ -407,17 +864,13 @@ bookingSchema.pre('save', async function(next) {
     ]
   };
   
-  // If this is a recurring booking, we need to check for conflicts with all instances
-  if (this.is_recurring && this.recurring_pattern) {
-    // This is a simplified check - in a real app, you'd need to generate all instances
-    // and check each one for conflicts
-    query.$or.push({
-      is_recurring: true,
-      'recurring_pattern.end_date': { $gte: this.start_time }
-    });
-  }
+  // Recurring bookings are stored as one document per occurrence (see BookingSeries),
+  // so the overlap query above already covers every instance.
   
-  const conflictingBookings = await Booking.find(query);
+  // Read inside the caller's transaction so bookings it just freed are not counted
+  const conflictingBookings = resourceIds.length === 0
+    ? await Booking.find(query).session(this.$session())
+    : [];
   
   if (conflictingBookings.length > 0) {
     const conflict = conflictingBookings[0];
@@ -426,6 +879,27 @@ bookingSchema.pre('save', async function(next) {
     error.conflicts = conflictingBookings;
     return next(error);
   }
+
+  // A resource booking clashes with bookings of the same resources and with
+  // whole-lab bookings; a whole-lab booking with every resource booking
+  const resourceConflicts = await labResourceService.findConflicts({
+    labId: this.lab,
+    resourceIds,
+    startTime: this.start_time,
+    endTime: this.end_time,
+    excludeIds: [this._id],
+    session: this.$session()
+  });
+
+  if (resourceConflicts.length > 0) {
+    const conflict = resourceConflicts[0];
+    const error = new Error(resourceIds.length > 0
+      ? `The selected resources are already booked from ${conflict.start_time} to ${conflict.end_time}`
+      : `Lab resources are already booked from ${conflict.start_time} to ${conflict.end_time}`);
+    error.name = 'ValidationError';
+    error.conflicts = resourceConflicts;
+    return next(error);
+  }
   
   // Check item availability if there are item requirements
   if (this.item_requirements && this.item_requirements.length > 0) {
@@ -489,75 +963,53 @@ bookingSchema.pre('save', async function(next) {
         error.name = 'ValidationError';
         return next(error);
       }
-      
-      // For non-consumables, check availability during the requested time
-      if (item.quantity === undefined) {
-        const conflictingItemBookings = await Booking.find({
-          '_id': { $ne: this._id },
-          'item_requirements.item': req.item,
-          'status': { $in: ['pending', 'approved'] },
-          'is_deleted': { $ne: true },
-          $or: [
-            { start_time: { $lt: this.end_time }, end_time: { $gt: this.start_time } },
-            { start_time: { $gte: this.start_time, $lte: this.end_time } }
-          ]
-        });
-        
-        if (conflictingItemBookings.length > 0) {
-          const error = new Error(`Item ${item.name} is already booked for the requested time`);
-          error.name = 'ValidationError';
-          error.conflicts = conflictingItemBookings;
-          return next(error);
-        }
-      }
+    }
+
+    // Reusable items only need to be free while the booking is running
+    try {
+      await itemReservationService.assertAvailable(this.item_requirements, this.start_time, this.end_time, {
+        excludeBookingIds: [this._id],
+        session: this.$session()
+      });
+    } catch (error) {
+      error.name = 'ValidationError';
+      return next(error);
     }
   }
   
   next();
 });
 
-// Post-save middleware to update item quantities
-bookingSchema.post('save', async function(doc, next) {
+// Attach the approval chain that applies to a new pending booking
+bookingSchema.pre('save', async function(next) {
+  if (!this.isNew || this.status !== 'pending' || this.approval_chain) {
+    return next();
+  }
+
   try {
-    // Only process if this is a new booking with item requirements
-    if (doc.isNew && doc.item_requirements && doc.item_requirements.length > 0) {
-      const Item = mongoose.model('Item');
-      const bulkOps = [];
-      
-      for (const req of doc.item_requirements) {
-        // For consumables, update the available quantity
-        bulkOps.push({
-          updateOne: {
-            filter: { 
-              _id: req.item,
-              quantity: { $exists: true },
-              available_quantity: { $gte: req.quantity_needed }
-            },
-            update: { 
-              $inc: { available_quantity: -req.quantity_needed },
-              $push: { 
-                booking_history: {
-                  booking: doc._id,
-                  quantity: -req.quantity_needed,
-                  date: new Date(),
-                  type: 'reservation',
-                  status: doc.status
-                }
-              }
-            }
-          }
-        });
-      }
-      
-      if (bulkOps.length > 0) {
-        await Item.bulkWrite(bulkOps);
-      }
+    const [lab, requester] = await Promise.all([
+      mongoose.model('Lab').findById(this.lab).select('department').lean(),
+      mongoose.model('User').findById(this.user).select('role').lean()
+    ]);
+    if (!lab) return next();
+
+    const chain = await ApprovalChain.findForBooking({
+      lab,
+      fieldId: this.field,
+      bookingType: this.booking_type,
+      requesterRole: requester?.role
+    });
+    if (chain) {
+      this.approval_chain = chain._id;
+      this.approval_steps = chain.steps.map(step => ({
+        name: step.name,
+        approver_role: step.approver_role,
+        approvers: step.approvers
+      }));
     }
     next();
   } catch (error) {
-    console.error('Error updating item quantities:', error);
-    // Don't throw error here to prevent infinite loop, but log it
-    next();
+    next(error);
   }
 });
 
@@ -615,7 +1067,7 @@ bookingSchema.statics.findByFieldAndTime = async function(fieldId, startTime, en
   };
   
   if (excludeId) {
-    query._id = { $ne: excludeId };
+    query._id = Array.isArray(excludeId) ? { $nin: excludeId } : { $ne: excludeId };
   }
   
   return this.find(query);
@@ -647,7 +1099,7 @@ bookingSchema.methods.checkItemAvailability = async function() {
     }
     
     // For consumables, check quantity
-    if (item.quantity !== undefined && item.available_quantity < req.quantity_needed) {
+    if (!itemReservationService.isReservable(item) && item.available_quantity < req.quantity_needed) {
       unavailableItems.push({
         item: req.item,
         reason: `Insufficient quantity. Available: ${item.available_quantity}, Required: ${req.quantity_needed}`
@@ -655,28 +1107,21 @@ bookingSchema.methods.checkItemAvailability = async function() {
       continue;
     }
     
-    // For non-consumables, check availability during the requested time
-    if (item.quantity === undefined) {
-      const conflictingBookings = await this.constructor.find({
-        '_id': { $ne: this._id },
-        'item_requirements.item': req.item,
-        'status': { $in: ['pending', 'approved'] },
-        'is_deleted': { $ne: true },
-        $or: [
-          { start_time: { $lt: this.end_time }, end_time: { $gt: this.start_time } },
-          { start_time: { $gte: this.start_time, $lte: this.end_time } }
-        ]
+    // For non-consumables, check the units reserved during the requested time
+    if (itemReservationService.isReservable(item)) {
+      const [availability] = await itemReservationService.getAvailability([item], this.start_time, this.end_time, {
+        excludeBookingIds: [this._id]
       });
       
-      if (conflictingBookings.length > 0) {
+      if (availability.available < req.quantity_needed) {
         unavailableItems.push({
           item: req.item,
-          reason: `Item is already booked by ${conflictingBookings.length} other bookings`,
-          conflicts: conflictingBookings.map(b => ({
-            booking_id: b._id,
-            start_time: b.start_time,
-            end_time: b.end_time,
-            user: b.user
+          reason: `Item is reserved by ${availability.reservations.length} other bookings. Available: ${availability.available}, Required: ${req.quantity_needed}`,
+          conflicts: availability.reservations.map(r => ({
+            booking_id: r.booking_id,
+            start_time: r.start_time,
+            end_time: r.end_time,
+            user: r.user
           }))
         });
       }
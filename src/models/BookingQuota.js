@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const USER_ROLES = ['admin', 'department_admin', 'lab_manager', 'teacher', 'student', 'external'];
+const QUOTA_PERIODS = ['day', 'week', 'month'];
+
+// Limit on booked hours per period. A quota applies to bookings whose user
+// matches its role and department and whose lab matches its lab (empty means
+// any). 'user' quotas limit each user on their own; 'department' quotas limit
+// the combined hours of everyone in the booking user's department.
+const bookingQuotaSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  applies_to: {
+    type: String,
+    enum: {
+      values: ['user', 'department'],
+      message: 'Applies to must be user or department'
+    },
+    default: 'user'
+  },
+  role: {
+    type: String,
+    enum: {
+      values: USER_ROLES,
+      message: 'Role must be one of: ' + USER_ROLES.join(', ')
+    },
+    default: null
+  },
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    default: null
+  },
+  period: {
+    type: String,
+    enum: {
+      values: QUOTA_PERIODS,
+      message: 'Period must be one of: ' + QUOTA_PERIODS.join(', ')
+    },
+    required: [true, 'Period is required']
+  },
+  max_hours: {
+    type: Number,
+    required: [true, 'Maximum hours is required'],
+    min: [0.5, 'Maximum hours must be at least 0.5']
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+bookingQuotaSchema.index({ is_active: 1, role: 1, department: 1, lab: 1 });
+
+bookingQuotaSchema.statics.PERIODS = QUOTA_PERIODS;
+bookingQuotaSchema.statics.USER_ROLES = USER_ROLES;
+
+const BookingQuota = mongoose.model('BookingQuota', bookingQuotaSchema);
+
+module.exports = BookingQuota;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A recurring booking series. Every occurrence is a real Booking document that
+// references its series; the series keeps the pattern so the whole set can be
+// edited, cancelled or exported as one unit.
+const bookingSeriesSchema = new Schema({
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  field: {
+    type: Schema.Types.ObjectId,
+    ref: 'Field',
+    required: [true, 'Field is required']
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  booking_type: {
+    type: String,
+    enum: ['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other']
+  },
+  // Time of day and duration come from the first occurrence
+  start_time: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  end_time: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  timezone: {
+    type: String,
+    default: 'Africa/Kigali'
+  },
+  recurring_pattern: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'biweekly', 'monthly', 'custom'],
+      required: [true, 'Frequency is required']
+    },
+    interval: { type: Number, min: 1, default: 1 },
+    end_date: { type: Date, required: [true, 'End date is required'] },
+    days_of_week: [{ type: Number, min: 0, max: 6 }],
+    month_day: { type: Number, min: 1, max: 31 },
+    custom_dates: [{ type: Date }]
+  },
+  // Dates the pattern produced but that were skipped at creation (conflicts, blackouts)
+  excluded_dates: [{ type: Date }],
+  occurrence_count: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  // Series this one was split from by a "this and following" edit
+  split_from: {
+    type: Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  cancelled_at: { type: Date },
+  cancelled_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+bookingSeriesSchema.index({ lab: 1, status: 1 });
+bookingSeriesSchema.index({ user: 1, createdAt: -1 });
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+module.exports = BookingSeries;
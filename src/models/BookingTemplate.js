@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const BOOKING_TYPES = ['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other'];
+
+const templateItemSchema = new Schema({
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required']
+  },
+  quantity_needed: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity needed must be at least 1'],
+    default: 1
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+// Saved booking details (everything except the dates) that can be applied
+// to create a booking or a recurring series. Private templates belong to
+// their owner; department templates are shared with everyone in it.
+const bookingTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  visibility: {
+    type: String,
+    enum: {
+      values: ['private', 'department'],
+      message: 'Visibility must be private or department'
+    },
+    default: 'private'
+  },
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  field: {
+    type: Schema.Types.ObjectId,
+    ref: 'Field'
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Purpose is required'],
+    trim: true,
+    maxlength: [1000, 'Purpose cannot exceed 1000 characters']
+  },
+  booking_type: {
+    type: String,
+    enum: BOOKING_TYPES,
+    default: 'practical'
+  },
+  participants_count: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  setup_time_needed: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cleanup_time_needed: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  equipment_needed: {
+    type: String,
+    trim: true
+  },
+  special_instructions: {
+    type: String,
+    trim: true
+  },
+  item_requirements: [templateItemSchema],
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+bookingTemplateSchema.index({ owner: 1, is_active: 1 });
+bookingTemplateSchema.index({ department: 1, visibility: 1, is_active: 1 });
+
+// Shared templates need a department to be shared with
+bookingTemplateSchema.pre('validate', function(next) {
+  if (this.visibility === 'department' && !this.department) {
+    this.invalidate('department', 'Department is required for templates shared with a department');
+  }
+  next();
+});
+
+const BookingTemplate = mongoose.model('BookingTemplate', bookingTemplateSchema);
+
+module.exports = BookingTemplate;
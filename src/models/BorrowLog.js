@@ -58,6 +58,11 @@ const borrowLogSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Invoice the fine was billed on
+  invoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
   notes: { 
     type: String 
   },
@@ -72,6 +77,10 @@ const borrowLogSchema = new Schema({
   },
   damage_notes: {
     type: String
+  },
+  // Set when the return reminder goes out; cleared if the return date changes
+  return_reminder_sent_at: {
+    type: Date
   }
 }, { 
   timestamps: true,
@@ -108,6 +117,10 @@ borrowLogSchema.pre('save', function(next) {
   if (this.status === 'borrowed' && this.expected_return_date < new Date()) {
     this.status = 'overdue';
   }
+  // An extended loan needs a fresh return reminder
+  if (!this.isNew && this.isModified('expected_return_date')) {
+    this.return_reminder_sent_at = undefined;
+  }
   next();
 });
 
@@ -71,6 +71,11 @@ const catalogueItemSchema = new Schema({
     type: specificationSchema,
     required: true
   },
+  // Training users must hold to book or borrow items of this kind
+  required_trainings: [{
+    type: Schema.Types.ObjectId,
+    ref: 'TrainingCourse'
+  }],
   created_by: {
     type: Schema.Types.ObjectId,
     ref: 'User',
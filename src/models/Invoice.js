@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const INVOICE_STATUSES = ['issued', 'paid', 'void'];
+
+const invoiceLineSchema = new Schema({
+  source_type: {
+    type: String,
+    enum: ['booking', 'borrow_fine'],
+    required: true
+  },
+  booking: {
+    type: Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  borrow_log: {
+    type: Schema.Types.ObjectId,
+    ref: 'BorrowLog'
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab'
+  },
+  date: {
+    type: Date
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: true });
+
+// Charges for one user or department over a billing period: completed
+// bookings and borrow fines that were not on an earlier invoice.
+const invoiceSchema = new Schema({
+  invoice_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  bill_to_type: {
+    type: String,
+    enum: ['user', 'department'],
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  period_start: {
+    type: Date,
+    required: true
+  },
+  period_end: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lines: [invoiceLineSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount_total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'issued'
+  },
+  issued_at: {
+    type: Date,
+    default: Date.now
+  },
+  issued_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  due_date: {
+    type: Date
+  },
+  paid_at: {
+    type: Date
+  },
+  recorded_paid_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payment_reference: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Payment reference cannot exceed 200 characters']
+  },
+  voided_at: {
+    type: Date
+  },
+  voided_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  void_reason: {
+    type: String,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  }
+}, { timestamps: true });
+
+invoiceSchema.index({ user: 1, period_start: -1 });
+invoiceSchema.index({ department: 1, period_start: -1 });
+invoiceSchema.index({ status: 1, issued_at: -1 });
+invoiceSchema.index({ 'lines.lab': 1 });
+
+invoiceSchema.pre('validate', function(next) {
+  if (this.bill_to_type === 'user' && !this.user) {
+    this.invalidate('user', 'User is required for invoices billed to a user');
+  }
+  if (this.bill_to_type === 'department' && !this.department) {
+    this.invalidate('department', 'Department is required for invoices billed to a department');
+  }
+  next();
+});
+
+invoiceSchema.statics.STATUSES = INVOICE_STATUSES;
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
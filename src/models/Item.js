@@ -1,6 +1,40 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+// A batch of stock received together. `quantity` is what is left of the lot;
+// stock is consumed first-expiry-first-out across lots (see stockService).
+const lotSchema = new Schema({
+  lot_number: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    maxlength: [50, 'Lot number cannot exceed 50 characters']
+  },
+  received_date: {
+    type: Date,
+    default: Date.now
+  },
+  expiry_date: {
+    type: Date,
+    default: null
+  },
+  initial_quantity: {
+    type: Number,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  supplier: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Supplier cannot exceed 100 characters']
+  },
+  notes: String
+}, { timestamps: true });
+
 const itemSchema = new Schema({
   catalogue_item_id: { 
     type: Schema.Types.ObjectId, 
@@ -33,9 +67,12 @@ const itemSchema = new Schema({
     required: true,
     min: 0
   },
+  // Earliest expiry of the stock on hand; kept in line with the lots when
+  // the item has any
   expiry_date: { 
     type: Date 
   },
+  lots: [lotSchema],
   status: { 
     type: String, 
     enum: ['available', 'low_stock', 'out_of_stock', 'expired', 'in_maintenance'],
@@ -69,6 +106,8 @@ const itemSchema = new Schema({
   toObject: { virtuals: true }
 });
 
+itemSchema.index({ 'lots.expiry_date': 1 });
+
 // Add virtuals for the fields that come from the catalogue item
 itemSchema.virtual('name').get(function() {
   return this.catalogue_item_id?.name;
@@ -71,6 +71,17 @@ const bookingSettingsSchema = new Schema({
     type: Boolean,
     default: true
   },
+  // Bookings must be checked in; approved bookings nobody checks in to become no-shows
+  require_check_in: {
+    type: Boolean,
+    default: false
+  },
+  check_in_grace_minutes: {
+    type: Number, // minutes after the start time
+    default: 15,
+    min: [0, 'Check-in grace period cannot be negative'],
+    max: [240, 'Check-in grace period cannot exceed 4 hours']
+  },
   item_request_deadline: {
     type: Number, // in hours before booking
     default: 24,
@@ -234,6 +245,18 @@ const labSchema = new Schema({
     }
   }],
   
+  // Training users must hold to book the lab (e.g. a BSL-2 safety induction)
+  required_trainings: [{
+    type: Schema.Types.ObjectId,
+    ref: 'TrainingCourse'
+  }],
+
+  // Token encoded in the QR code at the lab door (only the SHA-256 hash is stored)
+  check_in: {
+    token_hash: { type: String, select: false, index: { unique: true, sparse: true } },
+    created_at: { type: Date }
+  },
+
   contact_person: {
     name: String,
     email: {
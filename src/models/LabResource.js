@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const RESOURCE_TYPES = ['bench', 'workstation', 'fume_hood', 'instrument', 'other'];
+const RESOURCE_STATUSES = ['available', 'maintenance', 'out_of_service'];
+
+const dayHours = { open: String, close: String };
+
+// A part of a lab that can be booked on its own: a bench, workstation, fume
+// hood or instrument. Bookings that list resources hold only those; bookings
+// without resources hold the whole lab.
+const labResourceSchema = new Schema({
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Code cannot exceed 20 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: RESOURCE_TYPES,
+      message: 'Type must be one of: ' + RESOURCE_TYPES.join(', ')
+    },
+    required: [true, 'Type is required']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // People who can work at the resource at once
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    default: 1
+  },
+  // Inventory record of an instrument tracked as a fixed asset
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: RESOURCE_STATUSES,
+      message: 'Status must be one of: ' + RESOURCE_STATUSES.join(', ')
+    },
+    default: 'available'
+  },
+  // Hours the resource can be booked, within the lab's opening hours.
+  // Leave empty to follow the lab.
+  availability: {
+    monday: dayHours,
+    tuesday: dayHours,
+    wednesday: dayHours,
+    thursday: dayHours,
+    friday: dayHours,
+    saturday: dayHours,
+    sunday: dayHours
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+labResourceSchema.index({ lab: 1, is_active: 1, type: 1 });
+labResourceSchema.index(
+  { lab: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+labResourceSchema.statics.TYPES = RESOURCE_TYPES;
+labResourceSchema.statics.STATUSES = RESOURCE_STATUSES;
+
+const LabResource = mongoose.model('LabResource', labResourceSchema);
+
+module.exports = LabResource;
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const ORDER_STATUSES = ['draft', 'issued', 'partially_received', 'received', 'cancelled'];
+
+const orderLineSchema = new Schema({
+  catalogue_item: {
+    type: Schema.Types.ObjectId,
+    ref: 'CatalogueItem',
+    required: [true, 'Catalogue item is required']
+  },
+  // Stock record the goods are received into; found or created on receipt
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    default: null
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  quantity_ordered: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  quantity_received: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unit_price: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  requisition: {
+    type: Schema.Types.ObjectId,
+    ref: 'PurchaseRequisition',
+    default: null
+  }
+}, { _id: true });
+
+const receiptLineSchema = new Schema({
+  line: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Received quantity must be at least 1']
+  },
+  lot_number: String,
+  expiry_date: Date
+}, { _id: false });
+
+// One delivery against the order
+const receiptSchema = new Schema({
+  received_at: {
+    type: Date,
+    default: Date.now
+  },
+  received_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  delivery_note: {
+    type: String,
+    maxlength: [100, 'Delivery note cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  lines: [receiptLineSchema]
+}, { _id: true });
+
+// An order placed with a supplier for delivery to a lab. Goods can arrive in
+// several deliveries; each receipt adds the stock and is referenced from the
+// stock log entries it creates.
+const purchaseOrderSchema = new Schema({
+  po_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Delivery lab is required']
+  },
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ORDER_STATUSES,
+      message: 'Status must be one of: ' + ORDER_STATUSES.join(', ')
+    },
+    default: 'draft'
+  },
+  currency: {
+    type: String,
+    default: 'RWF'
+  },
+  lines: {
+    type: [orderLineSchema],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'A purchase order needs at least one line'
+    }
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  requisitions: [{
+    type: Schema.Types.ObjectId,
+    ref: 'PurchaseRequisition'
+  }],
+  expected_delivery_date: Date,
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  receipts: [receiptSchema],
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issued_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issued_at: Date,
+  received_at: Date,
+  cancelled_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelled_at: Date,
+  cancellation_reason: String
+}, { timestamps: true, optimisticConcurrency: true });
+
+purchaseOrderSchema.index({ department: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ 'lines.item': 1, status: 1 });
+
+purchaseOrderSchema.pre('validate', function(next) {
+  this.total = Math.round(this.lines.reduce((sum, line) => sum + line.quantity_ordered * line.unit_price, 0) * 100) / 100;
+  next();
+});
+
+// Quantity still to be delivered on a line
+purchaseOrderSchema.methods.outstanding = function(line) {
+  return Math.max(0, line.quantity_ordered - line.quantity_received);
+};
+
+purchaseOrderSchema.statics.STATUSES = ORDER_STATUSES;
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
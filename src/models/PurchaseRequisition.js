@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const REQUISITION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled', 'ordered', 'fulfilled'];
+const REQUISITION_SOURCES = ['manual', 'auto_reorder'];
+
+const requisitionLineSchema = new Schema({
+  catalogue_item: {
+    type: Schema.Types.ObjectId,
+    ref: 'CatalogueItem',
+    required: [true, 'Catalogue item is required']
+  },
+  // Stock record in the requesting lab, when there is one
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  estimated_unit_price: {
+    type: Number,
+    min: [0, 'Estimated unit price cannot be negative'],
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, { _id: true });
+
+// A request to buy stock for a lab. Requisitions are raised by lab staff or
+// automatically for low stock, approved by the department admin and then
+// turned into a purchase order.
+const purchaseRequisitionSchema = new Schema({
+  requisition_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department',
+    required: [true, 'Department is required']
+  },
+  source: {
+    type: String,
+    enum: {
+      values: REQUISITION_SOURCES,
+      message: 'Source must be one of: ' + REQUISITION_SOURCES.join(', ')
+    },
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REQUISITION_STATUSES,
+      message: 'Status must be one of: ' + REQUISITION_STATUSES.join(', ')
+    },
+    default: 'pending'
+  },
+  lines: {
+    type: [requisitionLineSchema],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'A requisition needs at least one line'
+    }
+  },
+  justification: {
+    type: String,
+    maxlength: [1000, 'Justification cannot exceed 1000 characters']
+  },
+  needed_by: Date,
+  // Empty for requisitions raised by the reorder job
+  requested_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approved_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approved_at: Date,
+  rejected_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejected_at: Date,
+  rejection_reason: String,
+  cancelled_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelled_at: Date,
+  purchase_order: {
+    type: Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  }
+}, { timestamps: true });
+
+purchaseRequisitionSchema.index({ department: 1, status: 1, createdAt: -1 });
+purchaseRequisitionSchema.index({ lab: 1, status: 1 });
+purchaseRequisitionSchema.index({ 'lines.item': 1, status: 1 });
+
+purchaseRequisitionSchema.statics.STATUSES = REQUISITION_STATUSES;
+purchaseRequisitionSchema.statics.SOURCES = REQUISITION_SOURCES;
+
+const PurchaseRequisition = mongoose.model('PurchaseRequisition', purchaseRequisitionSchema);
+
+module.exports = PurchaseRequisition;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const USER_ROLES = ['admin', 'department_admin', 'lab_manager', 'teacher', 'student', 'external'];
+
+const consumablePriceSchema = new Schema({
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required']
+  },
+  unit_price: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  }
+}, { _id: false });
+
+const roleDiscountSchema = new Schema({
+  role: {
+    type: String,
+    enum: {
+      values: USER_ROLES,
+      message: 'Role must be one of: ' + USER_ROLES.join(', ')
+    },
+    required: [true, 'Role is required']
+  },
+  percent: {
+    type: Number,
+    required: [true, 'Discount percent is required'],
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  }
+}, { _id: false });
+
+// Prices for using a lab, or one field in it. A field's card takes precedence
+// over the lab-wide card (field left empty). External users are always
+// charged; users from the lab's own department only when bill_same_department is set.
+const rateCardSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  field: {
+    type: Schema.Types.ObjectId,
+    ref: 'Field',
+    default: null
+  },
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [3, 'Currency must be a 3-letter code']
+  },
+  hourly_rate: {
+    type: Number,
+    required: [true, 'Hourly rate is required'],
+    min: [0, 'Hourly rate cannot be negative']
+  },
+  // Bookings shorter than this are charged for this many minutes
+  minimum_minutes: {
+    type: Number,
+    min: [0, 'Minimum minutes cannot be negative'],
+    default: 0
+  },
+  consumable_prices: [consumablePriceSchema],
+  role_discounts: [roleDiscountSchema],
+  bill_same_department: {
+    type: Boolean,
+    default: false
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// One active card per lab/field pair
+rateCardSchema.index(
+  { lab: 1, field: 1 },
+  { unique: true, partialFilterExpression: { is_active: true } }
+);
+
+rateCardSchema.statics.USER_ROLES = USER_ROLES;
+
+const RateCard = mongoose.model('RateCard', rateCardSchema);
+
+module.exports = RateCard;
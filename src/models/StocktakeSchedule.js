@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const ITEM_TYPES = ['consumable', 'non_consumable', 'fixed_asset'];
+const STORAGE_TYPES = ['lab', 'temporary'];
+
+// Cycle count: a stocktake of one class of items in a lab that opens
+// automatically every `frequency_days`
+const stocktakeScheduleSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  item_type: {
+    type: String,
+    enum: {
+      values: ITEM_TYPES,
+      message: 'Item type must be one of: ' + ITEM_TYPES.join(', ')
+    },
+    default: null
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  storage_type: {
+    type: String,
+    enum: {
+      values: STORAGE_TYPES,
+      message: 'Storage type must be one of: ' + STORAGE_TYPES.join(', ')
+    },
+    default: null
+  },
+  frequency_days: {
+    type: Number,
+    required: [true, 'Frequency is required'],
+    min: [1, 'Frequency must be at least 1 day']
+  },
+  // Days the counters have to finish each session
+  count_window_days: {
+    type: Number,
+    min: [1, 'Count window must be at least 1 day'],
+    default: 7
+  },
+  blind: {
+    type: Boolean,
+    default: true
+  },
+  counters: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  next_run_at: {
+    type: Date,
+    required: [true, 'Next run date is required']
+  },
+  last_run_at: Date,
+  last_session: {
+    type: Schema.Types.ObjectId,
+    ref: 'StocktakeSession'
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+stocktakeScheduleSchema.index({ is_active: 1, next_run_at: 1 });
+stocktakeScheduleSchema.index({ lab: 1 });
+
+stocktakeScheduleSchema.statics.ITEM_TYPES = ITEM_TYPES;
+stocktakeScheduleSchema.statics.STORAGE_TYPES = STORAGE_TYPES;
+
+const StocktakeSchedule = mongoose.model('StocktakeSchedule', stocktakeScheduleSchema);
+
+module.exports = StocktakeSchedule;
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const STOCKTAKE_STATUSES = ['counting', 'review', 'approved', 'cancelled'];
+const ITEM_TYPES = ['consumable', 'non_consumable', 'fixed_asset'];
+const STORAGE_TYPES = ['lab', 'temporary'];
+
+// One counter's count of an item; a counter who counts again replaces it
+const countSchema = new Schema({
+  counter: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Counted quantity cannot be negative']
+  },
+  counted_at: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+// An item on the count sheet with the quantity expected when the session
+// was opened
+const stocktakeLineSchema = new Schema({
+  item: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  name: String,
+  code: String,
+  unit: String,
+  storage_type: String,
+  expected_quantity: {
+    type: Number,
+    required: true
+  },
+  counts: [countSchema],
+  // Quantity settled by a manager when counts disagree (or to override them)
+  final_quantity: {
+    type: Number,
+    min: [0, 'Final quantity cannot be negative'],
+    default: null
+  },
+  resolved_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolved_at: Date,
+  resolution_notes: String,
+  // Stock change posted when the session was approved
+  adjustment: {
+    type: Number,
+    default: null
+  },
+  stock_log: {
+    type: Schema.Types.ObjectId,
+    ref: 'StockLog'
+  }
+}, { _id: false });
+
+// A physical stocktake of a lab (optionally one storage location or class of
+// items). Expected quantities are frozen when it opens; counts come in from
+// one or more counters, and approval posts the variances as stock
+// adjustments sharing the session as their reference.
+const stocktakeSessionSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  // Filters that chose the items; empty means all
+  storage_type: {
+    type: String,
+    enum: {
+      values: STORAGE_TYPES,
+      message: 'Storage type must be one of: ' + STORAGE_TYPES.join(', ')
+    },
+    default: null
+  },
+  item_type: {
+    type: String,
+    enum: {
+      values: ITEM_TYPES,
+      message: 'Item type must be one of: ' + ITEM_TYPES.join(', ')
+    },
+    default: null
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Counters do not see expected quantities while counting
+  blind: {
+    type: Boolean,
+    default: false
+  },
+  // Users asked to count; lab managers in scope may always count
+  counters: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: {
+      values: STOCKTAKE_STATUSES,
+      message: 'Status must be one of: ' + STOCKTAKE_STATUSES.join(', ')
+    },
+    default: 'counting'
+  },
+  lines: [stocktakeLineSchema],
+  snapshot_at: {
+    type: Date,
+    default: Date.now
+  },
+  due_date: Date,
+  // Cycle-count schedule that opened the session
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'StocktakeSchedule',
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  submitted_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submitted_at: Date,
+  approved_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approved_at: Date,
+  cancelled_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelled_at: Date,
+  cancellation_reason: String,
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+stocktakeSessionSchema.index({ lab: 1, status: 1, createdAt: -1 });
+stocktakeSessionSchema.index({ schedule: 1, status: 1 });
+stocktakeSessionSchema.index({ counters: 1, status: 1 });
+
+stocktakeSessionSchema.statics.STATUSES = STOCKTAKE_STATUSES;
+stocktakeSessionSchema.statics.ITEM_TYPES = ITEM_TYPES;
+stocktakeSessionSchema.statics.STORAGE_TYPES = STORAGE_TYPES;
+
+const StocktakeSession = mongoose.model('StocktakeSession', stocktakeSessionSchema);
+
+module.exports = StocktakeSession;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const contactSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact role cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  is_primary: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: true });
+
+// A vendor purchase orders are placed with. What it sells, and at what price,
+// is kept in SupplierOffer.
+const supplierSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot exceed 150 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    unique: true,
+    maxlength: [20, 'Code cannot exceed 20 characters']
+  },
+  contacts: [contactSchema],
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+  terms: {
+    payment_terms_days: {
+      type: Number,
+      min: [0, 'Payment terms cannot be negative'],
+      default: 30
+    },
+    // Currency the supplier invoices in; the billing currency when empty
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null
+    },
+    minimum_order_value: {
+      type: Number,
+      min: [0, 'Minimum order value cannot be negative'],
+      default: 0
+    },
+    // Used for offers that do not give their own lead time
+    default_lead_time_days: {
+      type: Number,
+      min: [0, 'Lead time cannot be negative'],
+      default: null
+    },
+    delivery_terms: {
+      type: String,
+      maxlength: [200, 'Delivery terms cannot exceed 200 characters']
+    }
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+supplierSchema.index({ is_active: 1, name: 1 });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
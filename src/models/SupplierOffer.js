@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const priceChangeSchema = new Schema({
+  unit_price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  effective_from: {
+    type: Date,
+    required: true
+  },
+  effective_to: {
+    type: Date,
+    required: true
+  },
+  changed_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// A catalogue item as one supplier sells it. `unit_price` is the price of a
+// pack of `pack_size` catalogue units; earlier prices are kept in
+// `price_history`, newest last.
+const supplierOfferSchema = new Schema({
+  supplier: {
+    type: Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  catalogue_item: {
+    type: Schema.Types.ObjectId,
+    ref: 'CatalogueItem',
+    required: [true, 'Catalogue item is required']
+  },
+  supplier_sku: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Supplier SKU cannot exceed 50 characters']
+  },
+  pack_size: {
+    type: Number,
+    min: [1, 'Pack size must be at least 1'],
+    default: 1
+  },
+  unit_price: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    trim: true,
+    uppercase: true
+  },
+  price_effective_from: {
+    type: Date,
+    default: Date.now
+  },
+  price_history: [priceChangeSchema],
+  lead_time_days: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    default: null
+  },
+  minimum_order_packs: {
+    type: Number,
+    min: [1, 'Minimum order must be at least 1 pack'],
+    default: 1
+  },
+  // Used ahead of cheaper offers when reordering
+  is_preferred: {
+    type: Boolean,
+    default: false
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+supplierOfferSchema.index({ supplier: 1, catalogue_item: 1, pack_size: 1 }, { unique: true });
+supplierOfferSchema.index({ catalogue_item: 1, is_active: 1 });
+
+// Price of a single catalogue unit
+supplierOfferSchema.virtual('unit_cost').get(function() {
+  return Math.round((this.unit_price / (this.pack_size || 1)) * 10000) / 10000;
+});
+
+const SupplierOffer = mongoose.model('SupplierOffer', supplierOfferSchema);
+
+module.exports = SupplierOffer;
@@ -14,7 +14,17 @@ const systemSettingSchema = new Schema({
     max_booking_duration: { type: Number, default: 8 },
     require_approval: { type: Boolean, default: true },
     auto_approve_teachers: { type: Boolean, default: true },
-    booking_reminder_hours: { type: Number, default: 24 }
+    booking_reminder_hours: { type: Number, default: 24 },
+    waitlist_claim_hours: { type: Number, default: 12 },
+    max_no_shows: { type: Number, default: 3 }, // 0 disables the restriction
+    // Roles that may take a slot from a lower-priority booking, and the
+    // priority of each booking type (higher wins)
+    preemption_roles: { type: [String], default: ['admin', 'lab_manager'] },
+    booking_type_priorities: {
+      type: Map,
+      of: Number,
+      default: () => ({ exam: 50, maintenance: 50, lecture: 40, practical: 30, research: 20, meeting: 10, other: 0 })
+    }
   },
   stock: {
     low_stock_threshold: { type: Number, default: 20 },
@@ -22,6 +32,11 @@ const systemSettingSchema = new Schema({
     maintenance_reminder_days: { type: Number, default: 7 },
     borrowing_period_days: { type: Number, default: 7 }
   },
+  billing: {
+    currency: { type: String, default: 'RWF' },
+    invoice_prefix: { type: String, default: 'INV' },
+    payment_terms_days: { type: Number, default: 30 }
+  },
   notifications: {
     email_enabled: { type: Boolean, default: true },
     sms_enabled: { type: Boolean, default: false },
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const CERTIFICATE_STATUSES = ['active', 'revoked'];
+
+// Record that a user completed a training course. A certificate counts while
+// it is active and not past its expiry date.
+const trainingCertificateSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  course: {
+    type: Schema.Types.ObjectId,
+    ref: 'TrainingCourse',
+    required: [true, 'Course is required']
+  },
+  issued_at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Empty when the course does not expire
+  expires_at: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || value > this.issued_at;
+      },
+      message: 'Expiry date must be after the issue date'
+    }
+  },
+  certificate_number: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Certificate number cannot exceed 50 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  issued_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: CERTIFICATE_STATUSES,
+      message: 'Status must be one of: ' + CERTIFICATE_STATUSES.join(', ')
+    },
+    default: 'active'
+  },
+  revoked_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revoked_at: Date,
+  revocation_reason: String,
+  // Expiry reminders already sent, by days before expiry (0 = expired)
+  expiry_notices: [{
+    _id: false,
+    days_before: Number,
+    sent_at: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+trainingCertificateSchema.index({ user: 1, course: 1, status: 1, expires_at: -1 });
+trainingCertificateSchema.index({ status: 1, expires_at: 1 });
+
+// Active and not expired at `at`
+trainingCertificateSchema.methods.isValidAt = function(at = new Date()) {
+  return this.status === 'active' && (!this.expires_at || this.expires_at > at);
+};
+
+trainingCertificateSchema.statics.STATUSES = CERTIFICATE_STATUSES;
+
+const TrainingCertificate = mongoose.model('TrainingCertificate', trainingCertificateSchema);
+
+module.exports = TrainingCertificate;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const COURSE_CATEGORIES = ['safety_induction', 'biosafety', 'chemical_safety', 'equipment', 'other'];
+
+// A training or induction users complete before they may use certain labs or
+// items. Labs and catalogue items list the courses they require.
+const trainingCourseSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    unique: true,
+    maxlength: [20, 'Code cannot exceed 20 characters']
+  },
+  category: {
+    type: String,
+    enum: {
+      values: COURSE_CATEGORIES,
+      message: 'Category must be one of: ' + COURSE_CATEGORIES.join(', ')
+    },
+    default: 'safety_induction'
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // How long a certificate stays valid; empty means it never expires
+  validity_months: {
+    type: Number,
+    min: [1, 'Validity must be at least 1 month'],
+    default: null
+  },
+  // Department that runs the course; empty for courses open to everyone
+  department: {
+    type: Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+trainingCourseSchema.index({ is_active: 1, category: 1 });
+trainingCourseSchema.index({ department: 1 });
+
+trainingCourseSchema.statics.CATEGORIES = COURSE_CATEGORIES;
+
+const TrainingCourse = mongoose.model('TrainingCourse', trainingCourseSchema);
+
+module.exports = TrainingCourse;
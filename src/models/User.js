@@ -16,12 +16,28 @@ const userSchema = new Schema({
   reset_token: { type: String },
   reset_token_expiry: { type: Date },
   last_login: { type: Date },
+  // Personal iCalendar feed token (only the SHA-256 hash is stored)
+  calendar_feed: {
+    token_hash: { type: String, index: { unique: true, sparse: true } },
+    created_at: { type: Date }
+  },
+  // Approved bookings nobody checked in to; booking is restricted past SystemSetting.booking.max_no_shows
+  no_show_count: { type: Number, default: 0, min: 0 },
+  last_no_show_at: { type: Date },
+  // Who signs off booking approval steps for this user while they are away
+  approval_delegation: {
+    delegate: { type: Schema.Types.ObjectId, ref: 'User' },
+    start_date: { type: Date },
+    end_date: { type: Date },
+    reason: { type: String, trim: true, maxlength: 500 }
+  },
   notification_settings: {
     email_notifications: { type: Boolean, default: true },
     push_notifications: { type: Boolean, default: true },
     notification_types: {
       booking_approved: { type: Boolean, default: true },
       booking_rejected: { type: Boolean, default: true },
+      booking_reminder: { type: Boolean, default: true },
       return_reminder: { type: Boolean, default: true },
       stock_alert: { type: Boolean, default: false },
       maintenance_reminder: { type: Boolean, default: true }
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A request to book a lab/field time window that was already taken. When the
+// slot is freed the first eligible entry is promoted to a pending booking that
+// its owner has to claim before claim_expires_at.
+const waitlistEntrySchema = new Schema({
+  lab: {
+    type: Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: [true, 'Lab is required']
+  },
+  field: {
+    type: Schema.Types.ObjectId,
+    ref: 'Field',
+    required: [true, 'Field is required']
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Purpose cannot exceed 1000 characters']
+  },
+  booking_type: {
+    type: String,
+    enum: ['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other'],
+    default: 'other'
+  },
+  participants_count: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  start_time: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  end_time: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return value > this.start_time;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'promoted', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Booking created for this entry when the slot was freed
+  promoted_booking: {
+    type: Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  promoted_at: { type: Date },
+  claim_expires_at: { type: Date },
+  claimed_at: { type: Date },
+  expired_at: { type: Date },
+  cancelled_at: { type: Date },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+waitlistEntrySchema.index({ lab: 1, field: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, claim_expires_at: 1 });
+waitlistEntrySchema.index({ user: 1, createdAt: -1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+module.exports = WaitlistEntry;
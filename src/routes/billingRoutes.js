@@ -0,0 +1,100 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const rateCardController = require('../controllers/rateCardController');
+const invoiceController = require('../controllers/invoiceController');
+const { auth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
+const RateCard = require('../models/RateCard');
+const Invoice = require('../models/Invoice');
+const router = express.Router();
+
+const RATE_CARD_ROLES = ['admin', 'department_admin', 'lab_manager'];
+const BILLING_ROLES = ['admin', 'department_admin'];
+
+const validateId = [
+  param('id').isMongoId().withMessage('Invalid ID')
+];
+
+const validateRateCardBody = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('hourly_rate').optional().isFloat({ min: 0 }).withMessage('Hourly rate must be a non-negative number'),
+  body('minimum_minutes').optional().isInt({ min: 0 }).withMessage('Minimum minutes must be a non-negative integer'),
+  body('consumable_prices').optional().isArray().withMessage('Consumable prices must be an array'),
+  body('consumable_prices.*.item').optional().isMongoId().withMessage('Consumable item must be a valid MongoDB ID'),
+  body('consumable_prices.*.unit_price').optional().isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number'),
+  body('role_discounts').optional().isArray().withMessage('Role discounts must be an array'),
+  body('role_discounts.*.role').optional().isIn(RateCard.USER_ROLES).withMessage('Invalid role'),
+  body('role_discounts.*.percent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount percent must be between 0 and 100'),
+  body('bill_same_department').optional().isBoolean().withMessage('Bill same department must be a boolean')
+];
+
+const validateCreateRateCard = [
+  body('lab_id').isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('field_id').optional({ values: 'falsy' }).isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  body('name').isString().notEmpty().withMessage('Name is required'),
+  body('hourly_rate').isFloat({ min: 0 }).withMessage('Hourly rate must be a non-negative number'),
+  ...validateRateCardBody
+];
+
+const validateUpdateRateCard = [
+  ...validateId,
+  body('is_active').optional().isBoolean().withMessage('Is active must be a boolean'),
+  ...validateRateCardBody
+];
+
+const validateRateCardQuery = [
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('field_id').optional().isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  query('include_inactive').optional().isBoolean().withMessage('Include inactive must be a boolean')
+];
+
+const validateGenerateInvoices = [
+  body('period_start').isISO8601().withMessage('Period start must be a valid date'),
+  body('period_end').isISO8601().withMessage('Period end must be a valid date'),
+  body('group_by').optional().isIn(['user', 'department']).withMessage('Group by must be user or department')
+];
+
+const validateInvoiceQuery = [
+  query('status').optional().isIn(Invoice.STATUSES).withMessage('Invalid invoice status'),
+  query('bill_to_type').optional().isIn(['user', 'department']).withMessage('Bill-to type must be user or department'),
+  query('user_id').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  query('bill_to_department').optional().isMongoId().withMessage('Department must be a valid MongoDB ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const validateExport = [
+  ...validateId,
+  query('format').optional().isIn(['csv', 'pdf']).withMessage('Format must be csv or pdf')
+];
+
+const validatePay = [
+  ...validateId,
+  body('payment_reference').optional().isString().isLength({ max: 200 }).withMessage('Payment reference cannot exceed 200 characters'),
+  body('paid_at').optional().isISO8601().withMessage('Paid at must be a valid date')
+];
+
+const validateVoid = [
+  ...validateId,
+  body('reason').isString().notEmpty().isLength({ max: 500 }).withMessage('Reason is required (max 500 characters)')
+];
+
+// Rate cards
+router.get('/rate-cards', auth, checkRole(RATE_CARD_ROLES), checkDepartmentAccess, validateRateCardQuery, rateCardController.getRateCards);
+router.post('/rate-cards', auth, checkRole(RATE_CARD_ROLES), checkDepartmentAccess, validateCreateRateCard, rateCardController.createRateCard);
+router.get('/rate-cards/:id', auth, checkRole(RATE_CARD_ROLES), checkDepartmentAccess, validateId, rateCardController.getRateCard);
+router.put('/rate-cards/:id', auth, checkRole(RATE_CARD_ROLES), checkDepartmentAccess, validateUpdateRateCard, rateCardController.updateRateCard);
+router.delete('/rate-cards/:id', auth, checkRole(RATE_CARD_ROLES), checkDepartmentAccess, validateId, rateCardController.deactivateRateCard);
+
+// Invoices
+router.post('/invoices/generate', auth, checkRole(BILLING_ROLES), checkDepartmentAccess, validateGenerateInvoices, invoiceController.generateInvoices);
+router.get('/invoices', auth, checkRole(BILLING_ROLES), checkDepartmentAccess, validateInvoiceQuery, invoiceController.getInvoices);
+router.get('/invoices/my', auth, [query('status').optional().isIn(Invoice.STATUSES).withMessage('Invalid invoice status')], invoiceController.getMyInvoices);
+router.get('/invoices/:id', auth, checkDepartmentAccess, validateId, invoiceController.getInvoice);
+router.get('/invoices/:id/export', auth, checkDepartmentAccess, validateExport, invoiceController.exportInvoice);
+router.patch('/invoices/:id/pay', auth, checkRole(BILLING_ROLES), checkDepartmentAccess, validatePay, invoiceController.payInvoice);
+router.patch('/invoices/:id/void', auth, checkRole(BILLING_ROLES), checkDepartmentAccess, validateVoid, invoiceController.voidInvoice);
+
+module.exports = router;
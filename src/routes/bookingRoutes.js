@@ -1,7 +1,20 @@
 const express = require('express');
+const multer = require('multer');
 const { body, query, param } = require('express-validator');
 const bookingController = require('../controllers/bookingController');
-const { auth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
+const bookingSeriesController = require('../controllers/bookingSeriesController');
+const calendarFeedController = require('../controllers/calendarFeedController');
+const bookingImportController = require('../controllers/bookingImportController');
+const waitlistController = require('../controllers/waitlistController');
+const approvalChainController = require('../controllers/approvalChainController');
+const checkInController = require('../controllers/checkInController');
+const bookingTemplateController = require('../controllers/bookingTemplateController');
+const rescheduleController = require('../controllers/rescheduleController');
+const preemptionController = require('../controllers/preemptionController');
+const bookingRosterController = require('../controllers/bookingRosterController');
+const consumableReconciliationController = require('../controllers/consumableReconciliationController');
+const bookingQuotaController = require('../controllers/bookingQuotaController');
+const { auth, feedAuth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
 const router = express.Router();
 
 // Validation middleware
@@ -21,10 +34,41 @@ const validateBooking = [
   body('item_requirements.*.item').optional().isMongoId().withMessage('Item ID must be a valid MongoDB ID'),
   body('item_requirements.*.quantity_needed').optional().isInt({ min: 1 }).withMessage('Quantity needed must be at least 1'),
   body('item_requirements.*.notes').optional().isString().withMessage('Item notes must be a string'),
+  body('resource_ids').optional().isArray().withMessage('Resource IDs must be an array'),
+  body('resource_ids.*').isMongoId().withMessage('Resource ID must be a valid MongoDB ID'),
   body('is_recurring').optional().isBoolean().withMessage('Is recurring must be a boolean'),
-  body('recurring_pattern.frequency').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Invalid recurring frequency'),
+  body('recurring_pattern.frequency').optional().isIn(['daily', 'weekly', 'biweekly', 'monthly', 'custom']).withMessage('Invalid recurring frequency'),
+  body('recurring_pattern.interval').optional().isInt({ min: 1 }).withMessage('Recurring interval must be at least 1'),
   body('recurring_pattern.end_date').optional().isISO8601().withMessage('Recurring end date must be a valid date'),
-  body('recurring_pattern.days_of_week').optional().isArray().withMessage('Days of week must be an array')
+  body('recurring_pattern.days_of_week').optional().isArray().withMessage('Days of week must be an array'),
+  body('recurring_pattern.days_of_week.*').optional().isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('recurring_pattern.month_day').optional().isInt({ min: 1, max: 31 }).withMessage('Month day must be between 1 and 31'),
+  body('recurring_pattern.custom_dates').optional().isArray().withMessage('Custom dates must be an array'),
+  body('recurring_pattern.custom_dates.*').optional().isISO8601().withMessage('Custom dates must be valid dates'),
+  body('skip_conflicts').optional().isBoolean().withMessage('Skip conflicts must be a boolean'),
+  body('override_rules').optional().isArray().withMessage('Override rules must be an array'),
+  body('override_rules.*').optional().isString().withMessage('Override rules must be rule names'),
+  body('override_justification').optional().isString().isLength({ max: 500 }).withMessage('Override justification must be a string of at most 500 characters'),
+  body('participants').optional().isArray().withMessage('Participants must be an array'),
+  body('participants.*.user').optional().isMongoId().withMessage('Participant user ID must be a valid MongoDB ID'),
+  body('participants.*.name').optional().isString().isLength({ max: 200 }).withMessage('Participant name cannot exceed 200 characters'),
+  body('participants.*.external_id').optional().isString().isLength({ max: 100 }).withMessage('External ID cannot exceed 100 characters'),
+  body('participants.*.email').optional().isEmail().withMessage('Participant email must be valid'),
+  body('preempt').optional().isBoolean().withMessage('Preempt must be a boolean'),
+  body('preemption_reason').optional().isString().isLength({ max: 500 }).withMessage('Preemption reason must be a string of at most 500 characters')
+];
+
+const validateOccurrenceScope = [
+  body('scope').optional().isIn(['occurrence', 'following', 'series']).withMessage('Scope must be occurrence, following or series')
+];
+
+const validateOccurrenceUpdate = [
+  ...validateOccurrenceScope,
+  body('start_time').optional().isISO8601().withMessage('Start time must be a valid date'),
+  body('end_time').optional().isISO8601().withMessage('End time must be a valid date'),
+  body('title').optional().isString().notEmpty().withMessage('Title must be a non-empty string'),
+  body('booking_type').optional().isIn(['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other']).withMessage('Invalid booking type'),
+  body('participants_count').optional().isInt({ min: 1 }).withMessage('Participants count must be at least 1')
 ];
 
 const validateApprove = [
@@ -43,11 +87,167 @@ const validateStatus = [
   body('rejection_reason').optional().isString().withMessage('Rejection reason must be a string')
 ];
 
+// Timetable files are parsed in memory and never written to disk
+const timetableUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+const validateImport = [
+  body('format').optional().isIn(['ics', 'csv']).withMessage('Format must be ics or csv'),
+  body('content').optional().isString().withMessage('Content must be a string'),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean'),
+  body('skip_invalid').optional().isBoolean().withMessage('skip_invalid must be a boolean'),
+  body('lab_code').optional().isString().withMessage('Lab code must be a string'),
+  body('field_code').optional().isString().withMessage('Field code must be a string'),
+  body('booking_type').optional().isIn(['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other']).withMessage('Invalid booking type')
+];
+
 const validateAvailability = [
   query('lab_id').isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
   query('start_time').isISO8601().withMessage('Start time must be a valid date'),
   query('end_time').isISO8601().withMessage('End time must be a valid date'),
-  query('exclude_booking_id').optional().isMongoId().withMessage('Exclude booking ID must be a valid MongoDB ID')
+  query('field_id').optional().isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  query('participants_count').optional().isInt({ min: 1 }).withMessage('Participants count must be at least 1'),
+  query('exclude_booking_id').optional().isMongoId().withMessage('Exclude booking ID must be a valid MongoDB ID'),
+  query('resource_ids').optional()
+    .custom(value => [].concat(value).flatMap(id => String(id).split(',')).every(id => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage('Resource IDs must be comma-separated MongoDB IDs')
+];
+
+const BOOKING_TYPES = ['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other'];
+const APPROVER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+const validateWaitlistEntry = [
+  body('lab_id').isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('field_id').isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  body('start_time').isISO8601().withMessage('Start time must be a valid date'),
+  body('end_time').isISO8601().withMessage('End time must be a valid date'),
+  body('title').optional().isString().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('purpose').optional().isString().isLength({ max: 1000 }).withMessage('Purpose cannot exceed 1000 characters'),
+  body('booking_type').optional().isIn(BOOKING_TYPES).withMessage('Invalid booking type'),
+  body('participants_count').optional().isInt({ min: 1 }).withMessage('Participants count must be at least 1'),
+  body('user').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID')
+];
+
+const USER_ROLES = ['admin', 'department_admin', 'lab_manager', 'teacher', 'student', 'external'];
+const QUOTA_ROLES = ['admin', 'department_admin'];
+
+const validateQuota = [
+  body('name').optional().isString().notEmpty().isLength({ max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+  body('applies_to').optional().isIn(['user', 'department']).withMessage('Applies to must be user or department'),
+  body('role').optional({ nullable: true, checkFalsy: true }).isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  body('department').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Department ID must be a valid MongoDB ID'),
+  body('lab').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('period').optional().isIn(['day', 'week', 'month']).withMessage('Period must be day, week or month'),
+  body('max_hours').optional().isFloat({ min: 0.5 }).withMessage('Maximum hours must be at least 0.5'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const validateApprovalChain = [
+  body('name').optional().isString().notEmpty().isLength({ max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+  body('department').optional({ nullable: true }).isMongoId().withMessage('Department ID must be a valid MongoDB ID'),
+  body('lab').optional({ nullable: true }).isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('field').optional({ nullable: true }).isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  body('booking_types').optional().isArray().withMessage('Booking types must be an array'),
+  body('booking_types.*').isIn(BOOKING_TYPES).withMessage('Invalid booking type'),
+  body('requester_roles').optional().isArray().withMessage('Requester roles must be an array'),
+  body('requester_roles.*').isIn(['admin', 'department_admin', 'lab_manager', 'teacher', 'student', 'external']).withMessage('Invalid requester role'),
+  body('steps').optional().isArray({ min: 1, max: 10 }).withMessage('Steps must be an array of 1 to 10 steps'),
+  body('steps.*.name').isString().notEmpty().withMessage('Each step needs a name'),
+  body('steps.*.approver_role').isIn(APPROVER_ROLES).withMessage(`Approver role must be one of: ${APPROVER_ROLES.join(', ')}`),
+  body('steps.*.approvers').optional().isArray().withMessage('Step approvers must be an array'),
+  body('steps.*.approvers.*').isMongoId().withMessage('Approver ID must be a valid MongoDB ID'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const validateDelegation = [
+  body('delegate_id').isMongoId().withMessage('Delegate ID must be a valid MongoDB ID'),
+  body('start_date').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('end_date').isISO8601().withMessage('End date must be a valid date'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+const validateTemplate = [
+  body('name').optional().isString().notEmpty().isLength({ max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('visibility').optional().isIn(['private', 'department']).withMessage('Visibility must be private or department'),
+  body('department').optional({ nullable: true }).isMongoId().withMessage('Department ID must be a valid MongoDB ID'),
+  body('lab').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('field').optional({ nullable: true }).isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  body('title').optional().isString().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('purpose').optional().isString().notEmpty().isLength({ max: 1000 }).withMessage('Purpose is required and cannot exceed 1000 characters'),
+  body('booking_type').optional().isIn(BOOKING_TYPES).withMessage('Invalid booking type'),
+  body('participants_count').optional().isInt({ min: 1 }).withMessage('Participants count must be at least 1'),
+  body('setup_time_needed').optional().isInt({ min: 0 }).withMessage('Setup time must be a non-negative integer'),
+  body('cleanup_time_needed').optional().isInt({ min: 0 }).withMessage('Cleanup time must be a non-negative integer'),
+  body('item_requirements').optional().isArray().withMessage('Item requirements must be an array'),
+  body('item_requirements.*.item').isMongoId().withMessage('Item ID must be a valid MongoDB ID'),
+  body('item_requirements.*.quantity_needed').optional().isInt({ min: 1 }).withMessage('Quantity needed must be at least 1'),
+  body('item_requirements.*.notes').optional().isString().withMessage('Item notes must be a string')
+];
+
+const validateTemplateApply = [
+  body('start_time').isISO8601().withMessage('Start time must be a valid date'),
+  body('end_time').isISO8601().withMessage('End time must be a valid date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.start_time))
+    .withMessage('End time must be after start time'),
+  body('is_recurring').optional().isBoolean().withMessage('Is recurring must be a boolean'),
+  body('recurring_pattern.frequency').optional().isIn(['daily', 'weekly', 'biweekly', 'monthly', 'custom']).withMessage('Invalid recurring frequency'),
+  body('recurring_pattern.end_date').optional().isISO8601().withMessage('Recurring end date must be a valid date'),
+  body('skip_conflicts').optional().isBoolean().withMessage('Skip conflicts must be a boolean'),
+  body('user').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID')
+];
+
+const validateReschedule = [
+  body('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('field_id').optional().isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  body('start_time').optional().isISO8601().withMessage('Start time must be a valid date'),
+  body('end_time').optional().isISO8601().withMessage('End time must be a valid date'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body().custom(value => ['lab_id', 'field_id', 'start_time', 'end_time'].some(key => value[key] !== undefined))
+    .withMessage('Provide a new lab, field, start time or end time')
+];
+
+// Class lists are parsed in memory and never written to disk
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+});
+
+const validateParticipants = [
+  body('participants').isArray({ min: 1 }).withMessage('At least one participant is required'),
+  body('participants.*.user').optional().isMongoId().withMessage('Participant user ID must be a valid MongoDB ID'),
+  body('participants.*.name').optional().isString().isLength({ max: 200 }).withMessage('Participant name cannot exceed 200 characters'),
+  body('participants.*.external_id').optional().isString().isLength({ max: 100 }).withMessage('External ID cannot exceed 100 characters'),
+  body('participants.*.email').optional().isEmail().withMessage('Participant email must be valid'),
+  body('replace').optional().isBoolean().withMessage('Replace must be a boolean')
+];
+
+const validateAttendance = [
+  body('attendance').isArray({ min: 1 }).withMessage('At least one attendance mark is required'),
+  body('attendance.*.participant_id').isMongoId().withMessage('Participant ID must be a valid MongoDB ID'),
+  body('attendance.*.status').isIn(['unmarked', 'present', 'late', 'absent', 'excused']).withMessage('Invalid attendance status'),
+  body('attendance.*.notes').optional().isString().isLength({ max: 500 }).withMessage('Attendance notes cannot exceed 500 characters')
+];
+
+const validateConsumableUsage = [
+  body('consumable_usage.*.item_id').isMongoId().withMessage('Item ID must be a valid MongoDB ID'),
+  body('consumable_usage.*.used_quantity').isInt({ min: 0 }).withMessage('Used quantity must be a non-negative integer'),
+  body('consumable_usage.*.notes').optional().isString().isLength({ max: 500 }).withMessage('Usage notes cannot exceed 500 characters')
+];
+
+const validateSlotSearch = [
+  query('field_id').isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  query('duration_minutes').isInt({ min: 15, max: 1440 }).withMessage('Duration must be between 15 and 1440 minutes'),
+  query('participants_count').optional().isInt({ min: 1 }).withMessage('Participants count must be at least 1'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('setup_minutes').optional().isInt({ min: 0, max: 240 }).withMessage('Setup time must be between 0 and 240 minutes'),
+  query('cleanup_minutes').optional().isInt({ min: 0, max: 240 }).withMessage('Cleanup time must be between 0 and 240 minutes'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID')
 ];
 
 // Routes
@@ -77,6 +277,45 @@ router.get('/calendar',
   bookingController.getBookingCalendar
 );
 
+// Create or rotate the current user's calendar feed token
+router.post('/calendar/feed-token',
+  auth,
+  calendarFeedController.createFeedToken
+);
+
+// Revoke the current user's calendar feed token
+router.delete('/calendar/feed-token',
+  auth,
+  calendarFeedController.revokeFeedToken
+);
+
+// iCalendar feeds (authenticated with ?token= instead of the JWT)
+router.get('/calendar/feeds/my.ics',
+  feedAuth,
+  calendarFeedController.getMyFeed
+);
+
+router.get('/calendar/feeds/labs/:id.ics',
+  feedAuth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  calendarFeedController.getLabFeed
+);
+
+router.get('/calendar/feeds/fields/:id.ics',
+  feedAuth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  calendarFeedController.getFieldFeed
+);
+
+router.get('/calendar/feeds/departments/:department_id.ics',
+  feedAuth,
+  checkDepartmentAccess,
+  param('department_id').isMongoId().withMessage('Department ID must be a valid MongoDB ID'),
+  calendarFeedController.getDepartmentFeed
+);
+
 // Get pending bookings count (for admin dashboard)
 router.get('/pending/count',
   auth,
@@ -107,6 +346,294 @@ router.get('/utilization/report',
   bookingController.getLabUtilizationReport
 );
 
+// Get a recurring booking series with its occurrences
+router.get('/series/:seriesId',
+  auth,
+  param('seriesId').isMongoId().withMessage('Series ID must be a valid MongoDB ID'),
+  bookingSeriesController.getSeries
+);
+
+// Waitlist for slots that are already booked
+router.post('/waitlist',
+  auth,
+  checkDepartmentAccess,
+  validateWaitlistEntry,
+  waitlistController.joinWaitlist
+);
+
+router.get('/waitlist/my',
+  auth,
+  query('status').optional().isIn(['waiting', 'promoted', 'claimed', 'expired', 'cancelled']).withMessage('Invalid waitlist status'),
+  waitlistController.getMyWaitlist
+);
+
+router.get('/waitlist',
+  auth,
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  checkDepartmentAccess,
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('field_id').optional().isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  waitlistController.getWaitlist
+);
+
+router.post('/waitlist/:id/claim',
+  auth,
+  param('id').isMongoId().withMessage('Waitlist entry ID must be a valid MongoDB ID'),
+  waitlistController.claimWaitlistEntry
+);
+
+router.patch('/waitlist/:id/cancel',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Waitlist entry ID must be a valid MongoDB ID'),
+  waitlistController.leaveWaitlist
+);
+
+// Multi-stage approval chains
+router.get('/approval-chains',
+  auth,
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  checkDepartmentAccess,
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  approvalChainController.getApprovalChains
+);
+
+router.post('/approval-chains',
+  auth,
+  checkRole(['admin', 'department_admin']),
+  checkDepartmentAccess,
+  body('name').exists().withMessage('Name is required'),
+  body('steps').exists().withMessage('At least one step is required'),
+  validateApprovalChain,
+  approvalChainController.createApprovalChain
+);
+
+router.put('/approval-chains/:id',
+  auth,
+  checkRole(['admin', 'department_admin']),
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Approval chain ID must be a valid MongoDB ID'),
+  validateApprovalChain,
+  approvalChainController.updateApprovalChain
+);
+
+router.delete('/approval-chains/:id',
+  auth,
+  checkRole(['admin', 'department_admin']),
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Approval chain ID must be a valid MongoDB ID'),
+  approvalChainController.deleteApprovalChain
+);
+
+// Bookings waiting for the current user's sign-off, and approval delegation
+router.get('/approvals/pending',
+  auth,
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  approvalChainController.getPendingApprovals
+);
+
+router.put('/approvals/delegation',
+  auth,
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  validateDelegation,
+  approvalChainController.setDelegation
+);
+
+router.delete('/approvals/delegation',
+  auth,
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  approvalChainController.clearDelegation
+);
+
+// Saved booking templates (private or shared with a department)
+router.get('/templates',
+  auth,
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('visibility').optional().isIn(['private', 'department']).withMessage('Visibility must be private or department'),
+  bookingTemplateController.getTemplates
+);
+
+router.post('/templates',
+  auth,
+  body('name').exists().withMessage('Name is required'),
+  body('lab').exists().withMessage('Lab is required'),
+  body('purpose').exists().withMessage('Purpose is required'),
+  validateTemplate,
+  bookingTemplateController.createTemplate
+);
+
+router.get('/templates/:id',
+  auth,
+  param('id').isMongoId().withMessage('Template ID must be a valid MongoDB ID'),
+  bookingTemplateController.getTemplate
+);
+
+router.put('/templates/:id',
+  auth,
+  param('id').isMongoId().withMessage('Template ID must be a valid MongoDB ID'),
+  validateTemplate,
+  bookingTemplateController.updateTemplate
+);
+
+router.delete('/templates/:id',
+  auth,
+  param('id').isMongoId().withMessage('Template ID must be a valid MongoDB ID'),
+  bookingTemplateController.deleteTemplate
+);
+
+router.get('/templates/:id/stock-check',
+  auth,
+  param('id').isMongoId().withMessage('Template ID must be a valid MongoDB ID'),
+  query('start_time').isISO8601().withMessage('Start time must be a valid date'),
+  query('end_time').isISO8601().withMessage('End time must be a valid date'),
+  bookingTemplateController.checkTemplateStock
+);
+
+router.post('/templates/:id/apply',
+  auth,
+  param('id').isMongoId().withMessage('Template ID must be a valid MongoDB ID'),
+  validateTemplateApply,
+  bookingTemplateController.applyTemplate
+);
+
+// Check in from the QR code at the lab door
+router.post('/check-in',
+  auth,
+  body('lab_token').isString().notEmpty().withMessage('Lab token is required'),
+  checkInController.checkInWithLabToken
+);
+
+router.post('/check-in/labs/:labId/token',
+  auth,
+  checkRole(['admin', 'lab_manager']),
+  checkDepartmentAccess,
+  param('labId').isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  checkInController.generateLabToken
+);
+
+// Lift the no-show booking restriction for a user
+router.patch('/no-shows/users/:userId/reset',
+  auth,
+  checkRole(['admin', 'lab_manager']),
+  param('userId').isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  checkInController.resetNoShows
+);
+
+// Reschedule requests awaiting a decision
+router.get('/reschedule-requests',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']).withMessage('Invalid reschedule status'),
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  rescheduleController.getRescheduleRequests
+);
+
+// Bookings that lost their slot to a higher-priority booking
+router.get('/preemptions',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  preemptionController.getPreemptionReport
+);
+
+// Attendance history of a user (yourself by default) or an external participant
+router.get('/attendance/history',
+  auth,
+  checkDepartmentAccess,
+  query('user_id').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  query('external_id').optional().isString().notEmpty().withMessage('External ID must be a string'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  bookingRosterController.getAttendanceHistory
+);
+
+// Requested vs used consumables, flagging teachers and courses that over-request
+router.get('/consumables/variance',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('user_id').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  query('field_id').optional().isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  query('threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Threshold must be a percentage between 0 and 100'),
+  query('min_bookings').optional().isInt({ min: 1 }).withMessage('Minimum bookings must be at least 1'),
+  consumableReconciliationController.getConsumableVariance
+);
+
+// Booking hour quotas
+router.get('/quotas',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  query('role').optional().isIn(USER_ROLES).withMessage('Invalid role'),
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('period').optional().isIn(['day', 'week', 'month']).withMessage('Period must be day, week or month'),
+  query('include_inactive').optional().isBoolean().withMessage('include_inactive must be a boolean'),
+  bookingQuotaController.getQuotas
+);
+
+router.post('/quotas',
+  auth,
+  checkRole(QUOTA_ROLES),
+  checkDepartmentAccess,
+  body('name').exists().withMessage('Name is required'),
+  body('period').exists().withMessage('Period is required'),
+  body('max_hours').exists().withMessage('Maximum hours is required'),
+  validateQuota,
+  bookingQuotaController.createQuota
+);
+
+// Your usage against each quota that applies to you (managers may pass user_id)
+router.get('/quotas/usage',
+  auth,
+  checkDepartmentAccess,
+  query('user_id').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  query('at').optional().isISO8601().withMessage('At must be a valid date'),
+  bookingQuotaController.getQuotaUsage
+);
+
+// Quota usage of every user in your departments
+router.get('/quotas/usage/users',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  query('role').optional().isIn(USER_ROLES).withMessage('Invalid role'),
+  query('department_id').optional().isMongoId().withMessage('Department ID must be a valid MongoDB ID'),
+  query('exceeded_only').optional().isBoolean().withMessage('exceeded_only must be a boolean'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  bookingQuotaController.getUsersQuotaUsage
+);
+
+router.put('/quotas/:id',
+  auth,
+  checkRole(QUOTA_ROLES),
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Quota ID must be a valid MongoDB ID'),
+  validateQuota,
+  bookingQuotaController.updateQuota
+);
+
+router.delete('/quotas/:id',
+  auth,
+  checkRole(QUOTA_ROLES),
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Quota ID must be a valid MongoDB ID'),
+  bookingQuotaController.deleteQuota
+);
+
 // Get specific booking
 router.get('/:id',
   auth,
@@ -121,19 +648,31 @@ router.post('/',
   bookingController.createBooking
 );
 
-// Approve booking (Lab Manager only)
+// Import bookings from an .ics or CSV timetable (dry run unless dry_run=false)
+router.post('/import',
+  auth,
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  checkDepartmentAccess,
+  timetableUpload.single('file'),
+  validateImport,
+  bookingImportController.importBookings
+);
+
+// Approve booking, or the current step of its approval chain
 router.patch('/:id/approve',
   auth,
-  checkRole(['admin', 'lab_manager']),
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  checkDepartmentAccess,
   param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
   validateApprove,
   bookingController.approveBooking
 );
 
-// Reject booking (Lab Manager only)
+// Reject booking (at any step of its approval chain)
 router.patch('/:id/reject',
   auth,
-  checkRole(['admin', 'lab_manager']),
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  checkDepartmentAccess,
   param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
   validateReject,
   bookingController.rejectBooking
@@ -148,6 +687,97 @@ router.put('/:id/status',
   bookingController.updateBookingStatus
 );
 
+// Check in to / out of a booking
+router.post('/:id/check-in',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  body('lab_token').optional().isString().withMessage('Lab token must be a string'),
+  checkInController.checkInBooking
+);
+
+router.post('/:id/check-out',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  checkInController.checkOutBooking
+);
+
+// Reschedule an approved booking (the current slot is kept until approval)
+router.post('/:id/reschedule',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  validateReschedule,
+  rescheduleController.requestReschedule
+);
+
+router.patch('/:id/reschedule/approve',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  rescheduleController.approveReschedule
+);
+
+router.patch('/:id/reschedule/reject',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  validateReject,
+  rescheduleController.rejectReschedule
+);
+
+router.patch('/:id/reschedule/cancel',
+  auth,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  rescheduleController.cancelReschedule
+);
+
+// Participant roster and attendance
+router.get('/:id/participants',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  bookingRosterController.getParticipants
+);
+
+router.post('/:id/participants',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  validateParticipants,
+  bookingRosterController.addParticipants
+);
+
+router.post('/:id/participants/import',
+  auth,
+  checkDepartmentAccess,
+  rosterUpload.single('file'),
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  body('content').optional().isString().withMessage('Content must be a string'),
+  body('replace').optional().isBoolean().withMessage('Replace must be a boolean'),
+  bookingRosterController.importParticipants
+);
+
+router.delete('/:id/participants/:participantId',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  param('participantId').isMongoId().withMessage('Participant ID must be a valid MongoDB ID'),
+  bookingRosterController.removeParticipant
+);
+
+router.patch('/:id/attendance',
+  auth,
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  validateAttendance,
+  bookingRosterController.markAttendance
+);
+
 // Cancel booking
 router.patch('/:id/cancel',
   auth,
@@ -155,14 +785,46 @@ router.patch('/:id/cancel',
   bookingController.cancelBooking
 );
 
-// Complete booking (admin/lab_manager only)
+// Edit an occurrence of a recurring booking (this / this and following / whole series)
+router.patch('/:id/occurrences',
+  auth,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  validateOccurrenceUpdate,
+  bookingSeriesController.updateOccurrences
+);
+
+// Cancel an occurrence of a recurring booking (this / this and following / whole series)
+router.patch('/:id/occurrences/cancel',
+  auth,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  validateOccurrenceScope,
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  bookingSeriesController.cancelOccurrences
+);
+
+// Complete booking (admin/lab_manager only), optionally with the consumables actually used
 router.patch('/:id/complete',
   auth,
   checkRole(['admin', 'lab_manager']),
   param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  body('consumable_usage').optional().isArray().withMessage('Consumable usage must be an array'),
+  validateConsumableUsage,
+  body('reconciliation_notes').optional().isString().isLength({ max: 1000 }).withMessage('Reconciliation notes cannot exceed 1000 characters'),
   bookingController.completeBooking
 );
 
+// Enter consumable usage for a booking completed without it
+router.patch('/:id/consumables/reconcile',
+  auth,
+  checkRole(APPROVER_ROLES),
+  checkDepartmentAccess,
+  param('id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  body('consumable_usage').isArray({ min: 1 }).withMessage('Consumable usage is required'),
+  validateConsumableUsage,
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  consumableReconciliationController.reconcileConsumables
+);
+
 // Check lab availability
 router.get('/availability/check',
   auth,
@@ -170,6 +832,14 @@ router.get('/availability/check',
   bookingController.checkLabAvailability
 );
 
+// Find free slots for a field across labs
+router.get('/availability/slots',
+  auth,
+  checkDepartmentAccess,
+  validateSlotSearch,
+  bookingController.findAvailableSlots
+);
+
 // Get my bookings (current user)
 router.get('/my/bookings',
   auth,
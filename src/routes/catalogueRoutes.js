@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, query, param } = require('express-validator');
 const catalogueController = require('../controllers/catalogueController');
+const labelController = require('../controllers/labelController');
 const { auth, checkRole } = require('../middleware/auth.middleware');
 
 // Validation middleware for catalogue items
@@ -47,6 +48,17 @@ router.get('/item/:id',
     catalogueController.getCatalogueItem
 );
 
+// GET /api/catalogue/item/:id/label - Barcode or QR label carrying the catalogue code
+router.get('/item/:id/label',
+    auth,
+    param('id').isMongoId().withMessage('Invalid catalogue item ID'),
+    query('symbology').optional().isIn(['qr', 'code128']).withMessage('Symbology must be qr or code128'),
+    query('format').optional().isIn(['svg', 'png']).withMessage('Format must be svg or png'),
+    query('scale').optional().isInt({ min: 1, max: 20 }).withMessage('Scale must be between 1 and 20'),
+    query('show_text').optional().isBoolean().withMessage('Show text must be a boolean'),
+    labelController.getCatalogueItemLabel
+);
+
 // POST /api/catalogue - Create a new catalogue item
 router.post('/',
     auth,
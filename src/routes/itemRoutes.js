@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, query, param } = require('express-validator');
 const itemController = require('../controllers/itemController');
+const labelController = require('../controllers/labelController');
 const { auth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
 
 // Validation middleware
@@ -23,7 +24,15 @@ const validateItem = [
     body('unit').optional().isString(),
     body('expiry_date').optional().isISO8601().withMessage('Invalid expiry date'),
     body('minimum_quantity').optional().isInt({ min: 0 }).withMessage('Minimum quantity must be a positive number'),
-    body('description').optional().isString()
+    body('description').optional().isString(),
+    body('lot').optional().isObject().withMessage('Lot must be an object'),
+    body('lot.lot_number')
+        .if(body('lot').exists())
+        .isString().trim().isLength({ min: 1, max: 50 })
+        .withMessage('Lot number is required (max 50 characters)'),
+    body('lot.expiry_date').optional({ values: 'null' }).isISO8601().withMessage('Invalid lot expiry date'),
+    body('lot.received_date').optional().isISO8601().withMessage('Invalid lot received date'),
+    body('lot.supplier').optional().isString().isLength({ max: 100 }).withMessage('Supplier cannot exceed 100 characters')
 ];
 
 const validateStockAdjustment = [
@@ -37,6 +46,21 @@ const validateStockAdjustment = [
     body('expiry_date').optional().isISO8601().withMessage('Invalid expiry date')
 ];
 
+const validateLabel = [
+    query('symbology').optional().isIn(['qr', 'code128']).withMessage('Symbology must be qr or code128'),
+    query('format').optional().isIn(['svg', 'png']).withMessage('Format must be svg or png'),
+    query('scale').optional().isInt({ min: 1, max: 20 }).withMessage('Scale must be between 1 and 20'),
+    query('show_text').optional().isBoolean().withMessage('Show text must be a boolean')
+];
+
+const validateTimeWindow = [
+    query('start_time').isISO8601().withMessage('Start time must be a valid date'),
+    query('end_time').isISO8601().withMessage('End time must be a valid date')
+        .custom((value, { req }) => new Date(value) > new Date(req.query.start_time))
+        .withMessage('End time must be after start time'),
+    query('exclude_booking_id').optional().isMongoId().withMessage('Invalid booking ID')
+];
+
 const validateMoveItem = [
     body('target_lab_id').isMongoId().withMessage('Valid target lab ID is required'),
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive number'),
@@ -96,9 +120,50 @@ router.get('/expiring',
     checkDepartmentAccess,
     query('days').optional().isInt({ min: 1 }),
     query('lab_id').optional().isMongoId(),
+    query('include_expired').optional().isBoolean(),
     itemController.getExpiringItems
 );
 
+// GET /api/items/availability - Item availability in a lab for a time window
+router.get('/availability',
+    auth,
+    checkDepartmentAccess,
+    query('lab_id').isMongoId().withMessage('Valid lab ID is required'),
+    query('item_ids').optional()
+        .custom(value => String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id.trim())))
+        .withMessage('Item IDs must be a comma-separated list of valid IDs'),
+    validateTimeWindow,
+    itemController.getItemsAvailability
+);
+
+// GET /api/items/scan - Resolve a scanned barcode to items, stock and open borrows
+router.get('/scan',
+    auth,
+    checkDepartmentAccess,
+    query('code').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Scanned code is required'),
+    query('lab_id').optional().isMongoId().withMessage('Valid lab ID is required'),
+    labelController.scanCode
+);
+
+// GET /api/items/:id/label - Barcode or QR label for an item
+router.get('/:id/label',
+    auth,
+    checkDepartmentAccess,
+    param('id').isMongoId().withMessage('Invalid item ID'),
+    query('content').optional().isIn(['id', 'code', 'serial']).withMessage('Content must be id, code or serial'),
+    validateLabel,
+    labelController.getItemLabel
+);
+
+// GET /api/items/:id/availability - Availability of one item for a time window
+router.get('/:id/availability',
+    auth,
+    checkDepartmentAccess,
+    param('id').isMongoId().withMessage('Invalid item ID'),
+    validateTimeWindow,
+    itemController.getItemAvailability
+);
+
 // GET /api/items/:id - Get item by ID
 router.get('/:id',
     auth,
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const {
+  getResources,
+  getResourceAvailability,
+  createResource,
+  updateResource,
+  deleteResource
+} = require('../controllers/labResourceController');
+const { auth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
+
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+const RESOURCE_TYPES = ['bench', 'workstation', 'fume_hood', 'instrument', 'other'];
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Validation rules
+const resourceValidationRules = [
+  param('labId').isMongoId().withMessage('Invalid lab ID'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+  body('code').optional().isString().trim().isLength({ max: 20 }).withMessage('Code cannot exceed 20 characters'),
+  body('type').optional().isIn(RESOURCE_TYPES).withMessage(`Type must be one of: ${RESOURCE_TYPES.join(', ')}`),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('item').optional({ nullable: true }).isMongoId().withMessage('Item ID must be a valid MongoDB ID'),
+  body('status').optional().isIn(['available', 'maintenance', 'out_of_service']).withMessage('Invalid resource status'),
+  body('availability').optional().isObject().withMessage('Availability must be an object of days'),
+  ...DAYS.flatMap(day => [
+    body(`availability.${day}.open`).optional().matches(TIME).withMessage(`${day} opening time must be HH:mm`),
+    body(`availability.${day}.close`).optional().matches(TIME).withMessage(`${day} closing time must be HH:mm`)
+  ]),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+// Routes
+router.get('/',
+  param('labId').isMongoId().withMessage('Invalid lab ID'),
+  query('type').optional().isIn(RESOURCE_TYPES).withMessage('Invalid resource type'),
+  query('include_inactive').optional().isBoolean().withMessage('include_inactive must be a boolean'),
+  getResources
+);
+
+router.get('/availability',
+  param('labId').isMongoId().withMessage('Invalid lab ID'),
+  query('from').isISO8601().withMessage('From must be a valid date'),
+  query('to').isISO8601().withMessage('To must be a valid date'),
+  getResourceAvailability
+);
+
+router.post('/',
+  checkRole(MANAGER_ROLES),
+  checkDepartmentAccess,
+  body('name').exists().withMessage('Name is required'),
+  body('type').exists().withMessage('Type is required'),
+  resourceValidationRules,
+  createResource
+);
+
+router.route('/:resourceId')
+  .put(
+    checkRole(MANAGER_ROLES),
+    checkDepartmentAccess,
+    param('resourceId').isMongoId().withMessage('Invalid resource ID'),
+    resourceValidationRules,
+    updateResource
+  )
+  .delete(
+    checkRole(MANAGER_ROLES),
+    checkDepartmentAccess,
+    param('labId').isMongoId().withMessage('Invalid lab ID'),
+    param('resourceId').isMongoId().withMessage('Invalid resource ID'),
+    deleteResource
+  );
+
+module.exports = router;
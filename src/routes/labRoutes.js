@@ -16,8 +16,12 @@ const {
   checkLabAvailability
 } = require('../controllers/labController');
 
+const { previewClosure, closeLab } = require('../controllers/labClosureController');
+const { getLabLabelSheet } = require('../controllers/labelController');
+
 // Import assignment routes
 const assignmentRoutes = require('./labAssignmentRoutes');
+const resourceRoutes = require('./labResourceRoutes');
 
 // Enhanced checkDepartmentAccess that works with async/await
 const enhancedCheckDepartmentAccess = async (req, res, next) => {
@@ -115,6 +119,22 @@ const validateMaintenance = [
   body('parts_replaced').optional().isArray()
 ];
 
+const validateClosure = [
+  param('id').isMongoId().withMessage('Invalid lab ID'),
+  body('status').optional().isIn(['maintenance', 'inactive']).withMessage('Closure status must be maintenance or inactive'),
+  body('start_time').optional().isISO8601().withMessage('Invalid start time format'),
+  body('end_time').optional().isISO8601().withMessage('Invalid end time format'),
+  body('field_id').optional().isMongoId().withMessage('Invalid field ID'),
+  body('reason').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Reason is required and cannot exceed 500 characters'),
+  body('auto_move').optional().isBoolean().withMessage('auto_move must be a boolean'),
+  body('moves').optional().isArray().withMessage('Moves must be an array'),
+  body('moves.*.booking_id').isMongoId().withMessage('Booking ID must be a valid MongoDB ID'),
+  body('moves.*.lab_id').isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('moves.*.field_id').optional().isMongoId().withMessage('Field ID must be a valid MongoDB ID'),
+  body('moves.*.start_time').optional().isISO8601().withMessage('Invalid start time format'),
+  body('moves.*.end_time').optional().isISO8601().withMessage('Invalid end time format')
+];
+
 // Validation rules for labs endpoint
 const labQueryValidations = [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -213,6 +233,9 @@ router.get('/:id/stats',
 // Lab assignment routes (nested under /:labId/assignments)
 router.use('/:labId/assignments', assignmentRoutes);
 
+// Bookable resources inside a lab (nested under /:labId/resources)
+router.use('/:labId/resources', resourceRoutes);
+
 // Debug endpoint to test lab creation
 router.post('/debug-create', (req, res) => {
   console.log('=== DEBUG LAB CREATION ===');
@@ -516,4 +539,42 @@ router.post('/:id/maintenance',
   logMaintenance
 );
 
+// Printable sheet of barcode/QR labels for the lab's items
+router.get('/:id/labels',
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  checkDepartmentAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid lab ID'),
+    query('symbology').optional().isIn(['qr', 'code128']).withMessage('Symbology must be qr or code128'),
+    query('content').optional().isIn(['id', 'code', 'serial']).withMessage('Content must be id, code or serial'),
+    query('type').optional().isIn(['consumable', 'non_consumable', 'fixed_asset']).withMessage('Invalid item type'),
+    query('item_ids').optional()
+      .custom(value => String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id.trim())))
+      .withMessage('Item IDs must be a comma-separated list of valid IDs'),
+    query('copies').optional().isInt({ min: 1, max: 10 }).withMessage('Copies must be between 1 and 10')
+  ],
+  getLabLabelSheet
+);
+
+// Bookings a closure would affect, with alternative labs
+router.get('/:id/closure/preview',
+  checkRole(['admin', 'department_admin', 'lab_manager']),
+  checkDepartmentAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid lab ID'),
+    query('start_time').optional().isISO8601().withMessage('Invalid start time format'),
+    query('end_time').optional().isISO8601().withMessage('Invalid end time format'),
+    query('field_id').optional().isMongoId().withMessage('Invalid field ID')
+  ],
+  previewClosure
+);
+
+// Close a lab or one of its fields and cancel or move the affected bookings
+router.post('/:id/closure',
+  checkRole(['admin', 'department_admin']),
+  checkDepartmentAccess,
+  validateClosure,
+  closeLab
+);
+
 module.exports = router;
\ No newline at end of file
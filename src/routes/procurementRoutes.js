@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const procurementController = require('../controllers/procurementController');
+const supplierController = require('../controllers/supplierController');
+const { auth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseRequisition = require('../models/PurchaseRequisition');
+const router = express.Router();
+
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+const APPROVER_ROLES = ['admin', 'department_admin'];
+
+const validateId = [
+  param('id').isMongoId().withMessage('Invalid ID')
+];
+
+const validateListing = [
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const validateReason = [
+  ...validateId,
+  body('reason').isString().notEmpty().isLength({ max: 500 }).withMessage('Reason is required (max 500 characters)')
+];
+
+const validateSupplier = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 150 }).withMessage('Name must be 1-150 characters'),
+  body('code').optional().isString().trim().isLength({ min: 1, max: 20 }).withMessage('Code must be 1-20 characters'),
+  body('contacts').optional().isArray().withMessage('Contacts must be an array'),
+  body('contacts.*.name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each contact needs a name (max 100 characters)'),
+  body('contacts.*.email').optional({ values: 'falsy' }).isEmail().withMessage('Contact email must be valid'),
+  body('contacts.*.is_primary').optional().isBoolean().withMessage('Is primary must be a boolean'),
+  body('terms.payment_terms_days').optional().isInt({ min: 0 }).withMessage('Payment terms must be zero or more days'),
+  body('terms.currency').optional({ values: 'null' }).isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('terms.minimum_order_value').optional().isFloat({ min: 0 }).withMessage('Minimum order value cannot be negative'),
+  body('terms.default_lead_time_days').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Lead time must be zero or more days'),
+  body('terms.delivery_terms').optional().isString().isLength({ max: 200 }).withMessage('Delivery terms cannot exceed 200 characters'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Email must be valid'),
+  body('phone').optional().isString().withMessage('Phone must be a string'),
+  body('address').optional().isString().isLength({ max: 500 }).withMessage('Address cannot exceed 500 characters'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('is_active').optional().isBoolean().withMessage('Is active must be a boolean')
+];
+
+const validateOffer = [
+  body('supplier_sku').optional().isString().isLength({ max: 50 }).withMessage('Supplier SKU cannot exceed 50 characters'),
+  body('pack_size').optional().isInt({ min: 1 }).withMessage('Pack size must be at least 1'),
+  body('unit_price').optional().isFloat({ min: 0 }).withMessage('Unit price cannot be negative'),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('price_effective_from').optional().isISO8601().withMessage('Price effective date must be a valid date'),
+  body('lead_time_days').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Lead time must be zero or more days'),
+  body('minimum_order_packs').optional().isInt({ min: 1 }).withMessage('Minimum order must be at least 1 pack'),
+  body('is_preferred').optional().isBoolean().withMessage('Is preferred must be a boolean'),
+  body('is_active').optional().isBoolean().withMessage('Is active must be a boolean'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateRequisition = [
+  body('lab_id').isMongoId().withMessage('Valid lab ID is required'),
+  body('lines').isArray({ min: 1 }).withMessage('Lines must be a non-empty array'),
+  body('lines.*.catalogue_item_id').isMongoId().withMessage('Each line needs a valid catalogue item ID'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('lines.*.estimated_unit_price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Estimated unit price cannot be negative'),
+  body('lines.*.notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('justification').optional().isString().isLength({ max: 1000 }).withMessage('Justification cannot exceed 1000 characters'),
+  body('needed_by').optional().isISO8601().withMessage('Needed by must be a valid date')
+];
+
+const validateOrderFields = [
+  body('lines').optional().isArray().withMessage('Lines must be an array'),
+  body('lines.*.description').optional().isString().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('expected_delivery_date').optional({ values: 'falsy' }).isISO8601().withMessage('Expected delivery date must be a valid date'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+const validateCreateOrder = [
+  body('supplier_id').isMongoId().withMessage('Valid supplier ID is required'),
+  body('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  body('requisition_ids').optional().isArray().withMessage('Requisition IDs must be an array'),
+  body('requisition_ids.*').isMongoId().withMessage('Each requisition ID must be a valid MongoDB ID'),
+  // Lines entered directly on the order (not from a requisition)
+  body('lines.*.catalogue_item_id').isMongoId().withMessage('Each line needs a valid catalogue item ID'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  // Without a unit_price the supplier's offer price is used
+  body('lines.*.unit_price').optional().isFloat({ min: 0 }).withMessage('Unit price cannot be negative'),
+  body().custom(value => (value.requisition_ids || []).length > 0 || (value.lines || []).length > 0)
+    .withMessage('Give requisition IDs or lines to order'),
+  ...validateOrderFields
+];
+
+const validateUpdateOrder = [
+  ...validateId,
+  body('supplier_id').optional().isMongoId().withMessage('Supplier ID must be a valid MongoDB ID'),
+  body('lines.*.line_id').optional().isMongoId().withMessage('Line ID must be a valid MongoDB ID'),
+  body('lines.*.catalogue_item_id').optional().isMongoId().withMessage('Catalogue item ID must be a valid MongoDB ID'),
+  body('lines.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('lines.*.unit_price').optional().isFloat({ min: 0 }).withMessage('Unit price cannot be negative'),
+  // Lines without a line_id are new and need the same fields as on creation
+  body('lines.*').custom(line => Boolean(line.line_id) || (Boolean(line.catalogue_item_id) && line.quantity !== undefined))
+    .withMessage('New lines need a catalogue item ID and quantity'),
+  ...validateOrderFields
+];
+
+const validateReceipt = [
+  ...validateId,
+  body('lines').isArray({ min: 1 }).withMessage('Lines must be a non-empty array'),
+  body('lines.*.line_id').isMongoId().withMessage('Each received line needs a valid line ID'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Received quantity must be at least 1'),
+  body('lines.*.lot_number').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Lot number must be 1-50 characters'),
+  body('lines.*.expiry_date').optional().isISO8601().withMessage('Expiry date must be a valid date'),
+  body('delivery_note').optional().isString().isLength({ max: 100 }).withMessage('Delivery note cannot exceed 100 characters'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Suppliers
+router.get('/suppliers', auth, checkRole(MANAGER_ROLES), [
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('include_inactive').optional().isBoolean().withMessage('Include inactive must be a boolean')
+], supplierController.getSuppliers);
+router.post('/suppliers', auth, checkRole(APPROVER_ROLES), [
+  body('name').isString().notEmpty().withMessage('Name is required'),
+  body('code').isString().notEmpty().withMessage('Code is required'),
+  ...validateSupplier
+], supplierController.createSupplier);
+router.get('/suppliers/:id', auth, checkRole(MANAGER_ROLES), validateId, supplierController.getSupplier);
+router.put('/suppliers/:id', auth, checkRole(APPROVER_ROLES), [...validateId, ...validateSupplier], supplierController.updateSupplier);
+router.delete('/suppliers/:id', auth, checkRole(APPROVER_ROLES), validateId, supplierController.deleteSupplier);
+
+// Supplier offers (catalogue pricing and lead times)
+router.get('/suppliers/:id/offers', auth, checkRole(MANAGER_ROLES), [
+  ...validateId,
+  query('include_inactive').optional().isBoolean().withMessage('Include inactive must be a boolean')
+], supplierController.getOffers);
+router.post('/suppliers/:id/offers', auth, checkRole(APPROVER_ROLES), [
+  ...validateId,
+  body('catalogue_item_id').isMongoId().withMessage('Valid catalogue item ID is required'),
+  body('unit_price').isFloat({ min: 0 }).withMessage('Unit price is required and cannot be negative'),
+  ...validateOffer
+], supplierController.createOffer);
+router.put('/offers/:id', auth, checkRole(APPROVER_ROLES), [...validateId, ...validateOffer], supplierController.updateOffer);
+router.delete('/offers/:id', auth, checkRole(APPROVER_ROLES), validateId, supplierController.deleteOffer);
+
+// Requisitions
+router.get('/requisitions', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, [
+  ...validateListing,
+  query('status').optional().isIn(PurchaseRequisition.STATUSES).withMessage('Invalid requisition status'),
+  query('source').optional().isIn(PurchaseRequisition.SOURCES).withMessage('Source must be manual or auto_reorder')
+], procurementController.getRequisitions);
+router.post('/requisitions', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateRequisition, procurementController.createRequisition);
+router.post('/requisitions/reorder', auth, checkRole(['admin']), procurementController.runReorder);
+router.get('/requisitions/:id', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateId, procurementController.getRequisition);
+router.post('/requisitions/:id/approve', auth, checkRole(APPROVER_ROLES), checkDepartmentAccess, validateId, procurementController.approveRequisition);
+router.post('/requisitions/:id/reject', auth, checkRole(APPROVER_ROLES), checkDepartmentAccess, validateReason, procurementController.rejectRequisition);
+router.post('/requisitions/:id/cancel', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateId, procurementController.cancelRequisition);
+
+// Purchase orders
+router.get('/purchase-orders', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, [
+  ...validateListing,
+  query('status').optional().isIn(PurchaseOrder.STATUSES).withMessage('Invalid purchase order status'),
+  query('supplier_id').optional().isMongoId().withMessage('Supplier ID must be a valid MongoDB ID')
+], procurementController.getPurchaseOrders);
+router.post('/purchase-orders', auth, checkRole(APPROVER_ROLES), checkDepartmentAccess, validateCreateOrder, procurementController.createPurchaseOrder);
+router.get('/purchase-orders/:id', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateId, procurementController.getPurchaseOrder);
+router.put('/purchase-orders/:id', auth, checkRole(APPROVER_ROLES), checkDepartmentAccess, validateUpdateOrder, procurementController.updatePurchaseOrder);
+router.post('/purchase-orders/:id/issue', auth, checkRole(APPROVER_ROLES), checkDepartmentAccess, validateId, procurementController.issuePurchaseOrder);
+router.post('/purchase-orders/:id/cancel', auth, checkRole(APPROVER_ROLES), checkDepartmentAccess, validateReason, procurementController.cancelPurchaseOrder);
+router.post('/purchase-orders/:id/receive', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateReceipt, procurementController.receiveGoods);
+
+module.exports = router;
@@ -21,6 +21,33 @@ const validateStockOperation = [
     .trim()
 ];
 
+// Received stock can be recorded as a lot with its own expiry
+const validateLot = [
+  body('lot')
+    .optional()
+    .isObject()
+    .withMessage('Lot must be an object'),
+  body('lot.lot_number')
+    .if(body('lot').exists())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot number is required (max 50 characters)'),
+  body('lot.expiry_date')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid lot expiry date'),
+  body('lot.received_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid lot received date'),
+  body('lot.supplier')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Supplier cannot exceed 100 characters')
+];
+
 // Add stock to item
 router.post(
   '/:itemId/add',
@@ -29,11 +56,27 @@ router.post(
   checkDepartmentAccess,
   [
     param('itemId').isMongoId().withMessage('Invalid item ID'),
-    ...validateStockOperation
+    ...validateStockOperation,
+    ...validateLot
   ],
   stockController.addStock
 );
 
+// Lots of an item, first to expire first
+router.get(
+  '/:itemId/lots',
+  auth,
+  checkDepartmentAccess,
+  [
+    param('itemId').isMongoId().withMessage('Invalid item ID'),
+    query('include_empty')
+      .optional()
+      .isBoolean()
+      .withMessage('Include empty must be a boolean')
+  ],
+  stockController.getLots
+);
+
 // Remove stock from item
 router.post(
   '/:itemId/remove',
@@ -135,7 +178,11 @@ router.get(
     query('days')
       .optional()
       .isInt({ min: 1 })
-      .withMessage('Days must be a positive integer')
+      .withMessage('Days must be a positive integer'),
+    query('include_expired')
+      .optional()
+      .isBoolean()
+      .withMessage('Include expired must be a boolean')
   ],
   stockController.getExpiringItems
 );
@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const stocktakeController = require('../controllers/stocktakeController');
+const { auth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
+const StocktakeSession = require('../models/StocktakeSession');
+const router = express.Router();
+
+const MANAGER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+const validateId = [
+  param('id').isMongoId().withMessage('Invalid ID')
+];
+
+const validateFilters = [
+  body('storage_type').optional({ values: 'falsy' }).isIn(StocktakeSession.STORAGE_TYPES).withMessage('Storage type must be lab or temporary'),
+  body('item_type').optional({ values: 'falsy' }).isIn(StocktakeSession.ITEM_TYPES).withMessage('Invalid item type'),
+  body('category').optional({ values: 'falsy' }).isString().isLength({ max: 100 }).withMessage('Category cannot exceed 100 characters'),
+  body('blind').optional().isBoolean().withMessage('Blind must be a boolean'),
+  body('counter_ids').optional().isArray().withMessage('Counter IDs must be an array'),
+  body('counter_ids.*').isMongoId().withMessage('Each counter ID must be a valid MongoDB ID')
+];
+
+const validateCreate = [
+  body('lab_id').isMongoId().withMessage('Valid lab ID is required'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('due_date').optional().isISO8601().withMessage('Due date must be a valid date'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  ...validateFilters
+];
+
+const validateCounts = [
+  ...validateId,
+  body('counts').isArray({ min: 1 }).withMessage('Counts must be a non-empty array'),
+  body('counts.*.item_id').isMongoId().withMessage('Each count needs a valid item ID'),
+  body('counts.*.quantity').isFloat({ min: 0 }).withMessage('Counted quantity must be zero or more'),
+  body('counts.*.notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateResolve = [
+  ...validateId,
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  body('quantity').isFloat({ min: 0 }).withMessage('Quantity must be zero or more'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateSchedule = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('frequency_days').optional().isInt({ min: 1 }).withMessage('Frequency must be at least 1 day'),
+  body('count_window_days').optional().isInt({ min: 1 }).withMessage('Count window must be at least 1 day'),
+  body('next_run_at').optional().isISO8601().withMessage('Next run must be a valid date'),
+  body('is_active').optional().isBoolean().withMessage('Is active must be a boolean'),
+  ...validateFilters
+];
+
+const validateCreateSchedule = [
+  body('lab_id').isMongoId().withMessage('Valid lab ID is required'),
+  body('name').isString().notEmpty().withMessage('Name is required'),
+  body('frequency_days').isInt({ min: 1 }).withMessage('Frequency must be at least 1 day'),
+  ...validateSchedule
+];
+
+// Cycle-count schedules
+router.get('/schedules', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, [
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('include_inactive').optional().isBoolean().withMessage('Include inactive must be a boolean')
+], stocktakeController.getSchedules);
+router.post('/schedules', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateCreateSchedule, stocktakeController.createSchedule);
+router.put('/schedules/:id', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, [...validateId, ...validateSchedule], stocktakeController.updateSchedule);
+router.delete('/schedules/:id', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateId, stocktakeController.deleteSchedule);
+
+// Sessions
+router.get('/', auth, checkDepartmentAccess, [
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('schedule_id').optional().isMongoId().withMessage('Schedule ID must be a valid MongoDB ID'),
+  query('status').optional().isIn(StocktakeSession.STATUSES).withMessage('Invalid stocktake status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], stocktakeController.getStocktakes);
+router.post('/', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateCreate, stocktakeController.createStocktake);
+router.get('/:id', auth, checkDepartmentAccess, validateId, stocktakeController.getStocktake);
+router.get('/:id/sheet', auth, checkDepartmentAccess, [
+  ...validateId,
+  query('format').optional().isIn(['json', 'pdf']).withMessage('Format must be json or pdf')
+], stocktakeController.getCountSheet);
+router.get('/:id/variance', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, [
+  ...validateId,
+  query('only_variances').optional().isBoolean().withMessage('Only variances must be a boolean')
+], stocktakeController.getVarianceReport);
+router.post('/:id/counts', auth, checkDepartmentAccess, validateCounts, stocktakeController.recordCounts);
+router.post('/:id/submit', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateId, stocktakeController.submitStocktake);
+router.patch('/:id/lines/:itemId', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, validateResolve, stocktakeController.resolveLine);
+router.post('/:id/approve', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, [
+  ...validateId,
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+], stocktakeController.approveStocktake);
+router.post('/:id/cancel', auth, checkRole(MANAGER_ROLES), checkDepartmentAccess, [
+  ...validateId,
+  body('reason').isString().notEmpty().isLength({ max: 500 }).withMessage('Reason is required (max 500 characters)')
+], stocktakeController.cancelStocktake);
+
+module.exports = router;
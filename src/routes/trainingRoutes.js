@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const trainingController = require('../controllers/trainingController');
+const { auth, checkRole, checkDepartmentAccess } = require('../middleware/auth.middleware');
+const TrainingCourse = require('../models/TrainingCourse');
+const TrainingCertificate = require('../models/TrainingCertificate');
+const router = express.Router();
+
+const COURSE_ROLES = ['admin', 'department_admin'];
+const CERTIFICATE_ROLES = ['admin', 'department_admin', 'lab_manager'];
+const CATALOGUE_ROLES = ['admin', 'lab_manager'];
+
+const validateId = [
+  param('id').isMongoId().withMessage('Invalid ID')
+];
+
+const validateCourseBody = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('code').optional().isString().trim().isLength({ min: 1, max: 20 }).withMessage('Code must be 1-20 characters'),
+  body('category').optional().isIn(TrainingCourse.CATEGORIES).withMessage('Invalid course category'),
+  body('description').optional().isString().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('validity_months').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Validity must be a whole number of months'),
+  body('department').optional({ values: 'falsy' }).isMongoId().withMessage('Department must be a valid MongoDB ID'),
+  body('is_active').optional().isBoolean().withMessage('Is active must be a boolean')
+];
+
+const validateCreateCourse = [
+  body('name').isString().notEmpty().withMessage('Name is required'),
+  body('code').isString().notEmpty().withMessage('Code is required'),
+  ...validateCourseBody
+];
+
+const validateCertificateQuery = [
+  query('user_id').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  query('course_id').optional().isMongoId().withMessage('Course ID must be a valid MongoDB ID'),
+  query('status').optional().isIn(TrainingCertificate.STATUSES).withMessage('Invalid certificate status'),
+  query('expiring_within_days').optional().isInt({ min: 0 }).withMessage('Expiring within days must be a non-negative integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const validateIssueCertificate = [
+  body('user_id').isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  body('course_id').isMongoId().withMessage('Course ID must be a valid MongoDB ID'),
+  body('issued_at').optional().isISO8601().withMessage('Issued at must be a valid date'),
+  body('expires_at').optional().isISO8601().withMessage('Expires at must be a valid date'),
+  body('certificate_number').optional().isString().isLength({ max: 50 }).withMessage('Certificate number cannot exceed 50 characters'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateRevoke = [
+  ...validateId,
+  body('reason').isString().notEmpty().isLength({ max: 500 }).withMessage('Reason is required (max 500 characters)')
+];
+
+const validateCheck = [
+  query('lab_id').optional().isMongoId().withMessage('Lab ID must be a valid MongoDB ID'),
+  query('item_id').optional().isMongoId().withMessage('Item ID must be a valid MongoDB ID'),
+  query('user_id').optional().isMongoId().withMessage('User ID must be a valid MongoDB ID'),
+  query('until').optional().isISO8601().withMessage('Until must be a valid date')
+];
+
+const validatePrerequisites = [
+  body('course_ids').isArray().withMessage('Course IDs must be an array'),
+  body('course_ids.*').isMongoId().withMessage('Each course ID must be a valid MongoDB ID')
+];
+
+// Courses
+router.get('/courses', auth, [
+  query('category').optional().isIn(TrainingCourse.CATEGORIES).withMessage('Invalid course category'),
+  query('department_id').optional().isMongoId().withMessage('Department ID must be a valid MongoDB ID'),
+  query('include_inactive').optional().isBoolean().withMessage('Include inactive must be a boolean')
+], trainingController.getCourses);
+router.post('/courses', auth, checkRole(COURSE_ROLES), checkDepartmentAccess, validateCreateCourse, trainingController.createCourse);
+router.put('/courses/:id', auth, checkRole(COURSE_ROLES), checkDepartmentAccess, [...validateId, ...validateCourseBody], trainingController.updateCourse);
+router.delete('/courses/:id', auth, checkRole(COURSE_ROLES), checkDepartmentAccess, validateId, trainingController.deleteCourse);
+
+// Certificates
+router.get('/certificates', auth, checkRole(CERTIFICATE_ROLES), checkDepartmentAccess, validateCertificateQuery, trainingController.getCertificates);
+router.get('/certificates/my', auth, trainingController.getMyCertificates);
+router.post('/certificates', auth, checkRole(CERTIFICATE_ROLES), checkDepartmentAccess, validateIssueCertificate, trainingController.issueCertificate);
+router.patch('/certificates/:id/revoke', auth, checkRole(CERTIFICATE_ROLES), checkDepartmentAccess, validateRevoke, trainingController.revokeCertificate);
+
+// Prerequisites
+router.get('/check', auth, validateCheck, trainingController.checkTraining);
+router.put(
+  '/prerequisites/labs/:labId',
+  auth,
+  checkRole(CERTIFICATE_ROLES),
+  checkDepartmentAccess,
+  [param('labId').isMongoId().withMessage('Invalid lab ID'), ...validatePrerequisites],
+  trainingController.setLabPrerequisites
+);
+router.put(
+  '/prerequisites/catalogue/:catalogueItemId',
+  auth,
+  checkRole(CATALOGUE_ROLES),
+  [param('catalogueItemId').isMongoId().withMessage('Invalid catalogue item ID'), ...validatePrerequisites],
+  trainingController.setCataloguePrerequisites
+);
+
+module.exports = router;
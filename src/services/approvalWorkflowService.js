@@ -0,0 +1,188 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification } = require('../utils/notifications');
+const { toId, userDepartments } = require('../utils/commonUtils');
+
+// Roles that can sign off approval steps, and so can act as delegates
+const APPROVER_ROLES = ['admin', 'department_admin', 'lab_manager'];
+
+class ApprovalWorkflowService {
+  /**
+   * First step still waiting for a decision, or null when the booking has no
+   * chain or every step is decided
+   */
+  getCurrentStep(booking) {
+    return (booking.approval_steps || []).find(step => step.status === 'pending') || null;
+  }
+
+  /**
+   * Whether a user may decide a step in their own right (not as a delegate)
+   */
+  isStepApprover(user, step, lab) {
+    if (user.role === 'admin') return true;
+    if (user.role !== step.approver_role) return false;
+    if (step.approvers?.length > 0) {
+      return step.approvers.some(id => toId(id) === toId(user));
+    }
+    return userDepartments(user).includes(toId(lab.department));
+  }
+
+  /**
+   * Users who have delegated their approvals to this user and are away now
+   */
+  async getActiveDelegators(user, now = new Date()) {
+    return User.find({
+      'approval_delegation.delegate': user._id,
+      'approval_delegation.start_date': { $lte: now },
+      'approval_delegation.end_date': { $gte: now },
+      is_active: true
+    }).select('full_name email role department departments approval_delegation');
+  }
+
+  /**
+   * Check that a user can decide the current step of a booking, directly or
+   * as the delegate of an absent approver.
+   *
+   * @returns {Promise<{onBehalfOf: Object|null}>}
+   */
+  async authorizeStep(user, step, lab) {
+    if (this.isStepApprover(user, step, lab)) {
+      return { onBehalfOf: null };
+    }
+
+    const delegators = await this.getActiveDelegators(user);
+    const delegator = delegators.find(d => this.isStepApprover(d, step, lab));
+    if (delegator) {
+      return { onBehalfOf: delegator };
+    }
+
+    throw new ErrorResponse(`The "${step.name}" step must be signed off by a ${step.approver_role.replace('_', ' ')}`, 403);
+  }
+
+  /**
+   * Record a decision on a step
+   */
+  recordDecision(step, user, decision, comment, onBehalfOf = null) {
+    step.status = decision;
+    step.decided_by = user._id;
+    step.decided_at = new Date();
+    step.comment = comment || undefined;
+    step.on_behalf_of = onBehalfOf?._id;
+  }
+
+  /**
+   * Notify the people who can decide a step (and delegates of any who are away)
+   */
+  async notifyApprovers(booking, step, lab) {
+    const filter = step.approvers?.length > 0
+      ? { _id: { $in: step.approvers } }
+      : {
+          role: step.approver_role,
+          ...(step.approver_role !== 'admin' && {
+            $or: [{ department: lab.department }, { departments: lab.department }]
+          })
+        };
+    const approvers = await User.find({ ...filter, is_active: true }).select('_id approval_delegation');
+
+    const now = new Date();
+    const recipients = new Set();
+    for (const approver of approvers) {
+      recipients.add(approver._id.toString());
+      const delegation = approver.approval_delegation;
+      if (delegation?.delegate && delegation.start_date <= now && delegation.end_date >= now) {
+        recipients.add(delegation.delegate.toString());
+      }
+    }
+
+    await Promise.all([...recipients].map(userId => createNotification({
+      user: userId,
+      type: 'booking_approval_required',
+      title: 'Booking Approval Required',
+      message: `"${booking.title}" in ${lab.name || 'a lab'} is waiting for your sign-off (${step.name}).`,
+      data: {
+        booking_id: booking._id,
+        step: step.name,
+        start_time: booking.start_time
+      },
+      action_url: `/bookings/${booking._id}`,
+      related_lab: lab._id,
+      priority: 'normal'
+    })));
+  }
+
+  /**
+   * Pending bookings whose current step the user can decide, directly or as a delegate
+   */
+  async getPendingApprovals(user) {
+    const query = {
+      status: 'pending',
+      is_deleted: { $ne: true },
+      'approval_steps.status': 'pending'
+    };
+
+    const [bookings, delegators] = await Promise.all([
+      Booking.find(query)
+        .populate('lab', 'name code department')
+        .populate('field', 'name code')
+        .populate('user', 'full_name email role')
+        .sort({ start_time: 1 }),
+      this.getActiveDelegators(user)
+    ]);
+
+    const pending = [];
+    for (const booking of bookings) {
+      const step = this.getCurrentStep(booking);
+      if (this.isStepApprover(user, step, booking.lab)) {
+        pending.push({ booking, step, on_behalf_of: null });
+        continue;
+      }
+      const delegator = delegators.find(d => this.isStepApprover(d, step, booking.lab));
+      if (delegator) {
+        pending.push({
+          booking,
+          step,
+          on_behalf_of: { _id: delegator._id, full_name: delegator.full_name, email: delegator.email }
+        });
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Hand approvals over to another approver for a period of absence
+   */
+  async setDelegation(user, { delegateId, startDate, endDate, reason }) {
+    if (toId(delegateId) === toId(user)) {
+      throw new ErrorResponse('You cannot delegate approvals to yourself', 400);
+    }
+
+    const start = startDate ? new Date(startDate) : new Date();
+    const end = new Date(endDate);
+    if (end <= start) {
+      throw new ErrorResponse('Delegation end date must be after its start date', 400);
+    }
+
+    const delegate = await User.findById(delegateId).select('full_name email role is_active');
+    if (!delegate || !delegate.is_active) {
+      throw new ErrorResponse('Delegate not found or inactive', 404);
+    }
+    if (!APPROVER_ROLES.includes(delegate.role)) {
+      throw new ErrorResponse(`Approvals can only be delegated to: ${APPROVER_ROLES.join(', ')}`, 400);
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { approval_delegation: { delegate: delegate._id, start_date: start, end_date: end, reason } },
+      { new: true }
+    ).select('approval_delegation').populate('approval_delegation.delegate', 'full_name email role');
+
+    return updated.approval_delegation;
+  }
+
+  async clearDelegation(user) {
+    await User.updateOne({ _id: user._id }, { $unset: { approval_delegation: 1 } });
+  }
+}
+
+module.exports = new ApprovalWorkflowService();
@@ -0,0 +1,450 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { Parser } = require('json2csv');
+const Booking = require('../models/Booking');
+const BorrowLog = require('../models/BorrowLog');
+const Invoice = require('../models/Invoice');
+const RateCard = require('../models/RateCard');
+const SystemSetting = require('../models/SystemSetting');
+const ErrorResponse = require('../utils/errorResponse');
+const { createTextPdf } = require('../utils/pdfDocument');
+const { MINUTE, toId, userDepartments, escapeRegex, roundMoney } = require('../utils/commonUtils');
+
+const DEFAULT_BILLING = {
+  currency: 'RWF',
+  invoice_prefix: 'INV',
+  payment_terms_days: 30
+};
+const GROUP_BY = ['user', 'department'];
+
+const formatDate = date => (date ? moment(date).format('YYYY-MM-DD') : '');
+
+class BillingService {
+  constructor() {
+    this.GROUP_BY = GROUP_BY;
+  }
+
+  /**
+   * Billing settings from SystemSetting.billing with defaults filling any gaps
+   */
+  async getSettings() {
+    const settings = await SystemSetting.findOne().select('billing').lean();
+    return { ...DEFAULT_BILLING, ...(settings?.billing || {}) };
+  }
+
+  /**
+   * Active rate card for a booking's lab and field. A card for the field
+   * wins over the lab-wide card.
+   */
+  async findRateCard(labId, fieldId) {
+    const cards = await RateCard.find({
+      lab: toId(labId),
+      field: { $in: [toId(fieldId) || null, null] },
+      is_active: true
+    }).lean();
+
+    return cards.find(card => card.field && toId(card.field) === toId(fieldId))
+      || cards.find(card => !card.field)
+      || null;
+  }
+
+  /**
+   * External users always pay. Other users pay only when they book a lab
+   * outside their own department, unless the card bills the lab's department too.
+   */
+  isBillable(user, lab, card) {
+    if (!user || !card) return false;
+    if (user.role === 'external' || card.bill_same_department) return true;
+    return !userDepartments(user).includes(toId(lab?.department));
+  }
+
+  /**
+   * Work out what a completed booking costs under a rate card: time in the
+   * lab (actual check-in/out when recorded, otherwise the scheduled slot),
+   * plus priced consumables that were used (reconciled usage, or allocated
+   * and not returned), less the booker's role discount. Consumables that all
+   * went back to stock at completion are not billed until usage is entered.
+   *
+   * @param {Object} booking - Booking with user (role) populated
+   * @param {Object} card - Rate card
+   * @param {string} currency - Currency used when the card has none
+   * @returns {Object} Charge in the shape of Booking.charge
+   */
+  computeBookingCharge(booking, card, currency) {
+    const start = booking.actual_start_time && booking.actual_end_time ? booking.actual_start_time : booking.start_time;
+    const end = booking.actual_start_time && booking.actual_end_time ? booking.actual_end_time : booking.end_time;
+    const minutes = Math.max(0, Math.round((new Date(end) - new Date(start)) / MINUTE));
+    const billedMinutes = Math.max(minutes, card.minimum_minutes || 0);
+    const usageAmount = roundMoney((card.hourly_rate * billedMinutes) / 60);
+
+    // Reconciled usage is what was consumed; otherwise allocations less returns
+    const reconciliation = booking.consumable_reconciliation;
+    const reconciled = reconciliation?.status === 'reconciled';
+    let usedConsumables = [];
+    if (reconciled) {
+      usedConsumables = reconciliation.lines.map(line => ({
+        item: line.item,
+        name: line.name,
+        quantity: line.used_quantity
+      }));
+    } else if (reconciliation?.stock_returned !== true) {
+      usedConsumables = (booking.allocated_consumables || []).map(allocation => ({
+        item: allocation.item,
+        name: allocation.name,
+        quantity: allocation.quantity - (allocation.returned_quantity || 0)
+      }));
+    }
+
+    const prices = new Map((card.consumable_prices || []).map(price => [toId(price.item), price.unit_price]));
+    const consumables = usedConsumables
+      .map(({ item, name, quantity }) => {
+        const unitPrice = prices.get(toId(item));
+        if (quantity <= 0 || unitPrice === undefined) return null;
+        return {
+          item: toId(item),
+          name,
+          quantity,
+          unit_price: unitPrice,
+          amount: roundMoney(quantity * unitPrice)
+        };
+      })
+      .filter(Boolean);
+    const consumablesAmount = roundMoney(consumables.reduce((sum, c) => sum + c.amount, 0));
+
+    const discountPercent = Math.max(0, ...(card.role_discounts || [])
+      .filter(discount => discount.role === booking.user?.role)
+      .map(discount => discount.percent));
+    const discountAmount = roundMoney(((usageAmount + consumablesAmount) * discountPercent) / 100);
+
+    return {
+      rate_card: card._id,
+      currency: card.currency || currency,
+      billed_minutes: billedMinutes,
+      hourly_rate: card.hourly_rate,
+      usage_amount: usageAmount,
+      consumables,
+      consumables_amount: consumablesAmount,
+      discount_percent: discountPercent,
+      discount_amount: discountAmount,
+      total: roundMoney(usageAmount + consumablesAmount - discountAmount),
+      computed_at: new Date()
+    };
+  }
+
+  /**
+   * Compute and store the charge of a completed booking. Bookings already on
+   * an invoice are left unchanged; a booking that is no longer billable loses
+   * its charge. A booking document passed in must have its user and lab
+   * populated.
+   *
+   * @returns {Promise<Object|null>} The stored charge, or null
+   */
+  async applyBookingCharge(bookingOrId, { currency } = {}) {
+    const booking = bookingOrId instanceof Booking
+      ? bookingOrId
+      : await Booking.findById(toId(bookingOrId))
+        .populate('user', 'full_name role department departments')
+        .populate('lab', 'name department');
+    if (!booking || booking.status !== 'completed' || booking.charge?.invoice) return null;
+
+    const card = await this.findRateCard(booking.lab, booking.field);
+    if (!this.isBillable(booking.user, booking.lab, card)) {
+      // Drop a charge left from a rate card that no longer applies
+      if (booking.charge?.computed_at) {
+        await Booking.updateOne({ _id: booking._id }, { $unset: { charge: 1 } });
+        booking.charge = undefined;
+      }
+      return null;
+    }
+
+    const charge = this.computeBookingCharge(
+      booking,
+      card,
+      currency || (await this.getSettings()).currency
+    );
+    await Booking.updateOne({ _id: booking._id }, { $set: { charge } });
+    booking.charge = charge;
+    return charge;
+  }
+
+  /**
+   * Group uninvoiced charges of a period into invoices, one per user or per
+   * department. Completed bookings are priced again first with the current
+   * rate cards; unpaid borrow fines for items returned in the period are
+   * added too.
+   *
+   * @param {Object} options
+   * @param {Date} options.periodStart
+   * @param {Date} options.periodEnd
+   * @param {string} [options.groupBy='user'] - 'user' or 'department'
+   * @param {Array|null} [options.labIds] - Only bill these labs (department scope)
+   * @param {Object} options.issuedBy - User issuing the invoices
+   * @returns {Promise<Array>} Created invoices
+   */
+  async generateInvoices({ periodStart, periodEnd, groupBy = 'user', labIds = null, issuedBy }) {
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+    if (end <= start) {
+      throw new ErrorResponse('Period end must be after period start', 400);
+    }
+
+    const settings = await this.getSettings();
+    const labFilter = labIds ? { lab: { $in: labIds } } : {};
+
+    const bookings = await Booking.find({
+      status: 'completed',
+      is_deleted: { $ne: true },
+      end_time: { $gte: start, $lt: end },
+      'charge.invoice': null,
+      ...labFilter
+    })
+      .populate('user', 'full_name email role department departments')
+      .populate('lab', 'name department')
+      .populate('field', 'name');
+
+    // Reprice so consumables returned after completion are not billed
+    for (const booking of bookings) {
+      await this.applyBookingCharge(booking, { currency: settings.currency });
+    }
+
+    const fines = await BorrowLog.find({
+      fine_amount: { $gt: 0 },
+      fine_paid: { $ne: true },
+      invoice: null,
+      actual_return_date: { $gte: start, $lt: end },
+      ...labFilter
+    })
+      .populate('user', 'full_name email role department')
+      .populate('item', 'name')
+      .populate('lab', 'name');
+
+    const groups = new Map();
+    const addLine = (user, line) => {
+      const key = groupBy === 'department' ? toId(user.department) : toId(user);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, { key, lines: [], bookingIds: [], fineIds: [] });
+      groups.get(key).lines.push(line);
+      return groups.get(key);
+    };
+
+    for (const booking of bookings) {
+      const charge = booking.charge;
+      if (!charge?.computed_at || charge.usage_amount + charge.consumables_amount <= 0) continue;
+
+      const where = [booking.lab?.name, booking.field?.name].filter(Boolean).join(' / ');
+      const hours = Math.round((charge.billed_minutes / 60) * 100) / 100;
+      const group = addLine(booking.user, {
+        source_type: 'booking',
+        booking: booking._id,
+        user: booking.user._id,
+        lab: booking.lab?._id,
+        date: booking.start_time,
+        description: `${booking.title || 'Lab booking'} - ${where}, ${hours} h` +
+          (charge.consumables.length > 0 ? `, ${charge.consumables.length} consumable(s)` : ''),
+        amount: roundMoney(charge.usage_amount + charge.consumables_amount),
+        discount_amount: charge.discount_amount,
+        total: charge.total
+      });
+      if (group) group.bookingIds.push(booking._id);
+    }
+
+    for (const fine of fines) {
+      const group = addLine(fine.user, {
+        source_type: 'borrow_fine',
+        borrow_log: fine._id,
+        user: fine.user._id,
+        lab: fine.lab?._id,
+        date: fine.actual_return_date,
+        description: `Late return fine - ${fine.item?.name || 'item'}${fine.lab?.name ? ` (${fine.lab.name})` : ''}`,
+        amount: fine.fine_amount,
+        discount_amount: 0,
+        total: fine.fine_amount
+      });
+      if (group) group.fineIds.push(fine._id);
+    }
+
+    const toInvoice = [...groups.values()].filter(group => group.lines.length > 0);
+    if (toInvoice.length === 0) return [];
+
+    const month = moment(end).subtract(1, 'millisecond').format('YYYYMM');
+    const numberPrefix = `${settings.invoice_prefix}-${month}-`;
+    const dueDate = moment().add(settings.payment_terms_days, 'days').toDate();
+
+    const session = await mongoose.startSession();
+    try {
+      const invoices = [];
+
+      await session.withTransaction(async () => {
+        invoices.length = 0;
+        let sequence = await Invoice.countDocuments({
+          invoice_number: new RegExp(`^${escapeRegex(numberPrefix)}`)
+        }).session(session);
+
+        for (const group of toInvoice) {
+          sequence += 1;
+          const subtotal = roundMoney(group.lines.reduce((sum, line) => sum + line.amount, 0));
+          const discountTotal = roundMoney(group.lines.reduce((sum, line) => sum + line.discount_amount, 0));
+
+          const [invoice] = await Invoice.create([{
+            invoice_number: `${numberPrefix}${String(sequence).padStart(4, '0')}`,
+            bill_to_type: groupBy,
+            ...(groupBy === 'user' ? { user: group.key } : { department: group.key }),
+            period_start: start,
+            period_end: end,
+            currency: settings.currency,
+            lines: group.lines.sort((a, b) => new Date(a.date) - new Date(b.date)),
+            subtotal,
+            discount_total: discountTotal,
+            total: roundMoney(subtotal - discountTotal),
+            issued_by: issuedBy._id,
+            due_date: dueDate
+          }], { session });
+
+          // Claim the charges; a concurrent run that got there first aborts this one
+          if (group.bookingIds.length > 0) {
+            const result = await Booking.updateMany(
+              { _id: { $in: group.bookingIds }, 'charge.invoice': null },
+              { $set: { 'charge.invoice': invoice._id } },
+              { session }
+            );
+            if (result.modifiedCount !== group.bookingIds.length) {
+              throw new ErrorResponse('Some charges were invoiced by another run, try again', 409);
+            }
+          }
+          if (group.fineIds.length > 0) {
+            const result = await BorrowLog.updateMany(
+              { _id: { $in: group.fineIds }, invoice: null },
+              { $set: { invoice: invoice._id } },
+              { session }
+            );
+            if (result.modifiedCount !== group.fineIds.length) {
+              throw new ErrorResponse('Some fines were invoiced by another run, try again', 409);
+            }
+          }
+
+          invoices.push(invoice);
+        }
+      });
+
+      return invoices;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Record payment of an issued invoice. Fines on it are marked paid.
+   */
+  async markPaid(invoice, { user, paymentReference, paidAt }) {
+    if (invoice.status !== 'issued') {
+      throw new ErrorResponse(`Only issued invoices can be marked as paid (this one is ${invoice.status})`, 400);
+    }
+
+    invoice.status = 'paid';
+    invoice.paid_at = paidAt ? new Date(paidAt) : new Date();
+    invoice.recorded_paid_by = user._id;
+    invoice.payment_reference = paymentReference;
+    await invoice.save();
+
+    await BorrowLog.updateMany({ invoice: invoice._id }, { $set: { fine_paid: true } });
+    return invoice;
+  }
+
+  /**
+   * Void an issued invoice. Its bookings and fines are released so they can
+   * go on a corrected invoice.
+   */
+  async voidInvoice(invoice, { user, reason }) {
+    if (invoice.status !== 'issued') {
+      throw new ErrorResponse(`Only issued invoices can be voided (this one is ${invoice.status})`, 400);
+    }
+
+    invoice.status = 'void';
+    invoice.voided_at = new Date();
+    invoice.voided_by = user._id;
+    invoice.void_reason = reason;
+    await invoice.save();
+
+    await Booking.updateMany({ 'charge.invoice': invoice._id }, { $unset: { 'charge.invoice': 1 } });
+    await BorrowLog.updateMany({ invoice: invoice._id }, { $unset: { invoice: 1 } });
+    return invoice;
+  }
+
+  billToName(invoice) {
+    return invoice.bill_to_type === 'department'
+      ? invoice.department?.name || toId(invoice.department)
+      : invoice.user?.full_name || toId(invoice.user);
+  }
+
+  /**
+   * One CSV row per invoice line
+   */
+  toCsv(invoice) {
+    const billTo = this.billToName(invoice);
+    const fields = [
+      { label: 'Invoice Number', value: () => invoice.invoice_number },
+      { label: 'Bill To', value: () => billTo },
+      { label: 'Status', value: () => invoice.status },
+      { label: 'Date', value: row => formatDate(row.date) },
+      { label: 'Type', value: 'source_type' },
+      { label: 'Description', value: 'description' },
+      { label: 'Lab', value: 'lab.name' },
+      { label: 'User', value: 'user.full_name' },
+      { label: 'Amount', value: 'amount' },
+      { label: 'Discount', value: 'discount_amount' },
+      { label: 'Total', value: 'total' },
+      { label: 'Currency', value: () => invoice.currency }
+    ];
+
+    const parser = new Parser({ fields });
+    return parser.parse(invoice.lines.map(line => (line.toObject ? line.toObject() : line)));
+  }
+
+  toPdf(invoice) {
+    const money = amount => `${invoice.currency} ${Number(amount).toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+
+    const lines = [
+      { text: 'INVOICE', size: 18, bold: true },
+      '',
+      { text: `Invoice number: ${invoice.invoice_number}`, bold: true },
+      `Status: ${invoice.status.toUpperCase()}`,
+      `Bill to: ${this.billToName(invoice)} (${invoice.bill_to_type})`,
+      `Billing period: ${formatDate(invoice.period_start)} to ${formatDate(moment(invoice.period_end).subtract(1, 'millisecond'))}`,
+      `Issued: ${formatDate(invoice.issued_at)}${invoice.due_date ? `    Due: ${formatDate(invoice.due_date)}` : ''}`,
+      ''
+    ];
+
+    if (invoice.status === 'paid') {
+      lines.push(`Paid on ${formatDate(invoice.paid_at)}${invoice.payment_reference ? ` (ref. ${invoice.payment_reference})` : ''}`, '');
+    }
+    if (invoice.status === 'void') {
+      lines.push(`Voided on ${formatDate(invoice.voided_at)}${invoice.void_reason ? `: ${invoice.void_reason}` : ''}`, '');
+    }
+
+    lines.push({ text: 'Charges', size: 12, bold: true });
+    invoice.lines.forEach((line, index) => {
+      lines.push({ text: `${index + 1}. ${formatDate(line.date)}  ${line.description}` });
+      const who = line.user?.full_name && invoice.bill_to_type === 'department' ? `${line.user.full_name}  ` : '';
+      lines.push({
+        text: `${who}Amount ${money(line.amount)}` +
+          (line.discount_amount > 0 ? `  Discount -${money(line.discount_amount)}` : '') +
+          `  Total ${money(line.total)}`,
+        x: 15
+      });
+    });
+
+    lines.push(
+      '',
+      { text: `Subtotal: ${money(invoice.subtotal)}` },
+      { text: `Discounts: -${money(invoice.discount_total)}` },
+      { text: `Total due: ${money(invoice.total)}`, size: 12, bold: true }
+    );
+
+    return createTextPdf(lines, { title: `Invoice ${invoice.invoice_number}` });
+  }
+}
+
+module.exports = new BillingService();
@@ -0,0 +1,519 @@
+const moment = require('moment-timezone');
+const Booking = require('../models/Booking');
+const SystemSetting = require('../models/SystemSetting');
+const ErrorResponse = require('../utils/errorResponse');
+const { findBlackoutConflicts } = require('../utils/blackoutUtils');
+const { DEFAULT_TIMEZONE } = require('../utils/recurrence');
+const bookingQuotaService = require('./bookingQuotaService');
+const labResourceService = require('./labResourceService');
+
+// Rule identifiers reported with every violation
+const RULES = {
+  LAB_STATUS: 'lab_status',
+  FIELD_NOT_ALLOWED: 'field_not_allowed',
+  FIELD_INACTIVE: 'field_inactive',
+  ROLE_NOT_ALLOWED: 'role_not_allowed',
+  NO_SHOW_LIMIT: 'no_show_limit',
+  CAPACITY: 'capacity',
+  MIN_DURATION: 'min_duration',
+  MAX_DURATION: 'max_duration',
+  SLOT_INTERVAL: 'slot_interval',
+  MAX_DAYS_IN_ADVANCE: 'max_days_in_advance',
+  MIN_NOTICE: 'min_notice',
+  OPENING_HOURS: 'opening_hours',
+  MAX_CONCURRENT_BOOKINGS: 'max_concurrent_bookings',
+  BLACKOUT: 'blackout',
+  BOOKING_CONFLICT: 'booking_conflict',
+  BOOKING_QUOTA: 'booking_quota',
+  RESOURCE_UNAVAILABLE: 'resource_unavailable',
+  RESOURCE_CONFLICT: 'resource_conflict'
+};
+
+// Double bookings and fields the lab does not host can never be overridden
+const NON_OVERRIDABLE = [RULES.FIELD_NOT_ALLOWED, RULES.BOOKING_CONFLICT, RULES.RESOURCE_CONFLICT];
+
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+// SystemSetting.booking defaults, for settings saved before a field existed
+const DEFAULT_BOOKING = {
+  advance_booking_days: 30,
+  max_booking_duration: 8,
+  require_approval: true,
+  auto_approve_teachers: true,
+  booking_reminder_hours: 24,
+  waitlist_claim_hours: 12,
+  max_no_shows: 3
+};
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "08:30" -> 510 minutes after midnight
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const violation = (rule, message, details = {}) => ({
+  rule,
+  message,
+  overridable: !NON_OVERRIDABLE.includes(rule),
+  details
+});
+
+class BookingPolicyService {
+  constructor() {
+    this.RULES = RULES;
+    this.DEFAULT_BOOKING = DEFAULT_BOOKING;
+  }
+
+  /**
+   * System-wide booking settings and timezone, with defaults filling any gaps
+   */
+  async getSettings() {
+    const settings = await SystemSetting.findOne().select('general.timezone booking').lean();
+    return {
+      timezone: settings?.general?.timezone || DEFAULT_TIMEZONE,
+      booking: { ...DEFAULT_BOOKING, ...(settings?.booking || {}) }
+    };
+  }
+
+  /**
+   * Per-field entry of lab.booking_settings.fields, if any
+   */
+  getFieldSettings(lab, fieldId) {
+    if (!fieldId) return null;
+    return (lab.booking_settings?.fields || [])
+      .find(f => f.field && (f.field._id || f.field).toString() === fieldId.toString()) || null;
+  }
+
+  /**
+   * Most participants the lab (and the field's settings in it) can hold;
+   * Infinity when neither sets a limit
+   */
+  getCapacity(lab, fieldId) {
+    const fieldSettings = this.getFieldSettings(lab, fieldId);
+    return [lab.capacity, fieldSettings?.max_capacity].filter(Boolean).reduce((a, b) => Math.min(a, b), Infinity);
+  }
+
+  /**
+   * Effective limits for a lab/field: per-field booking_restrictions take
+   * precedence over the lab's booking_settings, and SystemSetting.booking caps both.
+   */
+  getLimits(lab, fieldId, systemBooking = {}) {
+    const settings = lab.booking_settings || {};
+    const restrictions = this.getFieldSettings(lab, fieldId)?.booking_restrictions || {};
+
+    const maxDuration = restrictions.max_duration || settings.max_booking_duration;
+    const systemMaxDuration = systemBooking.max_booking_duration ? systemBooking.max_booking_duration * 60 : null;
+    const maxDays = restrictions.max_days_in_advance || settings.max_days_in_advance;
+
+    return {
+      min_duration: restrictions.min_duration || settings.min_booking_duration || null,
+      max_duration: [maxDuration, systemMaxDuration].filter(Boolean).reduce((a, b) => Math.min(a, b), Infinity),
+      slot_interval: settings.slot_interval || null,
+      max_days_in_advance: [maxDays, systemBooking.advance_booking_days].filter(Boolean).reduce((a, b) => Math.min(a, b), Infinity),
+      min_notice_minutes: settings.min_notice_minutes || 0,
+      max_concurrent_bookings: settings.max_concurrent_bookings || null
+    };
+  }
+
+  /**
+   * Rules about the request as a whole: lab and field eligibility, capacity,
+   * duration, slot alignment and how far ahead the booking is made.
+   * For a recurring series these are checked against the first occurrence.
+   * A booking of specific resources must fit their combined capacity instead
+   * of the lab's.
+   */
+  evaluateRequest({ lab, fieldId, user, startTime, endTime, participantsCount, resources = [], now = new Date(), settings }) {
+    const violations = [];
+    const start = moment.tz(startTime, settings.timezone);
+    const end = moment.tz(endTime, settings.timezone);
+    const limits = this.getLimits(lab, fieldId, settings.booking);
+    const fieldSettings = this.getFieldSettings(lab, fieldId);
+
+    if (lab.status && ['maintenance', 'inactive'].includes(lab.status)) {
+      violations.push(violation(RULES.LAB_STATUS, `${lab.name} is currently ${lab.status}`, { status: lab.status }));
+    }
+
+    if (fieldId && !(lab.fields || []).some(f => (f._id || f).toString() === fieldId.toString())) {
+      violations.push(violation(RULES.FIELD_NOT_ALLOWED, 'This field is not allowed to use this lab'));
+    }
+    if (fieldSettings && fieldSettings.is_active === false) {
+      violations.push(violation(RULES.FIELD_INACTIVE, 'Bookings for this field are currently disabled in this lab'));
+    }
+    if (user && fieldSettings?.allowed_user_roles?.length > 0 && !fieldSettings.allowed_user_roles.includes(user.role)) {
+      violations.push(violation(
+        RULES.ROLE_NOT_ALLOWED,
+        `Only ${fieldSettings.allowed_user_roles.join(', ')} users can book this field in this lab`,
+        { role: user.role, allowed_roles: fieldSettings.allowed_user_roles }
+      ));
+    }
+
+    const maxNoShows = settings.booking.max_no_shows;
+    if (user && maxNoShows > 0 && (user.no_show_count || 0) >= maxNoShows) {
+      violations.push(violation(
+        RULES.NO_SHOW_LIMIT,
+        `Booking is restricted after ${user.no_show_count} missed bookings; contact a lab manager`,
+        { no_show_count: user.no_show_count, max_no_shows: maxNoShows }
+      ));
+    }
+
+    const participants = Number(participantsCount) || 1;
+    if (resources.length > 0) {
+      const capacity = labResourceService.getCapacity(resources);
+      if (participants > capacity) {
+        violations.push(violation(
+          RULES.CAPACITY,
+          `The selected resources hold at most ${capacity} participants`,
+          { participants_count: participants, capacity }
+        ));
+      }
+    } else {
+      const capacity = this.getCapacity(lab, fieldId);
+      if (participants > capacity) {
+        violations.push(violation(
+          RULES.CAPACITY,
+          `Lab capacity exceeded. Maximum ${capacity} participants allowed.`,
+          { participants_count: participants, capacity }
+        ));
+      }
+    }
+
+    const duration = end.diff(start, 'minutes', true);
+    if (limits.min_duration && duration < limits.min_duration) {
+      violations.push(violation(
+        RULES.MIN_DURATION,
+        `Bookings must be at least ${limits.min_duration} minutes long`,
+        { duration_minutes: duration, min_duration: limits.min_duration }
+      ));
+    }
+    if (Number.isFinite(limits.max_duration) && duration > limits.max_duration) {
+      violations.push(violation(
+        RULES.MAX_DURATION,
+        `Bookings cannot be longer than ${limits.max_duration} minutes`,
+        { duration_minutes: duration, max_duration: limits.max_duration }
+      ));
+    }
+
+    if (limits.slot_interval) {
+      const misaligned = [start, end].some(m =>
+        (m.hours() * 60 + m.minutes()) % limits.slot_interval !== 0 || m.seconds() !== 0);
+      if (misaligned) {
+        violations.push(violation(
+          RULES.SLOT_INTERVAL,
+          `Start and end times must be on a ${limits.slot_interval}-minute boundary`,
+          { slot_interval: limits.slot_interval }
+        ));
+      }
+    }
+
+    const daysAhead = start.diff(moment(now), 'days', true);
+    if (Number.isFinite(limits.max_days_in_advance) && daysAhead > limits.max_days_in_advance) {
+      violations.push(violation(
+        RULES.MAX_DAYS_IN_ADVANCE,
+        `Bookings can be made at most ${limits.max_days_in_advance} days in advance`,
+        { max_days_in_advance: limits.max_days_in_advance }
+      ));
+    }
+
+    const noticeMinutes = start.diff(moment(now), 'minutes', true);
+    if (noticeMinutes < limits.min_notice_minutes) {
+      violations.push(violation(
+        RULES.MIN_NOTICE,
+        `Bookings must be made at least ${limits.min_notice_minutes} minutes before they start`,
+        { min_notice_minutes: limits.min_notice_minutes }
+      ));
+    }
+
+    return violations;
+  }
+
+  /**
+   * Opening window of a lab on the day of `date`, in minutes after local midnight.
+   * Labs without any opening hours configured are treated as always open;
+   * a day without hours in a configured lab means the lab is closed (null).
+   */
+  getOpeningWindow(lab, date, timezone) {
+    const hours = lab.opening_hours || {};
+    const configured = DAYS.some(day => hours[day]?.open || hours[day]?.close);
+    if (!configured) return { open: 0, close: 24 * 60 };
+
+    const day = hours[DAYS[moment.tz(date, timezone).day()]];
+    const open = toMinutes(day?.open);
+    const close = toMinutes(day?.close);
+    return open === null || close === null ? null : { open, close, label: `${day.open} to ${day.close}` };
+  }
+
+  /**
+   * Opening hours violation for a time slot, or null
+   */
+  checkOpeningHours(lab, startTime, endTime, timezone) {
+    const start = moment.tz(startTime, timezone);
+    const end = moment.tz(endTime, timezone);
+    const day = DAYS[start.day()];
+    const window = this.getOpeningWindow(lab, start, timezone);
+
+    if (!window) {
+      return violation(RULES.OPENING_HOURS, `${lab.name} is closed on ${start.format('dddd')}s`, { day });
+    }
+
+    const startMinutes = start.hours() * 60 + start.minutes();
+    const endMinutes = end.diff(start.clone().startOf('day'), 'minutes', true);
+    if (startMinutes < window.open || endMinutes > window.close) {
+      return violation(
+        RULES.OPENING_HOURS,
+        `${lab.name} is open from ${window.label} on ${start.format('dddd')}s`,
+        { day, open: lab.opening_hours[day].open, close: lab.opening_hours[day].close }
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Why a resource cannot be used for a slot (its status, its instrument's
+   * maintenance or its own bookable hours), or null
+   */
+  checkResource(resource, startTime, endTime, timezone) {
+    const start = moment.tz(startTime, timezone);
+    const end = moment.tz(endTime, timezone);
+
+    if (resource.status !== 'available') {
+      return `${resource.name} is ${resource.status.replace(/_/g, ' ')}`;
+    }
+    if (resource.item?.status === 'in_maintenance') {
+      return `${resource.name} is in maintenance`;
+    }
+
+    const availability = resource.availability?.toObject ? resource.availability.toObject() : resource.availability;
+    const window = this.getOpeningWindow({ opening_hours: availability }, start, timezone);
+    if (!window) {
+      return `${resource.name} cannot be booked on ${start.format('dddd')}s`;
+    }
+    // Without hours of its own the resource follows the lab's opening hours
+    if (!window.label) return null;
+
+    const startMinutes = start.hours() * 60 + start.minutes();
+    const endMinutes = end.diff(start.clone().startOf('day'), 'minutes', true);
+    if (startMinutes < window.open || endMinutes > window.close) {
+      return `${resource.name} can be booked from ${window.label} on ${start.format('dddd')}s`;
+    }
+    return null;
+  }
+
+  /**
+   * Rules that depend on the exact time slot: opening hours, double bookings
+   * of the field, blackout periods and the lab's max_concurrent_bookings.
+   * Checked for every occurrence of a recurring series.
+   *
+   * Field double bookings and max_concurrent_bookings only count whole-lab
+   * bookings. A booking of specific resources is checked against bookings of
+   * the same resources and whole-lab bookings instead, so groups can share a
+   * lab; a whole-lab booking cannot overlap any resource booking.
+   */
+  async evaluateSlot({ lab, fieldId, startTime, endTime, resources = [], excludeIds = [], settings }) {
+    const violations = [];
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    const wholeLab = resources.length === 0;
+
+    const openingHours = this.checkOpeningHours(lab, start, end, settings.timezone);
+    if (openingHours) violations.push(openingHours);
+
+    for (const resource of resources) {
+      const reason = this.checkResource(resource, start, end, settings.timezone);
+      if (reason) {
+        violations.push(violation(RULES.RESOURCE_UNAVAILABLE, reason, { resource_id: resource._id, name: resource.name }));
+      }
+    }
+
+    const overlapQuery = {
+      lab: lab._id,
+      status: { $in: ACTIVE_STATUSES },
+      is_deleted: { $ne: true },
+      start_time: { $lt: end },
+      end_time: { $gt: start },
+      ...labResourceService.WHOLE_LAB,
+      ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } })
+    };
+
+    const [fieldBookings, blackouts, concurrent, resourceBookings] = await Promise.all([
+      fieldId && wholeLab
+        ? Booking.findByFieldAndTime(fieldId, start, end, excludeIds.length > 0 ? excludeIds : null)
+          .then(bookings => bookings.filter(b => !(b.resources || []).length))
+        : [],
+      findBlackoutConflicts(lab, fieldId, start, end),
+      wholeLab ? Booking.countDocuments(overlapQuery) : 0,
+      labResourceService.findConflicts({
+        labId: lab._id,
+        resourceIds: resources.map(r => r._id),
+        startTime: start,
+        endTime: end,
+        excludeIds
+      })
+    ]);
+
+    if (resourceBookings.length > 0) {
+      violations.push(violation(
+        RULES.RESOURCE_CONFLICT,
+        wholeLab
+          ? `Parts of ${lab.name} are already booked for the requested time`
+          : 'The selected resources are already booked for the requested time',
+        {
+          bookings: resourceBookings.map(b => ({
+            booking_id: b._id,
+            title: b.title,
+            start_time: b.start_time,
+            end_time: b.end_time,
+            status: b.status,
+            resources: b.resources || []
+          }))
+        }
+      ));
+    }
+
+    if (fieldBookings.length > 0) {
+      violations.push(violation(RULES.BOOKING_CONFLICT, 'Field is already booked for the requested time', {
+        bookings: fieldBookings.map(b => ({
+          booking_id: b._id,
+          title: b.title,
+          start_time: b.start_time,
+          end_time: b.end_time,
+          status: b.status
+        }))
+      }));
+    }
+
+    if (blackouts.length > 0) {
+      violations.push(violation(RULES.BLACKOUT, 'The requested time falls in a blackout period', { periods: blackouts }));
+    }
+
+    const maxConcurrent = lab.booking_settings?.max_concurrent_bookings;
+    if (maxConcurrent && concurrent >= maxConcurrent) {
+      violations.push(violation(
+        RULES.MAX_CONCURRENT_BOOKINGS,
+        `${lab.name} allows at most ${maxConcurrent} booking(s) at the same time`,
+        { max_concurrent_bookings: maxConcurrent, overlapping_bookings: concurrent }
+      ));
+    }
+
+    return violations;
+  }
+
+  /**
+   * Hour quotas the user would exceed with these bookings. A series passes
+   * all of its occurrences so they are counted together.
+   *
+   * @param {Array<{start_time: Date, end_time: Date}>} slots
+   */
+  async evaluateQuotas({ user, lab, slots, excludeIds = [], settings }) {
+    if (!user) return [];
+
+    const exceeded = await bookingQuotaService.check({
+      user,
+      labId: lab._id,
+      slots,
+      excludeIds,
+      timezone: settings.timezone
+    });
+    return exceeded.map(({ message, details }) => violation(RULES.BOOKING_QUOTA, message, details));
+  }
+
+  /**
+   * Check that an override request is allowed and well formed.
+   * Only admins may override rules, and every override needs a justification.
+   *
+   * @returns {{rules: string[], justification: string}|null}
+   */
+  resolveOverrides(user, rules, justification) {
+    if (!rules || rules.length === 0) return null;
+
+    if (user.role !== 'admin') {
+      throw new ErrorResponse('Only admins can override booking rules', 403);
+    }
+    const unknown = rules.filter(r => !Object.values(RULES).includes(r));
+    if (unknown.length > 0) {
+      throw new ErrorResponse(`Unknown booking rule(s): ${unknown.join(', ')}`, 400);
+    }
+    const locked = rules.filter(r => NON_OVERRIDABLE.includes(r));
+    if (locked.length > 0) {
+      throw new ErrorResponse(`Booking rule(s) cannot be overridden: ${locked.join(', ')}`, 400);
+    }
+    if (!justification || !String(justification).trim()) {
+      throw new ErrorResponse('A justification is required to override booking rules', 400);
+    }
+
+    return { rules, justification: String(justification).trim() };
+  }
+
+  /**
+   * Split violations into those still blocking and those waived by an override
+   */
+  applyOverrides(violations, overrides) {
+    const rules = overrides?.rules || [];
+    return {
+      violations: violations.filter(v => !(v.overridable && rules.includes(v.rule))),
+      overridden: violations.filter(v => v.overridable && rules.includes(v.rule))
+    };
+  }
+
+  /**
+   * Audit entries stored on the booking for the rules an admin overrode.
+   * When the waived violations are known only those rules are recorded;
+   * a series records every requested rule since each occurrence is checked separately.
+   */
+  buildOverrideRecords(overrides, userId, overridden = null) {
+    if (!overrides) return [];
+    return overrides.rules
+      .filter(rule => !overridden || overridden.some(v => v.rule === rule))
+      .map(rule => ({
+        rule,
+        message: overridden?.find(v => v.rule === rule)?.message,
+        justification: overrides.justification,
+        overridden_by: userId,
+        overridden_at: new Date()
+      }));
+  }
+
+  /**
+   * Evaluate a proposed booking against every rule.
+   *
+   * @param {Object} params
+   * @param {Object} params.lab - Lab document
+   * @param {string|ObjectId} [params.fieldId] - Field being booked; field rules are skipped without it
+   * @param {Object} [params.user] - Booking user (for per-field role restrictions and hour quotas)
+   * @param {Date} params.startTime - Start of the booking
+   * @param {Date} params.endTime - End of the booking
+   * @param {number} [params.participantsCount] - Expected participants
+   * @param {Array} [params.resources] - Lab resources booked (see labResourceService.loadForBooking); empty for the whole lab
+   * @param {Array} [params.excludeIds] - Bookings to ignore (the booking being edited)
+   * @param {Object} [params.overrides] - Result of resolveOverrides
+   * @param {boolean} [params.slotRules=true] - Also check the time slot and hour quotas (off when a series checks its occurrences itself)
+   * @returns {Promise<{allowed: boolean, violations: Array, overridden: Array, timezone: string}>}
+   */
+  async evaluate({ lab, fieldId, user, startTime, endTime, participantsCount, resources = [], excludeIds = [], overrides = null, slotRules = true }) {
+    const settings = await this.getSettings();
+
+    const all = this.evaluateRequest({ lab, fieldId, user, startTime, endTime, participantsCount, resources, settings });
+    if (slotRules) {
+      all.push(...await this.evaluateSlot({ lab, fieldId, startTime, endTime, resources, excludeIds, settings }));
+      all.push(...await this.evaluateQuotas({
+        user,
+        lab,
+        slots: [{ start_time: startTime, end_time: endTime }],
+        excludeIds,
+        settings
+      }));
+    }
+
+    const { violations, overridden } = this.applyOverrides(all, overrides);
+    return {
+      allowed: violations.length === 0,
+      violations,
+      overridden,
+      timezone: settings.timezone
+    };
+  }
+}
+
+module.exports = new BookingPolicyService();
@@ -0,0 +1,196 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification, sendParticipantNotification } = require('../utils/notifications');
+const { releaseBookingItems } = require('../utils/inventoryUtils');
+const { MINUTE, toId, userDepartments } = require('../utils/commonUtils');
+const labResourceService = require('./labResourceService');
+const slotSearchService = require('./slotSearchService');
+
+const DEFAULT_PRIORITIES = {
+  exam: 50,
+  maintenance: 50,
+  lecture: 40,
+  practical: 30,
+  research: 20,
+  meeting: 10,
+  other: 0
+};
+const DEFAULT_ROLES = ['admin', 'lab_manager'];
+const SUGGESTION_COUNT = 3;
+
+class BookingPreemptionService {
+  constructor() {
+    this.DEFAULT_PRIORITIES = DEFAULT_PRIORITIES;
+  }
+
+  /**
+   * Booking type priorities and the roles allowed to preempt, from
+   * SystemSetting.booking with the built-in defaults filling any gaps.
+   */
+  async getRules() {
+    const settings = await SystemSetting.findOne()
+      .select('booking.preemption_roles booking.booking_type_priorities')
+      .lean();
+    const configured = settings?.booking?.booking_type_priorities || {};
+
+    return {
+      priorities: { ...DEFAULT_PRIORITIES, ...configured },
+      roles: settings?.booking?.preemption_roles || DEFAULT_ROLES
+    };
+  }
+
+  getPriority(rules, bookingType) {
+    return rules.priorities[bookingType] ?? rules.priorities.other ?? 0;
+  }
+
+  /**
+   * Bookings a new booking would have to displace from its field. Every one
+   * of them must have a strictly lower priority; otherwise nothing is
+   * preempted and a 409 lists the bookings that cannot be moved.
+   *
+   * A whole-lab booking displaces whole-lab bookings of the field and every
+   * overlapping resource booking in the lab; a booking of `resources` only
+   * displaces bookings of the same resources and whole-lab bookings.
+   *
+   * @returns {Promise<{bookings: Array, priority: number, rules: Object}>}
+   */
+  async findPreemptable({ lab, fieldId, resources = [], startTime, endTime, bookingType, user }) {
+    const rules = await this.getRules();
+
+    if (!rules.roles.includes(user.role)) {
+      throw new ErrorResponse('You are not allowed to preempt other bookings', 403);
+    }
+    if (user.role !== 'admin' && !userDepartments(user).includes(toId(lab.department))) {
+      throw new ErrorResponse('Access denied: lab is outside your department', 403);
+    }
+
+    const priority = this.getPriority(rules, bookingType);
+    const resourceIds = resources.map(resource => resource._id || resource);
+    const [fieldBookings, resourceBookings] = await Promise.all([
+      fieldId && resourceIds.length === 0
+        ? Booking.findByFieldAndTime(fieldId, startTime, endTime)
+          .then(bookings => bookings.filter(b => !(b.resources || []).length))
+        : [],
+      labResourceService.findConflicts({ labId: lab._id, resourceIds, startTime, endTime })
+    ]);
+    const conflicts = [
+      ...fieldBookings,
+      ...(resourceBookings.length > 0
+        ? await Booking.find({ _id: { $in: resourceBookings.map(b => b._id) } })
+        : [])
+    ];
+
+    const blocking = conflicts.filter(b => this.getPriority(rules, b.booking_type) >= priority);
+    if (blocking.length > 0) {
+      const error = new ErrorResponse(
+        `${blocking.length} overlapping booking(s) have the same or a higher priority than a ${bookingType} booking`,
+        409
+      );
+      error.conflicts = blocking.map(b => ({
+        booking_id: b._id,
+        title: b.title,
+        booking_type: b.booking_type,
+        priority: this.getPriority(rules, b.booking_type),
+        start_time: b.start_time,
+        end_time: b.end_time,
+        status: b.status
+      }));
+      throw error;
+    }
+
+    return { bookings: conflicts, priority, rules };
+  }
+
+  /**
+   * Take the slot from each booking: reserved items and allocated
+   * consumables are released and the booking is marked preempted. Run inside
+   * the transaction that saves the preempting booking.
+   */
+  async preempt({ bookings, priority, rules }, { preemptingBooking, user, reason, session }) {
+    for (const booking of bookings) {
+      if (booking.status === 'approved' && booking.item_requirements?.length > 0) {
+        await releaseBookingItems(booking._id, user._id, 'booking_preempted', session);
+      }
+
+      const fresh = await Booking.findById(booking._id).session(session);
+      fresh.preemption = {
+        preempted_by_booking: preemptingBooking._id,
+        preempted_by: user._id,
+        preempted_at: new Date(),
+        previous_status: fresh.status,
+        priority: this.getPriority(rules, booking.booking_type),
+        preempting_priority: priority,
+        preempting_booking_type: preemptingBooking.booking_type,
+        reason
+      };
+      fresh.status = 'preempted';
+      fresh.updated_by = user._id;
+      await fresh.save({ session });
+    }
+  }
+
+  /**
+   * Free slots the owner could move to, searched from the preempted
+   * booking's original start for the same field, length and headcount
+   */
+  async suggestAlternatives(booking) {
+    try {
+      const owner = await User.findById(booking.user).select('role department departments');
+      if (!owner) return [];
+
+      const from = new Date(Math.max(Date.now(), booking.start_time.getTime()));
+      const { slots } = await slotSearchService.findSlots({
+        fieldId: booking.field,
+        durationMinutes: Math.round((booking.end_time - booking.start_time) / MINUTE),
+        participantsCount: booking.participants_count || 1,
+        from,
+        setupMinutes: booking.setup_time_needed || 0,
+        cleanupMinutes: booking.cleanup_time_required || 0,
+        limit: SUGGESTION_COUNT,
+        user: owner
+      });
+      return slots.map(slot => ({ lab: slot.lab_id, start_time: slot.start_time, end_time: slot.end_time }));
+    } catch (error) {
+      console.error(`Error finding alternative slots for booking ${booking._id}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Tell each owner their booking was preempted and offer alternative slots
+   */
+  async notifyPreempted(bookings, preemptingBooking, lab) {
+    for (const booking of bookings) {
+      const suggestions = await this.suggestAlternatives(booking);
+      await Booking.updateOne({ _id: booking._id }, { 'preemption.suggested_slots': suggestions });
+
+      await createNotification({
+        user: booking.user,
+        type: 'booking_preempted',
+        title: 'Booking Preempted',
+        message: `Your booking "${booking.title}" in ${lab.name} was replaced by a ${preemptingBooking.booking_type} booking.` +
+          (suggestions.length > 0
+            ? ` ${suggestions.length} alternative slot(s) are available.`
+            : ' No alternative slots were found in the next two weeks.'),
+        data: {
+          booking_id: booking._id,
+          preempted_by_booking: preemptingBooking._id,
+          suggested_slots: suggestions
+        },
+        action_url: `/bookings/${booking._id}`,
+        related_lab: lab._id,
+        priority: 'high'
+      });
+      await sendParticipantNotification(booking, {
+        type: 'booking_preempted',
+        title: 'Booking Preempted',
+        message: `"${booking.title}" in ${lab.name} was replaced by a ${preemptingBooking.booking_type} booking and will not take place at its original time.`,
+        priority: 'high'
+      });
+    }
+  }
+}
+
+module.exports = new BookingPreemptionService();
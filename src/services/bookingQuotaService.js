@@ -0,0 +1,173 @@
+const moment = require('moment-timezone');
+const Booking = require('../models/Booking');
+const BookingQuota = require('../models/BookingQuota');
+const User = require('../models/User');
+const { HOUR, toId, userDepartments } = require('../utils/commonUtils');
+
+// Bookings that use up quota: anything holding or having held the slot
+const COUNTED_STATUSES = ['pending', 'approved', 'completed'];
+
+// Weeks start on Sunday, as they do for recurring bookings
+const PERIOD_UNITS = { day: 'day', week: 'week', month: 'month' };
+const PERIOD_LABELS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+
+const roundHours = hours => Math.round(hours * 100) / 100;
+
+// Hours of [start, end) that fall inside [from, to)
+const overlapHours = (start, end, from, to) =>
+  Math.max(0, Math.min(new Date(end), to) - Math.max(new Date(start), from)) / HOUR;
+
+class BookingQuotaService {
+  constructor() {
+    this.COUNTED_STATUSES = COUNTED_STATUSES;
+  }
+
+  /**
+   * Active quotas that apply to a user, optionally only those covering one lab
+   */
+  async findApplicable(user, { labId } = {}) {
+    return BookingQuota.find({
+      is_active: true,
+      role: { $in: [user.role, null] },
+      department: { $in: [...userDepartments(user), null] },
+      ...(labId && { lab: { $in: [toId(labId), null] } })
+    })
+      .populate('lab', 'name code')
+      .populate('department', 'name code')
+      .lean();
+  }
+
+  /**
+   * Start and end of the quota period containing `date`
+   */
+  periodBounds(date, period, timezone) {
+    const start = moment.tz(date, timezone).startOf(PERIOD_UNITS[period]);
+    return { start: start.toDate(), end: start.clone().add(1, period).toDate() };
+  }
+
+  /**
+   * Hours already booked against a quota in a period. Department quotas
+   * count the bookings of everyone in the department with the quota's role.
+   */
+  async usedHours(quota, user, { start, end, excludeIds = [] }) {
+    const filter = {
+      status: { $in: COUNTED_STATUSES },
+      is_deleted: { $ne: true },
+      start_time: { $lt: end },
+      end_time: { $gt: start },
+      ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } }),
+      ...(quota.lab && { lab: toId(quota.lab) })
+    };
+
+    if (quota.applies_to === 'department') {
+      const departmentId = toId(quota.department) || toId(user.department);
+      filter.user = {
+        $in: await User.find({
+          department: departmentId,
+          ...(quota.role && { role: quota.role })
+        }).distinct('_id')
+      };
+    } else {
+      filter.user = user._id;
+    }
+
+    const bookings = await Booking.find(filter).select('start_time end_time').lean();
+    return bookings.reduce((sum, b) => sum + overlapHours(b.start_time, b.end_time, start, end), 0);
+  }
+
+  describe(quota) {
+    const scope = quota.applies_to === 'department' ? 'per department' : 'per user';
+    const where = quota.lab?.name ? ` in ${quota.lab.name}` : '';
+    return `${PERIOD_LABELS[quota.period]} quota "${quota.name}" (${quota.max_hours} h per ${quota.period} ${scope}${where})`;
+  }
+
+  /**
+   * Quotas a set of new time slots would exceed for a user in a lab.
+   * A slot crossing a period boundary counts its hours in each period,
+   * the same way usedHours counts existing bookings.
+   *
+   * @param {Object} params
+   * @param {Object} params.user - Booking user (role and department)
+   * @param {string|ObjectId} params.labId - Lab being booked
+   * @param {Array<{start_time: Date, end_time: Date}>} params.slots - New bookings
+   * @param {Array} [params.excludeIds] - Bookings to leave out of the usage (the booking being moved)
+   * @param {string} params.timezone - Timezone periods are measured in
+   * @returns {Promise<Array<{message: string, details: Object}>>}
+   */
+  async check({ user, labId, slots, excludeIds = [], timezone }) {
+    const quotas = await this.findApplicable(user, { labId });
+    const exceeded = [];
+
+    for (const quota of quotas) {
+      const periods = new Map();
+      for (const slot of slots) {
+        const slotEnd = new Date(slot.end_time);
+        let bounds = this.periodBounds(slot.start_time, quota.period, timezone);
+        do {
+          const key = bounds.start.toISOString();
+          const entry = periods.get(key) || { ...bounds, requested: 0 };
+          entry.requested += overlapHours(slot.start_time, slotEnd, bounds.start, bounds.end);
+          periods.set(key, entry);
+          bounds = this.periodBounds(bounds.end, quota.period, timezone);
+        } while (bounds.start < slotEnd);
+      }
+
+      for (const { start, end, requested } of periods.values()) {
+        const used = await this.usedHours(quota, user, { start, end, excludeIds });
+        if (used + requested <= quota.max_hours + 1e-9) continue;
+
+        const remaining = roundHours(Math.max(0, quota.max_hours - used));
+        const booker = quota.applies_to === 'department' ? 'your department has' : 'you have';
+        exceeded.push({
+          message: `${this.describe(quota)} exceeded for the ${quota.period} starting ` +
+            `${moment.tz(start, timezone).format('YYYY-MM-DD')}: ${booker} ${roundHours(used)} h booked ` +
+            `and ${remaining} h remaining, but this booking needs ${roundHours(requested)} h`,
+          details: {
+            quota_id: quota._id,
+            name: quota.name,
+            applies_to: quota.applies_to,
+            period: quota.period,
+            period_start: start,
+            period_end: end,
+            max_hours: quota.max_hours,
+            used_hours: roundHours(used),
+            remaining_hours: remaining,
+            requested_hours: roundHours(requested)
+          }
+        });
+      }
+    }
+
+    return exceeded;
+  }
+
+  /**
+   * A user's usage against every quota that applies to them, for the
+   * periods containing `at`
+   */
+  async getUsage(user, { at = new Date(), timezone }) {
+    const quotas = await this.findApplicable(user);
+
+    return Promise.all(quotas.map(async (quota) => {
+      const { start, end } = this.periodBounds(at, quota.period, timezone);
+      const used = await this.usedHours(quota, user, { start, end });
+      return {
+        quota_id: quota._id,
+        name: quota.name,
+        applies_to: quota.applies_to,
+        role: quota.role,
+        department: quota.department,
+        lab: quota.lab,
+        period: quota.period,
+        period_start: start,
+        period_end: end,
+        max_hours: quota.max_hours,
+        used_hours: roundHours(used),
+        remaining_hours: roundHours(Math.max(0, quota.max_hours - used)),
+        exceeded: used > quota.max_hours
+      };
+    }));
+  }
+}
+
+module.exports = new BookingQuotaService();
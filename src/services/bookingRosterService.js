@@ -0,0 +1,303 @@
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseCsv } = require('../utils/csvParser');
+const { sendParticipantNotification } = require('../utils/notifications');
+const { MINUTE, toId } = require('../utils/commonUtils');
+const bookingPolicyService = require('./bookingPolicyService');
+
+const ATTENDANCE_STATUSES = ['unmarked', 'present', 'late', 'absent', 'excused'];
+const ROSTER_EDITABLE_STATUSES = ['pending', 'approved'];
+const ATTENDANCE_BOOKING_STATUSES = ['approved', 'completed'];
+const HISTORY_BOOKING_STATUSES = ['approved', 'completed', 'no_show'];
+
+// Attendance can be taken from the time check-in opens
+const ATTENDANCE_OPENS_MINUTES = 30;
+
+// Accepted CSV headers for each roster column
+const CSV_ALIASES = {
+  name: ['name', 'full_name', 'student_name'],
+  email: ['email', 'email_address'],
+  external_id: ['external_id', 'student_id', 'registration_number', 'reg_no']
+};
+
+const pick = (values, column) => {
+  const header = CSV_ALIASES[column].find(h => values[h]);
+  return header ? values[header] : undefined;
+};
+
+class BookingRosterService {
+  constructor() {
+    this.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+  }
+
+  /**
+   * Key used to spot the same person twice on a roster
+   */
+  participantKey(participant) {
+    if (participant.user) return `user:${toId(participant.user)}`;
+    if (participant.external_id) return `id:${participant.external_id.toLowerCase()}`;
+    if (participant.email) return `email:${participant.email.toLowerCase()}`;
+    return `name:${(participant.name || '').toLowerCase()}`;
+  }
+
+  /**
+   * Turn requested participants into roster entries. Registered users are
+   * matched by ID or email; anyone else needs a name or an external ID.
+   *
+   * @param {Array<{user?: string, name?: string, email?: string, external_id?: string, line?: number}>} entries
+   * @returns {Promise<{participants: Array, duplicates: Array, invalid: Array}>}
+   */
+  async resolveEntries(entries, { addedBy, source = 'manual', existing = [] } = {}) {
+    const userIds = entries.filter(e => e.user).map(e => e.user);
+    const emails = entries.filter(e => !e.user && e.email).map(e => e.email.toLowerCase());
+    const users = userIds.length > 0 || emails.length > 0
+      ? await User.find({
+        is_active: true,
+        $or: [{ _id: { $in: userIds } }, { email: { $in: emails } }]
+      }).select('full_name email')
+      : [];
+    const usersById = new Map(users.map(u => [toId(u), u]));
+    const usersByEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+
+    const seen = new Set(existing.map(p => this.participantKey(p)));
+    const participants = [];
+    const duplicates = [];
+    const invalid = [];
+
+    entries.forEach((entry, index) => {
+      const row = entry.line || index + 1;
+      const email = entry.email ? entry.email.toLowerCase() : undefined;
+      const user = entry.user ? usersById.get(String(entry.user)) : usersByEmail.get(email);
+
+      if (entry.user && !user) {
+        invalid.push({ row, reason: 'User not found or inactive' });
+        return;
+      }
+      if (!user && !entry.name && !entry.external_id) {
+        invalid.push({ row, reason: 'A participant needs a registered user, a name or an external ID' });
+        return;
+      }
+
+      const participant = {
+        user: user?._id,
+        name: entry.name || user?.full_name,
+        external_id: entry.external_id || undefined,
+        email: user?.email || email,
+        source,
+        added_by: addedBy,
+        added_at: new Date()
+      };
+
+      const key = this.participantKey(participant);
+      if (seen.has(key)) {
+        duplicates.push({ row, name: participant.name, external_id: participant.external_id });
+        return;
+      }
+      seen.add(key);
+      participants.push(participant);
+    });
+
+    return { participants, duplicates, invalid };
+  }
+
+  /**
+   * Read a roster CSV with name, email and external ID columns (any of
+   * them may be missing). Rows with an email of a registered user are
+   * linked to that user.
+   */
+  parseRosterCsv(content) {
+    const { headers, records } = parseCsv(content);
+    const known = Object.values(CSV_ALIASES).flat();
+    if (headers.length > 0 && !headers.some(h => known.includes(h))) {
+      throw new ErrorResponse('CSV must have a name, email or external_id column', 400);
+    }
+
+    return records.map(({ line, values }) => ({
+      line,
+      name: pick(values, 'name'),
+      email: pick(values, 'email'),
+      external_id: pick(values, 'external_id')
+    }));
+  }
+
+  async assertCapacity(booking, size) {
+    const lab = await Lab.findById(booking.lab).select('name capacity booking_settings');
+    if (!lab) return;
+
+    const capacity = bookingPolicyService.getCapacity(lab, booking.field);
+    if (size > capacity) {
+      throw new ErrorResponse(`Lab capacity exceeded. Maximum ${capacity} participants allowed.`, 400);
+    }
+  }
+
+  /**
+   * Add people to a booking's roster, or replace the roster. The roster size
+   * becomes the booking's participant count and must fit the lab.
+   */
+  async addParticipants(booking, entries, actor, { replace = false, source = 'manual' } = {}) {
+    if (!ROSTER_EDITABLE_STATUSES.includes(booking.status)) {
+      throw new ErrorResponse('The roster can only be changed for pending or approved bookings', 400);
+    }
+
+    const { participants, duplicates, invalid } = await this.resolveEntries(entries, {
+      addedBy: actor._id,
+      source,
+      existing: replace ? [] : booking.participants
+    });
+
+    const size = (replace ? 0 : booking.participants.length) + participants.length;
+    await this.assertCapacity(booking, size);
+
+    if (replace) {
+      booking.participants = participants;
+    } else {
+      booking.participants.push(...participants);
+    }
+    booking.updated_by = actor._id;
+    await booking.save();
+
+    await this.notifyAdded(booking, participants);
+
+    return { booking, added: participants.length, duplicates, invalid };
+  }
+
+  async removeParticipant(booking, participantId, actor) {
+    if (!ROSTER_EDITABLE_STATUSES.includes(booking.status)) {
+      throw new ErrorResponse('The roster can only be changed for pending or approved bookings', 400);
+    }
+
+    const participant = booking.participants.id(participantId);
+    if (!participant) {
+      throw new ErrorResponse('Participant not found on this booking', 404);
+    }
+
+    participant.deleteOne();
+    booking.updated_by = actor._id;
+    await booking.save();
+    return booking;
+  }
+
+  /**
+   * Record attendance for roster entries. Attendance opens when check-in
+   * does and stays open after the booking so it can be corrected.
+   *
+   * @param {Array<{participant_id: string, status: string, notes?: string}>} marks
+   */
+  async markAttendance(booking, marks, actor) {
+    if (!ATTENDANCE_BOOKING_STATUSES.includes(booking.status)) {
+      throw new ErrorResponse('Attendance can only be taken for approved or completed bookings', 400);
+    }
+    const now = new Date();
+    if (now < new Date(booking.start_time.getTime() - ATTENDANCE_OPENS_MINUTES * MINUTE)) {
+      throw new ErrorResponse(`Attendance opens ${ATTENDANCE_OPENS_MINUTES} minutes before the booking starts`, 400);
+    }
+
+    const missing = marks.filter(mark => !booking.participants.id(mark.participant_id));
+    if (missing.length > 0) {
+      const error = new ErrorResponse(`${missing.length} participant(s) are not on this booking's roster`, 400);
+      error.details = { participant_ids: missing.map(mark => mark.participant_id) };
+      throw error;
+    }
+
+    for (const mark of marks) {
+      booking.participants.id(mark.participant_id).attendance = {
+        status: mark.status,
+        notes: mark.notes,
+        marked_at: now,
+        marked_by: actor._id
+      };
+    }
+    booking.updated_by = actor._id;
+    await booking.save();
+    return booking;
+  }
+
+  /**
+   * Count of roster entries per attendance status
+   */
+  summarize(participants) {
+    const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+    for (const participant of participants) {
+      counts[participant.attendance?.status || 'unmarked']++;
+    }
+    return counts;
+  }
+
+  /**
+   * One person's attendance across bookings, newest first. Attendance rate
+   * counts late arrivals as attended and leaves excused and unmarked
+   * sessions out.
+   */
+  async getAttendanceHistory({ userId, externalId, from, to, labIds = null }) {
+    const matchParticipant = userId
+      ? p => toId(p.user) === toId(userId)
+      : p => p.external_id === externalId;
+
+    const filter = {
+      status: { $in: HISTORY_BOOKING_STATUSES },
+      is_deleted: { $ne: true },
+      ...(userId ? { 'participants.user': userId } : { 'participants.external_id': externalId })
+    };
+    if (from || to) {
+      filter.start_time = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      };
+    }
+    if (labIds) filter.lab = { $in: labIds };
+
+    const bookings = await Booking.find(filter)
+      .select('title lab field booking_type start_time end_time status participants')
+      .populate('lab', 'name code')
+      .populate('field', 'name code')
+      .sort({ start_time: -1 })
+      .lean();
+
+    const records = bookings.map(booking => {
+      const participant = booking.participants.find(matchParticipant) || {};
+      return {
+        booking_id: booking._id,
+        title: booking.title,
+        lab: booking.lab,
+        field: booking.field,
+        booking_type: booking.booking_type,
+        start_time: booking.start_time,
+        end_time: booking.end_time,
+        booking_status: booking.status,
+        attendance: participant.attendance?.status || 'unmarked',
+        marked_at: participant.attendance?.marked_at,
+        notes: participant.attendance?.notes
+      };
+    });
+
+    const counts = this.summarize(records.map(r => ({ attendance: { status: r.attendance } })));
+    const counted = counts.present + counts.late + counts.absent;
+
+    return {
+      records,
+      summary: {
+        sessions: records.length,
+        ...counts,
+        attendance_rate: counted > 0 ? Math.round(((counts.present + counts.late) / counted) * 1000) / 10 : null
+      }
+    };
+  }
+
+  async notifyAdded(booking, participants) {
+    const userIds = participants.filter(p => p.user).map(p => toId(p.user));
+    if (userIds.length === 0) return;
+
+    await booking.populate('lab', 'name');
+    await sendParticipantNotification(booking, {
+      type: 'booking_participant_added',
+      title: 'Added to a Booking',
+      message: `You were added to${booking.title ? ` "${booking.title}"` : ' a booking'} in ${booking.lab?.name || 'a lab'} on ${booking.start_time.toLocaleString()}.`,
+      data: { status: booking.status },
+      userIds
+    });
+  }
+}
+
+module.exports = new BookingRosterService();
@@ -0,0 +1,522 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const ErrorResponse = require('../utils/errorResponse');
+const { expandRecurrence, DEFAULT_TIMEZONE } = require('../utils/recurrence');
+const { releaseBookingItems } = require('../utils/inventoryUtils');
+const bookingPolicyService = require('./bookingPolicyService');
+const labResourceService = require('./labResourceService');
+const waitlistService = require('./waitlistService');
+
+// Edit/cancel scopes for an occurrence of a series
+const SCOPES = {
+  OCCURRENCE: 'occurrence',
+  FOLLOWING: 'following',
+  SERIES: 'series'
+};
+
+// Booking fields that may be changed through a series edit
+const EDITABLE_FIELDS = [
+  'title', 'description', 'booking_type', 'participants_count',
+  'special_requirements', 'setup_time_needed', 'cleanup_time_required'
+];
+
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+class BookingSeriesService {
+  /**
+   * Timezone used to evaluate recurring patterns
+   */
+  async getTimezone() {
+    const settings = await SystemSetting.findOne().select('general.timezone').lean();
+    return settings?.general?.timezone || DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Normalize a pattern coming from the API so it can be stored on the series
+   * and on every occurrence.
+   */
+  normalizePattern(pattern, startTime, timezone) {
+    const first = moment.tz(startTime, timezone);
+    // Custom patterns may omit the end date; the last custom date is used instead
+    const lastDate = pattern.end_date || (pattern.custom_dates || [])
+      .reduce((latest, d) => (new Date(d) > latest ? new Date(d) : latest), new Date(startTime));
+    const normalized = {
+      frequency: pattern.frequency,
+      interval: Math.max(parseInt(pattern.interval, 10) || 1, 1),
+      // The pattern end date is inclusive: occurrences may start any time that day
+      end_date: moment.tz(lastDate, timezone).endOf('day').toDate()
+    };
+
+    if (['weekly', 'biweekly'].includes(pattern.frequency)) {
+      normalized.days_of_week = (pattern.days_of_week && pattern.days_of_week.length > 0)
+        ? pattern.days_of_week.map(Number)
+        : [first.day()];
+    }
+    if (pattern.frequency === 'monthly') {
+      normalized.month_day = pattern.month_day ? Number(pattern.month_day) : first.date();
+    }
+    if (pattern.frequency === 'custom') {
+      normalized.custom_dates = (pattern.custom_dates || []).map(d => new Date(d));
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Expand a pattern for a lab and check every occurrence for conflicts, blackouts
+   * and the slot rules of the booking policy (opening hours, concurrent bookings).
+   * Enforces the lab's allow_recurring and max_recurring_events settings.
+   * Occurrences starting on one of excludedDates (e.g. iCalendar EXDATEs) are dropped.
+   * With resources (loaded lab resources) each occurrence is checked at resource level.
+   *
+   * @returns {Promise<{occurrences: Array, conflicts: Array, excluded: Array, pattern: Object, timezone: string}>}
+   */
+  async planSeries({ lab, fieldId, startTime, endTime, pattern, resources = [], excludeIds = [], excludedDates = [], overrides = null }) {
+    const settings = lab.booking_settings || {};
+    if (settings.allow_recurring === false) {
+      throw new ErrorResponse(`Recurring bookings are not allowed for ${lab.name}`, 400);
+    }
+
+    if (!pattern || !pattern.frequency || (!pattern.end_date && pattern.frequency !== 'custom')) {
+      throw new ErrorResponse('Recurring pattern requires a frequency and an end date', 400);
+    }
+
+    const timezone = await this.getTimezone();
+    const normalized = this.normalizePattern(pattern, startTime, timezone);
+    const maxEvents = settings.max_recurring_events || 10;
+
+    const excludedTimes = new Set(excludedDates.map(d => new Date(d).getTime()));
+    const excluded = [];
+    const occurrences = expandRecurrence(startTime, endTime, normalized, {
+      timezone,
+      limit: maxEvents + excludedTimes.size
+    }).filter(o => {
+      if (!excludedTimes.has(o.start_time.getTime())) return true;
+      excluded.push(o.start_time);
+      return false;
+    });
+    if (occurrences.length === 0) {
+      throw new ErrorResponse('Recurring pattern does not produce any occurrences', 400);
+    }
+    if (occurrences.length > maxEvents) {
+      throw new ErrorResponse(
+        `Recurring pattern exceeds the maximum of ${maxEvents} occurrences allowed for ${lab.name}`,
+        400
+      );
+    }
+
+    const conflicts = [];
+    for (let i = 0; i < occurrences.length; i++) {
+      const occurrence = occurrences[i];
+      const issues = await this.checkOccurrence(lab, fieldId, occurrence.start_time, occurrence.end_time, excludeIds, {
+        timezone,
+        overrides,
+        resources
+      });
+
+      // Occurrences of the same series must not overlap each other either
+      const previous = occurrences[i - 1];
+      if (previous && previous.end_time > occurrence.start_time) {
+        issues.overlaps_previous = true;
+      }
+
+      if (hasIssues(issues)) {
+        conflicts.push({ index: i, ...occurrence, ...issues });
+      }
+    }
+
+    return { occurrences, conflicts, excluded, pattern: normalized, timezone };
+  }
+
+  /**
+   * Conflicting bookings, blackouts and other slot rule violations for a single occurrence
+   */
+  async checkOccurrence(lab, fieldId, startTime, endTime, excludeIds = [], options = {}) {
+    const { RULES } = bookingPolicyService;
+    const timezone = options.timezone || await this.getTimezone();
+    const all = await bookingPolicyService.evaluateSlot({
+      lab,
+      fieldId,
+      startTime,
+      endTime,
+      resources: options.resources || [],
+      excludeIds,
+      settings: { timezone }
+    });
+    const { violations } = bookingPolicyService.applyOverrides(all, options.overrides);
+    const CONFLICT_RULES = [RULES.BOOKING_CONFLICT, RULES.RESOURCE_CONFLICT];
+
+    return {
+      bookings: violations.filter(v => CONFLICT_RULES.includes(v.rule)).flatMap(v => v.details.bookings),
+      blackouts: violations.find(v => v.rule === RULES.BLACKOUT)?.details.periods || [],
+      violations: violations.filter(v => ![...CONFLICT_RULES, RULES.BLACKOUT].includes(v.rule))
+    };
+  }
+
+  /**
+   * Create a series and one booking per occurrence.
+   *
+   * @param {Object} params
+   * @param {Object} params.lab - Lab document
+   * @param {Object} params.bookingData - Fields shared by every occurrence (as built by createBooking)
+   * @param {Object} params.pattern - Recurring pattern from the request
+   * @param {string} params.userId - User creating the series
+   * @param {boolean} [params.skipConflicts=false] - Skip conflicting occurrences instead of failing
+   * @param {Array<Date>} [params.excludedDates] - Occurrence start times to leave out of the series
+   * @param {Object} [params.overrides] - Booking rules waived by an admin (see bookingPolicyService.resolveOverrides)
+   * @returns {Promise<{series: Object, bookings: Array, skipped: Array}>}
+   */
+  async createSeries({ lab, bookingData, pattern, userId, skipConflicts = false, excludedDates = [], overrides = null }) {
+    const plan = await this.planSeries({
+      lab,
+      fieldId: bookingData.field,
+      startTime: bookingData.start_time,
+      endTime: bookingData.end_time,
+      pattern,
+      resources: await labResourceService.loadForBooking(lab, bookingData.resources),
+      excludedDates,
+      overrides
+    });
+
+    if (plan.conflicts.length > 0 && !skipConflicts) {
+      const error = new ErrorResponse(
+        `${plan.conflicts.length} of ${plan.occurrences.length} occurrences conflict with existing bookings, blackout periods or booking rules`,
+        409
+      );
+      error.conflicts = plan.conflicts;
+      throw error;
+    }
+
+    const skippedIndexes = new Set(plan.conflicts.map(c => c.index));
+    const toCreate = plan.occurrences.filter((_, i) => !skippedIndexes.has(i));
+    if (toCreate.length === 0) {
+      const error = new ErrorResponse('Every occurrence of the series conflicts with an existing booking, blackout period or booking rule', 409);
+      error.conflicts = plan.conflicts;
+      throw error;
+    }
+
+    // Hour quotas count the whole series at once
+    const user = await User.findById(bookingData.user).select('role department');
+    const { violations: quotaViolations } = bookingPolicyService.applyOverrides(
+      await bookingPolicyService.evaluateQuotas({ user, lab, slots: toCreate, settings: { timezone: plan.timezone } }),
+      overrides
+    );
+    if (quotaViolations.length > 0) {
+      const error = new ErrorResponse(quotaViolations[0].message, 400);
+      error.violations = quotaViolations;
+      throw error;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let series;
+      const bookings = [];
+
+      await session.withTransaction(async () => {
+        bookings.length = 0;
+
+        series = new BookingSeries({
+          lab: bookingData.lab,
+          field: bookingData.field,
+          user: bookingData.user,
+          title: bookingData.title,
+          booking_type: bookingData.booking_type,
+          start_time: bookingData.start_time,
+          end_time: bookingData.end_time,
+          timezone: plan.timezone,
+          recurring_pattern: plan.pattern,
+          excluded_dates: [...plan.excluded, ...plan.conflicts.map(c => c.start_time)],
+          occurrence_count: toCreate.length,
+          created_by: userId
+        });
+        await series.save({ session });
+
+        for (let i = 0; i < toCreate.length; i++) {
+          const booking = new Booking({
+            ...bookingData,
+            ...toCreate[i],
+            is_recurring: true,
+            recurring_pattern: plan.pattern,
+            series: series._id,
+            occurrence_index: i,
+            original_start_time: toCreate[i].start_time
+          });
+          await booking.save({ session });
+          bookings.push(booking);
+        }
+      });
+
+      return { series, bookings, skipped: plan.conflicts };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Occurrences of the booking's series affected by a scope, in chronological order
+   */
+  async getScopeOccurrences(booking, scope, session = null) {
+    if (scope === SCOPES.OCCURRENCE) {
+      return [booking];
+    }
+
+    const query = {
+      series: booking.series,
+      status: { $in: ACTIVE_STATUSES },
+      is_deleted: { $ne: true }
+    };
+    if (scope === SCOPES.FOLLOWING) {
+      query.occurrence_index = { $gte: booking.occurrence_index };
+    }
+
+    return Booking.find(query).sort({ start_time: 1 }).session(session);
+  }
+
+  /**
+   * Move the booking and every later occurrence into a new series.
+   * Used by "this and following" edits so each series keeps a single pattern.
+   */
+  async splitSeries(series, booking, userId, session) {
+    const anchorIndex = booking.occurrence_index;
+    if (!anchorIndex) return series; // First occurrence: nothing to split off
+
+    const { _id, createdAt, updatedAt, ...seriesData } = series.toObject();
+    const newSeries = new BookingSeries({
+      ...seriesData,
+      start_time: booking.start_time,
+      end_time: booking.end_time,
+      excluded_dates: (series.excluded_dates || []).filter(d => d >= (booking.original_start_time || booking.start_time)),
+      split_from: series._id,
+      created_by: userId
+    });
+
+    // The old series ends the moment before this occurrence was originally due
+    const cutoff = new Date((booking.original_start_time || booking.start_time).getTime() - 1);
+    series.recurring_pattern.end_date = cutoff;
+    series.excluded_dates = (series.excluded_dates || []).filter(d => d <= cutoff);
+    series.updated_by = userId;
+
+    const moved = await Booking.updateMany(
+      { series: series._id, occurrence_index: { $gte: anchorIndex } },
+      { $set: { series: newSeries._id }, $inc: { occurrence_index: -anchorIndex } },
+      { session }
+    );
+
+    newSeries.occurrence_count = moved.modifiedCount;
+    series.occurrence_count = Math.max((series.occurrence_count || 0) - moved.modifiedCount, 0);
+    await newSeries.save({ session });
+    await series.save({ session });
+
+    return newSeries;
+  }
+
+  /**
+   * Edit one occurrence, this and following occurrences, or the whole series.
+   *
+   * A new start_time/end_time is applied to the anchor occurrence as given; other
+   * occurrences in scope are shifted by the same offset and take the new duration.
+   *
+   * @returns {Promise<{series: Object, bookings: Array}>}
+   */
+  async updateOccurrences(booking, scope, changes, user) {
+    const lab = await mongoose.model('Lab').findById(booking.lab);
+    const series = await BookingSeries.findById(booking.series);
+    if (!series) {
+      throw new ErrorResponse('Booking series not found', 404);
+    }
+
+    const occurrences = await this.getScopeOccurrences(booking, scope);
+    if (occurrences.length === 0) {
+      throw new ErrorResponse('No active occurrences to update', 400);
+    }
+
+    const updates = {};
+    for (const key of EDITABLE_FIELDS) {
+      if (changes[key] !== undefined) updates[key] = changes[key];
+    }
+
+    const newStart = changes.start_time ? new Date(changes.start_time) : booking.start_time;
+    const newEnd = changes.end_time ? new Date(changes.end_time) : booking.end_time;
+    if (newEnd <= newStart) {
+      throw new ErrorResponse('End time must be after start time', 400);
+    }
+    const offset = newStart - booking.start_time;
+    const duration = newEnd - newStart;
+    const timesChanged = offset !== 0 || duration !== (booking.end_time - booking.start_time);
+
+    if (participantsExceedCapacity(updates.participants_count, lab)) {
+      throw new ErrorResponse(`Lab capacity exceeded. Maximum ${lab.capacity} participants allowed.`, 400);
+    }
+
+    // Work out new times and validate everything before writing anything
+    const excludeIds = occurrences.map(o => o._id);
+    const planned = occurrences.map(o => {
+      const start = new Date(o.start_time.getTime() + offset);
+      return { booking: o, start_time: start, end_time: new Date(start.getTime() + duration) };
+    });
+
+    if (timesChanged) {
+      const resources = await labResourceService.loadForBooking(lab, booking.resources);
+      const conflicts = [];
+      for (const plan of planned) {
+        const issues = await this.checkOccurrence(lab, booking.field, plan.start_time, plan.end_time, excludeIds, { resources });
+        if (hasIssues(issues)) {
+          conflicts.push({ booking_id: plan.booking._id, start_time: plan.start_time, end_time: plan.end_time, ...issues });
+        }
+      }
+      if (conflicts.length > 0) {
+        const error = new ErrorResponse(`${conflicts.length} occurrence(s) would conflict with existing bookings, blackout periods or booking rules`, 409);
+        error.conflicts = conflicts;
+        throw error;
+      }
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let targetSeries = series;
+      await session.withTransaction(async () => {
+        targetSeries = series;
+        if (scope === SCOPES.FOLLOWING) {
+          targetSeries = await this.splitSeries(series, booking, user._id, session);
+        }
+        const wasSplit = !targetSeries._id.equals(series._id);
+
+        // Occurrences are saved one at a time and each save is checked against
+        // the others, so move the one furthest in the direction of the shift
+        // first: it lands in a free slot and vacates the slot the next one needs
+        const saveOrder = [...planned].sort((a, b) => offset > 0
+          ? b.booking.start_time - a.booking.start_time
+          : a.booking.start_time - b.booking.start_time);
+
+        for (const plan of saveOrder) {
+          const occurrence = plan.booking;
+          if (wasSplit) {
+            occurrence.series = targetSeries._id;
+            occurrence.occurrence_index -= booking.occurrence_index;
+          }
+          occurrence.set(updates);
+          if (timesChanged) {
+            // Series-level moves shift the pattern itself, so the pattern slot moves too
+            if (scope !== SCOPES.OCCURRENCE) {
+              const original = occurrence.original_start_time || occurrence.start_time;
+              occurrence.original_start_time = new Date(original.getTime() + offset);
+            }
+            occurrence.start_time = plan.start_time;
+            occurrence.end_time = plan.end_time;
+          }
+          if (scope === SCOPES.OCCURRENCE) {
+            occurrence.is_exception = true;
+          }
+          occurrence.updated_by = user._id;
+          await occurrence.save({ session });
+        }
+
+        // Series-level edits keep the series record in step with its occurrences
+        if (scope !== SCOPES.OCCURRENCE) {
+          if (updates.title) targetSeries.title = updates.title;
+          if (updates.booking_type) targetSeries.booking_type = updates.booking_type;
+          if (timesChanged) {
+            targetSeries.start_time = new Date(targetSeries.start_time.getTime() + offset);
+            targetSeries.end_time = new Date(targetSeries.start_time.getTime() + duration);
+            targetSeries.excluded_dates = (targetSeries.excluded_dates || []).map(d => new Date(d.getTime() + offset));
+            if (offset > 0) {
+              targetSeries.recurring_pattern.end_date = new Date(targetSeries.recurring_pattern.end_date.getTime() + offset);
+            }
+          }
+          targetSeries.updated_by = user._id;
+          await targetSeries.save({ session });
+        }
+      });
+
+      return { series: targetSeries, bookings: planned.map(p => p.booking) };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Cancel one occurrence, this and following occurrences, or the whole series.
+   * Items reserved by approved occurrences are released and each freed slot
+   * is offered to the waitlist.
+   *
+   * @returns {Promise<{series: Object, cancelled: Array}>}
+   */
+  async cancelOccurrences(booking, scope, user, reason) {
+    const series = await BookingSeries.findById(booking.series);
+    if (!series) {
+      throw new ErrorResponse('Booking series not found', 404);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      const cancelled = [];
+      await session.withTransaction(async () => {
+        cancelled.length = 0;
+        const occurrences = await this.getScopeOccurrences(booking, scope, session);
+
+        for (const occurrence of occurrences) {
+          if (!ACTIVE_STATUSES.includes(occurrence.status)) continue;
+
+          if (occurrence.status === 'approved' && occurrence.item_requirements?.length > 0) {
+            await releaseBookingItems(occurrence._id, user._id, 'booking_cancelled', session);
+          }
+
+          occurrence.status = 'cancelled';
+          occurrence.cancelled_at = new Date();
+          occurrence.cancelled_by = user._id;
+          occurrence.cancellation_reason = reason || 'No reason provided';
+          occurrence.updated_by = user._id;
+          await occurrence.save({ session });
+          cancelled.push(occurrence);
+        }
+
+        const remaining = await Booking.countDocuments({
+          series: series._id,
+          status: { $in: ACTIVE_STATUSES },
+          is_deleted: { $ne: true }
+        }).session(session);
+
+        if (scope === SCOPES.SERIES || remaining === 0) {
+          series.status = 'cancelled';
+          series.cancelled_at = new Date();
+          series.cancelled_by = user._id;
+        } else if (scope === SCOPES.FOLLOWING) {
+          series.recurring_pattern.end_date = new Date((booking.original_start_time || booking.start_time).getTime() - 1);
+        }
+        series.updated_by = user._id;
+        await series.save({ session });
+      });
+
+      // Offer the freed slots to the waitlist once the cancellation is committed
+      for (const occurrence of cancelled) {
+        try {
+          await waitlistService.handleReleasedBooking(occurrence);
+        } catch (error) {
+          console.error('Error promoting waitlist after cancellation:', occurrence._id, error);
+        }
+      }
+
+      return { series, cancelled };
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+function hasIssues(issues) {
+  return issues.bookings.length > 0 || issues.blackouts.length > 0 ||
+    issues.violations.length > 0 || !!issues.overlaps_previous;
+}
+
+function participantsExceedCapacity(participants, lab) {
+  return participants !== undefined && lab?.capacity && Number(participants) > lab.capacity;
+}
+
+const bookingSeriesService = new BookingSeriesService();
+bookingSeriesService.SCOPES = SCOPES;
+
+module.exports = bookingSeriesService;
@@ -0,0 +1,149 @@
+const BookingTemplate = require('../models/BookingTemplate');
+const Item = require('../models/Item');
+const ErrorResponse = require('../utils/errorResponse');
+const { toId, userDepartments } = require('../utils/commonUtils');
+const itemReservationService = require('./itemReservationService');
+
+// Booking fields a template carries over to the bookings made from it
+const TEMPLATE_BOOKING_FIELDS = [
+  'title', 'purpose', 'booking_type', 'participants_count', 'setup_time_needed',
+  'cleanup_time_needed', 'equipment_needed', 'special_instructions'
+];
+
+class BookingTemplateService {
+  constructor() {
+    this.TEMPLATE_BOOKING_FIELDS = TEMPLATE_BOOKING_FIELDS;
+  }
+
+  /**
+   * Query for the templates a user can see: their own and those shared with
+   * one of their departments. Admins see every template.
+   */
+  visibleFilter(user) {
+    if (user.role === 'admin') return {};
+    return {
+      $or: [
+        { owner: user._id },
+        { visibility: 'department', department: { $in: userDepartments(user) } }
+      ]
+    };
+  }
+
+  canView(user, template) {
+    if (user.role === 'admin' || toId(template.owner) === toId(user)) return true;
+    return template.visibility === 'department' && userDepartments(user).includes(toId(template.department));
+  }
+
+  /**
+   * Owners and admins can edit a template; department admins can edit the
+   * templates shared with their department.
+   */
+  canManage(user, template) {
+    if (user.role === 'admin' || toId(template.owner) === toId(user)) return true;
+    return user.role === 'department_admin' &&
+      template.visibility === 'department' &&
+      userDepartments(user).includes(toId(template.department));
+  }
+
+  /**
+   * Department a template is shared with. Defaults to the owner's department;
+   * only admins may share outside their own departments.
+   */
+  resolveDepartment(user, visibility, departmentId) {
+    if (visibility !== 'department') return undefined;
+
+    const department = departmentId || toId(user.department);
+    if (user.role !== 'admin' && !userDepartments(user).includes(toId(department))) {
+      throw new ErrorResponse('Templates can only be shared with your own department', 403);
+    }
+    return department;
+  }
+
+  /**
+   * Check the template's items against current stock for a booking window.
+   * Consumables need the quantity on hand; reusable items need enough units
+   * that are not reserved by overlapping bookings.
+   *
+   * @returns {Promise<Array>} One entry per item that cannot be supplied
+   */
+  async checkStock(template, startTime, endTime) {
+    const requirements = template.item_requirements || [];
+    if (requirements.length === 0) return [];
+
+    const items = await Item.find({ _id: { $in: requirements.map(req => req.item) } });
+    const itemsById = new Map(items.map(item => [toId(item), item]));
+
+    const reservable = items.filter(item => !item.deleted_at && itemReservationService.isReservable(item));
+    const availability = await itemReservationService.getAvailability(reservable, startTime, endTime);
+    const availableById = new Map(availability.map(entry => [toId(entry.item_id), entry.available]));
+
+    const shortages = [];
+    for (const req of requirements) {
+      const item = itemsById.get(toId(req.item));
+      const required = req.quantity_needed || 1;
+
+      if (!item || item.deleted_at) {
+        shortages.push({ item: req.item, required, available: 0, reason: 'Item no longer exists' });
+        continue;
+      }
+      if (item.status === 'in_maintenance' || item.status === 'expired') {
+        shortages.push({
+          item: item._id,
+          name: item.name,
+          required,
+          available: 0,
+          reason: `Item is ${item.status.replace('_', ' ')}`
+        });
+        continue;
+      }
+
+      const available = availableById.has(toId(item))
+        ? availableById.get(toId(item))
+        : item.available_quantity;
+      if (available < required) {
+        shortages.push({
+          item: item._id,
+          name: item.name,
+          required,
+          available,
+          reason: itemReservationService.isReservable(item)
+            ? 'Not enough units free during the booking window'
+            : 'Not enough stock on hand'
+        });
+      }
+    }
+    return shortages;
+  }
+
+  /**
+   * Request body for creating a booking (or series) from a template. Only the
+   * dates and the few booking options in `options` come from the caller.
+   */
+  toBookingRequest(template, options) {
+    const request = {
+      lab_id: toId(template.lab),
+      field_id: toId(template.field),
+      item_requirements: (template.item_requirements || []).map(req => ({
+        item: toId(req.item),
+        quantity_needed: req.quantity_needed,
+        notes: req.notes
+      }))
+    };
+    for (const key of TEMPLATE_BOOKING_FIELDS) {
+      if (template[key] !== undefined && template[key] !== null) request[key] = template[key];
+    }
+    if (!request.title) request.title = template.name;
+
+    return { ...request, ...options };
+  }
+
+  async findVisible(user, templateId) {
+    const template = await BookingTemplate.findOne({ _id: templateId, is_active: true });
+    if (!template || !this.canView(user, template)) {
+      throw new ErrorResponse('Booking template not found', 404);
+    }
+    return template;
+  }
+}
+
+module.exports = new BookingTemplateService();
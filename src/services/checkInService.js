@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification } = require('../utils/notifications');
+const { releaseBookingItems } = require('../utils/inventoryUtils');
+const { MINUTE, toId } = require('../utils/commonUtils');
+
+// How long before the start time people may check in
+const EARLY_CHECK_IN_MINUTES = 30;
+const DEFAULT_GRACE_MINUTES = 15;
+// Only bookings whose grace period ran out this recently can become no-shows,
+// so turning check-in on does not flag the lab's older approved bookings
+const NO_SHOW_LOOKBACK_MINUTES = 24 * 60;
+const STAFF_ROLES = ['admin', 'lab_manager'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class CheckInService {
+  /**
+   * Issue a new door token for a lab. The token is returned once; any previous
+   * QR code for the lab stops working.
+   */
+  async createLabToken(lab) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await Lab.updateOne(
+      { _id: lab._id },
+      { check_in: { token_hash: hashToken(token), created_at: new Date() } }
+    );
+    return token;
+  }
+
+  async findLabByToken(token) {
+    if (!token) return null;
+    return Lab.findOne({ 'check_in.token_hash': hashToken(token), is_active: true });
+  }
+
+  /**
+   * Owners check in with the lab's door token to prove they are there;
+   * admins and lab managers can check anyone in manually.
+   */
+  async checkIn(booking, user, { labToken } = {}) {
+    const isStaff = STAFF_ROLES.includes(user.role);
+    const isOwner = toId(booking.user) === toId(user);
+    if (!isOwner && !isStaff) {
+      throw new ErrorResponse('Not authorized to check in to this booking', 403);
+    }
+
+    if (booking.status !== 'approved') {
+      throw new ErrorResponse(`Cannot check in to a ${booking.status} booking`, 400);
+    }
+    if (booking.actual_start_time) {
+      throw new ErrorResponse('Booking is already checked in', 400);
+    }
+
+    const now = new Date();
+    if (now < new Date(booking.start_time.getTime() - EARLY_CHECK_IN_MINUTES * MINUTE)) {
+      throw new ErrorResponse(`Check-in opens ${EARLY_CHECK_IN_MINUTES} minutes before the booking starts`, 400);
+    }
+    if (now > booking.end_time) {
+      throw new ErrorResponse('The booking has already ended', 400);
+    }
+
+    let method = 'manual';
+    if (labToken) {
+      const lab = await this.findLabByToken(labToken);
+      if (!lab || toId(lab) !== toId(booking.lab)) {
+        throw new ErrorResponse('This check-in code does not belong to the booked lab', 400);
+      }
+      method = 'qr';
+    } else if (!isStaff) {
+      throw new ErrorResponse('Scan the QR code at the lab door to check in', 400);
+    }
+
+    booking.actual_start_time = now;
+    booking.checked_in_by = user._id;
+    booking.check_in_method = method;
+    booking.updated_by = user._id;
+    await booking.save();
+    return booking;
+  }
+
+  /**
+   * Check in to the booking the user has in a lab right now, from the lab's QR code
+   */
+  async checkInWithLabToken(user, labToken) {
+    const lab = await this.findLabByToken(labToken);
+    if (!lab) {
+      throw new ErrorResponse('Invalid check-in code', 400);
+    }
+
+    const now = new Date();
+    const booking = await Booking.findOne({
+      lab: lab._id,
+      user: user._id,
+      status: 'approved',
+      is_deleted: { $ne: true },
+      actual_start_time: null,
+      start_time: { $lte: new Date(now.getTime() + EARLY_CHECK_IN_MINUTES * MINUTE) },
+      end_time: { $gt: now }
+    }).sort({ start_time: 1 });
+
+    if (!booking) {
+      throw new ErrorResponse(`You have no approved booking in ${lab.name} to check in to right now`, 404);
+    }
+
+    return this.checkIn(booking, user, { labToken });
+  }
+
+  async checkOut(booking, user) {
+    const isStaff = STAFF_ROLES.includes(user.role);
+    if (toId(booking.user) !== toId(user) && !isStaff) {
+      throw new ErrorResponse('Not authorized to check out of this booking', 403);
+    }
+    if (!booking.actual_start_time) {
+      throw new ErrorResponse('Booking has not been checked in', 400);
+    }
+    if (booking.actual_end_time) {
+      throw new ErrorResponse('Booking is already checked out', 400);
+    }
+
+    booking.actual_end_time = new Date();
+    booking.checked_out_by = user._id;
+    booking.updated_by = user._id;
+    await booking.save();
+    return booking;
+  }
+
+  /**
+   * Start times of bookings whose check-in grace period has run out at `now`,
+   * within the last NO_SHOW_LOOKBACK_MINUTES
+   */
+  noShowWindow(now, graceMinutes = DEFAULT_GRACE_MINUTES) {
+    const to = new Date(now.getTime() - graceMinutes * MINUTE);
+    return { from: new Date(to.getTime() - NO_SHOW_LOOKBACK_MINUTES * MINUTE), to };
+  }
+
+  /**
+   * Scheduled job: approved bookings in labs that require check-in, where
+   * nobody checked in before the grace period ran out, become no-shows.
+   * Their items are released and the owner's no-show count goes up.
+   */
+  async detectNoShows(now = new Date()) {
+    const labs = await Lab.find({ 'booking_settings.require_check_in': true, is_active: true })
+      .select('name booking_settings.check_in_grace_minutes');
+    if (labs.length === 0) return { no_shows: 0 };
+
+    let noShows = 0;
+    const errors = [];
+
+    for (const lab of labs) {
+      const grace = lab.booking_settings?.check_in_grace_minutes ?? DEFAULT_GRACE_MINUTES;
+      const { from, to } = this.noShowWindow(now, grace);
+      const bookings = await Booking.find({
+        lab: lab._id,
+        status: 'approved',
+        is_deleted: { $ne: true },
+        actual_start_time: null,
+        start_time: { $gte: from, $lte: to }
+      });
+
+      for (const booking of bookings) {
+        try {
+          await this.markNoShow(booking, lab, now);
+          noShows++;
+        } catch (error) {
+          console.error(`Error marking booking ${booking._id} as no-show:`, error);
+          errors.push({ bookingId: booking._id, error: error.message });
+        }
+      }
+    }
+
+    return {
+      no_shows: noShows,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  }
+
+  async markNoShow(booking, lab, now = new Date()) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (booking.item_requirements?.length > 0) {
+          const releasedBy = booking.approved_by || booking.user;
+          await releaseBookingItems(booking._id, releasedBy, 'booking_no_show', session);
+        }
+
+        await Booking.updateOne(
+          { _id: booking._id, status: 'approved' },
+          { status: 'no_show', no_show_at: now },
+          { session }
+        );
+        await User.updateOne(
+          { _id: booking.user },
+          { $inc: { no_show_count: 1 }, last_no_show_at: now },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await createNotification({
+      user: booking.user,
+      type: 'booking_no_show',
+      title: 'Missed Booking',
+      message: `Nobody checked in to "${booking.title}" in ${lab.name}, so it was marked as a no-show and its items were released.`,
+      data: {
+        booking_id: booking._id,
+        lab_name: lab.name,
+        start_time: booking.start_time
+      },
+      action_url: `/bookings/${booking._id}`,
+      related_lab: lab._id,
+      priority: 'high'
+    });
+  }
+
+  /**
+   * Lift the no-show restriction for a user
+   */
+  async resetNoShows(userId) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { no_show_count: 0 },
+      { new: true }
+    ).select('full_name email no_show_count last_no_show_at');
+    if (!user) {
+      throw new ErrorResponse('User not found', 404);
+    }
+    return user;
+  }
+}
+
+module.exports = new CheckInService();
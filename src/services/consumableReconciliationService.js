@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Item = require('../models/Item');
+const StockLog = require('../models/StockLog');
+const ErrorResponse = require('../utils/errorResponse');
+const { toId } = require('../utils/commonUtils');
+const { refreshStockStatus } = require('../utils/stockUtils');
+const stockService = require('./stockService');
+
+// A teacher or course is flagged when, over at least DEFAULT_MIN_BOOKINGS
+// reconciled bookings, this share of the requested quantity went unused
+const DEFAULT_THRESHOLD_PERCENT = 25;
+const DEFAULT_MIN_BOOKINGS = 3;
+
+const unusedRate = (requested, used) =>
+  (requested > 0 ? Math.round(((requested - used) / requested) * 1000) / 10 : 0);
+
+class ConsumableReconciliationService {
+  constructor() {
+    this.DEFAULT_THRESHOLD_PERCENT = DEFAULT_THRESHOLD_PERCENT;
+    this.DEFAULT_MIN_BOOKINGS = DEFAULT_MIN_BOOKINGS;
+  }
+
+  /**
+   * Consumables issued to a booking, one entry per item with the total requested
+   */
+  getRequestedConsumables(booking) {
+    const byItem = new Map();
+    for (const requirement of booking.item_requirements || []) {
+      if (requirement.type !== 'consumable' || requirement.status === 'rejected' || !requirement.item) continue;
+
+      const key = toId(requirement.item);
+      const entry = byItem.get(key) || {
+        item: requirement.item?._id || requirement.item,
+        name: requirement.name || requirement.item?.name,
+        requested_quantity: 0
+      };
+      entry.requested_quantity += requirement.quantity_needed;
+      byItem.set(key, entry);
+    }
+    return [...byItem.values()];
+  }
+
+  /**
+   * Lots an item was issued from for a booking, across its requirements
+   */
+  getLotAllocations(booking, itemId) {
+    return (booking.item_requirements || [])
+      .filter(requirement => toId(requirement.item) === toId(itemId))
+      .flatMap(requirement => requirement.lot_allocations || []);
+  }
+
+  requiresReconciliation(booking) {
+    return this.getRequestedConsumables(booking).length > 0;
+  }
+
+  /**
+   * Record actual usage for every requested consumable and post the
+   * difference to stock. While the requested quantities are still held by
+   * the booking, unused stock goes back ('add') and use beyond the request is
+   * taken ('remove'). If completion already returned everything, the used
+   * quantity is taken.
+   *
+   * The booking is changed but not saved.
+   *
+   * @param {Object} booking - Booking document
+   * @param {Array<{item_id: string, used_quantity: number, notes?: string}>} usage
+   * @param {Object} actor - User recording the usage
+   * @param {Object} [options]
+   * @param {string} [options.notes]
+   * @param {Object} [options.session] - MongoDB session
+   */
+  async applyUsage(booking, usage, actor, { notes, session = null } = {}) {
+    if (booking.consumable_reconciliation?.status === 'reconciled') {
+      throw new ErrorResponse('Consumable usage has already been reconciled for this booking', 400);
+    }
+
+    const requested = this.getRequestedConsumables(booking);
+    if (requested.length === 0) {
+      throw new ErrorResponse('This booking has no consumables to reconcile', 400);
+    }
+
+    const usageByItem = new Map(usage.map(entry => [String(entry.item_id), entry]));
+    const missing = requested.filter(line => !usageByItem.has(toId(line.item)));
+    const unknown = usage.filter(entry => !requested.some(line => toId(line.item) === String(entry.item_id)));
+    if (missing.length > 0 || unknown.length > 0) {
+      const error = new ErrorResponse('Enter the used quantity for each requested consumable, and only for those', 400);
+      error.details = {
+        missing: missing.map(line => ({ item_id: toId(line.item), name: line.name })),
+        unknown: unknown.map(entry => entry.item_id)
+      };
+      throw error;
+    }
+
+    const stockReturned = booking.consumable_reconciliation?.stock_returned === true;
+    const lines = [];
+
+    for (const line of requested) {
+      const entry = usageByItem.get(toId(line.item));
+      const used = Number(entry.used_quantity);
+      const stockChange = stockReturned ? -used : line.requested_quantity - used;
+
+      if (stockChange !== 0) {
+        const item = await Item.findById(line.item).session(session);
+        if (!item) {
+          throw new ErrorResponse(`Item ${line.name || toId(line.item)} not found`, 404);
+        }
+        if (item.available_quantity + stockChange < 0) {
+          const error = new ErrorResponse(`Not enough stock of ${line.name || item.name} to record this usage`, 400);
+          error.details = { item_id: toId(item), available: item.available_quantity, required: -stockChange };
+          throw error;
+        }
+
+        // Unused stock goes back to the lots it was issued from; extra use is
+        // taken first-expiry-first-out
+        const lots = stockChange > 0
+          ? stockService.returnToLots(item, this.getLotAllocations(booking, line.item), stockChange)
+          : stockService.takeFromLots(item, -stockChange);
+
+        item.available_quantity += stockChange;
+        refreshStockStatus(item);
+        await item.save({ session });
+
+        let reason = 'Unused booking consumables returned';
+        if (stockChange < 0) {
+          reason = stockReturned ? 'Booking consumables used' : 'Booking consumables used beyond request';
+        }
+
+        await new StockLog({
+          item: item._id,
+          user: actor._id,
+          lab: booking.lab?._id || booking.lab,
+          change_quantity: stockChange,
+          reason,
+          notes: `Booking ID: ${booking._id}`,
+          type: stockChange > 0 ? 'add' : 'remove',
+          reference_id: booking._id,
+          metadata: {
+            requested_quantity: String(line.requested_quantity),
+            used_quantity: String(used),
+            ...(lots.length > 0 && { lots: JSON.stringify(lots) })
+          }
+        }).save({ session });
+      }
+
+      lines.push({
+        item: line.item,
+        name: line.name,
+        requested_quantity: line.requested_quantity,
+        used_quantity: used,
+        variance: line.requested_quantity - used,
+        stock_change: stockChange,
+        notes: entry.notes
+      });
+    }
+
+    booking.consumable_reconciliation = {
+      status: 'reconciled',
+      stock_returned: stockReturned,
+      lines,
+      requested_total: lines.reduce((sum, l) => sum + l.requested_quantity, 0),
+      used_total: lines.reduce((sum, l) => sum + l.used_quantity, 0),
+      reconciled_at: new Date(),
+      reconciled_by: actor._id,
+      notes
+    };
+    return booking;
+  }
+
+  /**
+   * Reconcile a booking that was completed without usage being entered
+   */
+  async reconcileCompleted(bookingId, usage, actor, { notes, labIds = null } = {}) {
+    const session = await mongoose.startSession();
+    try {
+      let booking;
+
+      await session.withTransaction(async () => {
+        booking = await Booking.findOne({ _id: bookingId, is_deleted: { $ne: true } }).session(session);
+        if (!booking) {
+          throw new ErrorResponse('Booking not found', 404);
+        }
+        if (labIds && !labIds.map(String).includes(toId(booking.lab))) {
+          throw new ErrorResponse('Access denied: booking is outside your department', 403);
+        }
+        if (booking.status !== 'completed') {
+          throw new ErrorResponse('Usage is entered when completing the booking; only completed bookings can be reconciled here', 400);
+        }
+
+        await this.applyUsage(booking, usage, actor, { notes, session });
+        booking.updated_by = actor._id;
+        await booking.save({ session });
+      });
+
+      return booking;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Requested against used consumables for reconciled bookings, per booking,
+   * per teacher (booking owner) and per course (booking field). Teachers and
+   * courses that leave a large share of what they request unused are flagged.
+   */
+  async getVarianceReport({
+    from,
+    to,
+    labIds = null,
+    userId,
+    fieldId,
+    thresholdPercent = DEFAULT_THRESHOLD_PERCENT,
+    minBookings = DEFAULT_MIN_BOOKINGS
+  } = {}) {
+    const filter = {
+      'consumable_reconciliation.status': 'reconciled',
+      is_deleted: { $ne: true }
+    };
+    if (from || to) {
+      filter.end_time = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      };
+    }
+    if (labIds) filter.lab = { $in: labIds };
+    if (userId) filter.user = userId;
+    if (fieldId) filter.field = fieldId;
+
+    const [bookings, pending] = await Promise.all([
+      Booking.find(filter)
+        .select('title user lab field start_time end_time consumable_reconciliation')
+        .populate('user', 'full_name email role')
+        .populate('lab', 'name code')
+        .populate('field', 'name code')
+        .sort({ end_time: -1 })
+        .lean(),
+      Booking.countDocuments({
+        'consumable_reconciliation.status': 'pending',
+        is_deleted: { $ne: true },
+        ...(labIds && { lab: { $in: labIds } })
+      })
+    ]);
+
+    const rows = bookings.map(booking => {
+      const { requested_total: requestedTotal, used_total: usedTotal, lines } = booking.consumable_reconciliation;
+      return {
+        booking_id: booking._id,
+        title: booking.title,
+        user: booking.user,
+        lab: booking.lab,
+        field: booking.field,
+        start_time: booking.start_time,
+        requested_total: requestedTotal,
+        used_total: usedTotal,
+        unused_total: requestedTotal - usedTotal,
+        unused_rate: unusedRate(requestedTotal, usedTotal),
+        lines
+      };
+    });
+
+    const summarize = (keyOf, describe) => {
+      const groups = new Map();
+      for (const row of rows) {
+        const key = keyOf(row);
+        if (!key) continue;
+
+        const group = groups.get(key) || {
+          ...describe(row),
+          bookings: 0,
+          over_requested_bookings: 0,
+          requested_total: 0,
+          used_total: 0,
+          items: new Map()
+        };
+        group.bookings += 1;
+        if (row.unused_total > 0) group.over_requested_bookings += 1;
+        group.requested_total += row.requested_total;
+        group.used_total += row.used_total;
+
+        for (const line of row.lines) {
+          const itemKey = toId(line.item);
+          const item = group.items.get(itemKey) || { item: line.item, name: line.name, requested: 0, used: 0 };
+          item.requested += line.requested_quantity;
+          item.used += line.used_quantity;
+          group.items.set(itemKey, item);
+        }
+        groups.set(key, group);
+      }
+
+      return [...groups.values()]
+        .map(group => {
+          const rate = unusedRate(group.requested_total, group.used_total);
+          return {
+            ...group,
+            unused_total: group.requested_total - group.used_total,
+            unused_rate: rate,
+            flagged: group.bookings >= minBookings && rate >= thresholdPercent,
+            items: [...group.items.values()]
+              .map(item => ({ ...item, unused_rate: unusedRate(item.requested, item.used) }))
+              .sort((a, b) => (b.requested - b.used) - (a.requested - a.used))
+          };
+        })
+        .sort((a, b) => Number(b.flagged) - Number(a.flagged) || b.unused_rate - a.unused_rate);
+    };
+
+    return {
+      bookings: rows,
+      teachers: summarize(row => toId(row.user), row => ({ user: row.user })),
+      courses: summarize(row => toId(row.field), row => ({ field: row.field })),
+      pending_reconciliations: pending,
+      criteria: {
+        threshold_percent: thresholdPercent,
+        min_bookings: minBookings
+      }
+    };
+  }
+}
+
+module.exports = new ConsumableReconciliationService();
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const ErrorResponse = require('../utils/errorResponse');
+const { toId } = require('../utils/commonUtils');
+
+// Reusable items are reserved for the booking window; consumables are drawn from stock
+const RESERVABLE_TYPES = ['non_consumable', 'fixed_asset'];
+const RESERVING_STATUSES = ['pending', 'approved'];
+
+// Helper to normalize various legacy/alias item types to the Booking schema enum
+const normalizeItemType = (t) => {
+  const s = (t || '').toString().trim().toLowerCase();
+  if (!s) return s;
+  // Map legacy/alias values
+  if (['fixed', 'equipment', 'asset', 'fixedasset', 'fixed_asset'].includes(s)) return 'fixed_asset';
+  if (['non-consumable', 'non_consumable', 'reusable'].includes(s)) return 'non_consumable';
+  if (['consumable', 'consumables'].includes(s)) return 'consumable';
+  return s; // assume already one of the allowed values
+};
+
+const peakQuantity = (reservations) => {
+  const events = [];
+  for (const { start_time, end_time, quantity } of reservations) {
+    events.push([new Date(start_time).getTime(), quantity]);
+    events.push([new Date(end_time).getTime(), -quantity]);
+  }
+  // Releases sort before pickups at the same instant, so back-to-back bookings share a unit
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    peak = Math.max(peak, current);
+  }
+  return peak;
+};
+
+class ItemReservationService {
+  constructor() {
+    this.RESERVABLE_TYPES = RESERVABLE_TYPES;
+  }
+
+  normalizeItemType(type) {
+    return normalizeItemType(type);
+  }
+
+  /**
+   * Highest number of units held at the same time by a set of reservations
+   */
+  peakQuantity(reservations) {
+    return peakQuantity(reservations);
+  }
+
+  isReservable(item) {
+    return RESERVABLE_TYPES.includes(normalizeItemType(item?.type || item?.catalogue_item_id?.type));
+  }
+
+  /**
+   * Pending and approved bookings holding any of the items during [start, end)
+   *
+   * @returns {Promise<Map<string, Array>>} item id -> reservations
+   */
+  async getReservations(itemIds, start, end, { excludeBookingIds = [], session = null } = {}) {
+    const Booking = mongoose.model('Booking');
+    const ids = itemIds.map(toId);
+
+    const bookings = await Booking.find({
+      _id: { $nin: excludeBookingIds },
+      'item_requirements.item': { $in: ids },
+      status: { $in: RESERVING_STATUSES },
+      is_deleted: { $ne: true },
+      start_time: { $lt: end },
+      end_time: { $gt: start }
+    })
+      .select('title status start_time end_time user lab item_requirements.item item_requirements.quantity_needed')
+      .session(session)
+      .lean();
+
+    const reservations = new Map(ids.map(id => [id, []]));
+    for (const booking of bookings) {
+      for (const requirement of booking.item_requirements || []) {
+        const list = reservations.get(toId(requirement.item));
+        if (!list) continue;
+        list.push({
+          booking_id: booking._id,
+          title: booking.title,
+          status: booking.status,
+          user: booking.user,
+          start_time: booking.start_time,
+          end_time: booking.end_time,
+          quantity: requirement.quantity_needed || 1
+        });
+      }
+    }
+    return reservations;
+  }
+
+  /**
+   * Availability of items over a time window. Reusable items count the units
+   * reserved by overlapping bookings; consumables report their stock on hand.
+   */
+  async getAvailability(items, start, end, options = {}) {
+    const reservable = items.filter(item => this.isReservable(item));
+    const reservations = reservable.length > 0
+      ? await this.getReservations(reservable.map(item => item._id), start, end, options)
+      : new Map();
+
+    return items.map(item => {
+      const type = normalizeItemType(item.type || item.catalogue_item_id?.type);
+      if (!this.isReservable(item)) {
+        return {
+          item_id: item._id,
+          name: item.name,
+          type,
+          quantity: item.quantity,
+          reserved: 0,
+          available: item.available_quantity,
+          reservations: []
+        };
+      }
+
+      const held = reservations.get(toId(item)) || [];
+      const reserved = peakQuantity(held);
+      return {
+        item_id: item._id,
+        name: item.name,
+        type,
+        quantity: item.quantity,
+        reserved,
+        available: Math.max(0, item.quantity - reserved),
+        reservations: held
+      };
+    });
+  }
+
+  /**
+   * Make sure every reusable item in the requirements is free for the window.
+   * Throws a 400 naming the first item that is short.
+   */
+  async assertAvailable(requirements, start, end, { excludeBookingIds = [], session = null } = {}) {
+    const itemIds = requirements.map(req => toId(req.item)).filter(Boolean);
+    if (itemIds.length === 0) return;
+
+    const items = await Item.find({ _id: { $in: itemIds } }).session(session);
+    const reservable = items.filter(item => this.isReservable(item));
+    if (reservable.length === 0) return;
+
+    const availability = await this.getAvailability(reservable, start, end, { excludeBookingIds, session });
+    const byId = new Map(availability.map(entry => [toId(entry.item_id), entry]));
+
+    // The same item may be listed more than once
+    const needed = new Map();
+    for (const req of requirements) {
+      const id = toId(req.item);
+      if (byId.has(id)) needed.set(id, (needed.get(id) || 0) + (req.quantity_needed || 1));
+    }
+
+    for (const [id, quantity] of needed) {
+      const entry = byId.get(id);
+      if (entry.available < quantity) {
+        const error = new ErrorResponse(
+          `Item ${entry.name} is already reserved for the requested time. Available: ${entry.available}, Required: ${quantity}`,
+          400
+        );
+        error.details = {
+          itemId: entry.item_id,
+          itemName: entry.name,
+          available: entry.available,
+          required: quantity,
+          conflicts: entry.reservations.map(r => r.booking_id)
+        };
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = new ItemReservationService();
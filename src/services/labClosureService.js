@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const BlackoutPeriod = require('../models/BlackoutPeriod');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification, sendParticipantNotification } = require('../utils/notifications');
+const { releaseBookingItems } = require('../utils/inventoryUtils');
+const { MINUTE, toId } = require('../utils/commonUtils');
+const rescheduleService = require('./rescheduleService');
+const slotSearchService = require('./slotSearchService');
+
+const ACTIVE_STATUSES = ['pending', 'approved'];
+const CLOSED_STATUSES = ['maintenance', 'inactive'];
+const SUGGESTION_COUNT = 3;
+
+const slotOf = booking => ({
+  lab: booking.lab?._id || booking.lab,
+  field: booking.field?._id || booking.field,
+  start_time: booking.start_time,
+  end_time: booking.end_time
+});
+
+const summarize = booking => ({
+  booking_id: booking._id,
+  title: booking.title,
+  status: booking.status,
+  user: booking.user,
+  lab: booking.lab,
+  field: booking.field,
+  start_time: booking.start_time,
+  end_time: booking.end_time,
+  participants_count: booking.participants_count
+});
+
+class LabClosureService {
+  constructor() {
+    this.CLOSED_STATUSES = CLOSED_STATUSES;
+  }
+
+  /**
+   * Pending and approved bookings in a lab that overlap a closure window.
+   * Without an end time the window is open-ended; with a field only that
+   * field's bookings are affected.
+   */
+  async findAffected(lab, { startTime, endTime, fieldId }, { session = null } = {}) {
+    return Booking.find({
+      lab: lab._id,
+      status: { $in: ACTIVE_STATUSES },
+      is_deleted: { $ne: true },
+      end_time: { $gt: startTime },
+      ...(endTime && { start_time: { $lt: endTime } }),
+      ...(fieldId && { field: fieldId })
+    })
+      .populate('user', 'full_name email role department')
+      .populate('field', 'name code')
+      .sort({ start_time: 1 })
+      .session(session);
+  }
+
+  /**
+   * Free slots in other labs that host the booking's field and fit its
+   * headcount, starting from the booking's own time. `same_time` marks a
+   * slot the booking could move to without changing its time.
+   */
+  async suggestAlternatives(booking, lab) {
+    try {
+      const owner = booking.user?.role
+        ? booking.user
+        : await User.findById(booking.user).select('role department');
+      if (!owner) return [];
+
+      const { slots } = await slotSearchService.findSlots({
+        fieldId: toId(booking.field),
+        durationMinutes: Math.round((booking.end_time - booking.start_time) / MINUTE),
+        participantsCount: booking.participants_count || 1,
+        from: new Date(Math.max(Date.now(), booking.start_time.getTime())),
+        setupMinutes: booking.setup_time_needed || 0,
+        cleanupMinutes: booking.cleanup_time_required || 0,
+        limit: SUGGESTION_COUNT,
+        excludeLabIds: [lab._id],
+        excludeBookingIds: [booking._id],
+        user: owner
+      });
+      return slots.map(slot => ({
+        lab: slot.lab_id,
+        lab_name: slot.lab_name,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        same_time: slot.start_time.getTime() === booking.start_time.getTime()
+      }));
+    } catch (error) {
+      console.error(`Error finding alternative labs for booking ${booking._id}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Bookings a closure would affect, each with alternative labs
+   */
+  async preview(lab, { startTime = new Date(), endTime = null, fieldId = null } = {}) {
+    const bookings = await this.findAffected(lab, { startTime, endTime, fieldId });
+
+    const affected = [];
+    for (const booking of bookings) {
+      affected.push({
+        ...summarize(booking),
+        has_reserved_items: booking.status === 'approved' && (booking.item_requirements || []).length > 0,
+        alternatives: await this.suggestAlternatives(booking, lab)
+      });
+    }
+
+    return {
+      lab: { _id: lab._id, name: lab.name, code: lab.code, status: lab.status },
+      window: { start_time: startTime, end_time: endTime, field: fieldId },
+      total: affected.length,
+      pending: affected.filter(b => b.status === 'pending').length,
+      approved: affected.filter(b => b.status === 'approved').length,
+      bookings: affected
+    };
+  }
+
+  /**
+   * Close a lab and clear its bookings in one transaction. With a status
+   * ('maintenance' or 'inactive') the whole lab is taken out of service from
+   * the start time; without one a blackout period is created for the window
+   * (optionally for one field). Every affected booking is moved or cancelled:
+   *
+   * - bookings listed in `moves` go to the given lab and time
+   * - with `autoMove`, other bookings go to a lab free at the same time
+   * - the rest are cancelled and their reserved items released
+   *
+   * Owners and participants are notified afterwards; owners of cancelled
+   * bookings get alternative labs.
+   *
+   * @param {Object} lab - Lab document
+   * @param {Object} user - User closing the lab
+   * @param {Object} params
+   * @param {string} [params.status] - New lab status; a blackout is created without it
+   * @param {Date} [params.startTime] - Start of the closure (default now)
+   * @param {Date} [params.endTime] - End of the closure (required for a blackout)
+   * @param {string} [params.fieldId] - Close only this field (blackouts only)
+   * @param {string} params.reason - Shown to the owners of affected bookings
+   * @param {Array<{booking_id, lab_id, field_id?, start_time?, end_time?}>} [params.moves]
+   * @param {boolean} [params.autoMove=false]
+   * @param {Array} [params.labIds] - Labs bookings may be moved to (department scope)
+   */
+  async close(lab, user, { status, startTime, endTime, fieldId, reason, moves = [], autoMove = false, labIds = null }) {
+    if (status && !CLOSED_STATUSES.includes(status)) {
+      throw new ErrorResponse(`Closure status must be one of: ${CLOSED_STATUSES.join(', ')}`, 400);
+    }
+    if (status && fieldId) {
+      throw new ErrorResponse('A status change closes the whole lab; use a blackout to close one field', 400);
+    }
+    if (!status && !endTime) {
+      throw new ErrorResponse('A blackout closure needs an end time', 400);
+    }
+
+    const window = { startTime: startTime || new Date(), endTime: endTime || null, fieldId: fieldId || null };
+    if (window.endTime && window.endTime <= window.startTime) {
+      throw new ErrorResponse('End time must be after start time', 400);
+    }
+
+    const inScope = labId => !labIds || labIds.map(String).includes(toId(labId));
+    const stillClosed = (proposed) => toId(proposed.lab) === toId(lab) && (Boolean(status) ||
+      ((!window.fieldId || toId(proposed.field) === toId(window.fieldId)) &&
+        proposed.start_time < window.endTime && proposed.end_time > window.startTime));
+
+    // Plan the moves while the lab is still open
+    const affected = await this.findAffected(lab, window);
+    const explicit = new Map(moves.map(move => [String(move.booking_id), move]));
+    const unknown = [...explicit.keys()].filter(id => !affected.some(b => toId(b) === id));
+    if (unknown.length > 0) {
+      const error = new ErrorResponse('Moves can only be given for bookings affected by the closure', 400);
+      error.details = { unknown };
+      throw error;
+    }
+
+    const plans = new Map();
+    for (const booking of affected) {
+      const move = explicit.get(toId(booking));
+      if (move) {
+        const proposed = {
+          lab: move.lab_id,
+          field: move.field_id || toId(booking.field),
+          start_time: move.start_time ? new Date(move.start_time) : booking.start_time,
+          end_time: move.end_time ? new Date(move.end_time) : booking.end_time
+        };
+        if (!inScope(proposed.lab)) {
+          throw new ErrorResponse(`Access denied: cannot move "${booking.title}" to a lab outside your department`, 403);
+        }
+        if (proposed.end_time <= proposed.start_time) {
+          throw new ErrorResponse(`The new end time for "${booking.title}" must be after its start time`, 400);
+        }
+        if (stillClosed(proposed)) {
+          throw new ErrorResponse(`"${booking.title}" cannot be moved to a slot the closure covers`, 400);
+        }
+        plans.set(toId(booking), { proposed, explicit: true });
+      } else if (autoMove) {
+        const alternatives = await this.suggestAlternatives(booking, lab);
+        const target = alternatives.find(a => a.same_time && inScope(a.lab));
+        plans.set(toId(booking), {
+          alternatives,
+          proposed: target && {
+            lab: target.lab,
+            field: toId(booking.field),
+            start_time: booking.start_time,
+            end_time: booking.end_time
+          }
+        });
+      }
+    }
+
+    const session = await mongoose.startSession();
+    let blackout = null;
+    let moved = [];
+    let cancelled = [];
+
+    try {
+      await session.withTransaction(async () => {
+        moved = [];
+        cancelled = [];
+
+        if (status) {
+          await Lab.updateOne({ _id: lab._id }, {
+            $set: { status, updated_by: user._id, updated_at: new Date() },
+            ...(status === 'maintenance' && {
+              $push: { maintenance_logs: { start_time: window.startTime, notes: reason, updated_by: user._id } }
+            })
+          }, { session });
+        } else {
+          [blackout] = await BlackoutPeriod.create([{
+            lab: lab._id,
+            field: window.fieldId || undefined,
+            start_time: window.startTime,
+            end_time: window.endTime,
+            reason,
+            created_by: user._id
+          }], { session });
+        }
+
+        const closure = {
+          kind: status ? 'lab_status' : 'blackout',
+          lab: lab._id,
+          lab_status: status,
+          blackout: blackout?._id,
+          reason,
+          closed_by: user._id,
+          closed_at: new Date()
+        };
+
+        for (const booking of await this.findAffected(lab, window, { session })) {
+          const plan = plans.get(toId(booking));
+          let proposed = plan?.proposed;
+
+          if (proposed) {
+            try {
+              await rescheduleService.checkProposal(booking, proposed, { session });
+            } catch (error) {
+              if (plan.explicit || !error.statusCode) {
+                const wrapped = new ErrorResponse(`Cannot move "${booking.title}": ${error.message}`, error.statusCode || 500);
+                wrapped.violations = error.violations;
+                wrapped.details = { booking_id: booking._id };
+                throw wrapped;
+              }
+              // The automatic target filled up since the plan; cancel instead
+              proposed = null;
+            }
+          }
+
+          if (!proposed && booking.status === 'approved' && booking.item_requirements?.length > 0) {
+            await releaseBookingItems(booking._id, user._id, 'lab_closed', session);
+          }
+
+          const fresh = await Booking.findById(booking._id).session(session);
+          if (fresh.reschedule_request?.status === 'pending') {
+            fresh.reschedule_request.status = 'cancelled';
+            fresh.reschedule_request.decided_by = user._id;
+            fresh.reschedule_request.decided_at = new Date();
+            fresh.reschedule_request.decision_notes = 'Lab closed';
+          }
+
+          if (proposed) {
+            fresh.change_history.push({
+              from: slotOf(fresh),
+              to: proposed,
+              reason: `Lab closed: ${reason}`,
+              requested_by: user._id,
+              approved_by: user._id,
+              changed_at: new Date()
+            });
+            fresh.lab = proposed.lab;
+            fresh.field = proposed.field;
+            fresh.start_time = proposed.start_time;
+            fresh.end_time = proposed.end_time;
+            fresh.closure = { ...closure, action: 'moved' };
+            moved.push(fresh);
+          } else {
+            fresh.status = 'cancelled';
+            fresh.cancelled_at = new Date();
+            fresh.cancelled_by = user._id;
+            fresh.cancellation_reason = `Lab closed: ${reason}`;
+            fresh.closure = { ...closure, action: 'cancelled' };
+            cancelled.push(fresh);
+          }
+          fresh.updated_by = user._id;
+          await fresh.save({ session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const suggestions = new Map();
+    for (const booking of cancelled) {
+      const alternatives = plans.get(toId(booking))?.alternatives || await this.suggestAlternatives(booking, lab);
+      suggestions.set(toId(booking), alternatives);
+      await Booking.updateOne({ _id: booking._id }, { 'closure.suggested_slots': alternatives });
+      await this.notifyCancelled(booking, lab, reason, alternatives);
+    }
+
+    const movedBookings = moved.length > 0
+      ? await Booking.find({ _id: { $in: moved.map(b => b._id) } }).populate('lab', 'name code')
+      : [];
+    for (const booking of movedBookings) {
+      await this.notifyMoved(booking, lab, reason);
+    }
+
+    return {
+      lab: await Lab.findById(lab._id).select('name code status'),
+      blackout,
+      window: { start_time: window.startTime, end_time: window.endTime, field: window.fieldId },
+      moved: movedBookings.map(summarize),
+      cancelled: cancelled.map(booking => ({
+        ...summarize(booking),
+        alternatives: suggestions.get(toId(booking))
+      }))
+    };
+  }
+
+  async notifyCancelled(booking, lab, reason, alternatives) {
+    const labNames = [...new Set(alternatives.map(a => a.lab_name).filter(Boolean))];
+
+    await createNotification({
+      user: booking.user,
+      type: 'booking_cancelled',
+      title: 'Booking Cancelled: Lab Closed',
+      message: `Your booking "${booking.title}" in ${lab.name} on ${booking.start_time.toLocaleString()} was cancelled because the lab is closed: ${reason}.` +
+        (labNames.length > 0
+          ? ` Alternatives with free slots: ${labNames.join(', ')}.`
+          : ' No alternative labs with free slots were found in the next two weeks.'),
+      data: {
+        booking_id: booking._id,
+        lab_name: lab.name,
+        cancellation_reason: booking.cancellation_reason,
+        suggested_slots: alternatives
+      },
+      action_url: `/bookings/${booking._id}`,
+      related_lab: lab._id,
+      priority: 'high'
+    });
+    await sendParticipantNotification(booking, {
+      type: 'booking_cancelled',
+      title: 'Booking Cancelled',
+      message: `"${booking.title}" in ${lab.name} was cancelled because the lab is closed.`,
+      data: { cancellation_reason: booking.cancellation_reason },
+      priority: 'high'
+    });
+  }
+
+  async notifyMoved(booking, closedLab, reason) {
+    const message = `"${booking.title}" was moved from ${closedLab.name} to ${booking.lab?.name || 'another lab'} ` +
+      `at ${booking.start_time.toLocaleString()} because ${closedLab.name} is closed: ${reason}.`;
+
+    await createNotification({
+      user: booking.user,
+      type: 'booking_rescheduled',
+      title: 'Booking Moved: Lab Closed',
+      message: `Your booking ${message}`,
+      data: { booking_id: booking._id, from_lab: closedLab._id },
+      action_url: `/bookings/${booking._id}`,
+      related_lab: booking.lab?._id,
+      priority: 'high'
+    });
+    await sendParticipantNotification(booking, {
+      type: 'booking_rescheduled',
+      title: 'Booking Moved',
+      message,
+      priority: 'high'
+    });
+  }
+}
+
+module.exports = new LabClosureService();
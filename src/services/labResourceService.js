@@ -0,0 +1,127 @@
+const Booking = require('../models/Booking');
+const LabResource = require('../models/LabResource');
+const ErrorResponse = require('../utils/errorResponse');
+const { toId } = require('../utils/commonUtils');
+
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+// Bookings without resources hold the whole lab
+const WHOLE_LAB = { 'resources.0': { $exists: false } };
+
+const slim = booking => ({
+  booking_id: booking._id,
+  title: booking.title,
+  user: booking.user,
+  start_time: booking.start_time,
+  end_time: booking.end_time,
+  status: booking.status
+});
+
+class LabResourceService {
+  constructor() {
+    this.WHOLE_LAB = WHOLE_LAB;
+  }
+
+  /**
+   * Resources a booking asks for, in request order. Each must be an active
+   * resource of the booked lab; otherwise a 400 lists the invalid IDs.
+   */
+  async loadForBooking(lab, resourceIds = [], { session = null } = {}) {
+    const ids = [...new Set((resourceIds || []).map(toId).filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const resources = await LabResource.find({ _id: { $in: ids } })
+      .populate('item', 'status')
+      .session(session);
+    const byId = new Map(resources.map(r => [toId(r), r]));
+
+    const invalid = ids.filter(id => {
+      const resource = byId.get(id);
+      return !resource || !resource.is_active || toId(resource.lab) !== toId(lab);
+    });
+    if (invalid.length > 0) {
+      const error = new ErrorResponse(`Resources must be active resources of ${lab.name || 'the booked lab'}`, 400);
+      error.details = { invalid_resources: invalid };
+      throw error;
+    }
+
+    return ids.map(id => byId.get(id));
+  }
+
+  /**
+   * Participants a set of resources can hold together
+   */
+  getCapacity(resources) {
+    return resources.reduce((sum, resource) => sum + (resource.capacity || 1), 0);
+  }
+
+  /**
+   * Active bookings in a lab that clash with a booking of `resourceIds`
+   * (or of the whole lab when empty). A resource booking clashes with
+   * bookings of the same resources and with whole-lab bookings; a whole-lab
+   * booking clashes with every resource booking in the lab.
+   */
+  async findConflicts({ labId, resourceIds = [], startTime, endTime, excludeIds = [], session = null }) {
+    const filter = {
+      lab: labId,
+      status: { $in: ACTIVE_STATUSES },
+      is_deleted: { $ne: true },
+      start_time: { $lt: endTime },
+      end_time: { $gt: startTime },
+      ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } })
+    };
+    if (resourceIds.length > 0) {
+      filter.$or = [{ resources: { $in: resourceIds } }, WHOLE_LAB];
+    } else {
+      filter['resources.0'] = { $exists: true };
+    }
+
+    return Booking.find(filter)
+      .select('title resources start_time end_time status')
+      .session(session)
+      .lean();
+  }
+
+  /**
+   * Every active resource of a lab with the bookings holding it in a window,
+   * plus the whole-lab bookings that hold all of them
+   */
+  async getAvailability(lab, { from, to }) {
+    const [resources, bookings] = await Promise.all([
+      LabResource.find({ lab: lab._id, is_active: true })
+        .populate('item', 'name status')
+        .sort({ type: 1, name: 1 })
+        .lean(),
+      Booking.find({
+        lab: lab._id,
+        status: { $in: ACTIVE_STATUSES },
+        is_deleted: { $ne: true },
+        start_time: { $lt: to },
+        end_time: { $gt: from }
+      })
+        .select('title user resources start_time end_time status')
+        .populate('user', 'full_name')
+        .sort({ start_time: 1 })
+        .lean()
+    ]);
+
+    const wholeLab = bookings.filter(b => !(b.resources || []).length);
+
+    return {
+      lab: { _id: lab._id, name: lab.name, code: lab.code, capacity: lab.capacity },
+      window: { from, to },
+      whole_lab_bookings: wholeLab.map(slim),
+      resources: resources.map(resource => {
+        const held = bookings.filter(b => (b.resources || []).some(id => toId(id) === toId(resource)));
+        return {
+          ...resource,
+          bookings: held.map(slim),
+          is_free: resource.status === 'available' && resource.item?.status !== 'in_maintenance' &&
+            held.length === 0 && wholeLab.length === 0
+        };
+      })
+    };
+  }
+}
+
+module.exports = new LabResourceService();
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const BorrowLog = require('../models/BorrowLog');
+const CatalogueItem = require('../models/CatalogueItem');
+const Item = require('../models/Item');
+const stockService = require('./stockService');
+const ErrorResponse = require('../utils/errorResponse');
+const barcode = require('../utils/barcode');
+const { createLabelSheetPdf } = require('../utils/pdfDocument');
+const { toId } = require('../utils/commonUtils');
+
+// What an item label encodes: the item ID (unique, the default), the
+// catalogue code (shared by the item's stock in every lab) or the asset's
+// serial number
+const LABEL_CONTENTS = ['id', 'code', 'serial'];
+const LABEL_FORMATS = ['svg', 'png'];
+
+const OPEN_BORROW_STATUSES = ['pending', 'approved', 'borrowed', 'overdue'];
+
+const isObjectId = value => /^[0-9a-f]{24}$/i.test(value) && mongoose.isValidObjectId(value);
+
+class LabelService {
+  constructor() {
+    this.SYMBOLOGIES = barcode.SYMBOLOGIES;
+    this.LABEL_CONTENTS = LABEL_CONTENTS;
+    this.LABEL_FORMATS = LABEL_FORMATS;
+    this.OPEN_BORROW_STATUSES = OPEN_BORROW_STATUSES;
+  }
+
+  /**
+   * Text encoded on an item's label
+   */
+  itemPayload(item, content = 'id') {
+    if (content === 'serial') {
+      const serial = item.asset_details?.serial_number;
+      if (!serial) throw new ErrorResponse('Item has no serial number to encode', 400);
+      return serial;
+    }
+    if (content === 'code') {
+      const code = item.catalogue_item_id?.code;
+      if (!code) throw new ErrorResponse('Item has no catalogue code to encode', 400);
+      return code;
+    }
+    return item._id.toString();
+  }
+
+  /**
+   * Text printed beside the symbol: name, codes and where the item lives
+   */
+  itemLines(item, lab = item.lab) {
+    const catalogueItem = item.catalogue_item_id || {};
+    const lines = [catalogueItem.name || 'Unnamed item'];
+    lines.push([catalogueItem.code, lab?.code].filter(Boolean).join(' / '));
+    if (item.asset_details?.serial_number) lines.push(`S/N ${item.asset_details.serial_number}`);
+    if (item.storage_type === 'temporary') lines.push('Temporary storage');
+    return lines.filter(Boolean);
+  }
+
+  encode(text, symbology) {
+    try {
+      return barcode.encode(text, symbology);
+    } catch (error) {
+      throw new ErrorResponse(error.message, 400);
+    }
+  }
+
+  /**
+   * Render a single label image
+   *
+   * @returns {{contentType: string, body: string|Buffer}}
+   */
+  render(text, { symbology = 'qr', format = 'svg', scale = 4, showText = true } = {}) {
+    const symbol = this.encode(text, symbology);
+    if (format === 'png') {
+      return { contentType: 'image/png', body: barcode.toPng(symbol, { scale }) };
+    }
+    // Only Code 128 prints the text under the bars; QR labels carry it in the sheet
+    return {
+      contentType: 'image/svg+xml',
+      body: barcode.toSvg(symbol, { scale, showText: showText && symbology === 'code128' })
+    };
+  }
+
+  /**
+   * Printable PDF sheet with one label per item of a lab
+   *
+   * @param {Object} lab - Lab document
+   * @param {Object} [options]
+   * @param {string} [options.symbology='qr']
+   * @param {string} [options.content='id'] - See LABEL_CONTENTS; items without a serial number are skipped for 'serial'
+   * @param {string} [options.type] - Only items of this catalogue type
+   * @param {Array<string>} [options.itemIds] - Only these items
+   * @param {number} [options.copies=1] - Labels per item
+   * @returns {Promise<{pdf: Buffer, count: number}>}
+   */
+  async labSheet(lab, { symbology = 'qr', content = 'id', type = null, itemIds = null, copies = 1 } = {}) {
+    const query = { lab: lab._id, deleted_at: null };
+    if (itemIds?.length) query._id = { $in: itemIds };
+    if (content === 'serial') query['asset_details.serial_number'] = { $nin: [null, ''] };
+    if (type) {
+      const catalogueIds = await CatalogueItem.find({ type }).distinct('_id');
+      query.catalogue_item_id = { $in: catalogueIds };
+    }
+
+    const items = await Item.find(query);
+    items.sort((a, b) => (a.catalogue_item_id?.name || '').localeCompare(b.catalogue_item_id?.name || ''));
+
+    const labels = [];
+    for (const item of items) {
+      const label = {
+        symbol: this.encode(this.itemPayload(item, content), symbology),
+        lines: this.itemLines(item, lab)
+      };
+      for (let i = 0; i < copies; i++) labels.push(label);
+    }
+
+    // Code 128 needs the width of a half page to stay scannable
+    const pdf = createLabelSheetPdf(labels, {
+      title: `Labels - ${lab.name}`,
+      columns: symbology === 'code128' ? 2 : 3,
+      rows: symbology === 'code128' ? 10 : 8
+    });
+    return { pdf, count: items.length };
+  }
+
+  /**
+   * Find the items a scanned code refers to. The code is tried, in order, as
+   * an item ID, an asset serial number, a catalogue code and a lot number.
+   *
+   * @param {string} rawCode - Text read by the scanner
+   * @param {Object} [options]
+   * @param {Array|null} [options.labIds] - Labs the caller may see (null for all)
+   * @param {string} [options.labId] - Only items in this lab
+   * @param {Object} [options.user] - Caller; borrows of other users are only listed for managers
+   * @param {boolean} [options.manager] - Whether the caller manages inventory
+   * @returns {Promise<Object>}
+   */
+  async resolve(rawCode, { labIds = null, labId = null, user = null, manager = false } = {}) {
+    const code = String(rawCode).trim();
+    const base = { deleted_at: null };
+    if (labId) {
+      if (labIds && !labIds.map(toId).includes(toId(labId))) {
+        throw new ErrorResponse('Access denied: lab is outside your department', 403);
+      }
+      base.lab = labId;
+    } else if (labIds) {
+      base.lab = { $in: labIds };
+    }
+
+    const find = filter => Item.find({ ...base, ...filter }).populate('lab', 'name code department');
+
+    let matchedBy = null;
+    let items = [];
+    let catalogueItem = null;
+
+    if (isObjectId(code)) {
+      items = await find({ _id: code });
+      if (items.length > 0) matchedBy = 'item_id';
+    }
+    if (!matchedBy) {
+      items = await find({ 'asset_details.serial_number': code });
+      if (items.length > 0) matchedBy = 'serial_number';
+    }
+    if (!matchedBy) {
+      catalogueItem = await CatalogueItem.findOne({ code }).lean();
+      if (catalogueItem) {
+        items = await find({ catalogue_item_id: catalogueItem._id });
+        matchedBy = 'catalogue_code';
+      }
+    }
+    if (!matchedBy) {
+      items = await find({ 'lots.lot_number': code });
+      if (items.length > 0) matchedBy = 'lot_number';
+    }
+
+    if (!matchedBy) {
+      throw new ErrorResponse(`No item matches the scanned code "${code}"`, 404);
+    }
+
+    const borrowQuery = {
+      item: { $in: items.map(item => item._id) },
+      status: { $in: OPEN_BORROW_STATUSES }
+    };
+    if (!manager) borrowQuery.user = toId(user);
+    const borrows = items.length === 0 ? [] : await BorrowLog.find(borrowQuery)
+      .select('item user status borrow_date expected_return_date')
+      .populate('user', 'full_name email')
+      .sort({ expected_return_date: 1 })
+      .lean();
+
+    const matches = items.map(item => {
+      const lots = stockService.sortFefo(item.lots || [])
+        .filter(lot => lot.quantity > 0)
+        .map(lot => ({
+          lot_id: lot._id,
+          lot_number: lot.lot_number,
+          expiry_date: lot.expiry_date,
+          quantity: lot.quantity,
+          ...(code === lot.lot_number && { scanned: true })
+        }));
+
+      return {
+        item: {
+          _id: item._id,
+          name: item.name,
+          code: item.code,
+          type: item.type,
+          unit: item.unit,
+          catalogue_item_id: toId(item.catalogue_item_id),
+          storage_type: item.storage_type,
+          status: item.status,
+          asset_details: item.asset_details
+        },
+        lab: item.lab,
+        stock: {
+          quantity: item.quantity,
+          available_quantity: item.available_quantity,
+          minimum_quantity: item.minimum_quantity,
+          low_stock: item.available_quantity <= item.minimum_quantity,
+          expiry_date: item.expiry_date,
+          lots
+        },
+        open_borrows: borrows.filter(borrow => toId(borrow.item) === toId(item))
+      };
+    });
+
+    return {
+      code,
+      matched_by: matchedBy,
+      ...(catalogueItem && {
+        catalogue_item: { _id: catalogueItem._id, name: catalogueItem.name, code: catalogueItem.code, type: catalogueItem.type }
+      }),
+      matches
+    };
+  }
+}
+
+module.exports = new LabelService();
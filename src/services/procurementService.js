@@ -0,0 +1,672 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const CatalogueItem = require('../models/CatalogueItem');
+const Item = require('../models/Item');
+const Lab = require('../models/Lab');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseRequisition = require('../models/PurchaseRequisition');
+const Supplier = require('../models/Supplier');
+const SystemSetting = require('../models/SystemSetting');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification } = require('../utils/notifications');
+const { DAY, toId, escapeRegex, roundMoney } = require('../utils/commonUtils');
+const stockService = require('./stockService');
+const supplierService = require('./supplierService');
+
+// Requisitions and orders that still stand for stock to come
+const OPEN_REQUISITION_STATUSES = ['pending', 'approved', 'ordered'];
+const OPEN_ORDER_STATUSES = ['draft', 'issued', 'partially_received'];
+const RECEIVABLE_STATUSES = ['issued', 'partially_received'];
+
+const checkLabScope = (labId, labIds, what) => {
+  if (labIds && !labIds.map(String).includes(toId(labId))) {
+    throw new ErrorResponse(`Access denied: ${what} is outside your department`, 403);
+  }
+};
+
+class ProcurementService {
+  constructor() {
+    this.OPEN_REQUISITION_STATUSES = OPEN_REQUISITION_STATUSES;
+    this.OPEN_ORDER_STATUSES = OPEN_ORDER_STATUSES;
+  }
+
+  /**
+   * Next document number for the month, e.g. PO-202610-0007. Called inside
+   * the transaction that creates the document.
+   */
+  async _nextNumber(Model, field, prefix, session) {
+    const numberPrefix = `${prefix}-${moment().format('YYYYMM')}-`;
+    const count = await Model.countDocuments({
+      [field]: new RegExp(`^${escapeRegex(numberPrefix)}`)
+    }).session(session);
+    return `${numberPrefix}${String(count + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * Quantity to reorder for a low-stock item: enough to bring it back to
+   * twice its minimum, rounded up to what the supplier's offer sells
+   */
+  reorderQuantity(item, offer = null) {
+    const needed = Math.max(1, Math.ceil(item.minimum_quantity * 2 - item.available_quantity));
+    return supplierService.orderQuantity(needed, offer);
+  }
+
+  /**
+   * Price per catalogue unit for an order line: the price given, else the
+   * supplier's offer, else the fallback (e.g. a requisition's estimate)
+   */
+  _linePrice(given, offer, fallback = null) {
+    if (given !== undefined && given !== null) return Number(given);
+    return offer ? offer.unit_cost : fallback;
+  }
+
+  /**
+   * Currency a supplier is ordered from in
+   */
+  async _orderCurrency(supplier) {
+    return supplier.terms?.currency || supplierService.defaultCurrency();
+  }
+
+  /**
+   * Resolve requested lines against the catalogue and the lab's stock
+   * records. Each line needs catalogue_item_id and quantity; an item_id is
+   * only kept when it is a stock record of that catalogue item in the lab.
+   */
+  async _requisitionLines(labId, lines) {
+    const catalogueIds = [...new Set(lines.map(line => toId(line.catalogue_item_id)))];
+    const [catalogueItems, items] = await Promise.all([
+      CatalogueItem.find({ _id: { $in: catalogueIds } }).select('_id'),
+      Item.find({ lab: labId, catalogue_item_id: { $in: catalogueIds }, deleted_at: null }).select('_id catalogue_item_id')
+    ]);
+
+    const known = new Set(catalogueItems.map(c => toId(c)));
+    const missing = catalogueIds.filter(id => !known.has(id));
+    if (missing.length > 0) {
+      const error = new ErrorResponse('Some catalogue items were not found', 404);
+      error.details = { catalogue_item_ids: missing };
+      throw error;
+    }
+
+    const itemByCatalogue = new Map(items.map(item => [toId(item.catalogue_item_id), item._id]));
+    const labItem = line => items.find(item =>
+      toId(item) === toId(line.item_id) && toId(item.catalogue_item_id) === toId(line.catalogue_item_id));
+    return lines.map(line => ({
+      catalogue_item: line.catalogue_item_id,
+      item: labItem(line)?._id || itemByCatalogue.get(toId(line.catalogue_item_id)) || null,
+      quantity: Number(line.quantity),
+      estimated_unit_price: line.estimated_unit_price != null ? Number(line.estimated_unit_price) : null,
+      notes: line.notes
+    }));
+  }
+
+  /**
+   * Department admins who approve requisitions for a department
+   */
+  async _approvers(departmentId) {
+    return User.find({ role: 'department_admin', department: departmentId, is_active: true }).select('_id');
+  }
+
+  /**
+   * Raise a requisition for a lab and ask the department admins to approve it
+   * @param {Object} params
+   * @param {Object} params.lab - Lab document (with department)
+   * @param {Array} params.lines - [{ catalogue_item_id, quantity, estimated_unit_price, notes }]
+   * @param {string} [params.source] - manual or auto_reorder
+   * @param {Object} [params.user] - Requester; empty for the reorder job
+   */
+  async createRequisition({ lab, lines, justification, neededBy = null, source = 'manual', user = null }) {
+    const requisitionLines = await this._requisitionLines(lab._id, lines);
+
+    const session = await mongoose.startSession();
+    let requisition;
+    try {
+      await session.withTransaction(async () => {
+        const requisitionNumber = await this._nextNumber(PurchaseRequisition, 'requisition_number', 'REQ', session);
+        [requisition] = await PurchaseRequisition.create([{
+          requisition_number: requisitionNumber,
+          lab: lab._id,
+          department: lab.department,
+          source,
+          lines: requisitionLines,
+          justification,
+          needed_by: neededBy,
+          requested_by: user ? toId(user) : null
+        }], { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const approvers = await this._approvers(lab.department);
+    for (const approver of approvers) {
+      if (user && toId(approver) === toId(user)) continue;
+      await createNotification({
+        user: approver._id,
+        type: 'requisition_submitted',
+        title: 'Purchase Requisition Awaiting Approval',
+        message: `${requisition.requisition_number} for ${lab.name} (${requisition.lines.length} line(s))` +
+          (source === 'auto_reorder' ? ' was raised automatically for low stock.' : ' needs your approval.'),
+        data: { requisition_id: requisition._id, lab_id: lab._id, source },
+        action_url: `/procurement/requisitions/${requisition._id}`,
+        related_lab: lab._id
+      });
+    }
+
+    return requisition;
+  }
+
+  /**
+   * Approve or reject a pending requisition and tell the requester
+   */
+  async decideRequisition(requisition, user, { approve, reason = null }) {
+    if (requisition.status !== 'pending') {
+      throw new ErrorResponse(`Only a pending requisition can be ${approve ? 'approved' : 'rejected'} (it is ${requisition.status})`, 400);
+    }
+
+    if (approve) {
+      requisition.status = 'approved';
+      requisition.approved_by = toId(user);
+      requisition.approved_at = new Date();
+    } else {
+      requisition.status = 'rejected';
+      requisition.rejected_by = toId(user);
+      requisition.rejected_at = new Date();
+      requisition.rejection_reason = reason;
+    }
+    await requisition.save();
+
+    if (requisition.requested_by) {
+      await createNotification({
+        user: toId(requisition.requested_by),
+        type: approve ? 'requisition_approved' : 'requisition_rejected',
+        title: approve ? 'Requisition Approved' : 'Requisition Rejected',
+        message: `Your requisition ${requisition.requisition_number} was ${approve ? 'approved' : 'rejected'}` +
+          (reason ? `: ${reason}` : '.'),
+        data: { requisition_id: requisition._id },
+        action_url: `/procurement/requisitions/${requisition._id}`,
+        related_lab: toId(requisition.lab)
+      });
+    }
+
+    return requisition;
+  }
+
+  /**
+   * Withdraw a requisition that has not been ordered yet
+   */
+  async cancelRequisition(requisition, user) {
+    if (!['pending', 'approved'].includes(requisition.status)) {
+      throw new ErrorResponse(`Only a pending or approved requisition can be cancelled (it is ${requisition.status})`, 400);
+    }
+    requisition.status = 'cancelled';
+    requisition.cancelled_by = toId(user);
+    requisition.cancelled_at = new Date();
+    await requisition.save();
+    return requisition;
+  }
+
+  /**
+   * Raise requisitions for items at or below their minimum quantity, one per
+   * lab, when automatic reordering is switched on. Items already on an open
+   * requisition or purchase order are left out.
+   */
+  async raiseReorderRequisitions() {
+    const settings = await SystemSetting.findOne().select('stock');
+    if (!settings?.stock?.auto_reorder) return { enabled: false, items: 0, requisitions: 0 };
+
+    const lowStock = await Item.find({
+      deleted_at: null,
+      minimum_quantity: { $gt: 0 },
+      status: { $ne: 'in_maintenance' },
+      $expr: { $lte: ['$available_quantity', '$minimum_quantity'] }
+    }).select('lab catalogue_item_id available_quantity minimum_quantity');
+    if (lowStock.length === 0) return { enabled: true, items: 0, requisitions: 0 };
+
+    const itemIds = lowStock.map(item => item._id);
+    const [onRequisition, onOrder] = await Promise.all([
+      PurchaseRequisition.distinct('lines.item', { status: { $in: OPEN_REQUISITION_STATUSES }, 'lines.item': { $in: itemIds } }),
+      PurchaseOrder.distinct('lines.item', { status: { $in: OPEN_ORDER_STATUSES }, 'lines.item': { $in: itemIds } })
+    ]);
+    const covered = new Set([...onRequisition, ...onOrder].map(id => toId(id)));
+
+    // Quantities are rounded to the best offer's packs and priced from it
+    // when it is in the billing currency
+    const currency = await supplierService.defaultCurrency();
+    const offers = await supplierService.bestOffers([...new Set(lowStock.map(item => toId(item.catalogue_item_id)))], {
+      currency,
+      strict: false
+    });
+
+    const byLab = new Map();
+    for (const item of lowStock) {
+      if (covered.has(toId(item)) || !item.catalogue_item_id) continue;
+      const offer = offers.get(toId(item.catalogue_item_id)) || null;
+      const labId = toId(item.lab);
+      if (!byLab.has(labId)) byLab.set(labId, []);
+      byLab.get(labId).push({
+        catalogue_item_id: toId(item.catalogue_item_id),
+        item_id: item._id,
+        quantity: this.reorderQuantity(item, offer),
+        estimated_unit_price: offer && offer.currency === currency ? offer.unit_cost : null,
+        notes: `Available ${item.available_quantity}, minimum ${item.minimum_quantity}` +
+          (offer ? `; ${offer.supplier.name}, packs of ${offer.pack_size}` +
+            (supplierService.leadTime(offer) != null ? `, ${supplierService.leadTime(offer)} day(s) lead time` : '') : '')
+      });
+    }
+
+    let items = 0;
+    let requisitions = 0;
+    for (const [labId, lines] of byLab) {
+      try {
+        const lab = await Lab.findById(labId).select('name code department');
+        if (!lab || !lab.department) continue;
+        await this.createRequisition({
+          lab,
+          lines,
+          justification: 'Raised automatically for items at or below their minimum quantity',
+          source: 'auto_reorder'
+        });
+        items += lines.length;
+        requisitions++;
+      } catch (error) {
+        console.error(`Error raising reorder requisition for lab ${labId}:`, error);
+      }
+    }
+
+    return { enabled: true, items, requisitions };
+  }
+
+  /**
+   * Create a draft purchase order from approved requisitions and/or lines
+   * entered directly. Requisitions must all be for the delivery lab. Lines
+   * are priced from the supplier's offers unless a price is given, and the
+   * delivery date defaults to the longest lead time on the order.
+   * @param {Object} params
+   * @param {string} params.supplierId
+   * @param {string} [params.labId] - Delivery lab; taken from the requisitions when omitted
+   * @param {Array} [params.requisitionIds]
+   * @param {Array} [params.lines] - [{ catalogue_item_id, quantity, unit_price, description }]
+   */
+  async createPurchaseOrder({
+    supplierId, labId = null, requisitionIds = [], lines = [], expectedDeliveryDate = null, notes, user, labIds = null
+  }) {
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) throw new ErrorResponse('Supplier not found', 404);
+    if (!supplier.is_active) throw new ErrorResponse('Supplier is inactive', 400);
+
+    const requisitions = requisitionIds.length > 0
+      ? await PurchaseRequisition.find({ _id: { $in: requisitionIds } })
+      : [];
+    if (requisitions.length !== new Set(requisitionIds.map(String)).size) {
+      throw new ErrorResponse('Some requisitions were not found', 404);
+    }
+    const notApproved = requisitions.filter(r => r.status !== 'approved');
+    if (notApproved.length > 0) {
+      const error = new ErrorResponse('Only approved requisitions can be ordered', 400);
+      error.details = { requisitions: notApproved.map(r => ({ id: r._id, number: r.requisition_number, status: r.status })) };
+      throw error;
+    }
+
+    const deliveryLabId = labId || toId(requisitions[0]?.lab);
+    if (!deliveryLabId) throw new ErrorResponse('A delivery lab is required', 400);
+    if (requisitions.some(r => toId(r.lab) !== toId(deliveryLabId))) {
+      throw new ErrorResponse('All requisitions on an order must be for its delivery lab', 400);
+    }
+
+    const lab = await Lab.findById(deliveryLabId).select('name code department');
+    if (!lab) throw new ErrorResponse('Lab not found', 404);
+    checkLabScope(lab._id, labIds, 'lab');
+
+    const currency = await this._orderCurrency(supplier);
+    // Requisition estimates are in the billing currency
+    const estimatesApply = currency === await supplierService.defaultCurrency();
+    const catalogueIds = [
+      ...requisitions.flatMap(r => r.lines.map(line => toId(line.catalogue_item))),
+      ...lines.map(line => toId(line.catalogue_item_id))
+    ];
+    const offers = await supplierService.bestOffers([...new Set(catalogueIds)], { supplierId: supplier._id, currency });
+
+    const orderLines = [];
+    for (const requisition of requisitions) {
+      for (const line of requisition.lines) {
+        orderLines.push({
+          catalogue_item: line.catalogue_item,
+          item: line.item,
+          description: line.notes,
+          quantity_ordered: line.quantity,
+          unit_price: this._linePrice(null, offers.get(toId(line.catalogue_item)),
+            estimatesApply ? line.estimated_unit_price ?? 0 : 0),
+          requisition: requisition._id
+        });
+      }
+    }
+    if (lines.length > 0) {
+      const resolved = await this._requisitionLines(lab._id, lines);
+      resolved.forEach((line, index) => {
+        const unitPrice = this._linePrice(lines[index].unit_price, offers.get(toId(line.catalogue_item)));
+        if (unitPrice === null) {
+          throw new ErrorResponse(`${supplier.name} has no offer for catalogue item ${toId(line.catalogue_item)}; give a unit price`, 400);
+        }
+        orderLines.push({
+          catalogue_item: line.catalogue_item,
+          item: line.item,
+          description: lines[index].description,
+          quantity_ordered: line.quantity,
+          unit_price: unitPrice
+        });
+      });
+    }
+    if (orderLines.length === 0) {
+      throw new ErrorResponse('A purchase order needs at least one line', 400);
+    }
+
+    if (!expectedDeliveryDate) {
+      const leadTimes = [...offers.values()].map(offer => supplierService.leadTime(offer)).filter(days => days != null);
+      if (leadTimes.length > 0) expectedDeliveryDate = new Date(Date.now() + Math.max(...leadTimes) * DAY);
+    }
+
+    const session = await mongoose.startSession();
+    let order;
+    try {
+      await session.withTransaction(async () => {
+        const poNumber = await this._nextNumber(PurchaseOrder, 'po_number', 'PO', session);
+        [order] = await PurchaseOrder.create([{
+          po_number: poNumber,
+          supplier: supplier._id,
+          lab: lab._id,
+          department: lab.department,
+          currency,
+          lines: orderLines,
+          requisitions: requisitions.map(r => r._id),
+          expected_delivery_date: expectedDeliveryDate,
+          notes,
+          created_by: toId(user)
+        }], { session });
+
+        if (requisitions.length > 0) {
+          // Claim the requisitions so they cannot end up on two orders
+          const claimed = await PurchaseRequisition.updateMany(
+            { _id: { $in: requisitions.map(r => r._id) }, status: 'approved' },
+            { $set: { status: 'ordered', purchase_order: order._id } },
+            { session }
+          );
+          if (claimed.modifiedCount !== requisitions.length) {
+            throw new ErrorResponse('Some requisitions were ordered or changed in the meantime', 409);
+          }
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return order;
+  }
+
+  /**
+   * Put requisitions that are no longer on the order back to approved
+   */
+  async _releaseRequisitions(requisitionIds, order, session = null) {
+    if (requisitionIds.length === 0) return;
+    await PurchaseRequisition.updateMany(
+      { _id: { $in: requisitionIds }, purchase_order: order._id, status: 'ordered' },
+      { $set: { status: 'approved', purchase_order: null } },
+      { session }
+    );
+  }
+
+  /**
+   * Edit a draft order. Lines with a line_id are updated, lines without one
+   * are added and lines left out are removed; requisitions with no line
+   * left on the order go back to approved.
+   */
+  async updatePurchaseOrder(order, changes) {
+    if (order.status !== 'draft') {
+      throw new ErrorResponse(`Only a draft purchase order can be edited (it is ${order.status})`, 400);
+    }
+
+    if (changes.supplier_id && toId(changes.supplier_id) !== toId(order.supplier)) {
+      const supplier = await Supplier.findById(changes.supplier_id);
+      if (!supplier) throw new ErrorResponse('Supplier not found', 404);
+      if (!supplier.is_active) throw new ErrorResponse('Supplier is inactive', 400);
+      const currency = await this._orderCurrency(supplier);
+      if (currency !== order.currency) {
+        throw new ErrorResponse(`${supplier.name} is ordered from in ${currency}, not ${order.currency}; create a new order instead`, 400);
+      }
+      order.supplier = supplier._id;
+    }
+    if (changes.expected_delivery_date !== undefined) order.expected_delivery_date = changes.expected_delivery_date || null;
+    if (changes.notes !== undefined) order.notes = changes.notes;
+
+    let released = [];
+    if (Array.isArray(changes.lines)) {
+      const kept = [];
+      const added = [];
+      for (const change of changes.lines) {
+        if (!change.line_id) {
+          added.push(change);
+          continue;
+        }
+        const line = order.lines.id(change.line_id);
+        if (!line) throw new ErrorResponse(`Line ${change.line_id} is not on this order`, 400);
+        if (change.quantity !== undefined) line.quantity_ordered = Number(change.quantity);
+        if (change.unit_price !== undefined) line.unit_price = Number(change.unit_price);
+        if (change.description !== undefined) line.description = change.description;
+        kept.push(line);
+      }
+      if (added.length > 0) {
+        const resolved = await this._requisitionLines(order.lab, added);
+        const offers = await supplierService.bestOffers(resolved.map(line => toId(line.catalogue_item)), {
+          supplierId: order.supplier,
+          currency: order.currency
+        });
+        resolved.forEach((line, index) => {
+          const unitPrice = this._linePrice(added[index].unit_price, offers.get(toId(line.catalogue_item)));
+          if (unitPrice === null) {
+            throw new ErrorResponse(`The supplier has no offer for catalogue item ${toId(line.catalogue_item)}; give a unit price`, 400);
+          }
+          kept.push({
+            catalogue_item: line.catalogue_item,
+            item: line.item,
+            description: added[index].description,
+            quantity_ordered: line.quantity,
+            unit_price: unitPrice
+          });
+        });
+      }
+      if (kept.length === 0) throw new ErrorResponse('A purchase order needs at least one line', 400);
+      order.lines = kept;
+
+      const stillOrdered = new Set(order.lines.filter(line => line.requisition).map(line => toId(line.requisition)));
+      released = order.requisitions.filter(id => !stillOrdered.has(toId(id)));
+      order.requisitions = order.requisitions.filter(id => stillOrdered.has(toId(id)));
+    }
+
+    await order.save();
+    await this._releaseRequisitions(released, order);
+    return order;
+  }
+
+  /**
+   * Send a draft order to the supplier; goods can be received from then on
+   */
+  async issuePurchaseOrder(order, user) {
+    if (order.status !== 'draft') {
+      throw new ErrorResponse(`Only a draft purchase order can be issued (it is ${order.status})`, 400);
+    }
+    order.status = 'issued';
+    order.issued_by = toId(user);
+    order.issued_at = new Date();
+    await order.save();
+    return order;
+  }
+
+  /**
+   * Cancel an order nothing has been received against; its requisitions go
+   * back to approved so they can be ordered elsewhere
+   */
+  async cancelPurchaseOrder(order, user, reason) {
+    if (!['draft', 'issued'].includes(order.status)) {
+      throw new ErrorResponse(`Only a draft or issued purchase order can be cancelled (it is ${order.status})`, 400);
+    }
+    if (order.lines.some(line => line.quantity_received > 0)) {
+      throw new ErrorResponse('Goods have been received against this order; it cannot be cancelled', 400);
+    }
+
+    order.status = 'cancelled';
+    order.cancelled_by = toId(user);
+    order.cancelled_at = new Date();
+    order.cancellation_reason = reason;
+    await order.save();
+    await this._releaseRequisitions(order.requisitions, order);
+    return order;
+  }
+
+  /**
+   * Record a delivery against an issued order. Each received line is added
+   * to the lab's stock record for the catalogue item (created if the lab has
+   * none) through addStock, with the order as the stock log reference.
+   * Lines with a lot number or expiry date are received into a lot, named
+   * after the order when no lot number is given.
+   * @param {string} orderId
+   * @param {Object} delivery
+   * @param {Array} delivery.lines - [{ line_id, quantity, lot_number, expiry_date }]
+   * @param {Object} user
+   * @param {Object} [options]
+   * @param {Array|null} [options.labIds] - Labs the user may receive into; null for all
+   */
+  async receive(orderId, { lines, deliveryNote, notes }, user, { labIds = null } = {}) {
+    const session = await mongoose.startSession();
+    try {
+      let order;
+
+      await session.withTransaction(async () => {
+        order = await PurchaseOrder.findById(orderId).populate('supplier', 'name code').session(session);
+        if (!order) throw new ErrorResponse('Purchase order not found', 404);
+        checkLabScope(order.lab, labIds, 'purchase order');
+        if (!RECEIVABLE_STATUSES.includes(order.status)) {
+          throw new ErrorResponse(`Goods can only be received against an issued order (it is ${order.status})`, 400);
+        }
+
+        // Check the whole delivery before touching any stock
+        const totals = new Map();
+        for (const entry of lines) {
+          const line = order.lines.id(entry.line_id);
+          if (!line) throw new ErrorResponse(`Line ${entry.line_id} is not on this order`, 400);
+          totals.set(toId(line), (totals.get(toId(line)) || 0) + Number(entry.quantity));
+        }
+        const over = [...totals].filter(([lineId, quantity]) => quantity > order.outstanding(order.lines.id(lineId)));
+        if (over.length > 0) {
+          const error = new ErrorResponse('Received quantity exceeds what is outstanding on the order', 400);
+          error.details = {
+            lines: over.map(([lineId, quantity]) => ({
+              line_id: lineId,
+              received: quantity,
+              outstanding: order.outstanding(order.lines.id(lineId))
+            }))
+          };
+          throw error;
+        }
+
+        const receipt = { received_by: toId(user), delivery_note: deliveryNote, notes, lines: [] };
+        for (const entry of lines) {
+          const line = order.lines.id(entry.line_id);
+          const quantity = Number(entry.quantity);
+
+          // Stock goes to the order's lab, into a record of the ordered catalogue item
+          let item = line.item
+            ? await Item.findOne({
+              _id: line.item,
+              lab: order.lab,
+              catalogue_item_id: line.catalogue_item,
+              deleted_at: null
+            }).session(session)
+            : null;
+          if (!item) {
+            item = await Item.findOne({
+              lab: order.lab,
+              catalogue_item_id: line.catalogue_item,
+              deleted_at: null
+            }).session(session);
+          }
+          if (!item) {
+            [item] = await Item.create([{
+              catalogue_item_id: line.catalogue_item,
+              lab: order.lab,
+              storage_type: 'lab',
+              quantity: 0,
+              available_quantity: 0,
+              minimum_quantity: 0,
+              created_by: toId(user)
+            }], { session });
+          }
+
+          const lot = entry.lot_number || entry.expiry_date
+            ? {
+              lot_number: entry.lot_number || order.po_number,
+              expiry_date: entry.expiry_date || null,
+              supplier: order.supplier?.name,
+              notes: `Received on ${order.po_number}`
+            }
+            : null;
+
+          await stockService.addStock(
+            item._id,
+            quantity,
+            toId(user),
+            `Received on purchase order ${order.po_number}`,
+            {
+              purchase_order: order.po_number,
+              supplier: order.supplier?.name || '',
+              ...(deliveryNote && { delivery_note: deliveryNote })
+            },
+            { lot, referenceId: order._id, session }
+          );
+
+          line.item = item._id;
+          line.quantity_received += quantity;
+          receipt.lines.push({
+            line: line._id,
+            item: item._id,
+            quantity,
+            lot_number: lot?.lot_number,
+            expiry_date: lot?.expiry_date
+          });
+        }
+
+        order.receipts.push(receipt);
+        const complete = order.lines.every(line => order.outstanding(line) === 0);
+        order.status = complete ? 'received' : 'partially_received';
+        if (complete) {
+          order.received_at = new Date();
+          await PurchaseRequisition.updateMany(
+            { _id: { $in: order.requisitions }, status: 'ordered' },
+            { $set: { status: 'fulfilled' } },
+            { session }
+          );
+        }
+        await order.save({ session });
+      });
+
+      return order;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Amounts ordered and received on an order, in its currency
+   */
+  summarize(order) {
+    const received = order.lines.reduce((sum, line) => sum + line.quantity_received * line.unit_price, 0);
+    return {
+      currency: order.currency,
+      ordered_total: order.total,
+      received_total: roundMoney(received),
+      outstanding_total: roundMoney(order.total - received),
+      lines_outstanding: order.lines.filter(line => order.outstanding(line) > 0).length
+    };
+  }
+}
+
+module.exports = new ProcurementService();
@@ -0,0 +1,169 @@
+const Booking = require('../models/Booking');
+const BorrowLog = require('../models/BorrowLog');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const { sendBookingReminder, sendReturnReminder } = require('../utils/notifications');
+const { HOUR, toId } = require('../utils/commonUtils');
+
+const DEFAULT_BOOKING_REMINDER_HOURS = 24;
+const DEFAULT_RETURN_REMINDER_HOURS = 24;
+
+const BOOKING_LEAD_PATH = 'notification_settings.reminder_preferences.booking_reminder_hours';
+const RETURN_LEAD_PATH = 'notification_settings.reminder_preferences.return_reminder_hours';
+
+class ReminderService {
+  /**
+   * Hours before the event a user wants to be reminded, or 0 when they have
+   * opted out of this reminder type.
+   */
+  getLeadHours(user, type, fallbackHours) {
+    const settings = user?.notification_settings || {};
+    if (settings.notification_types?.[type] === false) return 0;
+
+    const preferences = settings.reminder_preferences || {};
+    const hours = type === 'booking_reminder'
+      ? preferences.booking_reminder_hours
+      : preferences.return_reminder_hours;
+    return typeof hours === 'number' ? Math.max(0, hours) : fallbackHours;
+  }
+
+  /**
+   * Longest lead time any active user has asked for, so one query picks up
+   * every event that might be due a reminder.
+   */
+  async getLongestLeadHours(path, fallbackHours) {
+    const user = await User.findOne({ is_active: true, [path]: { $gt: 0 } })
+      .sort({ [path]: -1 })
+      .select(path)
+      .lean();
+    const preferred = path.split('.').reduce((value, key) => value?.[key], user);
+    return Math.max(fallbackHours, preferred || 0);
+  }
+
+  async loadRecipients(userIds) {
+    const users = await User.find({ _id: { $in: userIds }, is_active: true })
+      .select('full_name notification_settings')
+      .lean();
+    return new Map(users.map(user => [toId(user), user]));
+  }
+
+  /**
+   * Mark a document as reminded before sending, so a second run (or a restart
+   * half-way through a run) cannot send the same reminder again. The mark is
+   * removed if the notification could not be saved.
+   */
+  async sendOnce(Model, doc, sentPath, send) {
+    const now = new Date();
+    const claimed = await Model.updateOne(
+      { _id: doc._id, [sentPath]: null },
+      { $set: { [sentPath]: now } }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    const notification = await send();
+    if (!notification) {
+      await Model.updateOne({ _id: doc._id, [sentPath]: now }, { $unset: { [sentPath]: 1 } });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Remind people of approved bookings starting within their preferred lead
+   * time. Registered participants on the roster are reminded along with the
+   * owner, at the owner's lead time (or the default if the owner opted out).
+   */
+  async sendBookingReminders(now = new Date()) {
+    const settings = await SystemSetting.findOne().select('booking.booking_reminder_hours').lean();
+    const defaultHours = settings?.booking?.booking_reminder_hours ?? DEFAULT_BOOKING_REMINDER_HOURS;
+    const horizonHours = await this.getLongestLeadHours(BOOKING_LEAD_PATH, defaultHours);
+
+    const bookings = await Booking.find({
+      status: 'approved',
+      is_deleted: { $ne: true },
+      reminder_sent_at: null,
+      start_time: { $gt: now, $lte: new Date(now.getTime() + horizonHours * HOUR) }
+    })
+      .populate('lab', 'name')
+      .select('title lab user start_time end_time participants.user');
+
+    const users = await this.loadRecipients([...new Set(bookings.flatMap(b => [
+      toId(b.user),
+      ...(b.participants || []).map(p => toId(p.user)).filter(Boolean)
+    ]))]);
+
+    let sent = 0;
+    for (const booking of bookings) {
+      const user = users.get(toId(booking.user));
+      const ownerLeadHours = user ? this.getLeadHours(user, 'booking_reminder', defaultHours) : 0;
+      const participants = [...new Set((booking.participants || []).map(p => toId(p.user)).filter(Boolean))]
+        .filter(id => id !== toId(booking.user))
+        .map(id => users.get(id))
+        .filter(participant => participant && this.getLeadHours(participant, 'booking_reminder', defaultHours) > 0);
+
+      const leadHours = ownerLeadHours || (participants.length > 0 ? defaultHours : 0);
+      if (leadHours === 0 || booking.start_time - now > leadHours * HOUR) continue;
+
+      const send = async () => {
+        const notifications = [];
+        if (ownerLeadHours > 0) notifications.push(await sendBookingReminder(booking, user));
+        for (const participant of participants) {
+          notifications.push(await sendBookingReminder(booking, participant));
+        }
+        return notifications.find(Boolean) || null;
+      };
+
+      try {
+        if (await this.sendOnce(Booking, booking, 'reminder_sent_at', send)) {
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Error sending reminder for booking ${booking._id}:`, error);
+      }
+    }
+
+    return { checked: bookings.length, sent };
+  }
+
+  /**
+   * Remind borrowers of items due back within their preferred lead time
+   */
+  async sendReturnReminders(now = new Date()) {
+    const horizonHours = await this.getLongestLeadHours(RETURN_LEAD_PATH, DEFAULT_RETURN_REMINDER_HOURS);
+
+    const borrowLogs = await BorrowLog.find({
+      status: 'borrowed',
+      return_reminder_sent_at: null,
+      expected_return_date: { $gt: now, $lte: new Date(now.getTime() + horizonHours * HOUR) }
+    })
+      .populate('item')
+      .select('item user lab expected_return_date');
+
+    const users = await this.loadRecipients([...new Set(borrowLogs.map(log => toId(log.user)))]);
+
+    let sent = 0;
+    for (const borrowLog of borrowLogs) {
+      const user = users.get(toId(borrowLog.user));
+      const leadHours = this.getLeadHours(user, 'return_reminder', DEFAULT_RETURN_REMINDER_HOURS);
+      if (!user || leadHours === 0 || borrowLog.expected_return_date - now > leadHours * HOUR) continue;
+
+      try {
+        if (await this.sendOnce(BorrowLog, borrowLog, 'return_reminder_sent_at', () => sendReturnReminder(borrowLog, user))) {
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Error sending return reminder for borrow log ${borrowLog._id}:`, error);
+      }
+    }
+
+    return { checked: borrowLogs.length, sent };
+  }
+
+  async sendDueReminders(now = new Date()) {
+    const bookings = await this.sendBookingReminders(now);
+    const returns = await this.sendReturnReminders(now);
+    return { bookings, returns };
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification, sendParticipantNotification } = require('../utils/notifications');
+const { toId } = require('../utils/commonUtils');
+const bookingPolicyService = require('./bookingPolicyService');
+const itemReservationService = require('./itemReservationService');
+const labResourceService = require('./labResourceService');
+const trainingService = require('./trainingService');
+
+const { RULES } = bookingPolicyService;
+
+// Restrictions on making new bookings that do not apply to moving an existing one
+const IGNORED_RULES = [RULES.NO_SHOW_LIMIT];
+
+const slotOf = booking => ({
+  lab: booking.lab?._id || booking.lab,
+  field: booking.field?._id || booking.field,
+  start_time: booking.start_time,
+  end_time: booking.end_time
+});
+
+class RescheduleService {
+  /**
+   * Run the booking rules and item reservations against a proposed slot,
+   * ignoring the booking itself. Throws a 400 with `violations` when the
+   * slot cannot be used.
+   */
+  async checkProposal(booking, proposed, { session = null } = {}) {
+    const lab = await Lab.findById(proposed.lab).session(session);
+    if (!lab || !lab.is_active) {
+      throw new ErrorResponse('Lab not found or inactive', 400);
+    }
+
+    // Resources belong to their lab, so a resource booking stays in it
+    const resourceIds = booking.resources || [];
+    if (resourceIds.length > 0 && toId(proposed.lab) !== toId(booking.lab)) {
+      throw new ErrorResponse('Bookings of specific lab resources can only be moved within their lab', 400);
+    }
+    const resources = await labResourceService.loadForBooking(lab, resourceIds, { session });
+
+    const bookingUser = await User.findById(booking.user?._id || booking.user).select('role no_show_count department');
+    const policy = await bookingPolicyService.evaluate({
+      lab,
+      fieldId: proposed.field,
+      user: bookingUser,
+      startTime: proposed.start_time,
+      endTime: proposed.end_time,
+      participantsCount: booking.participants_count,
+      resources,
+      excludeIds: [booking._id]
+    });
+
+    const violations = policy.violations.filter(v => !IGNORED_RULES.includes(v.rule));
+    if (violations.length > 0) {
+      const error = new ErrorResponse(violations[0].message, 400);
+      error.violations = violations;
+      throw error;
+    }
+
+    // The new lab may need training the old one did not, or the move may
+    // outlast the user's certificates
+    await trainingService.assertQualified(bookingUser, {
+      lab,
+      itemIds: [
+        ...(booking.item_requirements || []).map(r => r.item),
+        ...resources.map(r => r.item).filter(Boolean)
+      ],
+      until: proposed.end_time,
+      action: `book ${lab.name}`
+    });
+
+    await itemReservationService.assertAvailable(booking.item_requirements || [], proposed.start_time, proposed.end_time, {
+      excludeBookingIds: [booking._id],
+      session
+    });
+
+    return lab;
+  }
+
+  /**
+   * Propose a new time, lab or field for an approved booking. A pending
+   * request replaces any earlier one that has not been decided yet.
+   */
+  async request(booking, user, { labId, fieldId, startTime, endTime, reason }) {
+    if (booking.status !== 'approved') {
+      throw new ErrorResponse('Only approved bookings can be rescheduled', 400);
+    }
+    if (booking.start_time <= new Date()) {
+      throw new ErrorResponse('Bookings that have already started cannot be rescheduled', 400);
+    }
+
+    const current = slotOf(booking);
+    const proposed = {
+      lab: labId || current.lab,
+      field: fieldId || current.field,
+      start_time: new Date(startTime || current.start_time),
+      end_time: new Date(endTime || current.end_time)
+    };
+    if (proposed.end_time <= proposed.start_time) {
+      throw new ErrorResponse('End time must be after start time', 400);
+    }
+    const unchanged = toId(proposed.lab) === toId(current.lab) &&
+      toId(proposed.field) === toId(current.field) &&
+      proposed.start_time.getTime() === current.start_time.getTime() &&
+      proposed.end_time.getTime() === current.end_time.getTime();
+    if (unchanged) {
+      throw new ErrorResponse('The proposed slot is the same as the current one', 400);
+    }
+
+    const lab = await this.checkProposal(booking, proposed);
+
+    booking.reschedule_request = {
+      status: 'pending',
+      proposed,
+      reason,
+      requested_by: user._id,
+      requested_at: new Date()
+    };
+    booking.updated_by = user._id;
+    await booking.save();
+
+    await this.notifyApprovers(booking, lab, user);
+    return booking;
+  }
+
+  /**
+   * Apply a pending request: the rules and item reservations are checked
+   * again and the booking moves to the new slot in one transaction, taking
+   * its reserved items with it.
+   */
+  async approve(booking, user, notes) {
+    const request = this.getPendingRequest(booking);
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const fresh = await Booking.findById(booking._id).session(session);
+        if (fresh.status !== 'approved' || fresh.reschedule_request?.status !== 'pending') {
+          throw new ErrorResponse('This reschedule request is no longer pending', 409);
+        }
+
+        const proposed = request.proposed.toObject ? request.proposed.toObject() : request.proposed;
+        await this.checkProposal(fresh, proposed, { session });
+
+        fresh.change_history.push({
+          from: slotOf(fresh),
+          to: proposed,
+          reason: request.reason,
+          requested_by: request.requested_by,
+          approved_by: user._id,
+          changed_at: new Date()
+        });
+        fresh.lab = proposed.lab;
+        fresh.field = proposed.field;
+        fresh.start_time = proposed.start_time;
+        fresh.end_time = proposed.end_time;
+        fresh.reschedule_request.status = 'approved';
+        fresh.reschedule_request.decided_by = user._id;
+        fresh.reschedule_request.decided_at = new Date();
+        fresh.reschedule_request.decision_notes = notes;
+        fresh.updated_by = user._id;
+        await fresh.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const updated = await Booking.findById(booking._id).populate('lab', 'name code');
+    await this.notifyOwner(updated, user, 'booking_rescheduled', 'Booking Rescheduled',
+      `Your booking "${updated.title}" was moved to ${updated.lab?.name || 'the lab'} at ${updated.start_time.toLocaleString()}.`);
+    await sendParticipantNotification(updated, {
+      type: 'booking_rescheduled',
+      title: 'Booking Rescheduled',
+      message: `"${updated.title}" was moved to ${updated.lab?.name || 'the lab'} at ${updated.start_time.toLocaleString()}.`,
+      priority: 'high'
+    });
+    return updated;
+  }
+
+  async reject(booking, user, reason) {
+    this.getPendingRequest(booking);
+
+    booking.reschedule_request.status = 'rejected';
+    booking.reschedule_request.decided_by = user._id;
+    booking.reschedule_request.decided_at = new Date();
+    booking.reschedule_request.decision_notes = reason;
+    booking.updated_by = user._id;
+    await booking.save();
+
+    await this.notifyOwner(booking, user, 'booking_reschedule_rejected', 'Reschedule Request Rejected',
+      `Your request to move "${booking.title}" was rejected${reason ? ': ' + reason : ''}. The booking keeps its original time.`);
+    return booking;
+  }
+
+  async cancel(booking, user) {
+    this.getPendingRequest(booking);
+
+    booking.reschedule_request.status = 'cancelled';
+    booking.reschedule_request.decided_by = user._id;
+    booking.reschedule_request.decided_at = new Date();
+    booking.updated_by = user._id;
+    await booking.save();
+    return booking;
+  }
+
+  getPendingRequest(booking) {
+    if (booking.reschedule_request?.status !== 'pending') {
+      throw new ErrorResponse('This booking has no pending reschedule request', 400);
+    }
+    return booking.reschedule_request;
+  }
+
+  /**
+   * Tell the admins and lab managers of the target lab's department that a
+   * booking is waiting to be moved
+   */
+  async notifyApprovers(booking, lab, requester) {
+    const approvers = await User.find({
+      is_active: true,
+      $or: [
+        { role: 'admin' },
+        { role: 'lab_manager', $or: [{ department: lab.department }, { departments: lab.department }] }
+      ]
+    }).select('_id');
+
+    await Promise.all(approvers
+      .filter(approver => toId(approver) !== toId(requester))
+      .map(approver => createNotification({
+        user: approver._id,
+        type: 'booking_reschedule_requested',
+        title: 'Reschedule Request',
+        message: `${requester.full_name || 'A user'} asked to move "${booking.title}" to ${lab.name} at ${booking.reschedule_request.proposed.start_time.toLocaleString()}.`,
+        data: {
+          booking_id: booking._id,
+          proposed: booking.reschedule_request.proposed
+        },
+        action_url: `/bookings/${booking._id}`,
+        related_lab: lab._id,
+        priority: 'normal'
+      })));
+  }
+
+  async notifyOwner(booking, actor, type, title, message) {
+    const ownerId = booking.user?._id || booking.user;
+    if (!ownerId || toId(ownerId) === toId(actor)) return;
+
+    await createNotification({
+      user: ownerId,
+      type,
+      title,
+      message,
+      data: { booking_id: booking._id },
+      action_url: `/bookings/${booking._id}`,
+      related_lab: booking.lab?._id || booking.lab,
+      priority: 'high'
+    });
+  }
+}
+
+module.exports = new RescheduleService();
@@ -0,0 +1,221 @@
+const moment = require('moment-timezone');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const ErrorResponse = require('../utils/errorResponse');
+const { findBlackoutConflicts } = require('../utils/blackoutUtils');
+const { MINUTE } = require('../utils/commonUtils');
+const bookingPolicyService = require('./bookingPolicyService');
+
+const ACTIVE_STATUSES = ['pending', 'approved'];
+const DEFAULT_SEARCH_DAYS = 14;
+const MAX_SEARCH_DAYS = 62;
+const MAX_RESULTS = 50;
+
+const overlaps = (a, start, end) => a.start < end && a.end > start;
+
+// Time a booking really occupies the lab, including its setup and cleanup buffers
+const occupiedWindow = (booking) => ({
+  start: new Date(booking.start_time.getTime() - (booking.setup_time_needed || 0) * MINUTE),
+  end: new Date(booking.end_time.getTime() + (booking.cleanup_time_required || 0) * MINUTE)
+});
+
+class SlotSearchService {
+  /**
+   * Labs that host the field, are open for bookings, fit the headcount and
+   * allow the user's role. Returns the reason each other lab was left out.
+   */
+  async findCandidateLabs({ fieldId, participantsCount, user, labIds, excludeLabIds = [], durationMinutes, settings }) {
+    const query = { fields: fieldId, is_active: true, status: { $nin: ['maintenance', 'inactive'] } };
+    if (labIds || excludeLabIds.length > 0) {
+      query._id = {
+        ...(labIds && { $in: labIds }),
+        ...(excludeLabIds.length > 0 && { $nin: excludeLabIds })
+      };
+    }
+
+    const labs = await Lab.find(query);
+    const candidates = [];
+    const excluded = [];
+
+    for (const lab of labs) {
+      const fieldSettings = bookingPolicyService.getFieldSettings(lab, fieldId);
+      const limits = bookingPolicyService.getLimits(lab, fieldId, settings.booking);
+      const capacity = [lab.capacity, fieldSettings?.max_capacity].filter(Boolean).reduce((a, b) => Math.min(a, b), Infinity);
+
+      let reason = null;
+      if (fieldSettings?.is_active === false) {
+        reason = 'Bookings for this field are disabled in this lab';
+      } else if (fieldSettings?.allowed_user_roles?.length > 0 && !fieldSettings.allowed_user_roles.includes(user.role)) {
+        reason = `Only ${fieldSettings.allowed_user_roles.join(', ')} users can book this field here`;
+      } else if (participantsCount > capacity) {
+        reason = `Capacity ${capacity} is below ${participantsCount} participants`;
+      } else if (limits.min_duration && durationMinutes < limits.min_duration) {
+        reason = `Bookings must be at least ${limits.min_duration} minutes long`;
+      } else if (Number.isFinite(limits.max_duration) && durationMinutes > limits.max_duration) {
+        reason = `Bookings cannot be longer than ${limits.max_duration} minutes`;
+      } else if (limits.slot_interval && durationMinutes % limits.slot_interval !== 0) {
+        reason = `Bookings must be a multiple of ${limits.slot_interval} minutes long`;
+      }
+
+      if (reason) {
+        excluded.push({ lab_id: lab._id, name: lab.name, code: lab.code, reason });
+      } else {
+        candidates.push({ lab, limits, capacity: Number.isFinite(capacity) ? capacity : null });
+      }
+    }
+
+    return { candidates, excluded };
+  }
+
+  /**
+   * Free slots in one lab, earliest first. Slots returned for the same lab do
+   * not overlap each other, so each one is a real alternative.
+   */
+  findLabSlots({ lab, limits, capacity }, context) {
+    const { from, to, durationMinutes, setupMinutes, cleanupMinutes, timezone, labBookings, resourceBookings = [], fieldBookings, blackouts, limit } = context;
+    const step = limits.slot_interval || 15;
+    const maxConcurrent = lab.booking_settings?.max_concurrent_bookings || Infinity;
+    const slots = [];
+
+    // Respect min_notice and max_days_in_advance for this lab
+    const now = moment();
+    const earliest = moment.max(moment(from), now.clone().add(limits.min_notice_minutes || 0, 'minutes'));
+    const latest = Number.isFinite(limits.max_days_in_advance)
+      ? moment.min(moment(to), now.clone().add(limits.max_days_in_advance, 'days'))
+      : moment(to);
+
+    for (let day = moment.tz(earliest, timezone).startOf('day'); day.isBefore(latest) && slots.length < limit; day.add(1, 'day')) {
+      const window = bookingPolicyService.getOpeningWindow(lab, day, timezone);
+      if (!window) continue;
+
+      // Setup must start after opening and cleanup finish before closing
+      const firstStart = Math.ceil((window.open + setupMinutes) / step) * step;
+      const lastStart = window.close - cleanupMinutes - durationMinutes;
+
+      for (let minutes = firstStart; minutes <= lastStart && slots.length < limit; minutes += step) {
+        const start = day.clone().add(minutes, 'minutes');
+        const end = start.clone().add(durationMinutes, 'minutes');
+        if (start.isBefore(earliest) || end.isAfter(latest)) continue;
+
+        const occupiedStart = new Date(start.valueOf() - setupMinutes * MINUTE);
+        const occupiedEnd = new Date(end.valueOf() + cleanupMinutes * MINUTE);
+
+        if (blackouts.some(b => overlaps(b, occupiedStart, occupiedEnd))) continue;
+        if (fieldBookings.some(b => overlaps(b, occupiedStart, occupiedEnd))) continue;
+        if (resourceBookings.some(b => overlaps(b, occupiedStart, occupiedEnd))) continue;
+        if (labBookings.filter(b => overlaps(b, occupiedStart, occupiedEnd)).length >= maxConcurrent) continue;
+
+        slots.push({
+          lab_id: lab._id,
+          lab_name: lab.name,
+          lab_code: lab.code,
+          start_time: start.toDate(),
+          end_time: end.toDate(),
+          setup_start: occupiedStart,
+          cleanup_end: occupiedEnd,
+          capacity,
+          spare_seats: capacity === null ? null : capacity - context.participantsCount
+        });
+
+        // Continue searching after this slot (and its cleanup) in this lab
+        minutes = Math.ceil((minutes + durationMinutes + cleanupMinutes + setupMinutes) / step) * step - step;
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Find the earliest free slots for a field across every lab that can host it.
+   *
+   * @param {Object} params
+   * @param {string} params.fieldId - Field to book
+   * @param {number} params.durationMinutes - Length of the booking
+   * @param {number} [params.participantsCount=1] - Headcount the lab must fit
+   * @param {Date} [params.from] - Start of the search window (default now)
+   * @param {Date} [params.to] - End of the search window (default two weeks after from)
+   * @param {number} [params.setupMinutes=0] - Setup buffer needed before the booking
+   * @param {number} [params.cleanupMinutes=0] - Cleanup buffer needed after the booking
+   * @param {number} [params.limit=5] - Number of slots to return
+   * @param {Array} [params.labIds] - Restrict the search to these labs (department scope)
+   * @param {Array} [params.excludeLabIds] - Labs to leave out of the search
+   * @param {Array} [params.excludeBookingIds] - Bookings that do not block a slot (the booking being moved)
+   * @param {Object} params.user - User who will book
+   * @returns {Promise<{slots: Array, searched_labs: number, excluded_labs: Array, window: Object}>}
+   */
+  async findSlots({ fieldId, durationMinutes, participantsCount = 1, from, to, setupMinutes = 0, cleanupMinutes = 0, limit = 5, labIds = null, excludeLabIds = [], excludeBookingIds = [], user }) {
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : moment(start).add(DEFAULT_SEARCH_DAYS, 'days').toDate();
+    if (end <= start) {
+      throw new ErrorResponse('Search window end must be after its start', 400);
+    }
+    if (moment(end).diff(start, 'days', true) > MAX_SEARCH_DAYS) {
+      throw new ErrorResponse(`Search window cannot exceed ${MAX_SEARCH_DAYS} days`, 400);
+    }
+
+    const settings = await bookingPolicyService.getSettings();
+    const resultLimit = Math.min(limit, MAX_RESULTS);
+    const { candidates, excluded } = await this.findCandidateLabs({
+      fieldId,
+      participantsCount,
+      user,
+      labIds,
+      excludeLabIds,
+      durationMinutes,
+      settings
+    });
+
+    // Bookings carry their own buffers, so look a day either side of the window
+    const padStart = moment(start).subtract(1, 'day').toDate();
+    const padEnd = moment(end).add(1, 'day').toDate();
+    const busy = await Booking.find({
+      $or: [{ lab: { $in: candidates.map(c => c.lab._id) } }, { field: fieldId }],
+      status: { $in: ACTIVE_STATUSES },
+      is_deleted: { $ne: true },
+      ...(excludeBookingIds.length > 0 && { _id: { $nin: excludeBookingIds } }),
+      start_time: { $lt: padEnd },
+      end_time: { $gt: padStart }
+    }).select('lab field resources start_time end_time setup_time_needed cleanup_time_required').lean();
+
+    // Slots found here book the whole lab: they cannot overlap bookings of the
+    // lab's resources, and only whole-lab bookings count as lab bookings
+    const wholeLab = busy.filter(b => !(b.resources || []).length);
+    const partial = busy.filter(b => (b.resources || []).length > 0);
+
+    // A field cannot be booked twice at the same time, in any lab
+    const fieldBookings = wholeLab.filter(b => b.field?.toString() === fieldId.toString()).map(occupiedWindow);
+
+    const slots = [];
+    for (const candidate of candidates) {
+      const labId = candidate.lab._id.toString();
+      slots.push(...this.findLabSlots(candidate, {
+        from: start,
+        to: end,
+        durationMinutes,
+        setupMinutes,
+        cleanupMinutes,
+        participantsCount,
+        timezone: settings.timezone,
+        labBookings: wholeLab.filter(b => b.lab?.toString() === labId).map(occupiedWindow),
+        resourceBookings: partial.filter(b => b.lab?.toString() === labId).map(occupiedWindow),
+        fieldBookings,
+        blackouts: (await findBlackoutConflicts(candidate.lab, fieldId, padStart, padEnd))
+          .map(p => ({ start: new Date(p.start_time), end: new Date(p.end_time) })),
+        limit: resultLimit
+      }));
+    }
+
+    // Earliest start first, then the lab whose capacity fits the group best
+    slots.sort((a, b) => (a.start_time - b.start_time) ||
+      ((a.spare_seats ?? Infinity) - (b.spare_seats ?? Infinity)));
+
+    return {
+      slots: slots.slice(0, resultLimit),
+      searched_labs: candidates.length,
+      excluded_labs: excluded,
+      window: { from: start, to: end, timezone: settings.timezone }
+    };
+  }
+}
+
+module.exports = new SlotSearchService();
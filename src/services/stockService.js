@@ -1,9 +1,31 @@
 const mongoose = require('mongoose');
 const StockLog = require('../models/StockLog');
 const { Notification } = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const { DAY } = require('../utils/commonUtils');
 // Import Item model inside methods to avoid circular dependency
 let Item;
 
+const isExpired = (lot, now = new Date()) => !!lot.expiry_date && new Date(lot.expiry_date) <= now;
+
+// First expiry first out: lots with an expiry date earliest first, then lots
+// without one, oldest received first
+const fefoOrder = (a, b) => {
+  const aExpiry = a.expiry_date ? new Date(a.expiry_date).getTime() : Infinity;
+  const bExpiry = b.expiry_date ? new Date(b.expiry_date).getTime() : Infinity;
+  if (aExpiry !== bExpiry) return aExpiry - bExpiry;
+  return new Date(a.received_date || 0) - new Date(b.received_date || 0);
+};
+
+const lotEntry = (lot, quantity) => ({
+  lot: lot._id || lot.lot,
+  lot_number: lot.lot_number,
+  expiry_date: lot.expiry_date || null,
+  received_date: lot.received_date,
+  supplier: lot.supplier,
+  quantity
+});
+
 class StockService {
   constructor() {
     this.session = null;
@@ -48,20 +70,31 @@ class StockService {
 
   /**
    * Add stock to an item
+   *
+   * options.lot / options.lots put the stock into lots, options.referenceId
+   * links the stock log to the document behind the receipt, and
+   * options.session runs it inside the caller's transaction.
    */
-  async addStock(itemId, quantity, userId, reason = 'Stock added', metadata = {}) {
+  async addStock(itemId, quantity, userId, reason = 'Stock added', metadata = {}, options = {}) {
+    const session = options.session || this.session;
     try {
       // Ensure Item model is loaded
       if (!Item) Item = require('../models/Item');
       
-      const item = await Item.findById(itemId).session(this.session);
+      const item = await Item.findById(itemId).session(session);
       if (!item) throw new Error('Item not found');
 
+      // Received stock goes into a lot when one is given; moved stock keeps its lots
+      const lots = options.lots || (options.lot ? [{ ...options.lot, quantity }] : []);
+      for (const lot of lots) {
+        this.receiveLot(item, lot, lot.quantity);
+      }
+
       const oldQuantity = item.quantity;
       item.quantity += quantity;
       item.available_quantity += quantity;
       
-      await item.save({ session: this.session });
+      await item.save({ session });
       await this._createStockLog({
         itemId,
         userId,
@@ -69,17 +102,21 @@ class StockService {
         changeQuantity: quantity,
         type: 'add',
         reason,
+        referenceId: options.referenceId,
         metadata: {
           oldQuantity,
           newQuantity: item.quantity,
+          ...(lots.length > 0 && { lots: JSON.stringify(lots.map(lot => lotEntry(lot, lot.quantity))) }),
           ...metadata
-        }
+        },
+        session
       });
 
-      await this._checkStockLevels(item, userId);
+      await this._checkStockLevels(item, userId, session);
       return item;
     } catch (error) {
-      await this.rollback();
+      // A caller's own transaction is left for the caller to abort
+      if (!options.session) await this.rollback();
       throw error;
     }
   }
@@ -88,6 +125,15 @@ class StockService {
    * Remove stock from an item
    */
   async removeStock(itemId, quantity, userId, reason = 'Stock consumed', metadata = {}) {
+    const { item } = await this._removeStock(itemId, quantity, userId, reason, metadata);
+    return item;
+  }
+
+  /**
+   * Remove stock, consuming lots first-expiry-first-out. Returns the item and
+   * what was taken from each lot.
+   */
+  async _removeStock(itemId, quantity, userId, reason, metadata = {}, { includeExpired = false } = {}) {
     try {
       // Ensure Item model is loaded
       if (!Item) Item = require('../models/Item');
@@ -98,6 +144,8 @@ class StockService {
         throw new Error('Insufficient stock available');
       }
 
+      const lots = this.takeFromLots(item, quantity, { includeExpired });
+
       const oldQuantity = item.quantity;
       item.available_quantity -= quantity;
       
@@ -112,18 +160,211 @@ class StockService {
         metadata: {
           oldQuantity,
           newQuantity: item.available_quantity,
+          ...(lots.length > 0 && { lots: JSON.stringify(lots) }),
           ...metadata
         }
       });
 
       await this._checkStockLevels(item, userId);
-      return item;
+      return { item, lots };
     } catch (error) {
       await this.rollback();
       throw error;
     }
   }
 
+  /**
+   * Lots in the order they are consumed
+   */
+  sortFefo(lots) {
+    return [...lots].sort(fefoOrder);
+  }
+
+  /**
+   * Units held in an item's lots
+   */
+  lotTotal(item) {
+    return (item.lots || []).reduce((sum, lot) => sum + (lot.quantity || 0), 0);
+  }
+
+  /**
+   * Lots can only hold what is available. When stock left the item without
+   * going through its lots (older transfer paths), take the difference from
+   * the lots that expire last.
+   */
+  _trimLots(item) {
+    let excess = this.lotTotal(item) - item.available_quantity;
+    if (excess <= 0) return;
+    for (const lot of [...item.lots].sort(fefoOrder).reverse()) {
+      if (excess <= 0) break;
+      const quantity = Math.min(lot.quantity, excess);
+      lot.quantity -= quantity;
+      excess -= quantity;
+    }
+  }
+
+  /**
+   * Take `quantity` from an item's lots, first-expiry-first-out. Expired lots
+   * are skipped unless `includeExpired`; stock held outside any lot (recorded
+   * before lots were tracked) is used last. Call before reducing the item's
+   * available quantity. Only the lots change; returns what was taken from each.
+   */
+  takeFromLots(item, quantity, { includeExpired = false, now = new Date() } = {}) {
+    if (!item.lots || item.lots.length === 0) return [];
+    this._trimLots(item);
+
+    const lots = item.lots
+      .filter(lot => lot.quantity > 0 && (includeExpired || !isExpired(lot, now)))
+      .sort(fefoOrder);
+    const untracked = Math.max(0, item.available_quantity - this.lotTotal(item));
+    const usable = lots.reduce((sum, lot) => sum + lot.quantity, 0) + untracked;
+    if (usable < quantity) {
+      const error = new ErrorResponse(`Only ${usable} unexpired unit(s) of ${item.name || 'this item'} are available`, 400);
+      error.details = { item_id: item._id, available: usable, required: quantity };
+      throw error;
+    }
+
+    let remaining = quantity;
+    const taken = [];
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      const lotQuantity = Math.min(lot.quantity, remaining);
+      lot.quantity -= lotQuantity;
+      remaining -= lotQuantity;
+      taken.push(lotEntry(lot, lotQuantity));
+    }
+
+    this.syncLotExpiry(item, now);
+    return taken;
+  }
+
+  /**
+   * Put unused stock back into the lots it was taken from (see takeFromLots),
+   * latest expiry first. Stock whose lot no longer exists is kept outside
+   * any lot. Only the lots change; returns what went back to each.
+   */
+  returnToLots(item, allocations = [], quantity) {
+    if (!item.lots || item.lots.length === 0) return [];
+
+    let remaining = quantity;
+    const returned = [];
+    for (const allocation of [...allocations].sort(fefoOrder).reverse()) {
+      if (remaining <= 0) break;
+      const lot = item.lots.id(allocation.lot);
+      if (!lot) continue;
+      const lotQuantity = Math.min(allocation.quantity, remaining);
+      lot.quantity += lotQuantity;
+      remaining -= lotQuantity;
+      returned.push(lotEntry(lot, lotQuantity));
+    }
+
+    this.syncLotExpiry(item);
+    return returned;
+  }
+
+  /**
+   * Add received (or transferred) stock to the matching lot, or start a new
+   * lot. Lots match on lot number and expiry date. Only the lots change.
+   */
+  receiveLot(item, lot, quantity) {
+    const expiry = lot.expiry_date ? new Date(lot.expiry_date).getTime() : null;
+    const existing = (item.lots || []).find(l =>
+      l.lot_number === lot.lot_number &&
+      (l.expiry_date ? new Date(l.expiry_date).getTime() : null) === expiry
+    );
+
+    if (existing) {
+      existing.quantity += quantity;
+      existing.initial_quantity = (existing.initial_quantity || 0) + quantity;
+    } else {
+      item.lots.push({
+        lot_number: lot.lot_number,
+        received_date: lot.received_date || new Date(),
+        expiry_date: lot.expiry_date || null,
+        supplier: lot.supplier,
+        notes: lot.notes,
+        initial_quantity: quantity,
+        quantity
+      });
+    }
+
+    this.syncLotExpiry(item);
+    return item;
+  }
+
+  /**
+   * Keep the item's expiry date in line with its lots: the earliest expiry
+   * among unexpired lots in stock, or the latest one once every lot in stock
+   * has expired (so the item is reported as expired).
+   */
+  syncLotExpiry(item, now = new Date()) {
+    const stocked = (item.lots || []).filter(lot => lot.quantity > 0);
+    if (stocked.length === 0) return;
+
+    const unexpired = stocked.filter(lot => !isExpired(lot, now));
+    if (unexpired.length > 0) {
+      const dates = unexpired.filter(lot => lot.expiry_date).map(lot => new Date(lot.expiry_date).getTime());
+      item.expiry_date = dates.length > 0 ? new Date(Math.min(...dates)) : null;
+    } else {
+      item.expiry_date = new Date(Math.max(...stocked.map(lot => new Date(lot.expiry_date).getTime())));
+    }
+  }
+
+  /**
+   * Stock expiring within `days`, one row per lot. Items without lots are
+   * reported as a single row using the item's expiry date.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.days=30]
+   * @param {Array} [options.labIds] - Limit to these labs
+   * @param {boolean} [options.includeExpired=false] - Also report lots that have already expired
+   * @param {string} [options.labFields] - Lab fields to populate
+   */
+  async getExpiringLots({ days = 30, labIds = null, includeExpired = false, labFields = 'name code', now = new Date() } = {}) {
+    if (!Item) Item = require('../models/Item');
+
+    const horizon = new Date(now.getTime() + days * DAY);
+    const window = { $lte: horizon, ...(!includeExpired && { $gt: now }) };
+    const items = await Item.find({
+      deleted_at: null,
+      ...(labIds && { lab: { $in: labIds } }),
+      $or: [
+        { lots: { $elemMatch: { quantity: { $gt: 0 }, expiry_date: window } } },
+        { 'lots.0': { $exists: false }, expiry_date: window, available_quantity: { $gt: 0 } }
+      ]
+    }).populate('lab', labFields);
+
+    const rows = [];
+    const push = (item, lot) => rows.push({
+      item_id: item._id,
+      name: item.name,
+      code: item.code,
+      lab: item.lab,
+      lot_id: lot?._id || null,
+      lot_number: lot?.lot_number || null,
+      supplier: lot?.supplier || null,
+      received_date: lot?.received_date || null,
+      expiry_date: lot ? lot.expiry_date : item.expiry_date,
+      quantity: lot ? lot.quantity : item.available_quantity,
+      days_until_expiry: Math.ceil(((lot ? lot.expiry_date : item.expiry_date) - now) / DAY),
+      is_expired: isExpired(lot || item, now)
+    });
+
+    for (const item of items) {
+      if (!item.lots || item.lots.length === 0) {
+        push(item, null);
+        continue;
+      }
+      for (const lot of item.lots) {
+        if (lot.quantity <= 0 || !lot.expiry_date) continue;
+        if (lot.expiry_date > horizon || (!includeExpired && isExpired(lot, now))) continue;
+        push(item, lot);
+      }
+    }
+
+    return rows.sort((a, b) => new Date(a.expiry_date) - new Date(b.expiry_date));
+  }
+
   /**
    * Move stock between labs
    */
@@ -198,7 +439,10 @@ class StockService {
       } else {
         // For partial quantity, use the existing logic
         // 1. Remove from source
-        await this.removeStock(itemId, quantity, userId, `Transferred to lab ${toLabId}: ${reason}`);
+        // Transferred stock takes its lots (expired ones included) along
+        const { lots } = await this._removeStock(itemId, quantity, userId, `Transferred to lab ${toLabId}: ${reason}`, {}, {
+          includeExpired: true
+        });
         
         // 2. Find or create item in target lab
         let targetItem = await Item.findOne({
@@ -214,6 +458,7 @@ class StockService {
             lab: toLabId,
             quantity: 0,
             available_quantity: 0,
+            lots: [],
             minimum_quantity: sourceItem.minimum_quantity,
             unit: sourceItem.unit,
             status: 'available'
@@ -222,7 +467,7 @@ class StockService {
         }
 
         // 3. Add to target lab
-        await this.addStock(targetItem._id, quantity, userId, `Transferred from lab ${fromLabId}: ${reason}`);
+        await this.addStock(targetItem._id, quantity, userId, `Transferred from lab ${fromLabId}: ${reason}`, {}, { lots });
         
         // 4. Update stock levels
         await this._checkStockLevels(await Item.findById(itemId).session(session), userId);
@@ -308,7 +553,7 @@ class StockService {
   /**
    * Check stock levels and trigger alerts if needed
    */
-  async _checkStockLevels(item, userId = null) {
+  async _checkStockLevels(item, userId = null, session = this.session) {
     let status = 'available';
     let notificationType = null;
     
@@ -328,11 +573,11 @@ class StockService {
 
     if (item.status !== status) {
       item.status = status;
-      await item.save({ session: this.session });
+      await item.save({ session });
       
       if (notificationType) {
         // If no user ID is provided, try to get it from the current session
-        const notificationUserId = userId || (this.session?.userId) || null;
+        const notificationUserId = userId || (session?.userId) || null;
         
         // Only create notification if we have a user ID
         if (notificationUserId) {
@@ -348,7 +593,7 @@ class StockService {
               minimumQuantity: item.minimum_quantity,
               expiryDate: item.expiry_date
             }
-          });
+          }, session);
         } else {
           console.warn('Skipping notification: No user ID available for stock level change');
         }
@@ -359,12 +604,12 @@ class StockService {
   /**
    * Create stock log entry
    */
-  async _createStockLog({ itemId, userId, labId, changeQuantity, type, reason, metadata = {} }) {
+  async _createStockLog({ itemId, userId, labId, changeQuantity, type, reason, metadata = {}, referenceId = null, session = this.session }) {
     // Lazy load Item model to avoid circular dependency
     if (!Item) Item = require('../models/Item');
     
     // Get the current item to include in the log
-    const item = await Item.findById(itemId).session(this.session || null);
+    const item = await Item.findById(itemId).session(session || null);
     
     const log = new StockLog({
       item: itemId,
@@ -373,6 +618,7 @@ class StockService {
       change_quantity: changeQuantity,
       type,
       reason,
+      reference_id: referenceId,
       metadata: {
         ...metadata,
         currentQuantity: item ? item.available_quantity : 0,
@@ -382,8 +628,8 @@ class StockService {
       timestamp: new Date()
     });
     
-    if (this.session) {
-      log.$session(this.session);
+    if (session) {
+      log.$session(session);
     }
     
     return await log.save();
@@ -392,14 +638,14 @@ class StockService {
   /**
    * Create notification
    */
-  async _createNotification(notificationData) {
+  async _createNotification(notificationData, session = this.session) {
     const notificationDataWithDefaults = {
       ...notificationData,
       is_read: false,
       created_at: new Date()
     };
     
-    const options = this.session ? { session: this.session } : {};
+    const options = session ? { session } : {};
     
     return await Notification.create([notificationDataWithDefaults], options).then(
       (notifications) => notifications[0]
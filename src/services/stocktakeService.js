@@ -0,0 +1,467 @@
+const mongoose = require('mongoose');
+const CatalogueItem = require('../models/CatalogueItem');
+const Item = require('../models/Item');
+const Lab = require('../models/Lab');
+const StockLog = require('../models/StockLog');
+const StocktakeSchedule = require('../models/StocktakeSchedule');
+const StocktakeSession = require('../models/StocktakeSession');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification } = require('../utils/notifications');
+const { DAY, toId } = require('../utils/commonUtils');
+const { refreshStockStatus } = require('../utils/stockUtils');
+const stockService = require('./stockService');
+
+const OPEN_STATUSES = ['counting', 'review'];
+
+class StocktakeService {
+  constructor() {
+    this.OPEN_STATUSES = OPEN_STATUSES;
+  }
+
+  /**
+   * Items of a lab matching the session or schedule filters
+   */
+  async findItems({ lab, storageType = null, itemType = null, category = null }) {
+    const query = { lab: toId(lab), deleted_at: null };
+    if (storageType) query.storage_type = storageType;
+    if (itemType || category) {
+      const catalogueQuery = {};
+      if (itemType) catalogueQuery.type = itemType;
+      if (category) catalogueQuery.category = category;
+      query.catalogue_item_id = { $in: await CatalogueItem.find(catalogueQuery).distinct('_id') };
+    }
+
+    const items = await Item.find(query);
+    return items.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+
+  /**
+   * Open a stocktake: freeze the expected (available) quantity of every
+   * matching item and ask the counters to count
+   *
+   * @returns {Promise<Object>} The saved session
+   */
+  async open({
+    lab,
+    name,
+    storageType = null,
+    itemType = null,
+    category = null,
+    blind = false,
+    counters = [],
+    dueDate = null,
+    notes,
+    schedule = null,
+    user
+  }) {
+    const labDoc = lab.name ? lab : await Lab.findById(lab).select('name code');
+    if (!labDoc) throw new ErrorResponse('Lab not found', 404);
+
+    const items = await this.findItems({ lab: labDoc, storageType, itemType, category });
+    if (items.length === 0) {
+      throw new ErrorResponse('No items in this lab match the stocktake filters', 400);
+    }
+
+    const now = new Date();
+    const session = await StocktakeSession.create({
+      name: name || `Stocktake ${labDoc.name} ${now.toISOString().slice(0, 10)}`,
+      lab: labDoc._id,
+      storage_type: storageType,
+      item_type: itemType,
+      category,
+      blind,
+      counters: [...new Set((counters || []).map(toId).filter(Boolean))],
+      lines: items.map(item => ({
+        item: item._id,
+        name: item.name,
+        code: item.code,
+        unit: item.unit,
+        storage_type: item.storage_type,
+        expected_quantity: item.available_quantity
+      })),
+      snapshot_at: now,
+      due_date: dueDate,
+      schedule,
+      notes,
+      created_by: toId(user)
+    });
+
+    for (const counter of session.counters) {
+      await createNotification({
+        user: counter,
+        type: 'stocktake_assigned',
+        title: 'Stocktake Assigned',
+        message: `You have been asked to count ${items.length} item(s) in ${labDoc.name} for "${session.name}"` +
+          (dueDate ? ` by ${new Date(dueDate).toDateString()}.` : '.'),
+        data: { stocktake_id: session._id, lab_id: labDoc._id, blind },
+        action_url: `/stocktakes/${session._id}`,
+        related_lab: labDoc._id
+      });
+    }
+
+    return session;
+  }
+
+  /**
+   * Where a line stands: uncounted, counted (every counter agrees),
+   * disputed (counters disagree) or resolved (settled by a manager)
+   */
+  lineStatus(line) {
+    if (line.final_quantity !== null && line.final_quantity !== undefined) return 'resolved';
+    const counts = line.counts || [];
+    if (counts.length === 0) return 'uncounted';
+    return new Set(counts.map(c => c.quantity)).size === 1 ? 'counted' : 'disputed';
+  }
+
+  /**
+   * The quantity a line will be posted at, or null while it has none
+   */
+  countedQuantity(line) {
+    const status = this.lineStatus(line);
+    if (status === 'resolved') return line.final_quantity;
+    if (status === 'counted') return line.counts[0].quantity;
+    return null;
+  }
+
+  /**
+   * Whether a user may count in a session: its counters, and managers of the lab
+   */
+  canCount(session, user, { manager = false } = {}) {
+    return manager || (session.counters || []).some(c => toId(c) === toId(user));
+  }
+
+  /**
+   * Record counts for a session's items. A counter's new count of an item
+   * replaces their earlier one; counts by other counters are kept.
+   *
+   * @param {Object} session - Session document
+   * @param {Array<{item_id: string, quantity: number, notes?: string}>} counts
+   * @param {Object} user - Counter
+   */
+  async recordCounts(session, counts, user) {
+    if (session.status !== 'counting') {
+      throw new ErrorResponse(`Counts can only be entered while the stocktake is counting (it is ${session.status})`, 400);
+    }
+
+    const lineItems = new Set(session.lines.map(line => toId(line.item)));
+    const unknown = counts.filter(count => !lineItems.has(toId(count.item_id))).map(count => count.item_id);
+    if (unknown.length > 0) {
+      const error = new ErrorResponse('Some items are not on this stocktake', 400);
+      error.details = { unknown };
+      throw error;
+    }
+
+    // Each counter only touches their own entries, so counters working at the
+    // same time cannot overwrite each other
+    const counterId = new mongoose.Types.ObjectId(toId(user));
+    for (const count of counts) {
+      const arrayFilters = [{ 'line.item': new mongoose.Types.ObjectId(toId(count.item_id)) }];
+      await StocktakeSession.updateOne(
+        { _id: session._id, status: 'counting' },
+        { $pull: { 'lines.$[line].counts': { counter: counterId } } },
+        { arrayFilters }
+      );
+      const result = await StocktakeSession.updateOne(
+        { _id: session._id, status: 'counting' },
+        {
+          $push: {
+            'lines.$[line].counts': {
+              counter: counterId,
+              quantity: Number(count.quantity),
+              counted_at: new Date(),
+              notes: count.notes
+            }
+          }
+        },
+        { arrayFilters }
+      );
+      if (result.matchedCount === 0) {
+        throw new ErrorResponse('The stocktake is no longer accepting counts', 409);
+      }
+    }
+
+    return StocktakeSession.findById(session._id);
+  }
+
+  /**
+   * Close counting and hand the session to a manager for review
+   */
+  async submit(session, user) {
+    if (session.status !== 'counting') {
+      throw new ErrorResponse(`Only a stocktake that is counting can be submitted (it is ${session.status})`, 400);
+    }
+    if (!session.lines.some(line => (line.counts || []).length > 0)) {
+      throw new ErrorResponse('Nothing has been counted yet', 400);
+    }
+
+    session.status = 'review';
+    session.submitted_by = toId(user);
+    session.submitted_at = new Date();
+    await session.save();
+    return session;
+  }
+
+  /**
+   * Settle the quantity of a line, e.g. after a recount when counters disagree
+   */
+  async resolveLine(session, itemId, quantity, user, notes) {
+    if (session.status !== 'review') {
+      throw new ErrorResponse('Lines are resolved once counting has been submitted for review', 400);
+    }
+    const line = session.lines.find(l => toId(l.item) === toId(itemId));
+    if (!line) throw new ErrorResponse('Item is not on this stocktake', 404);
+
+    line.final_quantity = Number(quantity);
+    line.resolved_by = toId(user);
+    line.resolved_at = new Date();
+    line.resolution_notes = notes;
+    await session.save();
+    return session;
+  }
+
+  /**
+   * Expected against counted quantity for every line, with totals
+   *
+   * @param {Object} session
+   * @param {Object} [options]
+   * @param {boolean} [options.hideExpected] - Blind view for counters: no
+   *   expected quantities, variances or other counters' counts
+   * @param {Object} [options.user] - Viewer, whose own counts stay visible
+   */
+  varianceReport(session, { hideExpected = false, user = null } = {}) {
+    const lines = session.lines.map(line => {
+      const status = this.lineStatus(line);
+      const counted = this.countedQuantity(line);
+      const counts = line.counts || [];
+
+      if (hideExpected) {
+        const own = counts.find(c => toId(c.counter) === toId(user));
+        return {
+          item: line.item,
+          name: line.name,
+          code: line.code,
+          unit: line.unit,
+          storage_type: line.storage_type,
+          my_count: own ? own.quantity : null
+        };
+      }
+
+      const variance = counted === null ? null : counted - line.expected_quantity;
+      return {
+        item: line.item,
+        name: line.name,
+        code: line.code,
+        unit: line.unit,
+        storage_type: line.storage_type,
+        status,
+        expected_quantity: line.expected_quantity,
+        counted_quantity: counted,
+        variance,
+        variance_percent: variance === null || line.expected_quantity === 0
+          ? null
+          : Math.round((variance / line.expected_quantity) * 1000) / 10,
+        counts,
+        ...(status === 'resolved' && {
+          resolved_by: line.resolved_by,
+          resolved_at: line.resolved_at,
+          resolution_notes: line.resolution_notes
+        }),
+        ...(line.adjustment !== null && line.adjustment !== undefined && {
+          adjustment: line.adjustment,
+          stock_log: line.stock_log
+        })
+      };
+    });
+
+    if (hideExpected) {
+      return {
+        lines,
+        summary: {
+          lines: lines.length,
+          counted_by_me: lines.filter(l => l.my_count !== null).length
+        }
+      };
+    }
+
+    const withVariance = lines.filter(l => l.variance);
+    return {
+      lines,
+      summary: {
+        lines: lines.length,
+        counted: lines.filter(l => ['counted', 'resolved'].includes(l.status)).length,
+        uncounted: lines.filter(l => l.status === 'uncounted').length,
+        disputed: lines.filter(l => l.status === 'disputed').length,
+        with_variance: withVariance.length,
+        units_over: withVariance.filter(l => l.variance > 0).reduce((sum, l) => sum + l.variance, 0),
+        units_short: withVariance.filter(l => l.variance < 0).reduce((sum, l) => sum - l.variance, 0),
+        net_variance: withVariance.reduce((sum, l) => sum + l.variance, 0)
+      }
+    };
+  }
+
+  /**
+   * Approve a reviewed stocktake and post every variance as a stock
+   * adjustment, all in one transaction and all referencing the session.
+   * The variance is applied to the current stock, so movements recorded
+   * since the snapshot are kept. Uncounted lines are left alone; disputed
+   * lines must be resolved first.
+   */
+  async approve(sessionId, user, { labIds = null, notes } = {}) {
+    const dbSession = await mongoose.startSession();
+    try {
+      let stocktake;
+
+      await dbSession.withTransaction(async () => {
+        stocktake = await StocktakeSession.findById(sessionId).session(dbSession);
+        if (!stocktake) throw new ErrorResponse('Stocktake not found', 404);
+        if (labIds && !labIds.map(String).includes(toId(stocktake.lab))) {
+          throw new ErrorResponse('Access denied: stocktake is outside your department', 403);
+        }
+        if (stocktake.status !== 'review') {
+          throw new ErrorResponse(`Only a stocktake under review can be approved (it is ${stocktake.status})`, 400);
+        }
+
+        const disputed = stocktake.lines.filter(line => this.lineStatus(line) === 'disputed');
+        if (disputed.length > 0) {
+          const error = new ErrorResponse('Counts disagree for some items; resolve them before approving', 400);
+          error.details = {
+            disputed: disputed.map(line => ({
+              item_id: line.item,
+              name: line.name,
+              counts: line.counts.map(c => ({ counter: c.counter, quantity: c.quantity }))
+            }))
+          };
+          throw error;
+        }
+
+        for (const line of stocktake.lines) {
+          const counted = this.countedQuantity(line);
+          if (counted === null) continue;
+          const variance = counted - line.expected_quantity;
+          line.adjustment = 0;
+          if (variance === 0) continue;
+
+          const item = await Item.findById(line.item).session(dbSession);
+          if (!item) throw new ErrorResponse(`Item ${line.name || toId(line.item)} not found`, 404);
+          if (item.available_quantity + variance < 0) {
+            const error = new ErrorResponse(`Stock of ${line.name || item.name} has dropped below the shortfall found by the count`, 400);
+            error.details = { item_id: toId(item), available: item.available_quantity, variance };
+            throw error;
+          }
+
+          // Missing stock comes out of the lots first-expiry-first-out (expired
+          // stock included); surplus is held outside any lot
+          const lots = variance < 0 ? stockService.takeFromLots(item, -variance, { includeExpired: true }) : [];
+
+          const oldQuantity = item.available_quantity;
+          item.quantity = Math.max(0, item.quantity + variance);
+          item.available_quantity += variance;
+          refreshStockStatus(item);
+          await item.save({ session: dbSession });
+
+          const [log] = await StockLog.create([{
+            item: item._id,
+            user: toId(user),
+            lab: stocktake.lab,
+            change_quantity: variance,
+            reason: 'Stocktake adjustment',
+            notes: `Stocktake: ${stocktake.name}`,
+            type: 'adjustment',
+            reference_id: stocktake._id,
+            metadata: {
+              stocktake_id: toId(stocktake),
+              expected_quantity: String(line.expected_quantity),
+              counted_quantity: String(counted),
+              oldQuantity: String(oldQuantity),
+              newQuantity: String(item.available_quantity),
+              ...(lots.length > 0 && { lots: JSON.stringify(lots) })
+            }
+          }], { session: dbSession });
+
+          line.adjustment = variance;
+          line.stock_log = log._id;
+        }
+
+        stocktake.status = 'approved';
+        stocktake.approved_by = toId(user);
+        stocktake.approved_at = new Date();
+        if (notes) stocktake.notes = stocktake.notes ? `${stocktake.notes}\n${notes}` : notes;
+        await stocktake.save({ session: dbSession });
+      });
+
+      return stocktake;
+    } finally {
+      await dbSession.endSession();
+    }
+  }
+
+  /**
+   * Cancel a stocktake that has not been approved; nothing is posted
+   */
+  async cancel(session, user, reason) {
+    if (!OPEN_STATUSES.includes(session.status)) {
+      throw new ErrorResponse(`Only an open stocktake can be cancelled (it is ${session.status})`, 400);
+    }
+    session.status = 'cancelled';
+    session.cancelled_by = toId(user);
+    session.cancelled_at = new Date();
+    session.cancellation_reason = reason;
+    await session.save();
+    return session;
+  }
+
+  /**
+   * The schedule's next run after `now`, keeping to its frequency
+   */
+  nextRun(schedule, now = new Date()) {
+    const step = schedule.frequency_days * DAY;
+    let next = new Date(schedule.next_run_at || now).getTime();
+    while (next <= now.getTime()) next += step;
+    return new Date(next);
+  }
+
+  /**
+   * Open a stocktake for every cycle-count schedule that is due. A schedule
+   * whose previous session is still open is only moved to its next run.
+   */
+  async runDueSchedules(now = new Date()) {
+    const due = await StocktakeSchedule.find({ is_active: true, next_run_at: { $lte: now } })
+      .populate('lab', 'name code');
+
+    let opened = 0;
+    for (const schedule of due) {
+      try {
+        // Claim the run first so overlapping runs cannot open it twice
+        const claimed = await StocktakeSchedule.updateOne(
+          { _id: schedule._id, next_run_at: schedule.next_run_at },
+          { $set: { next_run_at: this.nextRun(schedule, now), last_run_at: now } }
+        );
+        if (claimed.modifiedCount === 0 || !schedule.lab) continue;
+
+        const stillOpen = await StocktakeSession.exists({ schedule: schedule._id, status: { $in: OPEN_STATUSES } });
+        if (stillOpen) continue;
+
+        const session = await this.open({
+          lab: schedule.lab,
+          name: `${schedule.name} ${now.toISOString().slice(0, 10)}`,
+          storageType: schedule.storage_type,
+          itemType: schedule.item_type,
+          category: schedule.category,
+          blind: schedule.blind,
+          counters: schedule.counters,
+          dueDate: new Date(now.getTime() + schedule.count_window_days * DAY),
+          schedule: schedule._id,
+          user: schedule.created_by
+        });
+        await StocktakeSchedule.updateOne({ _id: schedule._id }, { $set: { last_session: session._id } });
+        opened++;
+      } catch (error) {
+        console.error(`Error running cycle count schedule ${schedule._id}:`, error);
+      }
+    }
+
+    return { due: due.length, opened };
+  }
+}
+
+module.exports = new StocktakeService();
@@ -0,0 +1,173 @@
+const SupplierOffer = require('../models/SupplierOffer');
+const SystemSetting = require('../models/SystemSetting');
+const { DAY, toId } = require('../utils/commonUtils');
+
+const SUPPLIER_FIELDS = 'name code email phone terms is_active';
+
+class SupplierService {
+  /**
+   * Currency prices are compared and stock is valued in
+   */
+  async defaultCurrency() {
+    const settings = await SystemSetting.findOne().select('billing');
+    return settings?.billing?.currency || 'RWF';
+  }
+
+  /**
+   * Days from order to delivery for an offer, falling back to the
+   * supplier's default lead time
+   */
+  leadTime(offer) {
+    return offer.lead_time_days ?? offer.supplier?.terms?.default_lead_time_days ?? null;
+  }
+
+  /**
+   * Active offers for catalogue items from active suppliers, with the
+   * supplier populated
+   * @param {Array} catalogueItemIds
+   * @param {Object} [options]
+   * @param {string} [options.supplierId] - Only this supplier's offers
+   * @param {boolean} [options.includeInactive] - Keep inactive offers and suppliers
+   */
+  async offersFor(catalogueItemIds, { supplierId = null, includeInactive = false } = {}) {
+    const filter = { catalogue_item: { $in: catalogueItemIds } };
+    if (supplierId) filter.supplier = supplierId;
+    if (!includeInactive) filter.is_active = true;
+
+    const offers = await SupplierOffer.find(filter).populate('supplier', SUPPLIER_FIELDS);
+    return includeInactive ? offers : offers.filter(offer => offer.supplier?.is_active);
+  }
+
+  /**
+   * The offer to buy from: a preferred one first, then the lowest cost per
+   * unit, then the shortest lead time. Only offers in `currency` count when
+   * it is given; with `strict` off, offers in other currencies are used when
+   * there is none in it (costs are never compared across currencies).
+   */
+  bestOffer(offers, { currency = null, strict = true } = {}) {
+    let candidates = currency ? offers.filter(offer => offer.currency === currency) : offers;
+    if (candidates.length === 0 && currency && !strict) {
+      // Fall back to the currency most offers are in
+      const counts = new Map();
+      for (const offer of offers) counts.set(offer.currency, (counts.get(offer.currency) || 0) + 1);
+      const [fallback] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+      candidates = offers.filter(offer => offer.currency === fallback);
+    }
+    if (candidates.length === 0) return null;
+
+    return [...candidates].sort((a, b) => {
+      if (a.is_preferred !== b.is_preferred) return a.is_preferred ? -1 : 1;
+      if (a.unit_cost !== b.unit_cost) return a.unit_cost - b.unit_cost;
+      return (this.leadTime(a) ?? Infinity) - (this.leadTime(b) ?? Infinity);
+    })[0];
+  }
+
+  /**
+   * Best offer per catalogue item
+   * @returns {Promise<Map<string, Object>>} Catalogue item ID -> offer
+   */
+  async bestOffers(catalogueItemIds, { supplierId = null, currency = null, strict = true } = {}) {
+    const offers = await this.offersFor(catalogueItemIds, { supplierId });
+    const byItem = new Map();
+    for (const offer of offers) {
+      const key = toId(offer.catalogue_item);
+      if (!byItem.has(key)) byItem.set(key, []);
+      byItem.get(key).push(offer);
+    }
+
+    const best = new Map();
+    for (const [key, itemOffers] of byItem) {
+      const offer = this.bestOffer(itemOffers, { currency, strict });
+      if (offer) best.set(key, offer);
+    }
+    return best;
+  }
+
+  /**
+   * Round a quantity of catalogue units up to what can be ordered on an
+   * offer: whole packs, and no fewer than its minimum order
+   */
+  orderQuantity(quantity, offer = null) {
+    if (!offer) return quantity;
+    const packs = Math.max(offer.minimum_order_packs || 1, Math.ceil(quantity / offer.pack_size));
+    return packs * offer.pack_size;
+  }
+
+  /**
+   * Record a new price on an offer; the old one goes into its price history
+   */
+  setPrice(offer, { unitPrice, currency = offer.currency, effectiveFrom = new Date(), user = null }) {
+    if (offer.unit_price === Number(unitPrice) && offer.currency === currency) return offer;
+
+    if (offer.unit_price != null) {
+      offer.price_history.push({
+        unit_price: offer.unit_price,
+        currency: offer.currency,
+        effective_from: offer.price_effective_from || offer.createdAt,
+        effective_to: effectiveFrom,
+        changed_by: user ? toId(user) : null
+      });
+    }
+    offer.unit_price = Number(unitPrice);
+    offer.currency = currency;
+    offer.price_effective_from = effectiveFrom;
+    return offer;
+  }
+
+  /**
+   * Cost per catalogue unit of each item, from its best offer in the
+   * currency; items without one are left out
+   * @returns {Promise<Map<string, number>>}
+   */
+  async unitCosts(catalogueItemIds, currency) {
+    const best = await this.bestOffers(catalogueItemIds, { currency });
+    return new Map([...best].map(([key, offer]) => [key, offer.unit_cost]));
+  }
+
+  /**
+   * Who sells a catalogue item and how fast it can be had: offers in the
+   * billing currency first, cheapest per unit first within a currency
+   */
+  async sourcing(catalogueItemId) {
+    const [offers, currency] = await Promise.all([
+      this.offersFor([catalogueItemId]),
+      this.defaultCurrency()
+    ]);
+
+    const best = this.bestOffer(offers, { currency, strict: false });
+    const leadTimes = offers.map(offer => this.leadTime(offer)).filter(days => days != null);
+
+    return {
+      currency,
+      supplier_count: new Set(offers.map(offer => toId(offer.supplier))).size,
+      best_offer: best ? best._id : null,
+      shortest_lead_time_days: leadTimes.length > 0 ? Math.min(...leadTimes) : null,
+      earliest_delivery: leadTimes.length > 0 ? new Date(Date.now() + Math.min(...leadTimes) * DAY) : null,
+      offers: offers
+        .sort((a, b) => (a.currency !== currency) - (b.currency !== currency) ||
+          a.currency.localeCompare(b.currency) || a.unit_cost - b.unit_cost)
+        .map(offer => ({
+          _id: offer._id,
+          supplier: {
+            _id: offer.supplier._id,
+            name: offer.supplier.name,
+            code: offer.supplier.code,
+            email: offer.supplier.email,
+            phone: offer.supplier.phone
+          },
+          supplier_sku: offer.supplier_sku,
+          pack_size: offer.pack_size,
+          unit_price: offer.unit_price,
+          unit_cost: offer.unit_cost,
+          currency: offer.currency,
+          lead_time_days: this.leadTime(offer),
+          minimum_order_packs: offer.minimum_order_packs,
+          is_preferred: offer.is_preferred,
+          price_effective_from: offer.price_effective_from,
+          price_history: offer.price_history
+        }))
+    };
+  }
+}
+
+module.exports = new SupplierService();
@@ -0,0 +1,535 @@
+const moment = require('moment-timezone');
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const Field = require('../models/Field');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseCalendar } = require('../utils/icalendar');
+const { parseCsv } = require('../utils/csvParser');
+const { expandRecurrence } = require('../utils/recurrence');
+const { createNotification } = require('../utils/notifications');
+const bookingSeriesService = require('./bookingSeriesService');
+const bookingPolicyService = require('./bookingPolicyService');
+const trainingService = require('./trainingService');
+
+const MAX_ROWS = 500;
+
+const BOOKING_TYPES = ['lecture', 'practical', 'exam', 'research', 'meeting', 'maintenance', 'other'];
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Alternative CSV headers accepted for each column
+const CSV_ALIASES = {
+  lab_code: ['lab', 'lab_code', 'room', 'room_code'],
+  field_code: ['field', 'field_code', 'course_field'],
+  title: ['title', 'summary', 'course', 'subject'],
+  start_time: ['start_time', 'start', 'starts_at'],
+  end_time: ['end_time', 'end', 'ends_at'],
+  booking_type: ['booking_type', 'type'],
+  participants_count: ['participants_count', 'participants', 'students'],
+  description: ['description', 'purpose', 'notes'],
+  user_email: ['user_email', 'email', 'lecturer_email', 'teacher_email'],
+  frequency: ['frequency', 'repeat'],
+  interval: ['interval'],
+  days_of_week: ['days_of_week', 'days'],
+  end_date: ['end_date', 'repeat_until', 'until']
+};
+
+const CSV_DATE_FORMATS = [moment.ISO_8601, 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD HH:mm:ss', 'DD/MM/YYYY HH:mm', 'YYYY-MM-DD', 'DD/MM/YYYY'];
+
+const pick = (values, column) => {
+  const key = CSV_ALIASES[column].find(alias => values[alias] !== undefined && values[alias] !== '');
+  return key ? values[key] : undefined;
+};
+
+const parseCsvDate = (value, timezone) => {
+  if (!value) return null;
+  const parsed = moment.tz(value, CSV_DATE_FORMATS, true, timezone);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+// "MO;WE", "1,3" or "Mon Wed" -> [1, 3]
+const parseDaysOfWeek = (value) => String(value || '')
+  .split(/[\s;,|]+/)
+  .filter(Boolean)
+  .map((token) => {
+    if (/^\d$/.test(token)) return Number(token);
+    return DAY_CODES.indexOf(token.slice(0, 2).toUpperCase());
+  });
+
+const overlaps = (a, b) => a.start_time < b.end_time && a.end_time > b.start_time;
+
+class TimetableImportService {
+  /**
+   * Work out the file format from an explicit value, the file name or the content
+   */
+  detectFormat(format, filename, content) {
+    if (format) return String(format).toLowerCase();
+    if (filename && /\.ics$/i.test(filename)) return 'ics';
+    if (filename && /\.csv$/i.test(filename)) return 'csv';
+    return /^\s*BEGIN:VCALENDAR/i.test(content) ? 'ics' : 'csv';
+  }
+
+  /**
+   * Map an RRULE onto a BookingSeries recurring pattern.
+   * Throws a 400 ErrorResponse when the rule cannot be represented.
+   */
+  patternFromRule(rule, startTime, endTime, timezone) {
+    if (rule.unsupported.length > 0) {
+      throw new ErrorResponse(`RRULE parts not supported: ${rule.unsupported.join(', ')}`, 400);
+    }
+
+    const pattern = { interval: rule.interval || 1 };
+    switch (rule.freq) {
+      case 'DAILY':
+        pattern.frequency = 'daily';
+        break;
+      case 'WEEKLY': {
+        pattern.frequency = 'weekly';
+        const days = rule.by_day.map(d => DAY_CODES.indexOf(d.slice(-2)));
+        if (days.includes(-1)) throw new ErrorResponse(`Invalid BYDAY value: ${rule.by_day.join(',')}`, 400);
+        if (days.length > 0) pattern.days_of_week = days;
+        break;
+      }
+      case 'MONTHLY':
+        if (rule.by_day.length > 0 || rule.by_month_day.length > 1) {
+          throw new ErrorResponse('Monthly rules are only supported on a single day of the month (BYMONTHDAY)', 400);
+        }
+        pattern.frequency = 'monthly';
+        if (rule.by_month_day.length === 1) pattern.month_day = rule.by_month_day[0];
+        break;
+      default:
+        throw new ErrorResponse(`RRULE frequency ${rule.freq || '(missing)'} is not supported`, 400);
+    }
+
+    if (rule.until) {
+      pattern.end_date = rule.until;
+    } else if (rule.count) {
+      // COUNT is converted to the start of the last occurrence
+      const occurrences = expandRecurrence(startTime, endTime, {
+        ...pattern,
+        end_date: moment(startTime).add(10, 'years').toDate()
+      }, { timezone, limit: rule.count }).slice(0, rule.count);
+      pattern.end_date = occurrences[occurrences.length - 1].start_time;
+    } else {
+      throw new ErrorResponse('Open-ended RRULEs (without UNTIL or COUNT) cannot be imported', 400);
+    }
+
+    return pattern;
+  }
+
+  /**
+   * Turn the VEVENTs of an .ics file into import rows.
+   *
+   * The lab code is read from X-LAB-CODE, a code in brackets in LOCATION
+   * ("Anatomy Lab (ANL)"), or LOCATION itself; the field code from
+   * X-FIELD-CODE or CATEGORIES. Overrides of recurring events (RECURRENCE-ID)
+   * are removed from their series and imported as single bookings.
+   */
+  parseIcsRows(content, timezone, defaults) {
+    const events = parseCalendar(content, { timezone });
+    const masters = new Map();
+    for (const event of events) {
+      if (event.uid && !event.recurrence_id) masters.set(event.uid, event);
+    }
+
+    for (const event of events) {
+      const master = event.recurrence_id && masters.get(event.uid);
+      if (!master) continue;
+      master.exdates.push(event.recurrence_id);
+      // Overrides usually only carry what changed
+      event.extra = { ...master.extra, ...event.extra };
+      if (event.categories.length === 0) event.categories = master.categories;
+      if (!event.location) event.location = master.location;
+      if (!event.description) event.description = master.description;
+    }
+
+    return events
+      .filter(event => event.status !== 'CANCELLED')
+      .map((event) => {
+        const locationCode = (event.location || '').match(/\(([^)]+)\)/)?.[1];
+        const row = {
+          row: event.index,
+          source: event.uid ? `VEVENT ${event.uid}` : `VEVENT #${event.index}`,
+          lab_codes: [event.extra['X-LAB-CODE'], locationCode, event.location, (event.location || '').split(/\s+/)[0], defaults.lab_code],
+          field_codes: [event.extra['X-FIELD-CODE'], ...event.categories, defaults.field_code],
+          title: event.summary,
+          description: event.description,
+          booking_type: event.extra['X-BOOKING-TYPE'] ||
+            event.categories.map(c => c.toLowerCase()).find(c => BOOKING_TYPES.includes(c)) ||
+            defaults.booking_type,
+          participants_count: event.extra['X-PARTICIPANTS'] ? Number(event.extra['X-PARTICIPANTS']) : undefined,
+          start_time: event.start,
+          end_time: event.end,
+          excluded_dates: event.exdates,
+          errors: []
+        };
+
+        if (!event.start || isNaN(event.start)) row.errors.push('DTSTART is missing or invalid');
+        if (event.rrule && row.errors.length === 0) {
+          try {
+            row.recurring_pattern = this.patternFromRule(event.rrule, event.start, event.end, timezone);
+          } catch (error) {
+            row.errors.push(error.message);
+          }
+        }
+
+        return row;
+      });
+  }
+
+  /**
+   * Turn CSV records into import rows. Recurrence can be given with the
+   * frequency, interval, days_of_week and end_date columns.
+   */
+  parseCsvRows(content, timezone, defaults) {
+    const { headers, records } = parseCsv(content);
+    if (headers.length > 0 && !CSV_ALIASES.start_time.some(h => headers.includes(h))) {
+      throw new ErrorResponse('CSV must have a start_time column', 400);
+    }
+
+    return records.map(({ line, values }) => {
+      const row = {
+        row: line,
+        source: `line ${line}`,
+        lab_codes: [pick(values, 'lab_code'), defaults.lab_code],
+        field_codes: [pick(values, 'field_code'), defaults.field_code],
+        title: pick(values, 'title'),
+        description: pick(values, 'description'),
+        booking_type: (pick(values, 'booking_type') || defaults.booking_type || '').toLowerCase() || undefined,
+        participants_count: pick(values, 'participants_count') ? Number(pick(values, 'participants_count')) : undefined,
+        user_email: pick(values, 'user_email'),
+        start_time: parseCsvDate(pick(values, 'start_time'), timezone),
+        end_time: parseCsvDate(pick(values, 'end_time'), timezone),
+        excluded_dates: [],
+        errors: []
+      };
+
+      if (!row.start_time) row.errors.push(`Invalid start time "${pick(values, 'start_time') || ''}"`);
+      if (!row.end_time) row.errors.push(`Invalid end time "${pick(values, 'end_time') || ''}"`);
+
+      const frequency = (pick(values, 'frequency') || '').toLowerCase();
+      if (frequency && frequency !== 'none') {
+        const days = parseDaysOfWeek(pick(values, 'days_of_week'));
+        const endDate = parseCsvDate(pick(values, 'end_date'), timezone);
+        if (!['daily', 'weekly', 'biweekly', 'monthly'].includes(frequency)) {
+          row.errors.push(`Unsupported frequency "${frequency}"`);
+        } else if (!endDate) {
+          row.errors.push('Recurring rows need a valid end_date');
+        } else if (days.includes(-1)) {
+          row.errors.push(`Invalid days_of_week "${pick(values, 'days_of_week')}"`);
+        } else {
+          row.recurring_pattern = {
+            frequency,
+            interval: parseInt(pick(values, 'interval'), 10) || 1,
+            end_date: endDate,
+            ...(days.length > 0 && { days_of_week: days })
+          };
+        }
+      }
+
+      return row;
+    });
+  }
+
+  /**
+   * Run the createBooking checks against one row: lab and field by code,
+   * booking type and time range, then the booking policy (capacity, opening
+   * hours, booking settings, conflicts and blackouts; every occurrence for
+   * recurring rows).
+   */
+  async validateRow(row, context) {
+    const { labsByCode, fieldsByCode, usersByEmail, scopedLabIds, planned, user } = context;
+    const { RULES } = bookingPolicyService;
+    const report = {
+      row: row.row,
+      source: row.source,
+      title: row.title,
+      start_time: row.start_time,
+      end_time: row.end_time,
+      recurring: !!row.recurring_pattern,
+      occurrences: 0,
+      errors: [...row.errors],
+      conflicts: [],
+      blackouts: [],
+      capacity_violation: null,
+      violations: []
+    };
+
+    const lab = row.lab_codes.filter(Boolean).map(c => labsByCode.get(String(c).trim().toUpperCase())).find(Boolean);
+    const field = row.field_codes.filter(Boolean).map(c => fieldsByCode.get(String(c).trim().toUpperCase())).find(Boolean);
+    report.lab_code = lab?.code || row.lab_codes.find(Boolean) || null;
+    report.field_code = field?.code || row.field_codes.find(Boolean) || null;
+
+    if (!row.title) report.errors.push('Title is required');
+    if (!lab) {
+      report.errors.push(report.lab_code ? `Lab with code "${report.lab_code}" not found` : 'Lab code is required');
+    } else if (!lab.is_active) {
+      report.errors.push(`Lab ${lab.code} is inactive`);
+    } else if (scopedLabIds && !scopedLabIds.includes(lab._id.toString())) {
+      report.errors.push(`Lab ${lab.code} is outside your department`);
+    }
+    if (!field) {
+      report.errors.push(report.field_code ? `Field with code "${report.field_code}" not found` : 'Field code is required');
+    }
+
+    const participants = row.participants_count || 1;
+    if (!Number.isInteger(participants) || participants < 1) {
+      report.errors.push('Participants count must be a positive whole number');
+    }
+
+    const bookingType = row.booking_type || 'other';
+    if (!BOOKING_TYPES.includes(bookingType)) report.errors.push(`Invalid booking type "${bookingType}"`);
+
+    if (row.start_time && row.end_time && row.end_time <= row.start_time) {
+      report.errors.push('End time must be after start time');
+    }
+
+    let owner = null;
+    if (row.user_email) {
+      owner = usersByEmail.get(row.user_email.toLowerCase());
+      if (!owner) report.errors.push(`User with email "${row.user_email}" not found`);
+    }
+
+    if (report.errors.length > 0 || !lab || !field) {
+      return { report, row };
+    }
+
+    let occurrences = [{ start_time: row.start_time, end_time: row.end_time }];
+    try {
+      // Series check the time-slot rules per occurrence while planning
+      const policy = await bookingPolicyService.evaluate({
+        lab,
+        fieldId: field._id,
+        user: owner || user,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        participantsCount: participants,
+        slotRules: !row.recurring_pattern
+      });
+      for (const v of policy.violations) {
+        if (v.rule === RULES.CAPACITY) {
+          report.capacity_violation = v.details;
+        } else if (v.rule === RULES.BOOKING_CONFLICT) {
+          report.conflicts.push({ start_time: row.start_time, end_time: row.end_time, bookings: v.details.bookings });
+        } else if (v.rule === RULES.BLACKOUT) {
+          report.blackouts.push(...v.details.periods);
+        } else {
+          report.violations.push(v);
+        }
+      }
+
+      if (row.recurring_pattern) {
+        const plan = await bookingSeriesService.planSeries({
+          lab,
+          fieldId: field._id,
+          startTime: row.start_time,
+          endTime: row.end_time,
+          pattern: row.recurring_pattern,
+          excludedDates: row.excluded_dates
+        });
+        occurrences = plan.occurrences;
+        for (const conflict of plan.conflicts) {
+          if (conflict.bookings.length > 0) {
+            report.conflicts.push({ start_time: conflict.start_time, end_time: conflict.end_time, bookings: conflict.bookings });
+          }
+          report.blackouts.push(...conflict.blackouts.map(b => ({ ...b, occurrence_start: conflict.start_time })));
+          report.violations.push(...conflict.violations.map(v => ({ ...v, occurrence_start: conflict.start_time })));
+          if (conflict.overlaps_previous) {
+            report.errors.push(`Occurrence at ${conflict.start_time.toISOString()} overlaps the previous occurrence`);
+          }
+        }
+      }
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      report.errors.push(error.message);
+      return { report, row };
+    }
+    report.occurrences = occurrences.length;
+
+    // The booking owner must hold the lab's required training until the last occurrence ends
+    const training = await trainingService.check(owner || user, {
+      lab,
+      until: occurrences[occurrences.length - 1]?.end_time || row.end_time
+    });
+    if (!training.qualified) {
+      report.errors.push(`Training required to use lab ${lab.code}: ${training.missing.map(m => m.name).join(', ')}`);
+      report.missing_training = training.missing;
+    }
+
+    // Rows in the same file must not double-book a field either
+    for (const occurrence of occurrences) {
+      const clash = planned.find(p => p.field === field._id.toString() && overlaps(p, occurrence));
+      if (clash) {
+        report.conflicts.push({
+          start_time: occurrence.start_time,
+          end_time: occurrence.end_time,
+          import_row: clash.row
+        });
+      }
+    }
+    planned.push(...occurrences.map(o => ({ ...o, field: field._id.toString(), row: row.row })));
+
+    return { report, row, lab, field, owner, bookingType, participants };
+  }
+
+  /**
+   * Parse a timetable export and check every row; unless dryRun is set, create
+   * the bookings (one series per recurring row) for rows that passed.
+   *
+   * @param {Object} params
+   * @param {string} params.content - File contents
+   * @param {string} [params.format] - 'ics' or 'csv' (detected when omitted)
+   * @param {string} [params.filename] - Uploaded file name, used to detect the format
+   * @param {boolean} [params.dryRun=true] - Only report, create nothing
+   * @param {boolean} [params.skipInvalid=false] - Create the valid rows even if others failed
+   * @param {Object} [params.defaults] - lab_code, field_code and booking_type for rows that omit them
+   * @param {Object} params.user - Importing user
+   * @param {Object} [params.departmentScope] - req.departmentScope of the importing user
+   * @returns {Promise<Object>} Import report
+   */
+  async importTimetable({ content, format, filename, dryRun = true, skipInvalid = false, defaults = {}, user, departmentScope }) {
+    if (!content || !String(content).trim()) {
+      throw new ErrorResponse('Timetable file is empty', 400);
+    }
+
+    const detected = this.detectFormat(format, filename, content);
+    if (!['ics', 'csv'].includes(detected)) {
+      throw new ErrorResponse('Format must be ics or csv', 400);
+    }
+
+    const timezone = await bookingSeriesService.getTimezone();
+    const rows = detected === 'ics'
+      ? this.parseIcsRows(content, timezone, defaults)
+      : this.parseCsvRows(content, timezone, defaults);
+
+    if (rows.length === 0) {
+      throw new ErrorResponse('No bookings found in the timetable file', 400);
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new ErrorResponse(`Timetable has ${rows.length} rows; at most ${MAX_ROWS} can be imported at once`, 400);
+    }
+
+    const codes = (list) => [...new Set(rows.flatMap(r => r[list]).filter(Boolean).map(c => String(c).trim().toUpperCase()))];
+    const emails = [...new Set(rows.map(r => r.user_email).filter(Boolean).map(e => e.toLowerCase()))];
+    const [labs, fields, users] = await Promise.all([
+      Lab.find({ code: { $in: codes('lab_codes') } }),
+      Field.find({ code: { $in: codes('field_codes') } }).collation({ locale: 'en', strength: 2 }),
+      emails.length > 0 ? User.find({ email: { $in: emails } }).select('full_name email role no_show_count department') : []
+    ]);
+
+    const context = {
+      labsByCode: new Map(labs.map(l => [l.code.toUpperCase(), l])),
+      fieldsByCode: new Map(fields.map(f => [f.code.toUpperCase(), f])),
+      usersByEmail: new Map(users.map(u => [u.email.toLowerCase(), u])),
+      scopedLabIds: user.role !== 'admin' && departmentScope && !departmentScope.global
+        ? (departmentScope.labIds || []).map(id => id.toString())
+        : null,
+      planned: [],
+      user
+    };
+
+    const results = [];
+    for (const row of rows) {
+      const result = await this.validateRow(row, context);
+      const { report } = result;
+      report.status = report.errors.length > 0 || report.conflicts.length > 0 || report.blackouts.length > 0 ||
+        report.violations.length > 0 || report.capacity_violation ? 'invalid' : 'valid';
+      results.push(result);
+    }
+
+    const invalid = results.filter(r => r.report.status === 'invalid');
+    const summary = {
+      rows: results.length,
+      valid: results.length - invalid.length,
+      invalid: invalid.length,
+      occurrences: results.reduce((sum, r) => sum + (r.report.status === 'valid' ? r.report.occurrences : 0), 0),
+      conflicts: results.reduce((sum, r) => sum + r.report.conflicts.length, 0),
+      blackout_hits: results.reduce((sum, r) => sum + r.report.blackouts.length, 0),
+      capacity_violations: results.filter(r => r.report.capacity_violation).length,
+      rule_violations: results.reduce((sum, r) => sum + r.report.violations.length, 0),
+      created: 0
+    };
+
+    const response = { dry_run: dryRun, format: detected, timezone, summary, rows: results.map(r => r.report) };
+    if (dryRun) {
+      return response;
+    }
+
+    if (invalid.length > 0 && !skipInvalid) {
+      const error = new ErrorResponse(
+        `${invalid.length} of ${results.length} rows failed validation; fix them or import with skip_invalid`,
+        409
+      );
+      error.report = response;
+      throw error;
+    }
+
+    const createdFor = new Map();
+    for (const result of results.filter(r => r.report.status === 'valid')) {
+      const { row, report, lab, field, owner, bookingType, participants } = result;
+      const ownerId = owner?._id || user._id;
+      const bookingData = {
+        lab: lab._id,
+        field: field._id,
+        user: ownerId,
+        created_by: user._id,
+        title: row.title,
+        description: row.description,
+        start_time: row.start_time,
+        end_time: row.end_time,
+        purpose: row.description || 'Timetable import',
+        booking_type: bookingType,
+        participants_count: participants,
+        item_requirements: [],
+        status: 'pending'
+      };
+
+      try {
+        if (row.recurring_pattern) {
+          const { series, bookings } = await bookingSeriesService.createSeries({
+            lab,
+            bookingData,
+            pattern: row.recurring_pattern,
+            userId: user._id,
+            excludedDates: row.excluded_dates
+          });
+          report.series_id = series._id;
+          report.booking_ids = bookings.map(b => b._id);
+        } else {
+          const booking = await Booking.create(bookingData);
+          report.booking_ids = [booking._id];
+        }
+        report.status = 'created';
+        summary.created += report.booking_ids.length;
+        createdFor.set(ownerId.toString(), (createdFor.get(ownerId.toString()) || 0) + report.booking_ids.length);
+      } catch (error) {
+        console.error(`Timetable import failed for ${row.source}:`, error);
+        report.status = 'failed';
+        report.errors.push(error.message);
+      }
+    }
+
+    // Let lecturers know bookings were created in their name
+    for (const [ownerId, count] of createdFor) {
+      if (ownerId === user._id.toString()) continue;
+      try {
+        await createNotification({
+          user: ownerId,
+          type: 'booking_requested',
+          title: 'Timetable Bookings Created',
+          message: `${count} booking(s) were imported from the timetable in your name by ${user.full_name} and are pending approval.`,
+          data: { imported_by: user._id, count },
+          action_url: '/bookings',
+          priority: 'normal'
+        });
+      } catch (error) {
+        console.error('Error notifying user about imported bookings:', ownerId, error);
+      }
+    }
+
+    return response;
+  }
+}
+
+module.exports = new TimetableImportService();
@@ -0,0 +1,223 @@
+const Item = require('../models/Item');
+const Lab = require('../models/Lab');
+const TrainingCertificate = require('../models/TrainingCertificate');
+const TrainingCourse = require('../models/TrainingCourse');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification } = require('../utils/notifications');
+const { DAY, toId } = require('../utils/commonUtils');
+
+// Users are reminded this many days before a certificate expires, then once
+// more when it has expired
+const EXPIRY_NOTICE_DAYS = [30, 7];
+const EXPIRED_NOTICE = 0;
+
+// Certificates that expired longer ago than this are not announced any more
+const EXPIRED_NOTICE_WINDOW_DAYS = 7;
+
+class TrainingService {
+  constructor() {
+    this.EXPIRY_NOTICE_DAYS = EXPIRY_NOTICE_DAYS;
+  }
+
+  /**
+   * Expiry date of a certificate issued for a course on `issuedAt`, or null
+   * when the course does not expire
+   */
+  computeExpiry(course, issuedAt = new Date()) {
+    if (!course.validity_months) return null;
+    const expires = new Date(issuedAt);
+    expires.setMonth(expires.getMonth() + course.validity_months);
+    return expires;
+  }
+
+  /**
+   * Active courses required to use a lab and/or a set of inventory items,
+   * each with the labs and catalogue items that require it
+   *
+   * @param {Object} params
+   * @param {Object|string} [params.lab] - Lab document or ID
+   * @param {Array} [params.itemIds] - Inventory items (their catalogue items carry the prerequisites)
+   * @returns {Promise<Array<{course: Object, required_by: Array}>>}
+   */
+  async getRequirements({ lab = null, itemIds = [] } = {}) {
+    const requiredBy = new Map();
+    const add = (courseIds, source) => {
+      for (const id of (courseIds || []).map(toId)) {
+        if (!requiredBy.has(id)) requiredBy.set(id, []);
+        requiredBy.get(id).push(source);
+      }
+    };
+
+    if (lab) {
+      const labDoc = lab.required_trainings ? lab : await Lab.findById(lab).select('name code required_trainings').lean();
+      if (labDoc) add(labDoc.required_trainings, { type: 'lab', id: labDoc._id, name: labDoc.name });
+    }
+
+    const ids = [...new Set((itemIds || []).map(toId).filter(Boolean))];
+    if (ids.length > 0) {
+      const items = await Item.find({ _id: { $in: ids } })
+        .select('name catalogue_item_id')
+        .populate('catalogue_item_id', 'name required_trainings')
+        .lean();
+      const seen = new Set();
+      for (const item of items) {
+        const catalogueItem = item.catalogue_item_id;
+        if (!catalogueItem || seen.has(toId(catalogueItem))) continue;
+        seen.add(toId(catalogueItem));
+        add(catalogueItem.required_trainings, { type: 'catalogue_item', id: catalogueItem._id, name: catalogueItem.name });
+      }
+    }
+
+    if (requiredBy.size === 0) return [];
+
+    // A retired course no longer blocks anyone
+    const courses = await TrainingCourse.find({ _id: { $in: [...requiredBy.keys()] }, is_active: true })
+      .select('name code category validity_months')
+      .lean();
+    return courses.map(course => ({ course, required_by: requiredBy.get(toId(course)) }));
+  }
+
+  /**
+   * Whether a user holds every course required for a lab and/or items,
+   * valid until `until` (the end of the booking or the borrow)
+   *
+   * @returns {Promise<{qualified: boolean, required: Array, missing: Array}>}
+   */
+  async check(user, { lab = null, itemIds = [], until = new Date() } = {}) {
+    const requirements = await this.getRequirements({ lab, itemIds });
+    if (requirements.length === 0) return { qualified: true, required: [], missing: [] };
+
+    const certificates = !user ? [] : await TrainingCertificate.find({
+      user: toId(user),
+      course: { $in: requirements.map(r => r.course._id) },
+      status: 'active'
+    })
+      .sort({ expires_at: -1 })
+      .lean();
+
+    const now = new Date();
+    const missing = [];
+    for (const { course, required_by } of requirements) {
+      const held = certificates.filter(c => toId(c.course) === toId(course));
+      // A certificate without expiry outlasts any other
+      const best = held.find(c => !c.expires_at) || held[0];
+      if (best && (!best.expires_at || best.expires_at > until)) continue;
+
+      let reason = 'not_completed';
+      if (best && best.expires_at <= now) reason = 'expired';
+      else if (best) reason = 'expires_before_end';
+
+      missing.push({
+        course_id: course._id,
+        code: course.code,
+        name: course.name,
+        reason,
+        ...(best && { expires_at: best.expires_at }),
+        required_by
+      });
+    }
+
+    return { qualified: missing.length === 0, required: requirements, missing };
+  }
+
+  /**
+   * Throw a 403 listing the missing courses unless the user is qualified
+   */
+  async assertQualified(user, { lab = null, itemIds = [], until = new Date(), action = 'use this lab' } = {}) {
+    const result = await this.check(user, { lab, itemIds, until });
+    if (result.qualified) return result;
+
+    const names = result.missing.map(m => m.name).join(', ');
+    const error = new ErrorResponse(`Training required to ${action}: ${names}`, 403);
+    error.details = { missing_training: result.missing };
+    throw error;
+  }
+
+  /**
+   * The notice a certificate is due at `now`: the smallest reminder
+   * threshold it has reached, or EXPIRED_NOTICE once expired
+   */
+  dueNotice(certificate, now = new Date()) {
+    const daysLeft = (certificate.expires_at - now) / DAY;
+    if (daysLeft <= 0) return EXPIRED_NOTICE;
+    const due = EXPIRY_NOTICE_DAYS.filter(days => daysLeft <= days);
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  /**
+   * Warn users whose certificates are about to expire or have just expired.
+   * Each notice is sent once per certificate, and none is sent when the
+   * user has already been issued a newer certificate for the course.
+   */
+  async sendExpiryReminders(now = new Date()) {
+    const horizon = new Date(now.getTime() + Math.max(...EXPIRY_NOTICE_DAYS) * DAY);
+    const certificates = await TrainingCertificate.find({
+      status: 'active',
+      expires_at: { $gt: new Date(now.getTime() - EXPIRED_NOTICE_WINDOW_DAYS * DAY), $lte: horizon }
+    })
+      .populate('course', 'name code is_active')
+      .lean();
+
+    let sent = 0;
+    for (const certificate of certificates) {
+      const notice = this.dueNotice(certificate, now);
+      if (notice === null || !certificate.course?.is_active) continue;
+      // A later notice (e.g. 7 days) replaces an earlier one that was never sent
+      if ((certificate.expiry_notices || []).some(n => n.days_before <= notice)) continue;
+
+      try {
+        const renewed = await TrainingCertificate.exists({
+          _id: { $ne: certificate._id },
+          user: certificate.user,
+          course: certificate.course._id,
+          status: 'active',
+          $or: [{ expires_at: null }, { expires_at: { $gt: certificate.expires_at } }]
+        });
+        if (renewed) continue;
+
+        // Claim the notice first so overlapping runs cannot send it twice
+        const claimed = await TrainingCertificate.updateOne(
+          { _id: certificate._id, 'expiry_notices.days_before': { $ne: notice } },
+          { $push: { expiry_notices: { days_before: notice, sent_at: now } } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const user = await User.findOne({ _id: certificate.user, is_active: true }).select('_id').lean();
+        if (!user) continue;
+
+        const expired = notice === EXPIRED_NOTICE;
+        const notification = await createNotification({
+          user: user._id,
+          type: expired ? 'training_expired' : 'training_expiring',
+          title: expired ? 'Training Certificate Expired' : 'Training Certificate Expiring',
+          message: expired
+            ? `Your ${certificate.course.name} certificate has expired. Labs and items that require it can no longer be booked or borrowed until you renew it.`
+            : `Your ${certificate.course.name} certificate expires on ${certificate.expires_at.toDateString()}. Renew it to keep booking labs and items that require it.`,
+          data: {
+            certificate_id: certificate._id,
+            course_id: certificate.course._id,
+            course_code: certificate.course.code,
+            expires_at: certificate.expires_at
+          },
+          action_url: '/training/my',
+          priority: expired || notice <= Math.min(...EXPIRY_NOTICE_DAYS) ? 'high' : 'normal'
+        });
+        if (!notification) {
+          await TrainingCertificate.updateOne(
+            { _id: certificate._id },
+            { $pull: { expiry_notices: { days_before: notice, sent_at: now } } }
+          );
+          continue;
+        }
+        sent++;
+      } catch (error) {
+        console.error(`Error sending expiry reminder for certificate ${certificate._id}:`, error);
+      }
+    }
+
+    return { checked: certificates.length, sent };
+  }
+}
+
+module.exports = new TrainingService();
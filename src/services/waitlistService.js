@@ -0,0 +1,384 @@
+const Booking = require('../models/Booking');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ErrorResponse = require('../utils/errorResponse');
+const { createNotification, sendBookingNotificationToAdmin } = require('../utils/notifications');
+const bookingPolicyService = require('./bookingPolicyService');
+const trainingService = require('./trainingService');
+
+const { RULES } = bookingPolicyService;
+
+// Violations that only mean "someone else has the slot", which a waitlist can wait out
+const WAITABLE_RULES = [RULES.BOOKING_CONFLICT, RULES.MAX_CONCURRENT_BOOKINGS];
+
+class WaitlistService {
+  constructor() {
+    this.WAITABLE_RULES = WAITABLE_RULES;
+  }
+
+  /**
+   * True when every violation would go away once a conflicting booking is freed
+   */
+  isWaitable(violations) {
+    return violations.length > 0 && violations.every(v => WAITABLE_RULES.includes(v.rule));
+  }
+
+  /**
+   * Join the waitlist for a lab/field time window. Only allowed when the slot
+   * is taken; any other rule violation is returned as a 400.
+   */
+  async join({ lab, fieldId, user, bookingUser, startTime, endTime, title, purpose, bookingType, participantsCount }) {
+    if (new Date(startTime) <= new Date()) {
+      throw new ErrorResponse('Cannot join the waitlist for a slot in the past', 400);
+    }
+
+    const policy = await bookingPolicyService.evaluate({
+      lab,
+      fieldId,
+      user: bookingUser,
+      startTime,
+      endTime,
+      participantsCount
+    });
+
+    if (policy.allowed) {
+      throw new ErrorResponse('The requested slot is available; book it directly instead', 400);
+    }
+    const blocking = policy.violations.filter(v => !WAITABLE_RULES.includes(v.rule));
+    if (blocking.length > 0) {
+      const error = new ErrorResponse(blocking[0].message, 400);
+      error.violations = blocking;
+      throw error;
+    }
+
+    const duplicate = await WaitlistEntry.findOne({
+      user: bookingUser._id,
+      lab: lab._id,
+      field: fieldId,
+      status: { $in: ['waiting', 'promoted'] },
+      start_time: { $lt: endTime },
+      end_time: { $gt: startTime }
+    });
+    if (duplicate) {
+      throw new ErrorResponse('You are already on the waitlist for this time', 409);
+    }
+
+    const entry = await WaitlistEntry.create({
+      lab: lab._id,
+      field: fieldId,
+      user: bookingUser._id,
+      title: title || `Booking for ${purpose?.substring(0, 50) || 'Untitled'}`,
+      purpose,
+      booking_type: bookingType || 'other',
+      participants_count: participantsCount || 1,
+      start_time: startTime,
+      end_time: endTime,
+      created_by: user.id
+    });
+
+    return {
+      entry,
+      position: await this.getPosition(entry),
+      blocked_by: policy.violations
+    };
+  }
+
+  /**
+   * 1-based position among entries waiting for an overlapping window
+   */
+  async getPosition(entry) {
+    if (entry.status !== 'waiting') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+      lab: entry.lab,
+      field: entry.field,
+      status: 'waiting',
+      start_time: { $lt: entry.end_time },
+      end_time: { $gt: entry.start_time },
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * Called after a booking stops holding its slot (cancelled or rejected).
+   * Closes the waitlist entry the booking came from, if any, then promotes
+   * waiting entries for the freed window.
+   *
+   * @returns {Promise<Array>} Promoted entries
+   */
+  async handleReleasedBooking(booking) {
+    if (booking.waitlist_entry) {
+      await WaitlistEntry.updateOne(
+        { _id: booking.waitlist_entry, status: { $in: ['promoted', 'claimed'] } },
+        { status: 'cancelled', cancelled_at: new Date() }
+      );
+    }
+
+    return this.promoteForSlot({
+      labId: booking.lab?._id || booking.lab,
+      fieldId: booking.field?._id || booking.field,
+      startTime: booking.start_time,
+      endTime: booking.end_time
+    });
+  }
+
+  /**
+   * Promote waiting entries that overlap a freed window, first come first
+   * served. Entries that still break a rule (for example another booking
+   * overlaps part of their window) or whose owner lacks the lab's required
+   * training keep their place in the queue.
+   */
+  async promoteForSlot({ labId, fieldId, startTime, endTime }) {
+    const now = new Date();
+    const entries = await WaitlistEntry.find({
+      lab: labId,
+      field: fieldId,
+      status: 'waiting',
+      start_time: { $lt: endTime, $gt: now },
+      end_time: { $gt: startTime }
+    }).sort({ createdAt: 1 });
+    if (entries.length === 0) return [];
+
+    const lab = await Lab.findById(labId);
+    if (!lab || !lab.is_active) return [];
+
+    const settings = await bookingPolicyService.getSettings();
+    const claimHours = settings.booking.waitlist_claim_hours;
+
+    const promoted = [];
+    for (const entry of entries) {
+      try {
+        const result = await this.promoteEntry(entry, lab, claimHours);
+        if (result) promoted.push(result);
+      } catch (error) {
+        // One failing entry must not hold up the rest of the queue
+        console.error(`Error promoting waitlist entry ${entry._id}:`, error);
+      }
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Hold the slot for one waiting entry and notify its owner. The entry is
+   * put back in the queue if its booking cannot be created.
+   *
+   * @returns {Promise<Object|null>} The promoted entry, or null when it was skipped
+   */
+  async promoteEntry(entry, lab, claimHours) {
+    const user = await User.findById(entry.user).select('role no_show_count department');
+    if (!user) return null;
+
+    const policy = await bookingPolicyService.evaluate({
+      lab,
+      fieldId: entry.field,
+      user,
+      startTime: entry.start_time,
+      endTime: entry.end_time,
+      participantsCount: entry.participants_count
+    });
+    if (!policy.allowed) return null;
+
+    const training = await trainingService.check(user, { lab, until: entry.end_time });
+    if (!training.qualified) return null;
+
+    // The claim window never runs past the start of the booking
+    const claimExpiresAt = new Date(Math.min(
+      Date.now() + claimHours * 60 * 60 * 1000,
+      entry.start_time.getTime()
+    ));
+
+    // Another request may have promoted this entry meanwhile
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'promoted', promoted_at: new Date(), claim_expires_at: claimExpiresAt },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        lab: entry.lab,
+        field: entry.field,
+        user: entry.user,
+        created_by: entry.created_by,
+        title: entry.title,
+        description: entry.purpose,
+        booking_type: entry.booking_type,
+        participants_count: entry.participants_count,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        status: 'pending',
+        waitlist_entry: entry._id
+      });
+    } catch (error) {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'promoted', promoted_booking: null },
+        { status: 'waiting', $unset: { promoted_at: 1, claim_expires_at: 1 } }
+      );
+      throw error;
+    }
+
+    claimed.promoted_booking = booking._id;
+    await claimed.save();
+
+    await createNotification({
+      user: entry.user,
+      type: 'waitlist_promoted',
+      title: 'Waitlisted Slot Available',
+      message: `A slot you were waiting for in ${lab.name} is now free. Claim it before ${claimExpiresAt.toISOString()} or it will be offered to the next person.`,
+      data: {
+        waitlist_entry_id: entry._id,
+        booking_id: booking._id,
+        lab_name: lab.name,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        claim_expires_at: claimExpiresAt
+      },
+      action_url: `/bookings/waitlist/${entry._id}`,
+      related_lab: lab._id,
+      priority: 'high'
+    });
+
+    return claimed;
+  }
+
+  /**
+   * Owner accepts a promotion. The held booking then goes through the normal
+   * approval flow.
+   */
+  async claim(entry, user) {
+    if (entry.status !== 'promoted') {
+      throw new ErrorResponse(`Waitlist entry is ${entry.status}, not awaiting a claim`, 400);
+    }
+    if (entry.claim_expires_at && entry.claim_expires_at < new Date()) {
+      throw new ErrorResponse('The claim window for this slot has expired', 410);
+    }
+
+    const booking = await Booking.findById(entry.promoted_booking)
+      .populate('lab', 'name code department')
+      .populate('field', 'name code')
+      .populate('user', 'full_name email');
+    if (!booking || !['pending', 'approved'].includes(booking.status)) {
+      throw new ErrorResponse('The promoted booking is no longer available', 410);
+    }
+
+    entry.status = 'claimed';
+    entry.claimed_at = new Date();
+    await entry.save();
+
+    try {
+      await sendBookingNotificationToAdmin(booking, user);
+    } catch (error) {
+      console.error('Error sending admin notification for claimed waitlist booking:', booking._id, error);
+    }
+
+    return { entry, booking };
+  }
+
+  /**
+   * Owner leaves the waitlist. An unclaimed promotion is released and offered
+   * to the next entry.
+   */
+  async leave(entry, user) {
+    if (!['waiting', 'promoted'].includes(entry.status)) {
+      throw new ErrorResponse(`Waitlist entry is already ${entry.status}`, 400);
+    }
+
+    const wasPromoted = entry.status === 'promoted';
+    entry.status = 'cancelled';
+    entry.cancelled_at = new Date();
+    await entry.save();
+
+    if (wasPromoted) {
+      await this.releasePromotion(entry, user.id, 'Waitlist promotion declined');
+    }
+    return entry;
+  }
+
+  /**
+   * Cancel the booking held for a promotion and offer the slot to the next entry.
+   * userId is empty when the system releases it.
+   */
+  async releasePromotion(entry, userId, reason) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: entry.promoted_booking, status: 'pending' },
+      {
+        status: 'cancelled',
+        cancelled_at: new Date(),
+        cancellation_reason: reason,
+        ...(userId && { cancelled_by: userId })
+      },
+      { new: true }
+    );
+    if (!booking) return [];
+
+    return this.promoteForSlot({
+      labId: booking.lab,
+      fieldId: booking.field,
+      startTime: booking.start_time,
+      endTime: booking.end_time
+    });
+  }
+
+  /**
+   * Scheduled job: expire promotions that were not claimed in time and
+   * waiting entries whose slot has already started.
+   */
+  async expireEntries() {
+    const now = new Date();
+    let expiredPromotions = 0;
+
+    const unclaimed = await WaitlistEntry.find({
+      status: 'promoted',
+      claim_expires_at: { $lte: now }
+    });
+
+    for (const entry of unclaimed) {
+      // A manager approved the held booking before the owner claimed it
+      const booking = await Booking.findById(entry.promoted_booking).select('status');
+      if (booking?.status === 'approved') {
+        await WaitlistEntry.updateOne({ _id: entry._id, status: 'promoted' }, { status: 'claimed', claimed_at: now });
+        continue;
+      }
+
+      const expired = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'promoted' },
+        { status: 'expired', expired_at: now },
+        { new: true }
+      );
+      if (!expired) continue;
+      expiredPromotions++;
+
+      await createNotification({
+        user: entry.user,
+        type: 'waitlist_expired',
+        title: 'Waitlist Claim Expired',
+        message: `You did not claim the slot offered on ${entry.start_time.toISOString()} in time, so it was released.`,
+        data: {
+          waitlist_entry_id: entry._id,
+          booking_id: entry.promoted_booking,
+          start_time: entry.start_time
+        },
+        related_lab: entry.lab,
+        priority: 'normal'
+      });
+
+      await this.releasePromotion(entry, null, 'Waitlist promotion not claimed in time');
+    }
+
+    const stale = await WaitlistEntry.updateMany(
+      { status: 'waiting', start_time: { $lte: now } },
+      { status: 'expired', expired_at: now }
+    );
+
+    return {
+      expired_promotions: expiredPromotions,
+      expired_waiting: stale.modifiedCount
+    };
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,528 @@
+/**
+ * Barcode encoders for item labels: Code 128 (code set B) and QR codes
+ * (byte mode, error correction level M, versions 1-10).
+ *
+ * Encoders return a symbol: rows of dark/light modules plus the quiet zone
+ * it needs. Symbols can be rendered to SVG or PNG here, or drawn into a PDF
+ * label sheet (see pdfDocument). No external libraries are needed.
+ */
+
+const zlib = require('zlib');
+
+// ---------------------------------------------------------------------------
+// Code 128
+// ---------------------------------------------------------------------------
+
+// Bar and space widths of each Code 128 symbol value, bar first
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232'
+];
+const CODE128_STOP = '2331112';
+const CODE128_START_B = 104;
+
+/**
+ * Encode printable ASCII text as a Code 128 symbol
+ *
+ * @param {string} text
+ * @returns {{symbology: string, rows: boolean[][], moduleHeight: number, quietZone: number, text: string}}
+ */
+function encodeCode128(text) {
+  const value = String(text);
+  if (!value || !/^[\x20-\x7e]+$/.test(value)) {
+    throw new Error('Code 128 labels can only hold printable ASCII characters');
+  }
+
+  const codes = [CODE128_START_B, ...[...value].map(char => char.charCodeAt(0) - 32)];
+  const checksum = codes.reduce((sum, code, i) => sum + code * Math.max(i, 1), 0) % 103;
+  const patterns = [...codes, checksum].map(code => CODE128_PATTERNS[code]).concat(CODE128_STOP);
+
+  const modules = [];
+  for (const pattern of patterns) {
+    [...pattern].forEach((width, i) => {
+      for (let w = 0; w < Number(width); w++) modules.push(i % 2 === 0);
+    });
+  }
+
+  // Bars are drawn 40 modules tall; the quiet zone is 10 modules each side
+  return { symbology: 'code128', rows: [modules], moduleHeight: 40, quietZone: 10, text: value };
+}
+
+// ---------------------------------------------------------------------------
+// QR code
+// ---------------------------------------------------------------------------
+
+// Error correction level M: codewords per block and data codewords of each block
+const QR_BLOCKS = [
+  null,
+  { ec: 10, data: [16] },
+  { ec: 16, data: [28] },
+  { ec: 26, data: [44] },
+  { ec: 18, data: [32, 32] },
+  { ec: 24, data: [43, 43] },
+  { ec: 16, data: [27, 27, 27, 27] },
+  { ec: 18, data: [31, 31, 31, 31] },
+  { ec: 22, data: [38, 38, 39, 39] },
+  { ec: 22, data: [36, 36, 36, 37, 37] },
+  { ec: 26, data: [43, 43, 43, 43, 44] }
+];
+
+// Centre coordinates of the alignment patterns per version
+const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+const QR_MAX_VERSION = QR_BLOCKS.length - 1;
+const QR_ECC_M = 0;
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// Multiply in GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+// Reed-Solomon generator polynomial of the given degree, highest term omitted
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+// Error correction codewords for a block of data codewords
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+};
+
+const dataCapacity = version => QR_BLOCKS[version].data.reduce((sum, n) => sum + n, 0);
+
+// Byte-mode bit stream padded to the version's data capacity
+const qrDataCodewords = (bytes, version) => {
+  const capacityBits = dataCapacity(version) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Split data into blocks, add error correction and interleave the codewords
+const qrAllCodewords = (data, version) => {
+  const { ec, data: blockSizes } = QR_BLOCKS[version];
+  const divisor = reedSolomonDivisor(ec);
+  const blocks = [];
+  let offset = 0;
+  for (const size of blockSizes) {
+    const block = data.slice(offset, offset + size);
+    offset += size;
+    blocks.push({ data: block, ec: reedSolomonRemainder(block, divisor) });
+  }
+
+  const result = [];
+  const longest = Math.max(...blockSizes);
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+  }
+  for (let i = 0; i < ec; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+};
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.drawFunctionPatterns();
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators in three corners
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = QR_ALIGNMENT[this.version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas; the real bits are drawn once the mask is chosen
+    this.drawFormatBits(0);
+
+    if (this.version >= 7) {
+      let remainder = this.version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+      const bits = (this.version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, getBit(bits, i));
+        this.setFunction(b, a, getBit(bits, i));
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (QR_ECC_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  // Place codewords in the two-column zigzag from the bottom-right corner
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (this.isFunction[y][x] || i >= codewords.length * 8) continue;
+          this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && QR_MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // Penalty score of the current modules; the mask with the lowest score wins
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    const finderLike = [true, false, true, true, true, false, true];
+    for (const line of lines) {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+          continue;
+        }
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+
+      // Patterns that look like a finder, with four light modules on one side
+      for (let i = 0; i + 7 <= size; i++) {
+        if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+        const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+        const lightAfter = i + 11 <= size && [0, 1, 2, 3].every(k => !line[i + 7 + k]);
+        if (lightBefore || lightAfter) score += 40;
+      }
+    }
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    // Balance of dark and light modules
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+  }
+}
+
+/**
+ * Encode text as a QR code, using the smallest version that fits
+ *
+ * @param {string} text
+ * @returns {{symbology: string, rows: boolean[][], moduleHeight: number, quietZone: number, text: string, version: number}}
+ */
+function encodeQr(text) {
+  const value = String(text);
+  const bytes = [...Buffer.from(value, 'utf8')];
+
+  let version = 1;
+  const fits = v => 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= dataCapacity(v) * 8;
+  while (version <= QR_MAX_VERSION && !fits(version)) version++;
+  if (!value || version > QR_MAX_VERSION) {
+    throw new Error(`QR labels can hold 1 to ${dataCapacity(QR_MAX_VERSION) - 3} bytes of text`);
+  }
+
+  const codewords = qrAllCodewords(qrDataCodewords(bytes, version), version);
+  const matrix = new QrMatrix(version);
+  matrix.drawCodewords(codewords);
+
+  let best = null;
+  for (let mask = 0; mask < QR_MASKS.length; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (!best || score < best.score) best = { mask, score };
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(best.mask);
+  matrix.drawFormatBits(best.mask);
+
+  return { symbology: 'qr', rows: matrix.modules, moduleHeight: 1, quietZone: 4, text: value, version };
+}
+
+const ENCODERS = {
+  code128: encodeCode128,
+  qr: encodeQr
+};
+
+/**
+ * Encode text in the given symbology ('qr' or 'code128')
+ */
+function encode(text, symbology = 'qr') {
+  const encoder = ENCODERS[symbology];
+  if (!encoder) throw new Error(`Unknown symbology: ${symbology}`);
+  return encoder(text);
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+// Horizontal runs of dark modules in a row as [start, length] pairs
+function darkRuns(row) {
+  const runs = [];
+  let start = -1;
+  row.forEach((dark, x) => {
+    if (dark && start < 0) start = x;
+    if (!dark && start >= 0) {
+      runs.push([start, x - start]);
+      start = -1;
+    }
+  });
+  if (start >= 0) runs.push([start, row.length - start]);
+  return runs;
+}
+
+// Size of a symbol in modules, quiet zone included. Code 128 only needs its
+// quiet zone left and right, so it gets a small margin above and below.
+function symbolSize(symbol) {
+  const marginY = symbol.symbology === 'code128' ? 2 : symbol.quietZone;
+  return {
+    width: symbol.rows[0].length + symbol.quietZone * 2,
+    height: symbol.rows.length * symbol.moduleHeight + marginY * 2,
+    marginX: symbol.quietZone,
+    marginY
+  };
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a symbol to an SVG document
+ *
+ * @param {Object} symbol - From encode()
+ * @param {Object} [options]
+ * @param {number} [options.scale=4] - Pixels per module
+ * @param {boolean} [options.showText] - Print the encoded text under the symbol
+ * @returns {string}
+ */
+function toSvg(symbol, { scale = 4, showText = false } = {}) {
+  const { width, height, marginX, marginY } = symbolSize(symbol);
+  const textHeight = showText ? 12 : 0;
+
+  const path = [];
+  symbol.rows.forEach((row, y) => {
+    for (const [x, length] of darkRuns(row)) {
+      path.push(`M${x + marginX} ${y * symbol.moduleHeight + marginY}h${length}v${symbol.moduleHeight}h-${length}z`);
+    }
+  });
+
+  const text = showText
+    ? `<text x="${width / 2}" y="${height + 8}" font-family="monospace" font-size="8" text-anchor="middle">${escapeXml(symbol.text)}</text>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${(height + textHeight) * scale}" ` +
+    `viewBox="0 0 ${width} ${height + textHeight}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/>` +
+    `<path fill="#000" d="${path.join('')}"/>${text}</svg>\n`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Render a symbol to a greyscale PNG image
+ *
+ * @param {Object} symbol - From encode()
+ * @param {Object} [options]
+ * @param {number} [options.scale=4] - Pixels per module
+ * @returns {Buffer}
+ */
+function toPng(symbol, { scale = 4 } = {}) {
+  const { width, height, marginX, marginY } = symbolSize(symbol);
+  const pixelWidth = width * scale;
+  const pixelHeight = height * scale;
+
+  // One filter byte (none) then one byte per pixel on each scanline
+  const raw = Buffer.alloc((pixelWidth + 1) * pixelHeight, 0xff);
+  for (let py = 0; py < pixelHeight; py++) {
+    raw[py * (pixelWidth + 1)] = 0;
+    const y = Math.floor(py / scale) - marginY;
+    const row = symbol.rows[Math.floor(y / symbol.moduleHeight)];
+    if (y < 0 || !row) continue;
+    for (const [x, length] of darkRuns(row)) {
+      const from = py * (pixelWidth + 1) + 1 + (x + marginX) * scale;
+      raw.fill(0, from, from + length * scale);
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(pixelWidth, 0);
+  header.writeUInt32BE(pixelHeight, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // greyscale
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  SYMBOLOGIES: Object.keys(ENCODERS),
+  encode,
+  encodeCode128,
+  encodeQr,
+  darkRuns,
+  symbolSize,
+  toSvg,
+  toPng
+};
@@ -0,0 +1,77 @@
+const BlackoutPeriod = require('../models/BlackoutPeriod');
+
+const overlaps = (period, startTime, endTime) =>
+  period && period.start_time && period.end_time &&
+  new Date(period.start_time) < endTime && new Date(period.end_time) > startTime;
+
+/**
+ * Find blackout periods that overlap a time window for a lab/field.
+ *
+ * Blackouts can be recorded in three places: BlackoutPeriod documents (lab-wide
+ * when no field is set), the lab's embedded blackout_periods, and the per-field
+ * booking_restrictions in the lab's booking_settings. All three are checked.
+ *
+ * @param {Object} lab - Lab document (embedded blackouts are read from it)
+ * @param {string|ObjectId} fieldId - Field being booked
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @returns {Promise<Array<{source: string, start_time: Date, end_time: Date, reason: string}>>}
+ */
+async function findBlackoutConflicts(lab, fieldId, startTime, endTime) {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const conflicts = [];
+
+  const stored = await BlackoutPeriod.find({
+    lab: lab._id,
+    start_time: { $lt: end },
+    end_time: { $gt: start },
+    $or: [
+      { field: null },
+      ...(fieldId ? [{ field: fieldId }] : [])
+    ]
+  }).lean();
+
+  for (const period of stored) {
+    conflicts.push({
+      source: 'blackout_period',
+      id: period._id,
+      start_time: period.start_time,
+      end_time: period.end_time,
+      reason: period.reason
+    });
+  }
+
+  for (const period of lab.blackout_periods || []) {
+    if (overlaps(period, start, end)) {
+      conflicts.push({
+        source: 'lab',
+        id: period._id,
+        start_time: period.start_time,
+        end_time: period.end_time,
+        reason: period.reason
+      });
+    }
+  }
+
+  if (fieldId) {
+    const fieldSettings = (lab.booking_settings?.fields || [])
+      .find(f => f.field && f.field.toString() === fieldId.toString());
+    for (const period of fieldSettings?.booking_restrictions?.blackout_periods || []) {
+      if (overlaps(period, start, end)) {
+        conflicts.push({
+          source: 'field',
+          start_time: period.start_time,
+          end_time: period.end_time,
+          reason: period.reason
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+module.exports = {
+  findBlackoutConflicts
+};
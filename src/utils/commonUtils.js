@@ -0,0 +1,28 @@
+// Durations in milliseconds
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// String ID of a document, a populated reference or a raw ObjectId
+const toId = value => (value?._id || value)?.toString();
+
+// Departments a user belongs to (single department plus any extra ones)
+const userDepartments = user => [
+  toId(user.department),
+  ...(user.departments || []).map(toId)
+].filter(Boolean);
+
+// Match user input literally inside a RegExp
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+module.exports = {
+  MINUTE,
+  HOUR,
+  DAY,
+  toId,
+  userDepartments,
+  escapeRegex,
+  roundMoney
+};
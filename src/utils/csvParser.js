@@ -0,0 +1,78 @@
+/**
+ * Parse CSV text (RFC 4180) into records keyed by header.
+ *
+ * Quoted values may contain commas, doubled quotes and line breaks. Headers
+ * are trimmed, lower-cased and have spaces replaced by underscores so
+ * "Lab Code" and "lab_code" are read the same way.
+ *
+ * @param {string} text - CSV document, optionally starting with a UTF-8 BOM
+ * @returns {{headers: string[], records: Array<{line: number, values: Object}>}}
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      value = '';
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const nonEmpty = rows.filter(r => r.cells.some(c => c.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = nonEmpty[0].cells.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+  const records = nonEmpty.slice(1).map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: headers.reduce((acc, header, index) => {
+      if (header) acc[header] = (cells[index] || '').trim();
+      return acc;
+    }, {})
+  }));
+
+  return { headers, records };
+}
+
+module.exports = {
+  parseCsv
+};
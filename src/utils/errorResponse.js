@@ -32,20 +32,70 @@ class ErrorResponse extends Error {
     return err;
   }
 
-  static handleError(res, error) {
-    console.error('Error:', error);
-    
+  /**
+   * Send the error response for a failed controller action. Errors with a
+   * statusCode keep their message and any details, violations or conflicts
+   * attached to them; Mongoose validation/cast errors become 400, duplicate
+   * keys and version conflicts 409, anything else a 500 with fallbackMessage.
+   *
+   * @param {Object} res - Express response
+   * @param {Error} error
+   * @param {string} [fallbackMessage]
+   * @param {Object} [messages] - Messages for 409s in the caller's terms
+   * @param {string|Function} [messages.duplicate] - For duplicate keys; called with the error when a function
+   * @param {string} [messages.version] - For documents changed by another request
+   */
+  static handleError(res, error, fallbackMessage = 'An error occurred', messages = {}) {
+    console.error(`${fallbackMessage}:`, error);
+
+    const extras = {
+      ...(error.details && { details: error.details }),
+      ...(error.violations && { violations: error.violations }),
+      ...(error.conflicts && { conflicts: error.conflicts })
+    };
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...extras
+      });
+    }
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        ...extras
+      });
+    }
+
+    if (error.code === 11000) {
+      const { duplicate } = messages;
+      return res.status(409).json({
+        success: false,
+        message: (typeof duplicate === 'function' ? duplicate(error) : duplicate) || 'A record with these values already exists'
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: messages.version || 'The record was changed in the meantime; reload it and try again'
+      });
+    }
+
     const response = {
       success: false,
-      message: error.message || 'An error occurred',
-      errors: error.errors || [error.message || 'An unknown error occurred']
+      message: fallbackMessage,
+      errors: [error.message]
     };
-    
+
     if (process.env.NODE_ENV === 'development') {
       response.stack = error.stack;
     }
-    
-    res.status(error.statusCode || 500).json(response);
+
+    res.status(500).json(response);
   }
 }
 
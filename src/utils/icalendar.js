@@ -0,0 +1,458 @@
+const moment = require('moment-timezone');
+
+const PRODID = '-//University of Rwanda//Laboratory Information System//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'laboratory-information-system';
+
+// Booking status -> iCalendar STATUS
+const STATUS_MAP = {
+  draft: 'TENTATIVE',
+  pending: 'TENTATIVE',
+  approved: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ */
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+const formatLocal = (date, timezone) => moment.tz(date, timezone).format('YYYYMMDD[T]HHmmss');
+
+const formatOffset = (minutes) => {
+  const sign = minutes >= 0 ? '+' : '-';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Property line with an optional TZID; dates without a timezone are written in UTC
+ */
+const dateProperty = (name, date, timezone) => (timezone
+  ? `${name};TZID=${timezone}:${formatLocal(date, timezone)}`
+  : `${name}:${formatUtc(date)}`);
+
+/**
+ * VTIMEZONE component for the given IANA zone, covering the years the feed uses.
+ * Zones without daylight saving time get a single STANDARD component.
+ */
+const buildTimezone = (timezone, years) => {
+  const zone = moment.tz.zone(timezone);
+  if (!zone) return [];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  const sortedYears = [...new Set(years)].sort();
+  const transitions = [];
+
+  for (const year of sortedYears) {
+    const yearStart = Date.UTC(year, 0, 1);
+    const yearEnd = Date.UTC(year + 1, 0, 1);
+    zone.untils.forEach((until, i) => {
+      if (until >= yearStart && until < yearEnd && zone.offsets[i + 1] !== undefined) {
+        transitions.push({ at: until, from: -zone.offsets[i], to: -zone.offsets[i + 1] });
+      }
+    });
+  }
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(-zone.utcOffset(Date.UTC(sortedYears[0] || 1970, 0, 1)));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  } else {
+    for (const t of transitions) {
+      const kind = t.to > t.from ? 'DAYLIGHT' : 'STANDARD';
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${moment.utc(t.at + t.from * 60000).format('YYYYMMDD[T]HHmmss')}`,
+        `TZOFFSETFROM:${formatOffset(Math.round(t.from))}`,
+        `TZOFFSETTO:${formatOffset(Math.round(t.to))}`,
+        `END:${kind}`
+      );
+    }
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * RRULE (or RDATE list for custom patterns) for a BookingSeries
+ */
+const buildRecurrenceLines = (series) => {
+  const pattern = series.recurring_pattern || {};
+  const timezone = series.timezone;
+  const until = `UNTIL=${formatUtc(pattern.end_date)}`;
+  const interval = pattern.interval || 1;
+
+  switch (pattern.frequency) {
+    case 'daily':
+      return [`RRULE:FREQ=DAILY;INTERVAL=${interval};${until}`];
+    case 'weekly':
+    case 'biweekly': {
+      const step = pattern.frequency === 'biweekly' ? interval * 2 : interval;
+      const days = (pattern.days_of_week || []).map(d => RRULE_DAYS[d]).join(',');
+      // Weeks are counted from Sunday, as in expandRecurrence
+      return [`RRULE:FREQ=WEEKLY;INTERVAL=${step};WKST=SU;${days ? `BYDAY=${days};` : ''}${until}`];
+    }
+    case 'monthly':
+      return [`RRULE:FREQ=MONTHLY;INTERVAL=${interval};${pattern.month_day ? `BYMONTHDAY=${pattern.month_day};` : ''}${until}`];
+    case 'custom': {
+      const first = moment.tz(series.start_time, timezone);
+      const dates = (pattern.custom_dates || [])
+        .map(d => moment.tz(d, timezone).set({ hour: first.hour(), minute: first.minute(), second: first.second() }))
+        .filter(d => d.isAfter(first) && !d.isAfter(moment(pattern.end_date)));
+      return dates.length > 0 ? [`RDATE;TZID=${timezone}:${dates.map(d => d.format('YYYYMMDD[T]HHmmss')).join(',')}`] : [];
+    }
+    default:
+      return [];
+  }
+};
+
+const describeBooking = (booking, options) => {
+  const lines = [];
+  if (booking.field?.name) lines.push(`Field: ${booking.field.name}`);
+  if (booking.booking_type) lines.push(`Type: ${booking.booking_type}`);
+  lines.push(`Status: ${booking.status}`);
+  if (options.includeOwner && (booking.user_name || booking.user?.full_name)) {
+    lines.push(`Booked by: ${booking.user_name || booking.user.full_name}`);
+  }
+  if (booking.participants_count) lines.push(`Participants: ${booking.participants_count}`);
+  if (booking.description) lines.push('', booking.description);
+  return lines.join('\n');
+};
+
+const locationOf = (booking) => {
+  const lab = booking.lab || {};
+  return [lab.name, lab.code && `(${lab.code})`, lab.full_location || lab.location].filter(Boolean).join(' ');
+};
+
+/**
+ * Lines of one VEVENT for a booking (or a series master when series is given)
+ */
+const buildEvent = (booking, options = {}) => {
+  const { series, recurrenceId, timezone, exdates = [], status } = options;
+  const uid = series ? `series-${series._id}@${UID_DOMAIN}` : `booking-${booking._id}@${UID_DOMAIN}`;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(booking.updatedAt || booking.createdAt || new Date())}`,
+    dateProperty('DTSTART', options.start || booking.start_time, timezone),
+    dateProperty('DTEND', options.end || booking.end_time, timezone)
+  ];
+
+  if (recurrenceId) lines.push(dateProperty('RECURRENCE-ID', recurrenceId, timezone));
+  if (options.recurrenceLines) lines.push(...options.recurrenceLines);
+  if (exdates.length > 0) {
+    lines.push(timezone
+      ? `EXDATE;TZID=${timezone}:${exdates.map(d => formatLocal(d, timezone)).join(',')}`
+      : `EXDATE:${exdates.map(formatUtc).join(',')}`);
+  }
+
+  lines.push(
+    `SUMMARY:${escapeText(options.title || booking.title)}`,
+    `STATUS:${status || STATUS_MAP[booking.status] || 'TENTATIVE'}`,
+    `DESCRIPTION:${escapeText(describeBooking(booking, options))}`
+  );
+
+  const location = locationOf(booking);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (booking.booking_type) lines.push(`CATEGORIES:${escapeText(booking.booking_type.toUpperCase())}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar document from bookings.
+ *
+ * Bookings that belong to a series are emitted as one master VEVENT with an
+ * RRULE (RDATE for custom patterns). Skipped and rejected occurrences become
+ * EXDATEs; occurrences that were moved, cancelled or have a different status
+ * are emitted as overrides with a RECURRENCE-ID.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown by clients
+ * @param {Array} params.bookings - Populated Booking documents (lab, field, user)
+ * @param {Array} [params.series] - BookingSeries documents referenced by the bookings
+ * @param {boolean} [params.includeOwner=false] - Include who booked in the description
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, bookings, series = [], includeOwner = false }) => {
+  const seriesById = new Map(series.map(s => [s._id.toString(), s]));
+  const grouped = new Map();
+  const singles = [];
+
+  for (const booking of bookings) {
+    const seriesId = booking.series?._id?.toString() || booking.series?.toString();
+    if (seriesId && seriesById.has(seriesId)) {
+      if (!grouped.has(seriesId)) grouped.set(seriesId, []);
+      grouped.get(seriesId).push(booking);
+    } else if (!['draft', 'rejected'].includes(booking.status)) {
+      singles.push(booking);
+    }
+  }
+
+  const events = [];
+  const timezoneYears = new Map();
+  const useTimezone = (timezone, dates) => {
+    if (!timezoneYears.has(timezone)) timezoneYears.set(timezone, []);
+    timezoneYears.get(timezone).push(...dates.map(d => moment.tz(d, timezone).year()));
+  };
+
+  for (const [seriesId, occurrences] of grouped) {
+    const s = seriesById.get(seriesId);
+    const timezone = s.timezone;
+    const template = occurrences[0];
+    const anyPending = occurrences.some(o => o.status === 'pending');
+    const masterStatus = s.status === 'cancelled' ? 'CANCELLED' : (anyPending ? 'TENTATIVE' : 'CONFIRMED');
+
+    const exdates = [
+      ...(s.excluded_dates || []),
+      ...occurrences
+        .filter(o => o.status === 'rejected' || o.is_deleted)
+        .map(o => o.original_start_time || o.start_time)
+    ];
+
+    events.push(...buildEvent(template, {
+      series: s,
+      timezone,
+      start: s.start_time,
+      end: s.end_time,
+      title: s.title,
+      status: masterStatus,
+      recurrenceLines: buildRecurrenceLines(s),
+      exdates,
+      includeOwner
+    }));
+    useTimezone(timezone, [s.start_time, s.recurring_pattern?.end_date || s.end_time]);
+
+    for (const occurrence of occurrences) {
+      if (occurrence.status === 'rejected' || occurrence.is_deleted) continue;
+      const original = occurrence.original_start_time || occurrence.start_time;
+      const moved = occurrence.is_exception || occurrence.start_time.getTime() !== new Date(original).getTime();
+      const status = STATUS_MAP[occurrence.status] || 'TENTATIVE';
+      if (!moved && status === masterStatus) continue;
+
+      events.push(...buildEvent(occurrence, {
+        series: s,
+        timezone,
+        recurrenceId: original,
+        status,
+        includeOwner
+      }));
+    }
+  }
+
+  for (const booking of singles) {
+    events.push(...buildEvent(booking, { includeOwner }));
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  for (const [timezone, years] of timezoneYears) {
+    lines.push(...buildTimezone(timezone, years));
+  }
+  lines.push(...events, 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const unescapeText = (value) => String(value ?? '')
+  .replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+/**
+ * Unfold content lines and split each into { name, params, value }
+ */
+const parseContentLines = (text) => String(text)
+  .replace(/\r\n?/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim())
+  .map((line) => {
+    // The value starts at the first colon that is not inside a quoted parameter
+    let i = 0;
+    let inQuotes = false;
+    for (; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      else if (line[i] === ':' && !inQuotes) break;
+    }
+
+    const [name, ...paramParts] = line.slice(0, i).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const eq = part.indexOf('=');
+      if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+  });
+
+/**
+ * Parse a DATE or DATE-TIME value. Floating times and unknown TZIDs
+ * (e.g. Windows zone names) are read in the fallback timezone.
+ */
+const parseDateValue = (value, params = {}, timezone) => {
+  const zone = params.TZID && moment.tz.zone(params.TZID) ? params.TZID : timezone;
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return moment.tz(value, 'YYYYMMDD', true, zone).toDate();
+  }
+  if (value.endsWith('Z')) {
+    return moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true).toDate();
+  }
+  return moment.tz(value, 'YYYYMMDD[T]HHmmss', true, zone).toDate();
+};
+
+/**
+ * Parse an RRULE value into its parts (UNTIL as a Date, COUNT/INTERVAL as numbers)
+ */
+const parseRecurrenceRule = (value, timezone) => {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, raw] = part.split('=');
+    if (!key || raw === undefined) continue;
+    rule[key.toUpperCase()] = raw;
+  }
+
+  return {
+    freq: rule.FREQ,
+    interval: rule.INTERVAL ? parseInt(rule.INTERVAL, 10) : 1,
+    until: rule.UNTIL ? parseDateValue(rule.UNTIL, {}, timezone) : null,
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+    by_day: rule.BYDAY ? rule.BYDAY.split(',') : [],
+    by_month_day: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : [],
+    unsupported: Object.keys(rule).filter(k => !['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYDAY', 'BYMONTHDAY', 'WKST'].includes(k))
+  };
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar document.
+ *
+ * Nested components (VALARM) are skipped. Custom X- properties are kept in
+ * `extra` so importers can read lab and field codes from them.
+ *
+ * @param {string} text - iCalendar document
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - Timezone for floating times and unknown TZIDs
+ * @returns {Array<Object>} Events with uid, summary, description, location, categories,
+ *   status, start, end, all_day, rrule, exdates, recurrence_id and extra
+ */
+const parseCalendar = (text, options = {}) => {
+  const timezone = options.timezone || 'UTC';
+  const events = [];
+  let event = null;
+  let nested = 0;
+
+  for (const { name, params, value } of parseContentLines(text)) {
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = { index: events.length + 1, categories: [], exdates: [], extra: {} };
+      nested = 0;
+      continue;
+    }
+    if (!event) continue;
+
+    if (name === 'BEGIN') {
+      nested += 1;
+      continue;
+    }
+    if (name === 'END') {
+      if (nested > 0) {
+        nested -= 1;
+      } else if (value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+    if (nested > 0) continue;
+
+    switch (name) {
+      case 'UID': event.uid = value; break;
+      case 'SUMMARY': event.summary = unescapeText(value); break;
+      case 'DESCRIPTION': event.description = unescapeText(value); break;
+      case 'LOCATION': event.location = unescapeText(value); break;
+      case 'STATUS': event.status = value.toUpperCase(); break;
+      case 'CATEGORIES':
+        event.categories.push(...value.split(/(?<!\\),/).map(unescapeText).map(c => c.trim()).filter(Boolean));
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(value, params, timezone);
+        event.all_day = params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+        break;
+      case 'DTEND': event.end = parseDateValue(value, params, timezone); break;
+      case 'DURATION': event.duration = moment.duration(value); break;
+      case 'RRULE': event.rrule = parseRecurrenceRule(value, timezone); break;
+      case 'EXDATE':
+        event.exdates.push(...value.split(',').map(v => parseDateValue(v, params, timezone)));
+        break;
+      case 'RECURRENCE-ID': event.recurrence_id = parseDateValue(value, params, timezone); break;
+      default:
+        if (name.startsWith('X-')) event.extra[name] = unescapeText(value);
+    }
+  }
+
+  // Fill in DTEND from DURATION, or default to the RFC 5545 implied length
+  for (const e of events) {
+    if (!e.end && e.start) {
+      if (e.duration && e.duration.asMilliseconds() > 0) {
+        e.end = new Date(e.start.getTime() + e.duration.asMilliseconds());
+      } else {
+        e.end = e.all_day ? moment(e.start).add(1, 'day').toDate() : e.start;
+      }
+    }
+    delete e.duration;
+  }
+
+  return events;
+};
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+  escapeText,
+  foldLine
+};
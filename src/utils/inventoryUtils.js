@@ -2,6 +2,16 @@ const mongoose = require('mongoose');
 const Item = require('../models/Item');
 const StockLog = require('../models/StockLog');
 const Booking = require('../models/Booking');
+const consumableReconciliationService = require('../services/consumableReconciliationService');
+const stockService = require('../services/stockService');
+
+// Stock log wording for each release reason (anything else is a completion)
+const RELEASE_REASONS = {
+  booking_cancelled: 'cancellation',
+  booking_no_show: 'no-show',
+  booking_preempted: 'preemption',
+  lab_closed: 'lab closure'
+};
 
 /**
  * Release items allocated to a booking
@@ -33,7 +43,7 @@ async function releaseBookingItems(bookingId, userId, reason = 'booking_complete
       .populate({
         path: 'item_requirements.item',
         model: 'Item',
-        select: '_id name type available_quantity minimum_quantity status lab'
+        select: '_id name type available_quantity minimum_quantity status lab lots expiry_date'
       })
       .session(localSession);
     
@@ -79,6 +89,13 @@ async function releaseBookingItems(bookingId, userId, reason = 'booking_complete
           console.log(`Releasing ${allocatedQty} of item ${item.name} (${item._id})`);
           
           if (allocatedQty > 0) {
+            // Stock goes back to the lots it was issued from
+            const lots = stockService.returnToLots(
+              item,
+              consumableReconciliationService.getLotAllocations(booking, item._id),
+              allocatedQty
+            );
+
             // Update item quantity and status
             item.available_quantity += allocatedQty;
             
@@ -97,10 +114,11 @@ async function releaseBookingItems(bookingId, userId, reason = 'booking_complete
               user: userId,
               lab: booking.lab,
               change_quantity: allocatedQty,
-              reason: `Booking ${reason === 'booking_cancelled' ? 'cancellation' : 'completion'}`,
+              reason: `Booking ${RELEASE_REASONS[reason] || 'completion'}`,
               notes: `Booking ID: ${booking._id}`,
               type: 'add',
-              reference_id: booking._id
+              reference_id: booking._id,
+              ...(lots.length > 0 && { metadata: { lots: JSON.stringify(lots) } })
             });
             
             await stockLog.save({ session: localSession });
@@ -198,6 +216,11 @@ async function releaseCompletedBookings() {
             session
           );
           
+          // The consumables went back in full above; usage can be entered later
+          if (consumableReconciliationService.requiresReconciliation(booking)) {
+            booking.consumable_reconciliation = { status: 'pending', stock_returned: true };
+          }
+
           // Update booking status to completed
           booking.status = 'completed';
           booking.completed_at = new Date();
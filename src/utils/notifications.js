@@ -136,6 +136,16 @@ const sendBookingStatusUpdate = async (booking, user, status, rejectionReason =
       priority: 'high'
     });
 
+    // Registered people on the roster hear about the decision too
+    await sendParticipantNotification(booking, {
+      type,
+      title,
+      message: status === 'approved'
+        ? `A booking you are taking part in${booking.title ? ` ("${booking.title}")` : ''} for ${booking.lab?.name || 'a lab'} has been approved`
+        : `A booking you are taking part in${booking.title ? ` ("${booking.title}")` : ''} for ${booking.lab?.name || 'a lab'} was rejected`,
+      priority: 'high'
+    });
+
     // If this is an approval and we have an adminId, create a notification for the admin too
     if (status === 'approved' && adminId) {
       const adminMessage = `You approved booking #${booking.booking_reference || booking._id} for ${user?.full_name || 'a student'}`;
@@ -188,18 +198,85 @@ const sendBookingStatusUpdate = async (booking, user, status, rejectionReason =
   }
 };
 
+/**
+ * Notify the registered users on a booking's participant roster. The booking
+ * owner is left out since they get their own notification.
+ *
+ * @returns {Promise<Array>} The notifications that were saved
+ */
+const sendParticipantNotification = async (booking, { type, title, message, priority = 'normal', data = {}, userIds = null }) => {
+  try {
+    const ownerId = (booking.user?._id || booking.user)?.toString();
+    const recipients = userIds || [...new Set((booking.participants || [])
+      .map(p => (p.user?._id || p.user)?.toString())
+      .filter(Boolean))];
+
+    const notifications = [];
+    for (const userId of recipients) {
+      if (userId.toString() === ownerId) continue;
+      notifications.push(await createNotification({
+        user: userId,
+        type,
+        title,
+        message,
+        data: {
+          booking_id: booking._id,
+          lab_name: booking.lab?.name,
+          start_time: booking.start_time,
+          ...data
+        },
+        action_url: `/bookings/${booking._id}`,
+        related_lab: booking.lab?._id || booking.lab,
+        priority
+      }));
+    }
+    return notifications.filter(Boolean);
+  } catch (error) {
+    console.error('Error sending participant notifications:', error);
+    return [];
+  }
+};
+
 const sendBookingReminder = async (booking, user) => {
   try {
-    await createNotification({
+    return await createNotification({
       user: user._id,
       type: 'booking_reminder',
       title: 'Booking Reminder',
-      message: `Upcoming booking for ${booking.lab.name}`,
+      message: `Upcoming booking for ${booking.lab.name}` +
+        (booking.title ? `: "${booking.title}"` : '') +
+        ` at ${new Date(booking.start_time).toLocaleString()}`,
       data: { booking_id: booking._id, lab_name: booking.lab.name, start_time: booking.start_time },
-      action_url: `/bookings/${booking._id}`
+      action_url: `/bookings/${booking._id}`,
+      related_lab: booking.lab._id
     });
   } catch (error) {
     console.error('Error sending reminder:', error);
+    return null;
+  }
+};
+
+const sendReturnReminder = async (borrowLog, user) => {
+  try {
+    const itemName = borrowLog.item?.name || 'a borrowed item';
+    return await createNotification({
+      user: user._id,
+      type: 'return_reminder',
+      title: 'Return Reminder',
+      message: `Please return ${itemName} by ${new Date(borrowLog.expected_return_date).toLocaleString()}`,
+      data: {
+        borrow_log_id: borrowLog._id,
+        item_id: borrowLog.item?._id || borrowLog.item,
+        item_name: itemName,
+        expected_return_date: borrowLog.expected_return_date
+      },
+      action_url: `/borrow-requests/${borrowLog._id}`,
+      related_item: borrowLog.item?._id || borrowLog.item,
+      related_lab: borrowLog.lab?._id || borrowLog.lab
+    });
+  } catch (error) {
+    console.error('Error sending return reminder:', error);
+    return null;
   }
 };
 
@@ -687,7 +764,9 @@ module.exports = {
   createNotification,
   sendBookingNotificationToAdmin,
   sendBookingStatusUpdate,
+  sendParticipantNotification,
   sendBookingReminder,
+  sendReturnReminder,
   sendLowStockAlert,
   sendBorrowStatusUpdate,
   sendUserNotification,
@@ -0,0 +1,192 @@
+/**
+ * Minimal PDF writer for plain text documents such as invoices, and for
+ * sheets of barcode labels.
+ *
+ * Produces an A4 PDF 1.4 file using the built-in Helvetica fonts, so no font
+ * files or external libraries are needed. Lines that do not fit on a page
+ * continue on the next one. Characters outside Latin-1 are replaced by "?".
+ */
+
+const { darkRuns, symbolSize } = require('./barcode');
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Escape a string for a PDF literal and keep it within Latin-1
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Assemble pages of content stream commands into a PDF file
+function buildPdf(pages, title) {
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title (${escapeText(title)}) /Producer (UR Laboratory Information System) >>`;
+
+  pages.forEach((commands, i) => {
+    const pageId = pageIds[i];
+    const stream = commands.join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+/**
+ * Render lines of text to a PDF.
+ *
+ * @param {Array<string|{text: string, size?: number, bold?: boolean, x?: number}>} lines
+ *   Text lines from the top of the first page. Empty strings leave a blank line.
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title stored in the PDF metadata
+ * @param {number} [options.fontSize=10] - Default font size
+ * @returns {Buffer}
+ */
+function createTextPdf(lines, { title = '', fontSize = 10 } = {}) {
+  // Lay the lines out over as many pages as needed
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const entry of lines) {
+    const line = typeof entry === 'string' ? { text: entry } : entry;
+    const size = line.size || fontSize;
+    const leading = Math.round(size * 1.4);
+
+    if (y - leading < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= leading;
+    if (line.text) {
+      pages[pages.length - 1].push(
+        `BT /${line.bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN + (line.x || 0)} ${y} Td (${escapeText(line.text)}) Tj ET`
+      );
+    }
+  }
+
+  return buildPdf(pages, title);
+}
+
+const LABEL_MARGIN = 28;
+const LABEL_PADDING = 6;
+
+// Shorten text that would overflow `width` points (Helvetica averages about
+// half the font size per character)
+const fitText = (text, size, width) => {
+  const max = Math.max(4, Math.floor(width / (size * 0.55)));
+  const value = String(text);
+  return value.length > max ? `${value.slice(0, max - 3)}...` : value;
+};
+
+// Fill the dark modules of a barcode symbol scaled into a box whose top-left
+// corner is (x, top); returns the size it was drawn at
+function drawSymbol(symbol, x, top, maxWidth, maxHeight) {
+  const { width, height, marginX, marginY } = symbolSize(symbol);
+  const unit = Math.min(maxWidth / width, maxHeight / height);
+  const rects = [];
+  symbol.rows.forEach((row, y) => {
+    for (const [start, length] of darkRuns(row)) {
+      const rectTop = top - (marginY + y * symbol.moduleHeight) * unit;
+      const rectHeight = symbol.moduleHeight * unit;
+      rects.push(`${(x + (marginX + start) * unit).toFixed(2)} ${(rectTop - rectHeight).toFixed(2)} ` +
+        `${(length * unit).toFixed(2)} ${rectHeight.toFixed(2)} re`);
+    }
+  });
+  return {
+    commands: ['0 g', ...rects, 'f'],
+    width: width * unit,
+    height: height * unit
+  };
+}
+
+/**
+ * Render a sheet of barcode labels laid out in a grid on A4 pages.
+ *
+ * QR codes sit on the left of each label with the text beside them; Code 128
+ * barcodes span the label with the text underneath.
+ *
+ * @param {Array<{symbol: Object, lines: Array<string>}>} labels
+ *   Symbols from barcode.encode() and the text printed on each label. The
+ *   first line is printed in bold.
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title stored in the PDF metadata
+ * @param {number} [options.columns=3] - Labels per row
+ * @param {number} [options.rows=8] - Label rows per page
+ * @returns {Buffer}
+ */
+function createLabelSheetPdf(labels, { title = '', columns = 3, rows = 8 } = {}) {
+  const cellWidth = (PAGE_WIDTH - LABEL_MARGIN * 2) / columns;
+  const cellHeight = (PAGE_HEIGHT - LABEL_MARGIN * 2) / rows;
+  const perPage = columns * rows;
+  const pages = [];
+
+  labels.forEach((label, i) => {
+    if (i % perPage === 0) pages.push([]);
+    const commands = pages[pages.length - 1];
+    const position = i % perPage;
+    const left = LABEL_MARGIN + (position % columns) * cellWidth;
+    const top = PAGE_HEIGHT - LABEL_MARGIN - Math.floor(position / columns) * cellHeight;
+
+    // Light cutting guide around the label
+    commands.push(`0.8 G 0.5 w ${left.toFixed(2)} ${(top - cellHeight).toFixed(2)} ${cellWidth.toFixed(2)} ${cellHeight.toFixed(2)} re S`);
+
+    const lines = label.lines || [];
+    let textX;
+    let textTop;
+    let textWidth;
+    if (label.symbol.symbology === 'code128') {
+      const textHeight = lines.length * 10;
+      const drawn = drawSymbol(label.symbol, left + LABEL_PADDING, top - LABEL_PADDING,
+        cellWidth - LABEL_PADDING * 2, cellHeight - LABEL_PADDING * 2 - textHeight);
+      commands.push(...drawn.commands);
+      textX = left + LABEL_PADDING;
+      textTop = top - LABEL_PADDING - drawn.height;
+      textWidth = cellWidth - LABEL_PADDING * 2;
+    } else {
+      const side = Math.min(cellHeight, cellWidth / 2) - LABEL_PADDING * 2;
+      const drawn = drawSymbol(label.symbol, left + LABEL_PADDING, top - LABEL_PADDING, side, side);
+      commands.push(...drawn.commands);
+      textX = left + LABEL_PADDING + drawn.width + 4;
+      textTop = top - LABEL_PADDING;
+      textWidth = cellWidth - LABEL_PADDING * 2 - drawn.width - 4;
+    }
+
+    lines.forEach((line, n) => {
+      const size = n === 0 ? 8 : 7;
+      const y = textTop - 8 - n * 10;
+      commands.push(`BT /${n === 0 ? 'F2' : 'F1'} ${size} Tf ${textX.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(fitText(line, size, textWidth))}) Tj ET`);
+    });
+  });
+
+  if (pages.length === 0) pages.push([]);
+  return buildPdf(pages, title);
+}
+
+module.exports = {
+  createTextPdf,
+  createLabelSheetPdf
+};
@@ -0,0 +1,108 @@
+const moment = require('moment-timezone');
+
+const DEFAULT_TIMEZONE = 'Africa/Kigali';
+
+/**
+ * Expand a recurring pattern into concrete occurrences.
+ *
+ * The time of day and duration of every occurrence are taken from the first
+ * booking (start_time/end_time); the pattern only decides which days are used.
+ * Days are evaluated in the given timezone so that a 10:00 practical stays at
+ * 10:00 local time for the whole series.
+ *
+ * @param {Date|string} startTime - Start of the first occurrence
+ * @param {Date|string} endTime - End of the first occurrence
+ * @param {Object} pattern - Booking.recurring_pattern
+ * @param {string} pattern.frequency - daily, weekly, biweekly, monthly or custom
+ * @param {number} [pattern.interval=1] - Repeat every N days/weeks/months
+ * @param {Date|string} pattern.end_date - Last day an occurrence may start on
+ * @param {number[]} [pattern.days_of_week] - 0=Sunday ... 6=Saturday (weekly/biweekly)
+ * @param {number} [pattern.month_day] - Day of month (monthly)
+ * @param {Array<Date|string>} [pattern.custom_dates] - Explicit dates (custom)
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - IANA timezone used to evaluate days
+ * @param {number} [options.limit] - Stop after limit + 1 occurrences so callers can detect overflow
+ * @returns {Array<{start_time: Date, end_time: Date}>} Occurrences in chronological order
+ */
+const expandRecurrence = (startTime, endTime, pattern = {}, options = {}) => {
+  const timezone = options.timezone || DEFAULT_TIMEZONE;
+  const limit = options.limit ? options.limit + 1 : Infinity;
+
+  const first = moment.tz(startTime, timezone);
+  const durationMs = new Date(endTime) - new Date(startTime);
+  const until = pattern.end_date ? moment.tz(pattern.end_date, timezone).endOf('day') : first.clone();
+  const interval = Math.max(parseInt(pattern.interval, 10) || 1, 1);
+
+  // Build an occurrence on the given day using the first occurrence's time of day
+  const atFirstTime = (day) => day.clone().set({
+    hour: first.hour(),
+    minute: first.minute(),
+    second: first.second(),
+    millisecond: first.millisecond()
+  });
+
+  const starts = [];
+  const push = (m) => {
+    if (m.isBefore(first) || m.isAfter(until) || starts.length >= limit) return;
+    starts.push(m);
+  };
+
+  switch (pattern.frequency) {
+    case 'daily': {
+      for (let day = first.clone(); !day.isAfter(until) && starts.length < limit; day.add(interval, 'days')) {
+        push(day.clone());
+      }
+      break;
+    }
+
+    case 'weekly':
+    case 'biweekly': {
+      const weekStep = pattern.frequency === 'biweekly' ? interval * 2 : interval;
+      const days = (pattern.days_of_week && pattern.days_of_week.length > 0)
+        ? [...new Set(pattern.days_of_week.map(Number))].sort((a, b) => a - b)
+        : [first.day()];
+
+      for (let week = first.clone().startOf('week'); !week.isAfter(until) && starts.length < limit; week.add(weekStep, 'weeks')) {
+        for (const dow of days) {
+          push(atFirstTime(week.clone().day(dow)));
+        }
+      }
+      break;
+    }
+
+    case 'monthly': {
+      const monthDay = pattern.month_day || first.date();
+      for (let month = first.clone().startOf('month'); !month.isAfter(until) && starts.length < limit; month.add(interval, 'months')) {
+        // Skip months that do not have the requested day (e.g. the 31st)
+        if (monthDay > month.daysInMonth()) continue;
+        push(atFirstTime(month.clone().date(monthDay)));
+      }
+      break;
+    }
+
+    case 'custom': {
+      const dates = (pattern.custom_dates || [])
+        .map(d => atFirstTime(moment.tz(d, timezone).startOf('day')))
+        .sort((a, b) => a - b);
+      // The first booking is always part of the series
+      push(first.clone());
+      for (const date of dates) {
+        if (!date.isSame(first)) push(date);
+      }
+      break;
+    }
+
+    default:
+      push(first.clone());
+  }
+
+  return starts.map(m => ({
+    start_time: m.toDate(),
+    end_time: new Date(m.valueOf() + durationMs)
+  }));
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  expandRecurrence
+};
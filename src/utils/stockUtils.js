@@ -0,0 +1,15 @@
+// Keep the item's stock status in line with what is left
+const refreshStockStatus = (item) => {
+  if (['expired', 'in_maintenance'].includes(item.status)) return;
+  if (item.available_quantity <= 0) {
+    item.status = 'out_of_stock';
+  } else if (item.available_quantity <= item.minimum_quantity) {
+    item.status = 'low_stock';
+  } else {
+    item.status = 'available';
+  }
+};
+
+module.exports = {
+  refreshStockStatus
+};
@@ -0,0 +1,182 @@
+const BlackoutPeriod = require('../../src/models/BlackoutPeriod');
+const Booking = require('../../src/models/Booking');
+const SystemSetting = require('../../src/models/SystemSetting');
+const bookingPolicyService = require('../../src/services/bookingPolicyService');
+const bookingQuotaService = require('../../src/services/bookingQuotaService');
+const labResourceService = require('../../src/services/labResourceService');
+
+const { RULES } = bookingPolicyService;
+
+const mockSettings = settings => jest.spyOn(SystemSetting, 'findOne')
+  .mockReturnValue({ select: () => ({ lean: () => Promise.resolve(settings) }) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('bookingPolicyService.getSettings', () => {
+  it('fills booking settings saved before a field existed with the defaults', async () => {
+    mockSettings({ general: { timezone: 'Europe/London' }, booking: { advance_booking_days: 60 } });
+
+    const settings = await bookingPolicyService.getSettings();
+
+    expect(settings.timezone).toBe('Europe/London');
+    expect(settings.booking.advance_booking_days).toBe(60);
+    expect(settings.booking.max_no_shows).toBe(3);
+    expect(settings.booking.waitlist_claim_hours).toBe(12);
+  });
+
+  it('keeps a saved zero, which disables the no-show limit', async () => {
+    mockSettings({ booking: { max_no_shows: 0 } });
+
+    const settings = await bookingPolicyService.getSettings();
+
+    expect(settings.booking.max_no_shows).toBe(0);
+  });
+
+  it('uses the defaults when nothing is saved', async () => {
+    mockSettings(null);
+
+    const settings = await bookingPolicyService.getSettings();
+
+    expect(settings.timezone).toBe('Africa/Kigali');
+    expect(settings.booking).toEqual(bookingPolicyService.DEFAULT_BOOKING);
+  });
+});
+
+describe('bookingPolicyService.evaluate', () => {
+  const now = Date.now();
+  // Local time (Kigali, UTC+2) on the first Monday at least a week from now
+  const monday = (hour, minute = 0) => {
+    const date = new Date(now + 7 * 24 * 60 * 60 * 1000);
+    date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+    date.setUTCHours(hour - 2, minute, 0, 0);
+    return date;
+  };
+
+  const lab = (overrides = {}) => ({
+    _id: 'lab1',
+    name: 'Anatomy Lab',
+    status: 'active',
+    capacity: 20,
+    fields: ['field1'],
+    opening_hours: { monday: { open: '08:00', close: '17:00' } },
+    booking_settings: {},
+    ...overrides
+  });
+
+  const ruleIds = result => result.violations.map(v => v.rule);
+
+  let bookings;
+  let quotas;
+
+  beforeEach(() => {
+    mockSettings({ booking: {} });
+    bookings = [];
+    quotas = [];
+    jest.spyOn(Booking, 'findByFieldAndTime').mockImplementation(() => Promise.resolve(bookings));
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(BlackoutPeriod, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+    jest.spyOn(labResourceService, 'findConflicts').mockResolvedValue([]);
+    jest.spyOn(bookingQuotaService, 'check').mockImplementation(() => Promise.resolve(quotas));
+  });
+
+  it('allows a booking that breaks no rule', async () => {
+    const result = await bookingPolicyService.evaluate({
+      lab: lab(),
+      fieldId: 'field1',
+      startTime: monday(10),
+      endTime: monday(12),
+      participantsCount: 10
+    });
+
+    expect(result).toEqual({ allowed: true, violations: [], overridden: [], timezone: 'Africa/Kigali' });
+  });
+
+  it('reports every request rule that is broken', async () => {
+    const result = await bookingPolicyService.evaluate({
+      lab: lab({ fields: [], booking_settings: { slot_interval: 30 } }),
+      fieldId: 'field1',
+      user: { role: 'student', no_show_count: 3 },
+      startTime: monday(10, 15),
+      endTime: monday(19),
+      participantsCount: 25
+    });
+
+    expect(ruleIds(result)).toEqual([
+      RULES.FIELD_NOT_ALLOWED,
+      RULES.NO_SHOW_LIMIT,
+      RULES.CAPACITY,
+      RULES.MAX_DURATION,
+      RULES.SLOT_INTERVAL,
+      RULES.OPENING_HOURS
+    ]);
+    expect(result.allowed).toBe(false);
+  });
+
+  it('reports double bookings of the field and quota violations', async () => {
+    bookings = [{ _id: 'b1', title: 'Histology', start_time: monday(9), end_time: monday(11), status: 'approved' }];
+    quotas = [{ message: 'Weekly quota exceeded', details: { period: 'week' } }];
+
+    const result = await bookingPolicyService.evaluate({
+      lab: lab(),
+      fieldId: 'field1',
+      user: { role: 'student' },
+      startTime: monday(10),
+      endTime: monday(12)
+    });
+
+    expect(ruleIds(result)).toEqual([RULES.BOOKING_CONFLICT, RULES.BOOKING_QUOTA]);
+    expect(result.violations[0].overridable).toBe(false);
+    expect(result.violations[0].details.bookings[0].booking_id).toBe('b1');
+  });
+
+  it('skips slot rules when asked to', async () => {
+    bookings = [{ _id: 'b1' }];
+
+    const result = await bookingPolicyService.evaluate({
+      lab: lab(),
+      fieldId: 'field1',
+      startTime: monday(10),
+      endTime: monday(12),
+      slotRules: false
+    });
+
+    expect(result.allowed).toBe(true);
+    expect(Booking.findByFieldAndTime).not.toHaveBeenCalled();
+  });
+
+  it('waives overridden rules but never a double booking', async () => {
+    bookings = [{ _id: 'b1' }];
+    const overrides = { rules: [RULES.CAPACITY], justification: 'Exam week' };
+
+    const result = await bookingPolicyService.evaluate({
+      lab: lab(),
+      fieldId: 'field1',
+      startTime: monday(10),
+      endTime: monday(12),
+      participantsCount: 25,
+      overrides
+    });
+
+    expect(ruleIds(result)).toEqual([RULES.BOOKING_CONFLICT]);
+    expect(result.overridden.map(v => v.rule)).toEqual([RULES.CAPACITY]);
+  });
+});
+
+describe('bookingPolicyService.resolveOverrides', () => {
+  const admin = { role: 'admin' };
+
+  it('only lets admins override overridable rules with a justification', () => {
+    expect(bookingPolicyService.resolveOverrides(admin, [RULES.CAPACITY], '  Exam week ')).toEqual({
+      rules: [RULES.CAPACITY],
+      justification: 'Exam week'
+    });
+    expect(() => bookingPolicyService.resolveOverrides({ role: 'lab_manager' }, [RULES.CAPACITY], 'x'))
+      .toThrow('Only admins can override booking rules');
+    expect(() => bookingPolicyService.resolveOverrides(admin, [RULES.BOOKING_CONFLICT], 'x'))
+      .toThrow('cannot be overridden: booking_conflict');
+    expect(() => bookingPolicyService.resolveOverrides(admin, [RULES.CAPACITY], ' '))
+      .toThrow('A justification is required');
+  });
+});
@@ -0,0 +1,81 @@
+const bookingQuotaService = require('../../src/services/bookingQuotaService');
+
+const TIMEZONE = 'Africa/Kigali';
+
+describe('bookingQuotaService.periodBounds', () => {
+  // Wednesday 6 March 2024, 01:00 in Kigali (UTC+2)
+  const date = new Date('2024-03-05T23:00:00Z');
+
+  it('measures days in the given timezone', () => {
+    expect(bookingQuotaService.periodBounds(date, 'day', TIMEZONE)).toEqual({
+      start: new Date('2024-03-05T22:00:00Z'),
+      end: new Date('2024-03-06T22:00:00Z')
+    });
+  });
+
+  it('starts weeks on Sunday, like recurring bookings', () => {
+    expect(bookingQuotaService.periodBounds(date, 'week', TIMEZONE)).toEqual({
+      start: new Date('2024-03-02T22:00:00Z'),
+      end: new Date('2024-03-09T22:00:00Z')
+    });
+    // A Sunday is the first day of its week
+    expect(bookingQuotaService.periodBounds(new Date('2024-03-10T08:00:00Z'), 'week', TIMEZONE).start)
+      .toEqual(new Date('2024-03-09T22:00:00Z'));
+  });
+
+  it('measures months in the given timezone', () => {
+    expect(bookingQuotaService.periodBounds(new Date('2024-02-29T23:00:00Z'), 'month', TIMEZONE)).toEqual({
+      start: new Date('2024-02-29T22:00:00Z'),
+      end: new Date('2024-03-31T22:00:00Z')
+    });
+  });
+});
+
+describe('bookingQuotaService.check', () => {
+  const user = { _id: 'u1', role: 'student' };
+  const quota = { _id: 'q1', name: 'Student daily limit', applies_to: 'user', period: 'day', max_hours: 4 };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('splits a slot crossing midnight between both days', async () => {
+    jest.spyOn(bookingQuotaService, 'findApplicable').mockResolvedValue([quota]);
+    // 2 h already booked on 5 March
+    const usedHours = jest.spyOn(bookingQuotaService, 'usedHours')
+      .mockImplementation((q, u, { start }) => Promise.resolve(start.getTime() === Date.UTC(2024, 2, 4, 22) ? 2 : 0));
+
+    // 21:00-03:00 in Kigali: 3 h on 5 March, 3 h on 6 March
+    const exceeded = await bookingQuotaService.check({
+      user,
+      labId: 'lab1',
+      slots: [{ start_time: new Date('2024-03-05T19:00:00Z'), end_time: new Date('2024-03-06T01:00:00Z') }],
+      timezone: TIMEZONE
+    });
+
+    expect(usedHours).toHaveBeenCalledTimes(2);
+    expect(exceeded).toHaveLength(1);
+    expect(exceeded[0].details).toMatchObject({
+      period_start: new Date('2024-03-04T22:00:00Z'),
+      used_hours: 2,
+      remaining_hours: 2,
+      requested_hours: 3
+    });
+  });
+
+  it('adds up slots starting in the same period', async () => {
+    jest.spyOn(bookingQuotaService, 'findApplicable').mockResolvedValue([quota]);
+    jest.spyOn(bookingQuotaService, 'usedHours').mockResolvedValue(0);
+
+    const slots = [8, 12].map(hour => ({
+      start_time: new Date(Date.UTC(2024, 2, 5, hour)),
+      end_time: new Date(Date.UTC(2024, 2, 5, hour + 2))
+    }));
+
+    expect(await bookingQuotaService.check({ user, labId: 'lab1', slots, timezone: TIMEZONE })).toEqual([]);
+
+    slots[1].end_time = new Date(Date.UTC(2024, 2, 5, 15));
+    const [exceeded] = await bookingQuotaService.check({ user, labId: 'lab1', slots, timezone: TIMEZONE });
+    expect(exceeded.details.requested_hours).toBe(5);
+  });
+});
@@ -0,0 +1,64 @@
+const Booking = require('../../src/models/Booking');
+const Lab = require('../../src/models/Lab');
+const checkInService = require('../../src/services/checkInService');
+
+const MINUTE = 60 * 1000;
+
+describe('checkInService.noShowWindow', () => {
+  const now = new Date('2024-03-04T12:00:00Z');
+
+  it('ends when the grace period ran out', () => {
+    const { to } = checkInService.noShowWindow(now, 15);
+    expect(to).toEqual(new Date(now.getTime() - 15 * MINUTE));
+  });
+
+  it('looks back one day from the end of the grace period', () => {
+    const { from, to } = checkInService.noShowWindow(now, 30);
+    expect(to - from).toBe(24 * 60 * MINUTE);
+  });
+
+  it('uses the default grace period when none is given', () => {
+    const { to } = checkInService.noShowWindow(now);
+    expect(to).toEqual(new Date(now.getTime() - 15 * MINUTE));
+  });
+});
+
+describe('checkInService.detectNoShows', () => {
+  const now = new Date('2024-03-04T12:00:00Z');
+  const lab = { _id: 'lab1', name: 'Anatomy', booking_settings: { check_in_grace_minutes: 10 } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only looks at bookings that started within the recent window', async () => {
+    jest.spyOn(Lab, 'find').mockReturnValue({ select: () => Promise.resolve([lab]) });
+    const findBookings = jest.spyOn(Booking, 'find').mockResolvedValue([]);
+
+    await checkInService.detectNoShows(now);
+
+    const { start_time: startTime } = findBookings.mock.calls[0][0];
+    expect(startTime.$lte).toEqual(new Date(now.getTime() - 10 * MINUTE));
+    expect(startTime.$gte).toEqual(new Date(now.getTime() - 10 * MINUTE - 24 * 60 * MINUTE));
+  });
+
+  it('marks each booking found as a no-show', async () => {
+    const bookings = [{ _id: 'b1' }, { _id: 'b2' }];
+    jest.spyOn(Lab, 'find').mockReturnValue({ select: () => Promise.resolve([lab]) });
+    jest.spyOn(Booking, 'find').mockResolvedValue(bookings);
+    const markNoShow = jest.spyOn(checkInService, 'markNoShow').mockResolvedValue();
+
+    const result = await checkInService.detectNoShows(now);
+
+    expect(result.no_shows).toBe(2);
+    expect(markNoShow).toHaveBeenCalledWith(bookings[0], lab, now);
+  });
+
+  it('does nothing when no lab requires check-in', async () => {
+    jest.spyOn(Lab, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    const findBookings = jest.spyOn(Booking, 'find');
+
+    expect(await checkInService.detectNoShows(now)).toEqual({ no_shows: 0 });
+    expect(findBookings).not.toHaveBeenCalled();
+  });
+});
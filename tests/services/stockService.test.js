@@ -0,0 +1,156 @@
+const Item = require('../../src/models/Item');
+const stockService = require('../../src/services/stockService');
+
+const now = new Date('2024-03-04T12:00:00Z');
+
+const item = (lots, availableQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0)) => new Item({
+  available_quantity: availableQuantity,
+  lots
+});
+
+const lotQuantities = doc => Object.fromEntries(doc.lots.map(lot => [lot.lot_number, lot.quantity]));
+
+describe('stockService.takeFromLots', () => {
+  it('takes from the lot that expires first, leaving lots without an expiry for last', () => {
+    const doc = item([
+      { lot_number: 'NONE', quantity: 5, received_date: new Date('2024-01-01') },
+      { lot_number: 'LATE', quantity: 5, expiry_date: new Date('2024-09-01') },
+      { lot_number: 'SOON', quantity: 3, expiry_date: new Date('2024-04-01') }
+    ]);
+
+    const taken = stockService.takeFromLots(doc, 6, { now });
+
+    expect(taken.map(entry => [entry.lot_number, entry.quantity])).toEqual([['SOON', 3], ['LATE', 3]]);
+    expect(lotQuantities(doc)).toEqual({ NONE: 5, LATE: 2, SOON: 0 });
+    expect(taken[0].lot).toEqual(doc.lots[2]._id);
+  });
+
+  it('skips expired lots unless asked to include them', () => {
+    const lots = () => [
+      { lot_number: 'OLD', quantity: 4, expiry_date: new Date('2024-03-01') },
+      { lot_number: 'NEW', quantity: 4, expiry_date: new Date('2024-06-01') }
+    ];
+
+    const doc = item(lots());
+    stockService.takeFromLots(doc, 2, { now });
+    expect(lotQuantities(doc)).toEqual({ OLD: 4, NEW: 2 });
+
+    const withExpired = item(lots());
+    stockService.takeFromLots(withExpired, 2, { now, includeExpired: true });
+    expect(lotQuantities(withExpired)).toEqual({ OLD: 2, NEW: 4 });
+  });
+
+  it('refuses to take more than the unexpired stock', () => {
+    const doc = item([
+      { lot_number: 'OLD', quantity: 4, expiry_date: new Date('2024-03-01') },
+      { lot_number: 'NEW', quantity: 2, expiry_date: new Date('2024-06-01') }
+    ]);
+
+    expect(() => stockService.takeFromLots(doc, 3, { now }))
+      .toThrow('Only 2 unexpired unit(s) of this item are available');
+    expect(lotQuantities(doc)).toEqual({ OLD: 4, NEW: 2 });
+  });
+
+  it('uses stock held outside any lot after the lots', () => {
+    const doc = item([{ lot_number: 'A', quantity: 2, expiry_date: new Date('2024-06-01') }], 5);
+
+    const taken = stockService.takeFromLots(doc, 4, { now });
+
+    expect(taken.map(entry => entry.quantity)).toEqual([2]);
+    expect(lotQuantities(doc)).toEqual({ A: 0 });
+  });
+
+  it('trims lots that hold more than is available, latest expiry first', () => {
+    const doc = item([
+      { lot_number: 'SOON', quantity: 3, expiry_date: new Date('2024-04-01') },
+      { lot_number: 'LATE', quantity: 3, expiry_date: new Date('2024-09-01') }
+    ], 4);
+
+    stockService.takeFromLots(doc, 1, { now });
+
+    expect(lotQuantities(doc)).toEqual({ SOON: 2, LATE: 1 });
+  });
+
+  it('moves the item expiry date to the next lot in stock', () => {
+    const doc = item([
+      { lot_number: 'SOON', quantity: 1, expiry_date: new Date('2024-04-01') },
+      { lot_number: 'LATE', quantity: 1, expiry_date: new Date('2024-09-01') }
+    ]);
+
+    stockService.takeFromLots(doc, 1, { now });
+
+    expect(doc.expiry_date).toEqual(new Date('2024-09-01'));
+  });
+});
+
+describe('stockService.returnToLots', () => {
+  it('puts stock back into the lots it came from, latest expiry first', () => {
+    const doc = item([
+      { lot_number: 'SOON', quantity: 3, expiry_date: new Date('2024-04-01') },
+      { lot_number: 'LATE', quantity: 5, expiry_date: new Date('2024-09-01') }
+    ]);
+    const taken = stockService.takeFromLots(doc, 6, { now });
+
+    const returned = stockService.returnToLots(doc, taken, 4);
+
+    expect(returned.map(entry => [entry.lot_number, entry.quantity])).toEqual([['LATE', 3], ['SOON', 1]]);
+    expect(lotQuantities(doc)).toEqual({ SOON: 1, LATE: 5 });
+  });
+
+  it('skips lots that no longer exist', () => {
+    const doc = item([{ lot_number: 'A', quantity: 0, expiry_date: new Date('2024-06-01') }]);
+    const allocations = [
+      { lot: doc.lots[0]._id, quantity: 2, expiry_date: new Date('2024-06-01') },
+      { lot: new Item()._id, quantity: 2, expiry_date: new Date('2024-07-01') }
+    ];
+
+    const returned = stockService.returnToLots(doc, allocations, 4);
+
+    expect(returned).toHaveLength(1);
+    expect(lotQuantities(doc)).toEqual({ A: 2 });
+  });
+});
+
+describe('stockService.receiveLot', () => {
+  it('adds to a lot with the same number and expiry date', () => {
+    const doc = item([{ lot_number: 'A', quantity: 2, initial_quantity: 5, expiry_date: new Date('2024-06-01') }]);
+
+    stockService.receiveLot(doc, { lot_number: 'A', expiry_date: '2024-06-01T00:00:00.000Z' }, 3);
+
+    expect(doc.lots).toHaveLength(1);
+    expect(doc.lots[0].quantity).toBe(5);
+    expect(doc.lots[0].initial_quantity).toBe(8);
+  });
+
+  it('starts a new lot when the expiry date differs', () => {
+    const doc = item([{ lot_number: 'A', quantity: 2, expiry_date: new Date('2099-06-01') }]);
+
+    stockService.receiveLot(doc, { lot_number: 'A', expiry_date: new Date('2099-05-01') }, 3);
+
+    expect(doc.lots.map(lot => lot.quantity)).toEqual([2, 3]);
+    expect(doc.expiry_date).toEqual(new Date('2099-05-01'));
+  });
+});
+
+describe('stockService.syncLotExpiry', () => {
+  it('uses the latest expiry once every lot in stock has expired', () => {
+    const doc = item([
+      { lot_number: 'A', quantity: 1, expiry_date: new Date('2024-01-01') },
+      { lot_number: 'B', quantity: 1, expiry_date: new Date('2024-02-01') },
+      { lot_number: 'C', quantity: 0, expiry_date: new Date('2024-09-01') }
+    ]);
+
+    stockService.syncLotExpiry(doc, now);
+
+    expect(doc.expiry_date).toEqual(new Date('2024-02-01'));
+  });
+
+  it('clears the expiry date when the lots in stock do not expire', () => {
+    const doc = item([{ lot_number: 'A', quantity: 1 }]);
+    doc.expiry_date = new Date('2024-01-01');
+
+    stockService.syncLotExpiry(doc, now);
+
+    expect(doc.expiry_date).toBeNull();
+  });
+});
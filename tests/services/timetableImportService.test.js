@@ -0,0 +1,148 @@
+const timetableImportService = require('../../src/services/timetableImportService');
+
+const TIMEZONE = 'Africa/Kigali';
+
+const calendar = lines => `${['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n')}\r\n`;
+
+describe('timetableImportService.detectFormat', () => {
+  it('prefers the given format, then the file name, then the content', () => {
+    expect(timetableImportService.detectFormat('CSV', 'timetable.ics', '')).toBe('csv');
+    expect(timetableImportService.detectFormat(null, 'timetable.ics', '')).toBe('ics');
+    expect(timetableImportService.detectFormat(null, null, '  BEGIN:VCALENDAR\r\n')).toBe('ics');
+    expect(timetableImportService.detectFormat(null, null, 'lab_code,title')).toBe('csv');
+  });
+});
+
+describe('timetableImportService.patternFromRule', () => {
+  const start = new Date('2024-03-04T08:00:00Z');
+  const end = new Date('2024-03-04T10:00:00Z');
+  const rule = overrides => ({
+    freq: 'WEEKLY',
+    interval: 1,
+    until: null,
+    count: null,
+    by_day: [],
+    by_month_day: [],
+    unsupported: [],
+    ...overrides
+  });
+
+  it('maps weekly rules with BYDAY onto days of the week', () => {
+    const until = new Date('2024-04-30T00:00:00Z');
+    expect(timetableImportService.patternFromRule(rule({ by_day: ['MO', 'WE'], until }), start, end, TIMEZONE))
+      .toEqual({ frequency: 'weekly', interval: 1, days_of_week: [1, 3], end_date: until });
+  });
+
+  it('turns COUNT into the start of the last occurrence', () => {
+    const pattern = timetableImportService.patternFromRule(rule({ by_day: ['MO', 'WE'], count: 4 }), start, end, TIMEZONE);
+    expect(pattern.end_date).toEqual(new Date('2024-03-13T08:00:00Z'));
+  });
+
+  it('rejects rules it cannot represent', () => {
+    expect(() => timetableImportService.patternFromRule(rule({ unsupported: ['BYSETPOS'] }), start, end, TIMEZONE))
+      .toThrow('RRULE parts not supported: BYSETPOS');
+    expect(() => timetableImportService.patternFromRule(rule({ freq: 'YEARLY', count: 2 }), start, end, TIMEZONE))
+      .toThrow('RRULE frequency YEARLY is not supported');
+    expect(() => timetableImportService.patternFromRule(rule({}), start, end, TIMEZONE))
+      .toThrow('Open-ended RRULEs');
+  });
+});
+
+describe('timetableImportService.parseIcsRows', () => {
+  it('reads lab and field codes and splits overrides off their series', () => {
+    const rows = timetableImportService.parseIcsRows(calendar([
+      'BEGIN:VEVENT',
+      'UID:series',
+      'SUMMARY:Anatomy practical',
+      'LOCATION:Anatomy Lab (ANL)',
+      'CATEGORIES:MED,PRACTICAL',
+      'DTSTART:20240304T080000Z',
+      'DTEND:20240304T100000Z',
+      'RRULE:FREQ=WEEKLY;UNTIL=20240331T000000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:series',
+      'RECURRENCE-ID:20240311T080000Z',
+      'SUMMARY:Anatomy practical (moved)',
+      'DTSTART:20240312T080000Z',
+      'DTEND:20240312T100000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:cancelled',
+      'STATUS:CANCELLED',
+      'DTSTART:20240305T080000Z',
+      'END:VEVENT'
+    ]), TIMEZONE, {});
+
+    expect(rows).toHaveLength(2);
+    const [series, override] = rows;
+    expect(series.lab_codes[0]).toBeUndefined();
+    expect(series.lab_codes[1]).toBe('ANL');
+    expect(series.field_codes.slice(1, 3)).toEqual(['MED', 'PRACTICAL']);
+    expect(series.booking_type).toBe('practical');
+    expect(series.recurring_pattern.frequency).toBe('weekly');
+    expect(series.excluded_dates).toEqual([new Date('2024-03-11T08:00:00Z')]);
+    expect(override.lab_codes[1]).toBe('ANL');
+    expect(override.recurring_pattern).toBeUndefined();
+  });
+
+  it('reports unsupported rules on the row', () => {
+    const [row] = timetableImportService.parseIcsRows(calendar([
+      'BEGIN:VEVENT',
+      'DTSTART:20240304T080000Z',
+      'DTEND:20240304T100000Z',
+      'RRULE:FREQ=WEEKLY',
+      'END:VEVENT'
+    ]), TIMEZONE, {});
+    expect(row.errors).toEqual(['Open-ended RRULEs (without UNTIL or COUNT) cannot be imported']);
+  });
+});
+
+describe('timetableImportService.parseCsvRows', () => {
+  it('reads alternative headers and local times', () => {
+    const [row] = timetableImportService.parseCsvRows(
+      'room,course,start,end,type,students,email\nANL,Anatomy,2024-03-04 10:00,2024-03-04 12:00,Practical,30,lecturer@example.com\n',
+      TIMEZONE,
+      { field_code: 'MED' }
+    );
+
+    expect(row.lab_codes).toEqual(['ANL', undefined]);
+    expect(row.field_codes).toEqual([undefined, 'MED']);
+    expect(row.title).toBe('Anatomy');
+    expect(row.booking_type).toBe('practical');
+    expect(row.participants_count).toBe(30);
+    expect(row.user_email).toBe('lecturer@example.com');
+    expect(row.start_time).toEqual(new Date('2024-03-04T08:00:00Z'));
+    expect(row.end_time).toEqual(new Date('2024-03-04T10:00:00Z'));
+    expect(row.errors).toEqual([]);
+  });
+
+  it('builds a recurring pattern from the recurrence columns', () => {
+    const [row] = timetableImportService.parseCsvRows(
+      'lab_code,title,start_time,end_time,frequency,interval,days_of_week,end_date\n' +
+      'ANL,Anatomy,2024-03-04 10:00,2024-03-04 12:00,weekly,2,MO;WE,2024-04-30\n',
+      TIMEZONE,
+      {}
+    );
+    expect(row.recurring_pattern).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      end_date: new Date('2024-04-29T22:00:00Z'),
+      days_of_week: [1, 3]
+    });
+  });
+
+  it('reports invalid times and recurrence on the row', () => {
+    const [row] = timetableImportService.parseCsvRows(
+      'start_time,end_time,frequency,end_date\nsoon,2024-03-04 12:00,weekly,\n',
+      TIMEZONE,
+      {}
+    );
+    expect(row.errors).toEqual(['Invalid start time "soon"', 'Recurring rows need a valid end_date']);
+  });
+
+  it('requires a start time column', () => {
+    expect(() => timetableImportService.parseCsvRows('title\nAnatomy\n', TIMEZONE, {}))
+      .toThrow('CSV must have a start_time column');
+  });
+});
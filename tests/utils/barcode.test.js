@@ -0,0 +1,125 @@
+const zlib = require('zlib');
+const { encode, encodeCode128, encodeQr, darkRuns, symbolSize, toSvg, toPng } = require('../../src/utils/barcode');
+
+// Bar and space widths of a row of modules, starting with the first bar
+const widths = row => {
+  const result = [];
+  let run = 1;
+  for (let i = 1; i <= row.length; i++) {
+    if (i < row.length && row[i] === row[i - 1]) {
+      run++;
+    } else {
+      result.push(run);
+      run = 1;
+    }
+  }
+  return result.join('');
+};
+
+// The 15 format bits read around the top-left finder, unmasked
+const formatBits = rows => {
+  const cells = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  const bits = cells.reduce((value, [x, y], i) => value | (rows[y][x] ? 1 << i : 0), 0);
+  return bits ^ 0x5412;
+};
+
+describe('encodeCode128', () => {
+  it('encodes text in code set B with its checksum', () => {
+    const symbol = encodeCode128('A');
+    // Start B, "A" (33), checksum (104 + 33) % 103 = 34, stop
+    expect(widths(symbol.rows[0])).toBe('211214' + '111323' + '131123' + '2331112');
+    expect(symbol.rows[0]).toHaveLength(3 * 11 + 13);
+    expect(symbol.rows[0][0]).toBe(true);
+  });
+
+  it('weights each character by its position in the checksum', () => {
+    // Start B, "B" (34) at 1, "C" (35) at 2: (104 + 34 + 70) % 103 = 2
+    const symbol = encodeCode128('BC');
+    expect(widths(symbol.rows[0]).slice(-13)).toBe('222221' + '2331112');
+  });
+
+  it('rejects text outside printable ASCII', () => {
+    expect(() => encodeCode128('')).toThrow('printable ASCII');
+    expect(() => encodeCode128('café')).toThrow('printable ASCII');
+  });
+});
+
+describe('encodeQr', () => {
+  it('uses the smallest version that holds the text', () => {
+    expect(encodeQr('LAB-0001').version).toBe(1);
+    // Level M byte capacities: 14 bytes in version 1, 180 in version 9
+    expect(encodeQr('x'.repeat(14)).version).toBe(1);
+    expect(encodeQr('x'.repeat(15)).version).toBe(2);
+    expect(encodeQr('x'.repeat(180)).version).toBe(9);
+    expect(encodeQr('x'.repeat(181)).version).toBe(10);
+  });
+
+  it('draws a square matrix with finder patterns in three corners', () => {
+    const { rows, version } = encodeQr('LAB-0001');
+    const size = version * 4 + 17;
+    expect(rows).toHaveLength(size);
+    expect(rows.every(row => row.length === size)).toBe(true);
+
+    const finder = ['1111111', '1000001', '1011101', '1011101', '1011101', '1000001', '1111111'];
+    for (const [left, top] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+      const drawn = finder.map((_, y) => rows[top + y].slice(left, left + 7).map(dark => (dark ? '1' : '0')).join(''));
+      expect(drawn).toEqual(finder);
+    }
+    expect(rows[size - 8][8]).toBe(true);
+  });
+
+  it('writes valid level M format information', () => {
+    const bits = formatBits(encodeQr('LAB-0001').rows);
+    let remainder = bits >>> 10;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    expect(bits & 0x3ff).toBe(remainder & 0x3ff);
+    expect(bits >>> 13).toBe(0);
+  });
+
+  it('rejects empty and oversized text', () => {
+    expect(() => encodeQr('')).toThrow('QR labels can hold');
+    expect(() => encodeQr('x'.repeat(300))).toThrow('QR labels can hold');
+  });
+});
+
+describe('encode', () => {
+  it('picks the encoder by symbology', () => {
+    expect(encode('LAB-0001').symbology).toBe('qr');
+    expect(encode('LAB-0001', 'code128').symbology).toBe('code128');
+    expect(() => encode('LAB-0001', 'ean13')).toThrow('Unknown symbology: ean13');
+  });
+});
+
+describe('rendering', () => {
+  it('finds runs of dark modules', () => {
+    expect(darkRuns([true, true, false, true, false, false, true])).toEqual([[0, 2], [3, 1], [6, 1]]);
+  });
+
+  it('adds the quiet zone around the symbol', () => {
+    expect(symbolSize(encodeQr('LAB-0001'))).toEqual({ width: 29, height: 29, marginX: 4, marginY: 4 });
+    expect(symbolSize(encodeCode128('A'))).toEqual({ width: 66, height: 44, marginX: 10, marginY: 2 });
+  });
+
+  it('renders SVG with an escaped caption', () => {
+    const svg = toSvg(encodeCode128('A&B'), { scale: 2, showText: true });
+    expect(svg).toContain('viewBox="0 0 88 56"');
+    expect(svg).toContain('width="176"');
+    expect(svg).toContain('>A&amp;B</text>');
+  });
+
+  it('renders a greyscale PNG with dark pixels where the modules are', () => {
+    const symbol = encodeQr('LAB-0001');
+    const png = toPng(symbol, { scale: 2 });
+
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(png.readUInt32BE(16)).toBe(58);
+    expect(png.readUInt32BE(20)).toBe(58);
+
+    const idatLength = png.readUInt32BE(33);
+    const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+    const pixel = (x, y) => raw[y * (58 + 1) + 1 + x];
+    // Quiet zone is light, the top-left finder corner is dark
+    expect(pixel(0, 0)).toBe(0xff);
+    expect(pixel(8, 8)).toBe(0);
+  });
+});
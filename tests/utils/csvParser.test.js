@@ -0,0 +1,31 @@
+const { parseCsv } = require('../../src/utils/csvParser');
+
+describe('parseCsv', () => {
+  it('keys records by normalised header', () => {
+    const { headers, records } = parseCsv('Lab Code,Title\nANL,Anatomy\n');
+    expect(headers).toEqual(['lab_code', 'title']);
+    expect(records).toEqual([{ line: 2, values: { lab_code: 'ANL', title: 'Anatomy' } }]);
+  });
+
+  it('reads quoted values with commas, doubled quotes and line breaks', () => {
+    const { records } = parseCsv('title,notes\n"Lab, part 1","Bring ""gloves""\nand coats"\nnext,row\n');
+    expect(records[0].values).toEqual({ title: 'Lab, part 1', notes: 'Bring "gloves"\nand coats' });
+    // Line numbers follow the file, including breaks inside quotes
+    expect(records[1]).toEqual({ line: 4, values: { title: 'next', notes: 'row' } });
+  });
+
+  it('handles CRLF line endings, a BOM and a missing final newline', () => {
+    const { headers, records } = parseCsv('\uFEFFa,b\r\n1,2\r\n3,4');
+    expect(headers).toEqual(['a', 'b']);
+    expect(records.map(r => r.values)).toEqual([{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+  });
+
+  it('skips blank lines and fills missing cells with empty strings', () => {
+    const { records } = parseCsv('a,b,c\n\n1\n , \n');
+    expect(records).toEqual([{ line: 3, values: { a: '1', b: '', c: '' } }]);
+  });
+
+  it('returns nothing for empty input', () => {
+    expect(parseCsv('')).toEqual({ headers: [], records: [] });
+  });
+});
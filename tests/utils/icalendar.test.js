@@ -0,0 +1,208 @@
+const { buildCalendar, parseCalendar, escapeText, foldLine } = require('../../src/utils/icalendar');
+
+// Unfold a calendar into its content lines
+const contentLines = text => text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+const stamp = new Date('2024-02-01T00:00:00Z');
+
+const booking = (overrides = {}) => ({
+  _id: 'b1',
+  title: 'Histology practical',
+  status: 'approved',
+  booking_type: 'practical',
+  start_time: new Date('2024-03-04T08:00:00Z'),
+  end_time: new Date('2024-03-04T10:00:00Z'),
+  lab: { name: 'Histology Lab', code: 'HISTO1' },
+  updatedAt: stamp,
+  ...overrides
+});
+
+describe('escapeText', () => {
+  it('escapes backslashes, separators and line breaks', () => {
+    expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves short lines alone', () => {
+    expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const parts = folded.split('\r\n');
+    expect(parts[0]).toHaveLength(75);
+    expect(parts.slice(1).every(part => part.startsWith(' ') && Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  it('does not split multi-byte characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    expect(folded.split('\r\n').every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('writes single bookings as UTC events', () => {
+    const lines = contentLines(buildCalendar({ name: 'Lab, bookings', bookings: [booking()] }));
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Lab\\, bookings');
+    expect(lines).toContain('UID:booking-b1@laboratory-information-system');
+    expect(lines).toContain('DTSTART:20240304T080000Z');
+    expect(lines).toContain('DTEND:20240304T100000Z');
+    expect(lines).toContain('STATUS:CONFIRMED');
+    expect(lines).toContain('LOCATION:Histology Lab (HISTO1)');
+    expect(lines).toContain('CATEGORIES:PRACTICAL');
+    expect(lines[lines.length - 1]).toBe('END:VCALENDAR');
+  });
+
+  it('leaves out rejected bookings', () => {
+    const text = buildCalendar({ name: 'Lab', bookings: [booking({ status: 'rejected' })] });
+    expect(text).not.toContain('BEGIN:VEVENT');
+  });
+
+  describe('series', () => {
+    const series = {
+      _id: 's1',
+      title: 'Histology practical',
+      status: 'active',
+      timezone: 'Africa/Kigali',
+      start_time: new Date('2024-03-04T08:00:00Z'),
+      end_time: new Date('2024-03-04T10:00:00Z'),
+      excluded_dates: [],
+      recurring_pattern: {
+        frequency: 'biweekly',
+        interval: 1,
+        days_of_week: [1, 3],
+        end_date: new Date('2024-04-30T00:00:00Z')
+      }
+    };
+    const occurrence = (start, overrides = {}) => booking({
+      _id: `o-${start}`,
+      series: 's1',
+      start_time: new Date(start),
+      end_time: new Date(new Date(start).getTime() + 2 * 60 * 60 * 1000),
+      ...overrides
+    });
+
+    it('writes one master event with a Sunday-based RRULE in local time', () => {
+      const lines = contentLines(buildCalendar({
+        name: 'Lab',
+        bookings: [occurrence('2024-03-04T08:00:00Z'), occurrence('2024-03-06T08:00:00Z')],
+        series: [series]
+      }));
+
+      expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+      expect(lines).toContain('UID:series-s1@laboratory-information-system');
+      expect(lines).toContain('DTSTART;TZID=Africa/Kigali:20240304T100000');
+      expect(lines).toContain('RRULE:FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=MO,WE;UNTIL=20240430T000000Z');
+      expect(lines).toContain('TZID:Africa/Kigali');
+      expect(lines).toContain('TZOFFSETTO:+0200');
+    });
+
+    it('excludes rejected occurrences and overrides moved ones', () => {
+      const lines = contentLines(buildCalendar({
+        name: 'Lab',
+        bookings: [
+          occurrence('2024-03-04T08:00:00Z'),
+          occurrence('2024-03-06T08:00:00Z', { status: 'rejected' }),
+          occurrence('2024-03-18T09:00:00Z', {
+            original_start_time: new Date('2024-03-18T08:00:00Z'),
+            is_exception: true
+          })
+        ],
+        series: [series]
+      }));
+
+      expect(lines).toContain('EXDATE;TZID=Africa/Kigali:20240306T100000');
+      expect(lines).toContain('RECURRENCE-ID;TZID=Africa/Kigali:20240318T100000');
+      expect(lines).toContain('DTSTART;TZID=Africa/Kigali:20240318T110000');
+    });
+  });
+});
+
+describe('parseCalendar', () => {
+  const calendar = lines => `${['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n')}\r\n`;
+
+  it('reads events with escaped text, folded lines and X- properties', () => {
+    const [event] = parseCalendar(calendar([
+      'BEGIN:VEVENT',
+      'UID:abc',
+      'SUMMARY:Anatomy\\, group A',
+      'DESCRIPTION:Line one\\nline',
+      '  two',
+      'LOCATION:Anatomy Lab (ANL)',
+      'CATEGORIES:MED,PRACTICAL',
+      'X-FIELD-CODE:MED',
+      'DTSTART:20240304T080000Z',
+      'DTEND:20240304T100000Z',
+      'BEGIN:VALARM',
+      'SUMMARY:Reminder',
+      'END:VALARM',
+      'END:VEVENT'
+    ]));
+
+    expect(event.uid).toBe('abc');
+    expect(event.summary).toBe('Anatomy, group A');
+    expect(event.description).toBe('Line one\nline two');
+    expect(event.categories).toEqual(['MED', 'PRACTICAL']);
+    expect(event.extra).toEqual({ 'X-FIELD-CODE': 'MED' });
+    expect(event.start).toEqual(new Date('2024-03-04T08:00:00Z'));
+    expect(event.end).toEqual(new Date('2024-03-04T10:00:00Z'));
+  });
+
+  it('reads TZID times in their zone and floating times in the fallback zone', () => {
+    const events = parseCalendar(calendar([
+      'BEGIN:VEVENT',
+      'DTSTART;TZID=Europe/London:20240304T100000',
+      'DTEND;TZID="Europe/London":20240304T110000',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20240304T100000',
+      'DURATION:PT90M',
+      'END:VEVENT'
+    ]), { timezone: 'Africa/Kigali' });
+
+    expect(events[0].start).toEqual(new Date('2024-03-04T10:00:00Z'));
+    expect(events[0].end).toEqual(new Date('2024-03-04T11:00:00Z'));
+    expect(events[1].start).toEqual(new Date('2024-03-04T08:00:00Z'));
+    expect(events[1].end).toEqual(new Date('2024-03-04T09:30:00Z'));
+  });
+
+  it('gives all-day events without an end one day', () => {
+    const [event] = parseCalendar(calendar([
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20240304',
+      'END:VEVENT'
+    ]));
+    expect(event.all_day).toBe(true);
+    expect(event.end - event.start).toBe(24 * 60 * 60 * 1000);
+  });
+
+  it('parses recurrence rules, exclusions and overrides', () => {
+    const [event] = parseCalendar(calendar([
+      'BEGIN:VEVENT',
+      'UID:series',
+      'DTSTART:20240304T080000Z',
+      'DTEND:20240304T100000Z',
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=MO,WE;COUNT=6;BYSETPOS=1',
+      'EXDATE:20240306T080000Z,20240318T080000Z',
+      'RECURRENCE-ID:20240304T080000Z',
+      'END:VEVENT'
+    ]));
+
+    expect(event.rrule).toEqual({
+      freq: 'WEEKLY',
+      interval: 2,
+      until: null,
+      count: 6,
+      by_day: ['MO', 'WE'],
+      by_month_day: [],
+      unsupported: ['BYSETPOS']
+    });
+    expect(event.exdates).toEqual([new Date('2024-03-06T08:00:00Z'), new Date('2024-03-18T08:00:00Z')]);
+    expect(event.recurrence_id).toEqual(new Date('2024-03-04T08:00:00Z'));
+  });
+});
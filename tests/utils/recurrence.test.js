@@ -0,0 +1,122 @@
+const { expandRecurrence } = require('../../src/utils/recurrence');
+
+const starts = occurrences => occurrences.map(o => o.start_time.toISOString());
+
+describe('expandRecurrence', () => {
+  // Monday 4 March 2024, 10:00-12:00 in Kigali (UTC+2)
+  const start = '2024-03-04T08:00:00Z';
+  const end = '2024-03-04T10:00:00Z';
+
+  it('repeats daily every interval days up to the end date', () => {
+    const occurrences = expandRecurrence(start, end, { frequency: 'daily', interval: 2, end_date: '2024-03-10' });
+    expect(starts(occurrences)).toEqual([
+      '2024-03-04T08:00:00.000Z',
+      '2024-03-06T08:00:00.000Z',
+      '2024-03-08T08:00:00.000Z',
+      '2024-03-10T08:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the duration of the first booking', () => {
+    const occurrences = expandRecurrence(start, end, { frequency: 'daily', end_date: '2024-03-05' });
+    expect(occurrences[1].end_time - occurrences[1].start_time).toBe(2 * 60 * 60 * 1000);
+  });
+
+  it('repeats weekly on the given days', () => {
+    const occurrences = expandRecurrence(start, end, {
+      frequency: 'weekly',
+      days_of_week: [3, 1],
+      end_date: '2024-03-17'
+    });
+    expect(starts(occurrences)).toEqual([
+      '2024-03-04T08:00:00.000Z',
+      '2024-03-06T08:00:00.000Z',
+      '2024-03-11T08:00:00.000Z',
+      '2024-03-13T08:00:00.000Z'
+    ]);
+  });
+
+  it('skips days of the first week before the first booking', () => {
+    const occurrences = expandRecurrence(start, end, {
+      frequency: 'weekly',
+      days_of_week: [0, 1],
+      end_date: '2024-03-11'
+    });
+    expect(starts(occurrences)).toEqual([
+      '2024-03-04T08:00:00.000Z',
+      '2024-03-10T08:00:00.000Z',
+      '2024-03-11T08:00:00.000Z'
+    ]);
+  });
+
+  it('counts biweekly weeks from Sunday', () => {
+    // Sunday 3 March: the Saturday after belongs to the same week
+    const occurrences = expandRecurrence('2024-03-03T08:00:00Z', '2024-03-03T10:00:00Z', {
+      frequency: 'biweekly',
+      days_of_week: [0, 6],
+      end_date: '2024-03-24'
+    });
+    expect(starts(occurrences)).toEqual([
+      '2024-03-03T08:00:00.000Z',
+      '2024-03-09T08:00:00.000Z',
+      '2024-03-17T08:00:00.000Z',
+      '2024-03-23T08:00:00.000Z'
+    ]);
+  });
+
+  it('uses the weekday of the first booking when no days are given', () => {
+    const occurrences = expandRecurrence(start, end, { frequency: 'weekly', end_date: '2024-03-18' });
+    expect(starts(occurrences)).toEqual([
+      '2024-03-04T08:00:00.000Z',
+      '2024-03-11T08:00:00.000Z',
+      '2024-03-18T08:00:00.000Z'
+    ]);
+  });
+
+  it('skips months without the requested day', () => {
+    const occurrences = expandRecurrence('2024-01-31T08:00:00Z', '2024-01-31T10:00:00Z', {
+      frequency: 'monthly',
+      month_day: 31,
+      end_date: '2024-06-30'
+    });
+    expect(starts(occurrences)).toEqual([
+      '2024-01-31T08:00:00.000Z',
+      '2024-03-31T08:00:00.000Z',
+      '2024-05-31T08:00:00.000Z'
+    ]);
+  });
+
+  it('uses custom dates at the first booking time, keeping the first booking', () => {
+    const occurrences = expandRecurrence(start, end, {
+      frequency: 'custom',
+      custom_dates: ['2024-03-20', '2024-03-04', '2024-03-12', '2024-04-30'],
+      end_date: '2024-03-31'
+    });
+    expect(starts(occurrences)).toEqual([
+      '2024-03-04T08:00:00.000Z',
+      '2024-03-12T08:00:00.000Z',
+      '2024-03-20T08:00:00.000Z'
+    ]);
+  });
+
+  it('stops one past the limit so callers can detect overflow', () => {
+    const occurrences = expandRecurrence(start, end, { frequency: 'daily', end_date: '2024-12-31' }, { limit: 5 });
+    expect(occurrences).toHaveLength(6);
+  });
+
+  it('keeps the local time of day across a daylight saving change', () => {
+    // 10:00 in London before and after the clocks go forward on 31 March
+    const occurrences = expandRecurrence('2024-03-25T10:00:00Z', '2024-03-25T11:00:00Z', {
+      frequency: 'weekly',
+      end_date: '2024-04-01'
+    }, { timezone: 'Europe/London' });
+    expect(starts(occurrences)).toEqual([
+      '2024-03-25T10:00:00.000Z',
+      '2024-04-01T09:00:00.000Z'
+    ]);
+  });
+
+  it('returns only the first booking without a frequency', () => {
+    expect(starts(expandRecurrence(start, end, {}))).toEqual(['2024-03-04T08:00:00.000Z']);
+  });
+});